@@ -1,124 +1,54 @@
 import React, { useState, useMemo } from "react";
-import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer } from "recharts";
+import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer, ReferenceLine, ReferenceArea } from "recharts";
 import { motion } from "framer-motion";
+import { formatExpression } from "../lib/expression";
+import { derivative } from "../lib/symbolic";
+import { buildDerivatives, DERIVATIVE_MODES } from "../lib/derivatives";
+import { derivativeBreakAt } from "../lib/piecewise";
+import { bisection } from "../lib/roots";
+import { guardDomain, runInDomain, clipRange } from "../lib/domain";
+import { DIRECTIONS, directed, restoreDirection, curvatureWarning } from "../lib/direction";
+import { useObjective, useLibraryInterval, useBreakpoints, useDomain, useFeasible } from "../hooks/useObjective";
+import ObjectiveControls from "./ObjectiveControls";
+import BracketingPanel, { BracketingRows } from "./BracketingPanel";
+import { derivativeBracket } from "../lib/bracketing";
+import { useBracketing } from "../hooks/useBracketing";
 
-// Predefined functions for safety and simplicity
-const FUNCTIONS = {
-  "Parabola (x-2)^2 + 1": (x) => (x - 2) * (x - 2) + 1,
-  "Multi-modal: (x-2)^2 + sin(5x)": (x) => (x - 2) * (x - 2) + Math.sin(5 * x),
-  "Rastrigin-like: x^2 + 5*cos(2x)": (x) => x * x + 5 * Math.cos(2 * x),
-  "Función personalizada": null, // Placeholder for custom function
-};
-
-// Derivative functions (hardcoded for safety)
-const DERIVATIVES = {
-  "Parabola (x-2)^2 + 1": (x) => 2 * (x - 2),
-  "Multi-modal: (x-2)^2 + sin(5x)": (x) => 2 * (x - 2) + 5 * Math.cos(5 * x),
-  "Rastrigin-like: x^2 + 5*cos(2x)": (x) => 2 * x - 10 * Math.sin(2 * x),
-  "Función personalizada": null, // Placeholder for custom derivative
-};
-
-// Safe function parser that only allows basic mathematical operations
-function parseCustomFunction(funcString) {
-  try {
-    // Remove whitespace
-    funcString = funcString.trim();
-    
-    // Basic validation - only allow safe characters
-    const allowedChars = /^[x0-9+\-*/().\s,^sin|cos|tan|log|exp|sqrt|abs|pow|min|max]+$/;
-    if (!allowedChars.test(funcString)) {
-      throw new Error("Función contiene caracteres no permitidos");
-    }
-    
-    // Replace common mathematical functions and operators
-    let processedFunc = funcString
-      .replace(/\^/g, '**') // Convert ^ to ** for exponentiation
-      .replace(/sin\(/g, 'Math.sin(')
-      .replace(/cos\(/g, 'Math.cos(')
-      .replace(/tan\(/g, 'Math.tan(')
-      .replace(/log\(/g, 'Math.log(')
-      .replace(/exp\(/g, 'Math.exp(')
-      .replace(/sqrt\(/g, 'Math.sqrt(')
-      .replace(/abs\(/g, 'Math.abs(')
-      .replace(/pow\(/g, 'Math.pow(')
-      .replace(/min\(/g, 'Math.min(')
-      .replace(/max\(/g, 'Math.max(');
-    
-    // Create function
-    const func = new Function('x', `return ${processedFunc}`);
-    
-    // Test the function with a sample value
-    func(1);
-    
-    return func;
-  } catch (error) {
-    throw new Error(`Error en la función: ${error.message}`);
-  }
-}
-
+// Bisection on f': a critical point is a root of f', so this is the
+// bisection of roots.js run on f', with f recorded at every midpoint. xOpt
+// is null when f' does not change sign on [a, b].
 function bisectionMethod(f, df, a, b, tol = 1e-6, maxIter = 100) {
-  const history = [];
-  
-  for (let iter = 0; iter < maxIter; iter++) {
-    const c = (a + b) / 2;
-    const fc = f(c);
-    const dfc = df(c);
-    
-    history.push({
-      iter: iter + 1,
-      a,
-      b,
-      c,
-      fc,
-      dfc,
-      error: Math.abs(b - a)
-    });
-    
-    if (Math.abs(dfc) < tol || Math.abs(b - a) < tol) break;
-    
-    if (dfc > 0) {
-      b = c;
-    } else {
-      a = c;
-    }
-  }
-
-  const xOpt = (a + b) / 2;
-  const fOpt = f(xOpt);
-  return { xOpt, fOpt, history };
+  const { root, history, warning } = bisection(df, a, b, tol, maxIter);
+  return {
+    xOpt: root,
+    fOpt: root === null ? null : f(root),
+    history: history.map((h) => ({ iter: h.iter, a: h.a, b: h.b, c: h.x, fc: f(h.x), dfc: h.gx, error: h.error })),
+    warning,
+  };
 }
 
 export default function BisectionOptimizer() {
-  const [fnKey, setFnKey] = useState(Object.keys(FUNCTIONS)[1]);
-  const [customFunction, setCustomFunction] = useState("x^2 - 4*x + 3");
+  const objective = useObjective();
+  const { f, ast, params, goal, direction } = objective;
   const [a, setA] = useState(-2);
   const [b, setB] = useState(5);
   const [tol, setTol] = useState(0.000001);
   const [maxIter, setMaxIter] = useState(60);
-  const [result, setResult] = useState(null);
-
-  const f = useMemo(() => {
-    if (fnKey === "Función personalizada") {
-      try {
-        return parseCustomFunction(customFunction);
-      } catch (error) {
-        // Return a default function if parsing fails
-        return (x) => x * x;
-      }
-    }
-    return FUNCTIONS[fnKey];
-  }, [fnKey, customFunction]);
-  const df = useMemo(() => {
-    if (fnKey === "Función personalizada") {
-      // For custom functions, we'll use a simple numerical derivative approximation
-      // This is not ideal but works for demonstration purposes
-      return (x) => {
-        const h = 1e-6;
-        return (f(x + h) - f(x - h)) / (2 * h);
-      };
-    }
-    return DERIVATIVES[fnKey];
-  }, [fnKey, f]);
+  const [derivativeMode, setDerivativeMode] = useState("ad");
+  const [runArgs, setRunArgs] = useState(null);
+  useLibraryInterval(objective, setA, setB);
+  const breakpoints = useBreakpoints(objective, a, b);
+  const domain = useDomain(objective, a, b);
+  const feasible = useFeasible(objective, a, b);
+  const [bracketing, applyBracket] = useBracketing(a, b, setA, setB);
+
+  // Simplified symbolic derivative, shown for every function whatever the mode
+  const symbolicDerivative = useMemo(() => ast && derivative(ast, 1), [ast]);
+
+  const { df, d2f } = useMemo(() => (ast ? buildDerivatives(ast, derivativeMode, params, f) : { df: null, d2f: null }), [ast, derivativeMode, params, f]);
+
+  // Derivative of the function being minimized (−f' when maximizing)
+  const goalDf = useMemo(() => directed(df, direction), [df, direction]);
 
   const sampleData = useMemo(() => {
     const samples = 300;
@@ -127,21 +57,24 @@ export default function BisectionOptimizer() {
     const numB = Number(b);
     
     // Only generate data if we have valid numbers
-    if (isNaN(numA) || isNaN(numB) || numA >= numB) {
+    if (!f || isNaN(numA) || isNaN(numB) || numA >= numB) {
       return [];
     }
     
     for (let i = 0; i <= samples; i++) {
       const x = numA + (i / samples) * (numB - numA);
       const y = f(x);
-      // Only add valid data points
-      if (typeof x === 'number' && !isNaN(x) && typeof y === 'number' && !isNaN(y)) {
+      // Only add finite data points: the gaps are shaded as outside the domain
+      if (typeof x === 'number' && !isNaN(x) && Number.isFinite(y)) {
         xs.push({ x: Number(x.toFixed(6)), y: Number(y.toFixed(6)) });
       }
     }
     return xs;
   }, [a, b, f]);
 
+  // Keeps the curve readable when f blows up near a pole or a domain edge
+  const yDomain = useMemo(() => clipRange(sampleData.map((p) => p.y)), [sampleData]);
+
   const derivativeData = useMemo(() => {
     const samples = 300;
     const xs = [];
@@ -149,22 +82,47 @@ export default function BisectionOptimizer() {
     const numB = Number(b);
     
     // Only generate data if we have valid numbers
-    if (isNaN(numA) || isNaN(numB) || numA >= numB) {
+    if (!df || isNaN(numA) || isNaN(numB) || numA >= numB) {
       return [];
     }
     
     for (let i = 0; i <= samples; i++) {
       const x = numA + (i / samples) * (numB - numA);
       const y = df(x);
-      // Only add valid data points
-      if (typeof x === 'number' && !isNaN(x) && typeof y === 'number' && !isNaN(y)) {
+      // Only add finite data points: the gaps are shaded as outside the domain
+      if (typeof x === 'number' && !isNaN(x) && Number.isFinite(y)) {
         xs.push({ x: Number(x.toFixed(6)), y: Number(y.toFixed(6)) });
       }
     }
     return xs;
   }, [a, b, df]);
 
+  // The run is recomputed whenever f changes, so the result follows the
+  // parameter sliders live once Ejecutar has been pressed
+  const { result, domainError } = useMemo(
+    () => runInDomain(() => restoreDirection(
+      runArgs && goal && bisectionMethod(guardDomain(goal), guardDomain(goalDf, "f'"), runArgs.a, runArgs.b, runArgs.tol, runArgs.maxIter),
+      direction,
+      ["fc", "dfc"]
+    )),
+    [goal, goalDf, direction, runArgs]
+  );
+
+  // Iterations whose midpoint sits on a breakpoint where f' jumps
+  const derivativeBreaks = useMemo(() => {
+    if (!result) return [];
+    return result.history
+      .filter((h) => derivativeBreakAt(df, breakpoints, h.c, runArgs.tol) !== null)
+      .map((h) => h.iter);
+  }, [result, df, breakpoints, runArgs]);
+
+  // A root of f' is a minimum or a maximum depending on f''(x*)
+  const curvature = useMemo(() => (result && result.xOpt !== null && d2f ? curvatureWarning(d2f(result.xOpt), direction) : null), [result, d2f, direction]);
+
   const run = () => {
+    // Nothing runs while the expression has a parse error
+    if (!f) return;
+
     const na = Number(a);
     const nb = Number(b);
     const ntol = Number(tol);
@@ -182,18 +140,7 @@ export default function BisectionOptimizer() {
       return;
     }
     
-    // Validate custom function if selected
-    if (fnKey === "Función personalizada") {
-      try {
-        parseCustomFunction(customFunction);
-      } catch (error) {
-        alert(`Error en la función personalizada: ${error.message}`);
-        return;
-      }
-    }
-    
-    const res = bisectionMethod(f, df, na, nb, ntol, nmax);
-    setResult(res);
+    setRunArgs({ a: na, b: nb, tol: ntol, maxIter: nmax });
   };
 
   return (
@@ -201,44 +148,39 @@ export default function BisectionOptimizer() {
       <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="max-w-5xl mx-auto">
         <div className="flex justify-between items-center mb-6">
           <h1 className="text-2xl font-bold">Optimizador: Bisección</h1>
-          <div className="text-sm text-gray-600">Minimización unidimensional • Método de bisección</div>
+          <div className="text-sm text-gray-600">{DIRECTIONS[direction].title} unidimensional • Método de bisección</div>
         </div>
 
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
           <div className="md:col-span-1 bg-white p-4 rounded-2xl shadow-sm">
-            <label className="block text-sm font-medium text-gray-700">Función</label>
-            <select value={fnKey} onChange={(e) => setFnKey(e.target.value)} className="mt-2 w-full p-2 border rounded">
-              {Object.keys(FUNCTIONS).map((k) => (
-                <option key={k} value={k}>
-                  {k}
-                </option>
-              ))}
-            </select>
+            <ObjectiveControls objective={objective} />
 
-            {fnKey === "Función personalizada" && (
-              <div className="mt-3">
-                <label className="block text-sm font-medium text-gray-700">Ingresa tu función (usa 'x' como variable)</label>
-                <input 
-                  type="text" 
-                  value={customFunction} 
-                  onChange={(e) => setCustomFunction(e.target.value)}
-                  placeholder="Ej: x^2 - 4*x + 3"
-                  className="mt-1 w-full p-2 border rounded text-sm"
-                />
-                <div className="mt-1 text-xs text-gray-500">
-                  Funciones disponibles: sin, cos, tan, log, exp, sqrt, abs, pow, min, max
-                </div>
-                <div className="mt-1 text-xs text-gray-500">
-                  Operadores: +, -, *, /, ^ (potencia), paréntesis ()
-                </div>
+            {symbolicDerivative && (
+              <div className="mt-3 text-xs bg-gray-50 p-2 rounded font-mono break-all">
+                f'(x) = {formatExpression(symbolicDerivative)}
               </div>
             )}
 
+            <label className="block text-sm font-medium text-gray-700 mt-4">Derivadas</label>
+            <select value={derivativeMode} onChange={(e) => setDerivativeMode(e.target.value)} className="mt-2 w-full p-2 border rounded">
+              {Object.entries(DERIVATIVE_MODES).map(([mode, label]) => (
+                <option key={mode} value={mode}>
+                  {label}
+                </option>
+              ))}
+            </select>
+
             <label className="block text-sm font-medium text-gray-700 mt-4">Intervalo [a, b]</label>
             <div className="flex gap-2 mt-2">
               <input type="number" value={a} onChange={(e) => setA(e.target.value)} className="p-2 border rounded w-1/2" />
               <input type="number" value={b} onChange={(e) => setB(e.target.value)} className="p-2 border rounded w-1/2" />
             </div>
+            <BracketingPanel
+              label="signo de f'"
+              bracket={(x0, h) => restoreDirection(derivativeBracket(guardDomain(goal), guardDomain(goalDf, "f'"), x0, h), direction, ["fx", "dfx"])}
+              onBracket={applyBracket}
+              disabled={!f || !df}
+            />
 
             <label className="block text-sm font-medium text-gray-700 mt-4">Tolerancia</label>
             <input type="number" step="any" value={tol} onChange={(e) => setTol(e.target.value)} className="mt-2 p-2 border rounded w-full" />
@@ -246,13 +188,29 @@ export default function BisectionOptimizer() {
             <label className="block text-sm font-medium text-gray-700 mt-4">Máx Iteraciones</label>
             <input type="number" value={maxIter} onChange={(e) => setMaxIter(e.target.value)} className="mt-2 p-2 border rounded w-full" />
 
-            <button onClick={run} className="mt-4 w-full bg-indigo-600 text-white p-2 rounded-2xl hover:bg-indigo-700">Ejecutar</button>
+            <button onClick={run} disabled={!f} className="mt-4 w-full bg-indigo-600 text-white p-2 rounded-2xl hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed">Ejecutar</button>
+
+            {domainError && (
+              <div className="mt-4 text-sm bg-red-50 text-red-700 p-3 rounded">{domainError.message}</div>
+            )}
 
             {result && (
               <div className="mt-4 text-sm bg-gray-50 p-3 rounded">
-                <div><strong>x*:</strong> {result.xOpt.toFixed(6)}</div>
-                <div><strong>f(x*):</strong> {result.fOpt.toFixed(6)}</div>
+                {result.xOpt !== null && (
+                  <>
+                    <div className="font-medium text-indigo-700">{DIRECTIONS[direction].found}</div>
+                    <div><strong>x*:</strong> {result.xOpt.toFixed(6)}</div>
+                    <div><strong>f(x*):</strong> {result.fOpt.toFixed(6)}</div>
+                  </>
+                )}
                 <div><strong>Iteraciones:</strong> {result.history.length}</div>
+                {result.warning && <div className="mt-2 text-amber-700">{result.warning}</div>}
+                {curvature && <div className="mt-2 text-amber-700">{curvature}</div>}
+                {derivativeBreaks.length > 0 && (
+                  <div className="mt-2 text-amber-700">
+                    La derivada es discontinua en la(s) iteración(es) {derivativeBreaks.join(", ")}: el punto puede ser un quiebre y no un punto crítico.
+                  </div>
+                )}
               </div>
             )}
 
@@ -266,10 +224,39 @@ export default function BisectionOptimizer() {
                 <LineChart data={sampleData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis dataKey="x" domain={[a, b]} type="number" tickFormatter={(v) => v.toFixed(2)} />
-                  <YAxis />
+                  <YAxis domain={yDomain || undefined} allowDataOverflow={Boolean(yDomain)} />
                   <Tooltip formatter={(value) => value.toFixed(6)} />
                   <Line type="monotone" dataKey="y" dot={false} strokeWidth={2} stroke="#8884d8" />
 
+                  {/* Breakpoints of piecewise functions */}
+                  {breakpoints.map((x) => (
+                    <ReferenceLine key={x} x={x} stroke="#9C27B0" strokeDasharray="4 4" />
+                  ))}
+
+                  {/* Outside the domain of f: invalid sub-intervals and poles */}
+                  {domain.invalid.map(({ from, to }) => (
+                    <ReferenceArea key={from} x1={from} x2={to} fill="#F44336" fillOpacity={0.12} />
+                  ))}
+                  {domain.poles.map((x) => (
+                    <ReferenceLine key={`pole-${x}`} x={x} stroke="#F44336" strokeDasharray="2 2" />
+                  ))}
+
+                  {/* Feasible region of the constraints g(x) ≤ 0 */}
+                  {feasible.map(({ from, to }) => (
+                    <ReferenceArea key={`feasible-${from}`} x1={from} x2={to} fill="#4CAF50" fillOpacity={0.08} />
+                  ))}
+
+                  {/* Points of the bracketing phase */}
+                  {bracketing && (
+                    <Line
+                      data={bracketing.history.map((h) => ({ x: h.x, y: h.dfx }))}
+                      type="monotone"
+                      dataKey="y"
+                      stroke="none"
+                      dot={{ fill: "#03A9F4", r: 4 }}
+                    />
+                  )}
+
                   {/* Derivative line */}
                   <Line 
                     data={derivativeData} 
@@ -291,14 +278,16 @@ export default function BisectionOptimizer() {
                         dot={{ fill: "#FF5722", r: 4 }}
                         connectNulls={false}
                       />
-                      <Line
-                        data={[{ x: result.xOpt, y: result.fOpt }]}
-                        type="monotone"
-                        dataKey="y"
-                        stroke="none"
-                        dot={{ fill: "#FF0000", stroke: "#FFFFFF", strokeWidth: 3, r: 8 }}
-                        connectNulls={false}
-                      />
+                      {result.xOpt !== null && (
+                        <Line
+                          data={[{ x: result.xOpt, y: result.fOpt }]}
+                          type="monotone"
+                          dataKey="y"
+                          stroke="none"
+                          dot={{ fill: "#FF0000", stroke: "#FFFFFF", strokeWidth: 3, r: 8 }}
+                          connectNulls={false}
+                        />
+                      )}
                     </>
                   )}
                 </LineChart>
@@ -320,8 +309,9 @@ export default function BisectionOptimizer() {
                     </tr>
                   </thead>
                   <tbody>
+                    <BracketingRows phase={bracketing} columns={7} />
                     {result.history.map((h) => (
-                      <tr key={h.iter} className="border-t">
+                      <tr key={h.iter} className={`border-t ${derivativeBreaks.includes(h.iter) ? "bg-amber-50" : ""}`}>
                         <td className="px-2 py-1">{h.iter}</td>
                         <td className="px-2 py-1">{h.a.toFixed(6)}</td>
                         <td className="px-2 py-1">{h.b.toFixed(6)}</td>
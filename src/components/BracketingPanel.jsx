@@ -0,0 +1,83 @@
+import React, { useState } from "react";
+import { runInDomain } from "../lib/domain";
+
+// Collapsible controls for the bracketing phase that can run before an
+// interval method. bracket(x0, h) returns { a, b, history, found, message }
+// (swannBracket or derivativeBracket on guarded functions); a bracket that
+// is found is handed to onBracket, which fills in [a, b].
+export default function BracketingPanel({ bracket, onBracket, disabled, label = "Swann" }) {
+  const [open, setOpen] = useState(false);
+  const [x0, setX0] = useState(0);
+  const [h, setH] = useState(0.1);
+  const [message, setMessage] = useState(null);
+
+  const search = () => {
+    const nx0 = Number(x0);
+    const nh = Number(h);
+    if (!Number.isFinite(nx0) || !(nh > 0)) {
+      setMessage({ type: "error", text: "x₀ debe ser un número y el paso h debe ser positivo." });
+      return;
+    }
+    const { result, domainError } = runInDomain(() => bracket(nx0, nh));
+    if (domainError) {
+      setMessage({ type: "error", text: domainError.message });
+    } else if (!result.found) {
+      setMessage({ type: "error", text: result.message });
+    } else {
+      onBracket(result);
+      setMessage({
+        type: "ok",
+        text: `Intervalo [${result.a.toFixed(6)}, ${result.b.toFixed(6)}] en ${result.history.length} evaluaciones.`,
+      });
+    }
+  };
+
+  return (
+    <div className="mt-2 text-xs">
+      <button onClick={() => setOpen(!open)} className="text-indigo-600 hover:underline">
+        {open ? "▾" : "▸"} Acotamiento automático ({label})
+      </button>
+
+      {open && (
+        <div className="mt-2 p-2 border rounded">
+          <div className="text-gray-600">Desde x₀ duplica el paso h hasta encerrar el óptimo y rellena [a, b].</div>
+          <div className="flex gap-1 mt-1">
+            <input type="number" step="any" value={x0} onChange={(e) => setX0(e.target.value)} title="x₀" placeholder="x₀" className="w-1/2 p-1 border rounded" />
+            <input type="number" step="any" value={h} onChange={(e) => setH(e.target.value)} title="h" placeholder="h" className="w-1/2 p-1 border rounded" />
+          </div>
+          <button onClick={search} disabled={disabled} className="mt-1 w-full bg-sky-600 text-white p-1 rounded hover:bg-sky-700 disabled:opacity-50 disabled:cursor-not-allowed">
+            Buscar [a, b]
+          </button>
+          {message && (
+            <div className={`mt-2 ${message.type === "error" ? "text-red-600" : "text-green-700"}`}>{message.text}</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Rows of the bracketing phase, shown before the method's own rows in the
+// history table. columns is the width of that table.
+export function BracketingRows({ phase, columns }) {
+  if (!phase) return null;
+  return (
+    <>
+      {phase.history.map((h) => (
+        <tr key={`bracket-${h.step}`} className="border-t bg-sky-50 text-sky-900">
+          <td className="px-2 py-1">A{h.step}</td>
+          <td colSpan={columns - 1} className="px-2 py-1">
+            x = {h.x.toFixed(6)} • f(x) = {h.fx.toFixed(6)}
+            {h.dfx !== undefined && <> • f'(x) = {h.dfx.toFixed(6)}</>}
+            {h.h !== 0 && <> • paso {h.h.toFixed(4)}</>}
+          </td>
+        </tr>
+      ))}
+      <tr className="border-t bg-sky-100 text-sky-900 font-medium">
+        <td colSpan={columns} className="px-2 py-1">
+          Acotamiento: [a, b] = [{phase.a.toFixed(6)}, {phase.b.toFixed(6)}]
+        </td>
+      </tr>
+    </>
+  );
+}
@@ -0,0 +1,310 @@
+import React, { useState, useMemo } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer, ReferenceLine, ReferenceArea } from "recharts";
+import { motion } from "framer-motion";
+import { clipRange } from "../lib/domain";
+import { DIRECTIONS, directed, restoreDirection, negateKeys } from "../lib/direction";
+import { intervalExtension, negateInterval } from "../lib/interval";
+import { intervalBranchAndBound } from "../lib/branchAndBound";
+import { isNoisy } from "../lib/noise";
+import { useObjective, useLibraryInterval, useBreakpoints, useDomain, useFeasible } from "../hooks/useObjective";
+import ObjectiveControls from "./ObjectiveControls";
+
+// When maximizing the interval bounds f from above
+const BOUND_LABELS = {
+  min: "Cota inferior",
+  max: "Cota superior",
+};
+
+// Bounds can be infinite near poles and domain edges
+const formatBound = (value) => (Number.isFinite(value) ? value.toFixed(6) : value > 0 ? "+∞" : "−∞");
+
+// A result computed on −f in terms of f (used when maximizing): the bounds
+// of every box flip with the values
+function restoreBranchAndBound(result, direction) {
+  const restored = restoreDirection(result, direction, ["lowerBound", "best"]);
+  if (!restored || direction !== "max") return restored;
+  const flip = (box) => ({ ...box, range: negateInterval(box.range) });
+  return {
+    ...negateKeys(restored, ["lowerBound"]),
+    boxes: result.boxes.map(flip),
+    discarded: result.discarded.map(flip),
+  };
+}
+
+export default function BranchAndBoundOptimizer() {
+  const objective = useObjective();
+  const { f, exact, noise, ast, params, direction } = objective;
+  const [a, setA] = useState(-2);
+  const [b, setB] = useState(5);
+  const [tol, setTol] = useState(0.0001);
+  const [maxIter, setMaxIter] = useState(500);
+  const [runArgs, setRunArgs] = useState(null);
+  const [selectedIter, setSelectedIter] = useState(null);
+  useLibraryInterval(objective, setA, setB);
+  const breakpoints = useBreakpoints(objective, a, b);
+  const domain = useDomain(objective, a, b);
+  const feasible = useFeasible(objective, a, b);
+
+  // Interval extension of the function being minimized
+  const goalInterval = useMemo(() => {
+    if (!ast) return null;
+    const F = intervalExtension(ast, params);
+    return direction === "max" ? (X) => negateInterval(F(X)) : F;
+  }, [ast, params, direction]);
+
+  // The enclosures are of the noise-free f, so the values they are compared
+  // with must be too: a noisy value below the true enclosure would discard
+  // the box that holds the minimizer
+  const exactGoal = useMemo(() => exact && directed(exact, direction), [exact, direction]);
+
+  const sampleData = useMemo(() => {
+    const samples = 300;
+    const xs = [];
+    const numA = Number(a);
+    const numB = Number(b);
+
+    // Only generate data if we have valid numbers
+    if (!f || isNaN(numA) || isNaN(numB) || numA >= numB) {
+      return [];
+    }
+
+    for (let i = 0; i <= samples; i++) {
+      const x = numA + (i / samples) * (numB - numA);
+      const y = f(x);
+      // Only add finite data points: the gaps are shaded as outside the domain
+      if (typeof x === 'number' && !isNaN(x) && Number.isFinite(y)) {
+        xs.push({ x: Number(x.toFixed(6)), y: Number(y.toFixed(6)) });
+      }
+    }
+    return xs;
+  }, [a, b, f]);
+
+  // Keeps the curve readable when f blows up near a pole or a domain edge
+  const yDomain = useMemo(() => clipRange(sampleData.map((p) => p.y)), [sampleData]);
+
+  // The boxes are drawn with their interval bounds as top and bottom, cut to
+  // the visible range of the curve (the bounds can be far looser than f)
+  const clampY = useMemo(() => {
+    const ys = sampleData.map((p) => p.y);
+    const [low, high] = yDomain || (ys.length > 0 ? [Math.min(...ys), Math.max(...ys)] : [0, 1]);
+    return (y) => Math.min(Math.max(y, low), high);
+  }, [sampleData, yDomain]);
+
+  // The run is recomputed whenever f changes, so the result follows the
+  // parameter sliders live once Ejecutar has been pressed. No guard is
+  // needed: the interval bounds already discard the boxes outside the domain.
+  const result = useMemo(
+    () => restoreBranchAndBound(
+      runArgs && exactGoal && goalInterval && intervalBranchAndBound(goalInterval, exactGoal, runArgs.a, runArgs.b, { tol: runArgs.tol, maxIter: runArgs.maxIter }),
+      direction
+    ),
+    [exactGoal, goalInterval, direction, runArgs]
+  );
+
+  // Boxes discarded up to the clicked row (all of them by default) and the
+  // box that row split
+  const step = result && (result.history.find((h) => h.iter === selectedIter) || null);
+  const shownDiscarded = result ? result.discarded.filter((box) => !step || box.iter <= step.iter) : [];
+
+  const run = () => {
+    // Nothing runs while the expression has a parse error
+    if (!f) return;
+
+    const na = Number(a);
+    const nb = Number(b);
+    const ntol = Number(tol);
+    const nmax = Number(maxIter);
+    if (!(na < nb)) {
+      alert("El límite izquierdo (a) debe ser menor que el derecho (b).");
+      return;
+    }
+    if (!(ntol > 0)) {
+      alert("La tolerancia debe ser positiva.");
+      return;
+    }
+
+    setSelectedIter(null);
+    setRunArgs({ a: na, b: nb, tol: ntol, maxIter: nmax });
+  };
+
+  const boundLabel = BOUND_LABELS[direction];
+
+  return (
+    <div className="p-6 bg-gray-50 min-h-screen font-sans">
+      <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="max-w-5xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-2xl font-bold">Optimizador: Ramificación y acotación</h1>
+          <div className="text-sm text-gray-600">{DIRECTIONS[direction].title} global • Aritmética de intervalos</div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-1 bg-white p-4 rounded-2xl shadow-sm">
+            <ObjectiveControls objective={objective} />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Intervalo [a, b]</label>
+            <div className="flex gap-2 mt-2">
+              <input type="number" value={a} onChange={(e) => setA(e.target.value)} className="p-2 border rounded w-1/2" />
+              <input type="number" value={b} onChange={(e) => setB(e.target.value)} className="p-2 border rounded w-1/2" />
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Tolerancia de la brecha</label>
+            <input type="number" step="any" value={tol} onChange={(e) => setTol(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Máx Iteraciones</label>
+            <input type="number" value={maxIter} onChange={(e) => setMaxIter(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <button onClick={run} disabled={!f} className="mt-4 w-full bg-indigo-600 text-white p-2 rounded-2xl hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed">Ejecutar</button>
+
+            {result && result.xOpt === null && (
+              <div className="mt-4 text-sm bg-red-50 text-red-700 p-3 rounded">f no está definida en ningún punto evaluado de [a, b].</div>
+            )}
+
+            {result && result.xOpt !== null && (
+              <div className="mt-4 text-sm bg-gray-50 p-3 rounded">
+                <div className="font-medium text-indigo-700">{DIRECTIONS[direction].found} (global)</div>
+                <div><strong>x*:</strong> {result.xOpt.toFixed(6)}</div>
+                <div><strong>f(x*):</strong> {result.fOpt.toFixed(6)}</div>
+                <div><strong>Iteraciones:</strong> {result.history.length}</div>
+                <div><strong>{boundLabel} final:</strong> {formatBound(result.lowerBound)}</div>
+                <div><strong>Cajas descartadas:</strong> {result.discarded.length} • <strong>restantes:</strong> {result.boxes.length}</div>
+                {isNoisy(noise) && (
+                  <div className="mt-2 text-amber-700">El ruido de evaluación está activo, pero la garantía solo vale para la f exacta: la ramificación y acotación se ejecuta sin ruido.</div>
+                )}
+                {!result.converged && (
+                  <div className="mt-2 text-amber-700">Se alcanzó el máximo de iteraciones (o el ancho mínimo de caja) sin cerrar la brecha por debajo de la tolerancia.</div>
+                )}
+              </div>
+            )}
+
+            <div className="mt-4 text-xs text-gray-500">Ramificación y acotación: F([lo, hi]) contiene todos los valores de f en la caja, con redondeo hacia fuera. Se divide la caja de cota más baja, se evalúa f en su punto medio y se descarta toda caja cuya cota supera el mejor valor hallado.</div>
+          </div>
+
+          <div className="md:col-span-2 bg-white p-4 rounded-2xl shadow-sm">
+            <h2 className="text-lg font-medium mb-3">Gráfica y cajas</h2>
+            <div style={{ height: 360 }} className="w-full">
+              <ResponsiveContainer>
+                <LineChart data={sampleData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="x" domain={[a, b]} type="number" tickFormatter={(v) => v.toFixed(2)} />
+                  <YAxis domain={yDomain || undefined} allowDataOverflow={Boolean(yDomain)} />
+                  <Tooltip formatter={(value) => value.toFixed(6)} />
+                  <Line type="monotone" dataKey="y" dot={false} strokeWidth={2} />
+
+                  {/* Breakpoints of piecewise functions */}
+                  {breakpoints.map((x) => (
+                    <ReferenceLine key={x} x={x} stroke="#9C27B0" strokeDasharray="4 4" />
+                  ))}
+
+                  {/* Outside the domain of f: invalid sub-intervals and poles */}
+                  {domain.invalid.map(({ from, to }) => (
+                    <ReferenceArea key={from} x1={from} x2={to} fill="#F44336" fillOpacity={0.12} />
+                  ))}
+                  {domain.poles.map((x) => (
+                    <ReferenceLine key={`pole-${x}`} x={x} stroke="#F44336" strokeDasharray="2 2" />
+                  ))}
+
+                  {/* Feasible region of the constraints g(x) ≤ 0 */}
+                  {feasible.map(({ from, to }) => (
+                    <ReferenceArea key={`feasible-${from}`} x1={from} x2={to} fill="#4CAF50" fillOpacity={0.08} />
+                  ))}
+
+                  {result && (
+                    <>
+                      {/* Discarded boxes, from their lower to their upper bound */}
+                      {shownDiscarded.map((box) => (
+                        <ReferenceArea
+                          key={`discarded-${box.lo}-${box.hi}`}
+                          x1={box.lo}
+                          x2={box.hi}
+                          y1={box.range ? clampY(box.range[0]) : undefined}
+                          y2={box.range ? clampY(box.range[1]) : undefined}
+                          fill={box.reason === "domain" ? "#F44336" : "#9E9E9E"}
+                          fillOpacity={0.15}
+                          stroke={box.reason === "domain" ? "#F44336" : "#9E9E9E"}
+                          strokeOpacity={0.5}
+                          ifOverflow="hidden"
+                        />
+                      ))}
+                      {/* Boxes still in the list at the end */}
+                      {!step && result.boxes.map((box) => (
+                        <ReferenceArea
+                          key={`box-${box.lo}-${box.hi}`}
+                          x1={box.lo}
+                          x2={box.hi}
+                          y1={clampY(box.range[0])}
+                          y2={clampY(box.range[1])}
+                          fill="#03A9F4"
+                          fillOpacity={0.25}
+                          stroke="#03A9F4"
+                          ifOverflow="hidden"
+                        />
+                      ))}
+                      {step && (
+                        <ReferenceArea x1={step.lo} x2={step.hi} fill="#FF9800" fillOpacity={0.2} stroke="#FF9800" ifOverflow="hidden" />
+                      )}
+                      {result.xOpt !== null && (
+                        <Line
+                          data={[{ x: result.xOpt, y: result.fOpt }]}
+                          type="monotone"
+                          dataKey="y"
+                          stroke="none"
+                          dot={{ fill: "#FF0000", stroke: "#FFFFFF", strokeWidth: 3, r: 8 }}
+                          connectNulls={false}
+                        />
+                      )}
+                    </>
+                  )}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            {result && (
+              <div className="mt-2 text-xs text-gray-600">
+                {step
+                  ? `Iteración ${step.iter}: se divide la caja [${step.lo.toFixed(4)}, ${step.hi.toFixed(4)}] (naranja); en gris las cajas descartadas hasta entonces.`
+                  : "En gris, las cajas descartadas por su cota; en rojo, las que quedan fuera del dominio; en azul, las que siguen en la lista. Haz clic en una fila para ver esa iteración."}
+              </div>
+            )}
+
+            {result ? (
+              <div className="mt-4 overflow-auto max-h-60">
+                <table className="w-full text-sm table-auto border-collapse">
+                  <thead>
+                    <tr className="bg-gray-100">
+                      <th className="px-2 py-1 text-left">Iter</th>
+                      <th className="px-2 py-1 text-left">Caja dividida</th>
+                      <th className="px-2 py-1 text-left">{boundLabel}</th>
+                      <th className="px-2 py-1 text-left">Mejor f</th>
+                      <th className="px-2 py-1 text-left">Brecha</th>
+                      <th className="px-2 py-1 text-left">Cajas</th>
+                      <th className="px-2 py-1 text-left">Descartadas</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.history.map((h) => (
+                      <tr
+                        key={h.iter}
+                        onClick={() => setSelectedIter(h.iter === selectedIter ? null : h.iter)}
+                        className={`border-t cursor-pointer hover:bg-gray-50 ${h.iter === selectedIter ? "bg-orange-50" : ""}`}
+                      >
+                        <td className="px-2 py-1">{h.iter}</td>
+                        <td className="px-2 py-1">[{h.lo.toFixed(4)}, {h.hi.toFixed(4)}]</td>
+                        <td className="px-2 py-1">{formatBound(h.lowerBound)}</td>
+                        <td className="px-2 py-1">{h.best === null ? "—" : h.best.toFixed(6)}</td>
+                        <td className="px-2 py-1">{Number.isFinite(h.gap) ? h.gap.toExponential(3) : "∞"}</td>
+                        <td className="px-2 py-1">{h.boxes}</td>
+                        <td className="px-2 py-1">{h.discarded}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <div className="mt-4 text-sm text-gray-500">Ejecuta la optimización para ver la progresión iterativa aquí.</div>
+            )}
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
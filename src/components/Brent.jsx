@@ -0,0 +1,282 @@
+import React, { useState, useMemo } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer, ReferenceLine, ReferenceArea } from "recharts";
+import { motion } from "framer-motion";
+import { guardDomain, runInDomain, clipRange } from "../lib/domain";
+import { DIRECTIONS, restoreDirection, negateKeys, negatePoints } from "../lib/direction";
+import { parabolaCurve } from "../lib/parabola";
+import { brentMethod } from "../lib/brent";
+import { useObjective, useLibraryInterval, useBreakpoints, useDomain, useFeasible } from "../hooks/useObjective";
+import ObjectiveControls from "./ObjectiveControls";
+import BracketingPanel, { BracketingRows } from "./BracketingPanel";
+import { swannBracket } from "../lib/bracketing";
+import { useBracketing } from "../hooks/useBracketing";
+
+const STEP_LABELS = {
+  parabolic: "Parabólico",
+  golden: "Dorado",
+};
+
+// A row computed on −f in terms of f, parabola included (used when maximizing)
+function restoreBrentRow(h) {
+  const row = negateKeys(h, ["fx", "fu"]);
+  if (h.parabola) row.parabola = { ...h.parabola, points: negatePoints(h.parabola.points) };
+  return row;
+}
+
+export default function BrentOptimizer() {
+  const objective = useObjective();
+  const { f, goal, direction } = objective;
+  const [a, setA] = useState(-2);
+  const [b, setB] = useState(5);
+  const [tol, setTol] = useState(0.001);
+  const [maxIter, setMaxIter] = useState(60);
+  const [runArgs, setRunArgs] = useState(null);
+  const [selectedIter, setSelectedIter] = useState(null);
+  useLibraryInterval(objective, setA, setB);
+  const breakpoints = useBreakpoints(objective, a, b);
+  const domain = useDomain(objective, a, b);
+  const feasible = useFeasible(objective, a, b);
+  const [bracketing, applyBracket] = useBracketing(a, b, setA, setB);
+
+  const sampleData = useMemo(() => {
+    const samples = 300;
+    const xs = [];
+    const numA = Number(a);
+    const numB = Number(b);
+
+    // Only generate data if we have valid numbers
+    if (!f || isNaN(numA) || isNaN(numB) || numA >= numB) {
+      return [];
+    }
+
+    for (let i = 0; i <= samples; i++) {
+      const x = numA + (i / samples) * (numB - numA);
+      const y = f(x);
+      // Only add finite data points: the gaps are shaded as outside the domain
+      if (typeof x === 'number' && !isNaN(x) && Number.isFinite(y)) {
+        xs.push({ x: Number(x.toFixed(6)), y: Number(y.toFixed(6)) });
+      }
+    }
+    return xs;
+  }, [a, b, f]);
+
+  // Keeps the curve readable when f blows up near a pole or a domain edge
+  const yDomain = useMemo(() => clipRange(sampleData.map((p) => p.y)), [sampleData]);
+
+  // The run is recomputed whenever f changes, so the result follows the
+  // parameter sliders live once Ejecutar has been pressed
+  const { result, domainError } = useMemo(
+    () => runInDomain(() => restoreDirection(runArgs && goal && brentMethod(guardDomain(goal), runArgs.a, runArgs.b, runArgs.tol, runArgs.maxIter), direction, restoreBrentRow)),
+    [goal, direction, runArgs]
+  );
+
+  // Parabola drawn on the chart: the one of the clicked row, or by default
+  // the last parabolic step of the run
+  const shownStep = useMemo(() => {
+    if (!result) return null;
+    const parabolic = result.history.filter((h) => h.parabola);
+    return parabolic.find((h) => h.iter === selectedIter) || parabolic[parabolic.length - 1] || null;
+  }, [result, selectedIter]);
+
+  const parabolaData = useMemo(
+    () => shownStep && parabolaCurve(shownStep.parabola.points, shownStep.a, shownStep.b),
+    [shownStep]
+  );
+
+  const parabolicSteps = result ? result.history.filter((h) => h.step === "parabolic").length : 0;
+
+  const run = () => {
+    // Nothing runs while the expression has a parse error
+    if (!f) return;
+
+    const na = Number(a);
+    const nb = Number(b);
+    const ntol = Number(tol);
+    const nmax = Number(maxIter);
+    if (!(na < nb)) {
+      alert("El límite izquierdo (a) debe ser menor que el derecho (b).");
+      return;
+    }
+
+    setSelectedIter(null);
+    setRunArgs({ a: na, b: nb, tol: ntol, maxIter: nmax });
+  };
+
+  return (
+    <div className="p-6 bg-gray-50 min-h-screen font-sans">
+      <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="max-w-5xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-2xl font-bold">Optimizador: Método de Brent</h1>
+          <div className="text-sm text-gray-600">{DIRECTIONS[direction].title} unidimensional • Sección áurea + interpolación parabólica</div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-1 bg-white p-4 rounded-2xl shadow-sm">
+            <ObjectiveControls objective={objective} />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Intervalo [a, b]</label>
+            <div className="flex gap-2 mt-2">
+              <input type="number" value={a} onChange={(e) => setA(e.target.value)} className="p-2 border rounded w-1/2" />
+              <input type="number" value={b} onChange={(e) => setB(e.target.value)} className="p-2 border rounded w-1/2" />
+            </div>
+            <BracketingPanel bracket={(x0, h) => restoreDirection(swannBracket(guardDomain(goal), x0, h), direction, ["fx"])} onBracket={applyBracket} disabled={!f} />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Tolerancia</label>
+            <input type="number" step="any" value={tol} onChange={(e) => setTol(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Máx Iteraciones</label>
+            <input type="number" value={maxIter} onChange={(e) => setMaxIter(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <button onClick={run} disabled={!f} className="mt-4 w-full bg-indigo-600 text-white p-2 rounded-2xl hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed">Ejecutar</button>
+
+            {domainError && (
+              <div className="mt-4 text-sm bg-red-50 text-red-700 p-3 rounded">{domainError.message}</div>
+            )}
+
+            {result && (
+              <div className="mt-4 text-sm bg-gray-50 p-3 rounded">
+                <div className="font-medium text-indigo-700">{DIRECTIONS[direction].found}</div>
+                <div><strong>x*:</strong> {result.xOpt.toFixed(6)}</div>
+                <div><strong>f(x*):</strong> {result.fOpt.toFixed(6)}</div>
+                <div><strong>Iteraciones:</strong> {result.history.length}</div>
+                <div><strong>Pasos parabólicos:</strong> {parabolicSteps} de {result.history.length}</div>
+              </div>
+            )}
+
+            <div className="mt-4 text-xs text-gray-500">Brent: prueba el vértice de la parábola que pasa por los tres mejores puntos y, si no es aceptable, da un paso de sección áurea. Haz clic en un paso parabólico de la tabla para ver su parábola.</div>
+          </div>
+
+          <div className="md:col-span-2 bg-white p-4 rounded-2xl shadow-sm">
+            <h2 className="text-lg font-medium mb-3">Gráfica, puntos evaluados y parábola ajustada</h2>
+            <div style={{ height: 360 }} className="w-full">
+              <ResponsiveContainer>
+                <LineChart data={sampleData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="x" domain={[a, b]} type="number" tickFormatter={(v) => v.toFixed(2)} />
+                  <YAxis domain={yDomain || undefined} allowDataOverflow={Boolean(yDomain)} />
+                  <Tooltip formatter={(value) => value.toFixed(6)} />
+                  <Line type="monotone" dataKey="y" dot={false} strokeWidth={2} />
+
+                  {/* Breakpoints of piecewise functions */}
+                  {breakpoints.map((x) => (
+                    <ReferenceLine key={x} x={x} stroke="#9C27B0" strokeDasharray="4 4" />
+                  ))}
+
+                  {/* Outside the domain of f: invalid sub-intervals and poles */}
+                  {domain.invalid.map(({ from, to }) => (
+                    <ReferenceArea key={from} x1={from} x2={to} fill="#F44336" fillOpacity={0.12} />
+                  ))}
+                  {domain.poles.map((x) => (
+                    <ReferenceLine key={`pole-${x}`} x={x} stroke="#F44336" strokeDasharray="2 2" />
+                  ))}
+
+                  {/* Feasible region of the constraints g(x) ≤ 0 */}
+                  {feasible.map(({ from, to }) => (
+                    <ReferenceArea key={`feasible-${from}`} x1={from} x2={to} fill="#4CAF50" fillOpacity={0.08} />
+                  ))}
+
+                  {/* Points of the bracketing phase */}
+                  {bracketing && (
+                    <Line
+                      data={bracketing.history.map((h) => ({ x: h.x, y: h.fx }))}
+                      type="monotone"
+                      dataKey="y"
+                      stroke="none"
+                      dot={{ fill: "#03A9F4", r: 4 }}
+                    />
+                  )}
+
+                  {result && (
+                    <>
+                      {/* Fitted parabola of the shown step and its vertex */}
+                      {parabolaData && (
+                        <>
+                          <Line data={parabolaData} type="monotone" dataKey="y" dot={false} stroke="#4CAF50" strokeWidth={2} strokeDasharray="6 3" />
+                          <Line
+                            data={shownStep.parabola.points.map(([x, y]) => ({ x, y }))}
+                            type="monotone"
+                            dataKey="y"
+                            stroke="none"
+                            dot={{ fill: "#4CAF50", r: 4 }}
+                          />
+                          <ReferenceLine x={shownStep.parabola.vertex} stroke="#4CAF50" strokeDasharray="2 2" />
+                        </>
+                      )}
+                      <Line
+                        data={result.history.map((h) => ({ x: h.u, y: h.fu }))}
+                        type="monotone"
+                        dataKey="y"
+                        stroke="none"
+                        dot={{ fill: "#FF5722", r: 4 }}
+                        connectNulls={false}
+                      />
+                      <Line
+                        data={[{ x: result.xOpt, y: result.fOpt }]}
+                        type="monotone"
+                        dataKey="y"
+                        stroke="none"
+                        dot={{ fill: "#FF0000", stroke: "#FFFFFF", strokeWidth: 3, r: 8 }}
+                        connectNulls={false}
+                      />
+                    </>
+                  )}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            {shownStep && (
+              <div className="mt-2 text-xs text-green-700">
+                Parábola del paso {shownStep.iter} (verde): pasa por x, w y v; su vértice está en {shownStep.parabola.vertex.toFixed(6)} y el punto evaluado es u = {shownStep.u.toFixed(6)}.
+              </div>
+            )}
+
+            {result ? (
+              <div className="mt-4 overflow-auto max-h-60">
+                <table className="w-full text-sm table-auto border-collapse">
+                  <thead>
+                    <tr className="bg-gray-100">
+                      <th className="px-2 py-1 text-left">Iter</th>
+                      <th className="px-2 py-1 text-left">a</th>
+                      <th className="px-2 py-1 text-left">b</th>
+                      <th className="px-2 py-1 text-left">x</th>
+                      <th className="px-2 py-1 text-left">f(x)</th>
+                      <th className="px-2 py-1 text-left">u</th>
+                      <th className="px-2 py-1 text-left">f(u)</th>
+                      <th className="px-2 py-1 text-left">Paso</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    <BracketingRows phase={bracketing} columns={8} />
+                    {result.history.map((h) => (
+                      <tr
+                        key={h.iter}
+                        onClick={() => h.parabola && setSelectedIter(h.iter)}
+                        className={`border-t ${h.parabola ? "cursor-pointer hover:bg-gray-50" : ""} ${shownStep && shownStep.iter === h.iter ? "bg-green-50" : ""}`}
+                      >
+                        <td className="px-2 py-1">{h.iter}</td>
+                        <td className="px-2 py-1">{h.a.toFixed(6)}</td>
+                        <td className="px-2 py-1">{h.b.toFixed(6)}</td>
+                        <td className="px-2 py-1">{h.x.toFixed(6)}</td>
+                        <td className="px-2 py-1">{h.fx.toFixed(6)}</td>
+                        <td className="px-2 py-1">{h.u.toFixed(6)}</td>
+                        <td className="px-2 py-1">{h.fu.toFixed(6)}</td>
+                        <td className="px-2 py-1">
+                          <span className={`px-2 py-0.5 rounded text-xs ${h.step === "parabolic" ? "bg-green-100 text-green-800" : "bg-amber-100 text-amber-800"}`}>
+                            {STEP_LABELS[h.step]}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <div className="mt-4 text-sm text-gray-500">Ejecuta la optimización para ver la progresión iterativa aquí.</div>
+            )}
+          </div>
+        </div>
+
+      </motion.div>
+    </div>
+  );
+}
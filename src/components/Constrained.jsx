@@ -0,0 +1,330 @@
+import React, { useState, useMemo } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer, ReferenceLine, ReferenceArea } from "recharts";
+import { motion } from "framer-motion";
+import { finiteDifferences } from "../lib/derivatives";
+import { guardDomain, runInDomain, clipRange } from "../lib/domain";
+import { DIRECTIONS, restoreDirection } from "../lib/direction";
+import { penaltyMethod, barrierMethod, penaltyFunction, barrierFunction } from "../lib/constraints";
+import { useObjective, useLibraryInterval, useBreakpoints, useDomain, useFeasible } from "../hooks/useObjective";
+import ObjectiveControls from "./ObjectiveControls";
+import { LOCAL_METHODS, localRunner } from "../lib/localMethods";
+
+const STRATEGIES = {
+  penalty: "Penalización exterior (μ crece)",
+  barrier: "Barrera logarítmica interior (μ decrece)",
+};
+
+// Feasible interval the barrier starts in: the one holding the lowest
+// sampled value of f
+function pickInterval(f, intervals, samples = 50) {
+  let best = null;
+  for (const interval of intervals) {
+    for (let i = 1; i < samples; i++) {
+      const x = interval.from + (i / samples) * (interval.to - interval.from);
+      const y = f(x);
+      if (Number.isFinite(y) && (!best || y < best.y)) best = { y, interval };
+    }
+  }
+  return best && best.interval;
+}
+
+export default function ConstrainedOptimizer() {
+  const objective = useObjective();
+  const { f, goal, direction, constraints } = objective;
+  const [a, setA] = useState(-2);
+  const [b, setB] = useState(5);
+  const [strategy, setStrategy] = useState("penalty");
+  const [method, setMethod] = useState("golden");
+  const [mu0, setMu0] = useState(1);
+  const [growth, setGrowth] = useState(10);
+  const [outerIter, setOuterIter] = useState(10);
+  const [tol, setTol] = useState(0.0001);
+  const [innerTol, setInnerTol] = useState(0.000001);
+  const [runArgs, setRunArgs] = useState(null);
+  const [selectedOuter, setSelectedOuter] = useState(null);
+  useLibraryInterval(objective, setA, setB);
+  const breakpoints = useBreakpoints(objective, a, b);
+  const domain = useDomain(objective, a, b);
+  const feasible = useFeasible(objective, a, b);
+
+  const sampleData = useMemo(() => {
+    const samples = 300;
+    const xs = [];
+    const numA = Number(a);
+    const numB = Number(b);
+
+    // Only generate data if we have valid numbers
+    if (!f || isNaN(numA) || isNaN(numB) || numA >= numB) {
+      return [];
+    }
+
+    for (let i = 0; i <= samples; i++) {
+      const x = numA + (i / samples) * (numB - numA);
+      const y = f(x);
+      // Only add finite data points: the gaps are shaded as outside the domain
+      if (typeof x === 'number' && !isNaN(x) && Number.isFinite(y)) {
+        xs.push({ x: Number(x.toFixed(6)), y: Number(y.toFixed(6)) });
+      }
+    }
+    return xs;
+  }, [a, b, f]);
+
+  // Keeps the curve readable when f blows up near a pole or a domain edge
+  const yDomain = useMemo(() => clipRange(sampleData.map((p) => p.y)), [sampleData]);
+
+  // The run is recomputed whenever f changes, so the result follows the
+  // parameter sliders live once Ejecutar has been pressed. Each outer
+  // iteration runs the inner method on the penalized function Φ; Newton
+  // differentiates Φ numerically.
+  const { result, domainError } = useMemo(
+    () => runInDomain(() => {
+      if (!runArgs || !goal) return null;
+      const localRun = localRunner(runArgs.method, runArgs.innerTol, 200, finiteDifferences);
+      const options = { mu0: runArgs.mu0, growth: runArgs.growth, outerIter: runArgs.outerIter, tol: runArgs.tol };
+      const run = runArgs.strategy === "barrier"
+        // Φ is +∞ outside the strict interior, which the inner methods compare fine
+        ? barrierMethod(guardDomain(goal), constraints, runArgs.interval, localRun, options)
+        : penaltyMethod(guardDomain(goal), constraints, runArgs.a, runArgs.b, (phi, lo, hi) => localRun(guardDomain(phi, "Φ"), lo, hi), options);
+      return restoreDirection(run, direction, ["fx"]);
+    }),
+    [goal, constraints, direction, runArgs]
+  );
+
+  // Penalized function of the clicked outer iteration (by default the last),
+  // drawn in terms of f: changed back in sign when maximizing
+  const phiData = useMemo(() => {
+    if (!result || result.history.length === 0) return null;
+    const step = result.history.find((h) => h.outer === selectedOuter) || result.history[result.history.length - 1];
+    const build = runArgs.strategy === "barrier" ? barrierFunction : penaltyFunction;
+    const phi = build(goal, constraints, step.mu);
+    const sign = direction === "max" ? -1 : 1;
+    const data = [];
+    for (let i = 0; i <= 300; i++) {
+      const x = runArgs.a + (i / 300) * (runArgs.b - runArgs.a);
+      const y = sign * phi(x);
+      if (Number.isFinite(y)) data.push({ x, y });
+    }
+    return { step, data };
+  }, [result, selectedOuter, runArgs, goal, constraints, direction]);
+
+  const run = () => {
+    // Nothing runs while the expression has a parse error
+    if (!f) return;
+
+    const na = Number(a);
+    const nb = Number(b);
+    const nmu0 = Number(mu0);
+    const ngrowth = Number(growth);
+    const nouter = Number(outerIter);
+    const ntol = Number(tol);
+    const ninner = Number(innerTol);
+    if (!(na < nb)) {
+      alert("El límite izquierdo (a) debe ser menor que el derecho (b).");
+      return;
+    }
+    if (constraints.length === 0) {
+      alert("Añade al menos una restricción g(x) ≤ 0 debajo de la función.");
+      return;
+    }
+    if (!(ntol > 0) || !(ninner > 0)) {
+      alert("Las tolerancias deben ser positivas.");
+      return;
+    }
+    if (!(nmu0 > 0) || !(ngrowth > 1)) {
+      alert("μ₀ debe ser positivo y el factor de cambio mayor que 1.");
+      return;
+    }
+    let interval = null;
+    if (strategy === "barrier") {
+      interval = pickInterval(goal, feasible);
+      if (!interval) {
+        alert("No hay puntos factibles en [a, b]: la barrera necesita empezar dentro de la región factible.");
+        return;
+      }
+    }
+
+    setSelectedOuter(null);
+    setRunArgs({ a: na, b: nb, strategy, method, mu0: nmu0, growth: ngrowth, outerIter: nouter, tol: ntol, innerTol: ninner, interval });
+  };
+
+  return (
+    <div className="p-6 bg-gray-50 min-h-screen font-sans">
+      <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="max-w-5xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-2xl font-bold">Optimizador: Penalización / barrera</h1>
+          <div className="text-sm text-gray-600">{DIRECTIONS[direction].title} con restricciones g(x) ≤ 0</div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-1 bg-white p-4 rounded-2xl shadow-sm">
+            <ObjectiveControls objective={objective} />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Intervalo [a, b]</label>
+            <div className="flex gap-2 mt-2">
+              <input type="number" value={a} onChange={(e) => setA(e.target.value)} className="p-2 border rounded w-1/2" />
+              <input type="number" value={b} onChange={(e) => setB(e.target.value)} className="p-2 border rounded w-1/2" />
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Estrategia</label>
+            <select value={strategy} onChange={(e) => setStrategy(e.target.value)} className="mt-2 w-full p-2 border rounded">
+              {Object.entries(STRATEGIES).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Método interno</label>
+            <select value={method} onChange={(e) => setMethod(e.target.value)} className="mt-2 w-full p-2 border rounded">
+              {Object.entries(LOCAL_METHODS).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">μ₀ y factor de cambio</label>
+            <div className="flex gap-2 mt-2">
+              <input type="number" step="any" value={mu0} onChange={(e) => setMu0(e.target.value)} title="μ₀" className="p-2 border rounded w-1/2" />
+              <input type="number" step="any" value={growth} onChange={(e) => setGrowth(e.target.value)} title="Factor" className="p-2 border rounded w-1/2" />
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Iteraciones externas</label>
+            <input type="number" value={outerIter} onChange={(e) => setOuterIter(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Tolerancia externa</label>
+            <input type="number" step="any" value={tol} onChange={(e) => setTol(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Tolerancia interna</label>
+            <input type="number" step="any" value={innerTol} onChange={(e) => setInnerTol(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <button onClick={run} disabled={!f} className="mt-4 w-full bg-indigo-600 text-white p-2 rounded-2xl hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed">Ejecutar</button>
+
+            {domainError && (
+              <div className="mt-4 text-sm bg-red-50 text-red-700 p-3 rounded">{domainError.message}</div>
+            )}
+
+            {result && (
+              <div className="mt-4 text-sm bg-gray-50 p-3 rounded">
+                <div className="font-medium text-indigo-700">{DIRECTIONS[direction].found}</div>
+                <div><strong>x*:</strong> {result.xOpt.toFixed(6)}</div>
+                <div><strong>f(x*):</strong> {result.fOpt.toFixed(6)}</div>
+                <div><strong>Iteraciones externas:</strong> {result.history.length}</div>
+                <div><strong>Violación máx:</strong> {result.history[result.history.length - 1].violation.toExponential(3)}</div>
+                {!result.converged && (
+                  <div className="mt-2 text-amber-700">Se alcanzó el máximo de iteraciones externas sin llegar a la tolerancia.</div>
+                )}
+              </div>
+            )}
+
+            <div className="mt-4 text-xs text-gray-500">
+              Penalización: Φ(x) = f(x) + μ Σ max(0, gᵢ(x))², con μ creciente; los iterados se acercan desde fuera de la región factible.
+              Barrera: Φ(x) = f(x) − μ Σ ln(−gᵢ(x)), con μ decreciente; los iterados se quedan dentro y m·μ acota el error.
+            </div>
+          </div>
+
+          <div className="md:col-span-2 bg-white p-4 rounded-2xl shadow-sm">
+            <h2 className="text-lg font-medium mb-3">Gráfica, región factible y función penalizada</h2>
+            <div style={{ height: 360 }} className="w-full">
+              <ResponsiveContainer>
+                <LineChart data={sampleData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="x" domain={[a, b]} type="number" tickFormatter={(v) => v.toFixed(2)} />
+                  <YAxis domain={yDomain || undefined} allowDataOverflow={Boolean(yDomain)} />
+                  <Tooltip formatter={(value) => value.toFixed(6)} />
+                  <Line type="monotone" dataKey="y" dot={false} strokeWidth={2} />
+
+                  {/* Breakpoints of piecewise functions */}
+                  {breakpoints.map((x) => (
+                    <ReferenceLine key={x} x={x} stroke="#9C27B0" strokeDasharray="4 4" />
+                  ))}
+
+                  {/* Outside the domain of f: invalid sub-intervals and poles */}
+                  {domain.invalid.map(({ from, to }) => (
+                    <ReferenceArea key={from} x1={from} x2={to} fill="#F44336" fillOpacity={0.12} />
+                  ))}
+                  {domain.poles.map((x) => (
+                    <ReferenceLine key={`pole-${x}`} x={x} stroke="#F44336" strokeDasharray="2 2" />
+                  ))}
+
+                  {/* Feasible region of the constraints g(x) ≤ 0 */}
+                  {feasible.map(({ from, to }) => (
+                    <ReferenceArea key={`feasible-${from}`} x1={from} x2={to} fill="#4CAF50" fillOpacity={0.08} />
+                  ))}
+
+                  {result && (
+                    <>
+                      {phiData && (
+                        <Line data={phiData.data} type="monotone" dataKey="y" dot={false} stroke="#FF9800" strokeWidth={1.5} strokeDasharray="6 3" />
+                      )}
+                      <Line
+                        data={result.history.map((h) => ({ x: h.x, y: h.fx }))}
+                        type="monotone"
+                        dataKey="y"
+                        stroke="none"
+                        dot={{ fill: "#3F51B5", r: 4 }}
+                        connectNulls={false}
+                      />
+                      <Line
+                        data={[{ x: result.xOpt, y: result.fOpt }]}
+                        type="monotone"
+                        dataKey="y"
+                        stroke="none"
+                        dot={{ fill: "#FF0000", stroke: "#FFFFFF", strokeWidth: 3, r: 8 }}
+                        connectNulls={false}
+                      />
+                    </>
+                  )}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            {phiData && (
+              <div className="mt-2 text-xs text-orange-700">
+                Función penalizada Φ de la iteración externa {phiData.step.outer} (naranja, μ = {phiData.step.mu.toExponential(2)}). Haz clic en una fila para ver otra.
+              </div>
+            )}
+
+            {result ? (
+              <div className="mt-4 overflow-auto max-h-60">
+                <div className="text-sm font-medium text-gray-700 mb-1">Iteraciones externas</div>
+                <table className="w-full text-sm table-auto border-collapse">
+                  <thead>
+                    <tr className="bg-gray-100">
+                      <th className="px-2 py-1 text-left">k</th>
+                      <th className="px-2 py-1 text-left">μ</th>
+                      <th className="px-2 py-1 text-left">x_k</th>
+                      <th className="px-2 py-1 text-left">f(x_k)</th>
+                      <th className="px-2 py-1 text-left">máx g(x_k)⁺</th>
+                      {runArgs.strategy === "barrier" && <th className="px-2 py-1 text-left">m·μ</th>}
+                      <th className="px-2 py-1 text-left">Iter internas</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.history.map((h) => (
+                      <tr
+                        key={h.outer}
+                        onClick={() => setSelectedOuter(h.outer)}
+                        className={`border-t cursor-pointer hover:bg-gray-50 ${phiData && phiData.step.outer === h.outer ? "bg-orange-50" : ""}`}
+                      >
+                        <td className="px-2 py-1">{h.outer}</td>
+                        <td className="px-2 py-1">{h.mu.toExponential(2)}</td>
+                        <td className="px-2 py-1">{h.x.toFixed(6)}</td>
+                        <td className="px-2 py-1">{h.fx.toFixed(6)}</td>
+                        <td className="px-2 py-1">{h.violation.toExponential(3)}</td>
+                        {runArgs.strategy === "barrier" && <td className="px-2 py-1">{h.gap.toExponential(2)}</td>}
+                        <td className="px-2 py-1">{h.innerIterations}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <div className="mt-4 text-sm text-gray-500">Añade restricciones bajo la función y ejecuta para ver las iteraciones externas aquí.</div>
+            )}
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+import React, { useMemo, useId } from "react";
+import { sampleGrid, contourLevels, contourSegments } from "../lib/surface";
+
+const WIDTH = 600;
+const HEIGHT = 420;
+const MARGIN = { top: 10, right: 10, bottom: 36, left: 50 };
+const PLOT_WIDTH = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_HEIGHT = HEIGHT - MARGIN.top - MARGIN.bottom;
+const TICKS = 5;
+
+// Low to high values of f, from dark blue to yellow
+const COLOR_STOPS = [
+  [68, 1, 84],
+  [59, 82, 139],
+  [33, 145, 140],
+  [94, 201, 98],
+  [253, 231, 37],
+];
+
+function colorAt(t) {
+  const position = t * (COLOR_STOPS.length - 1);
+  const k = Math.min(Math.floor(position), COLOR_STOPS.length - 2);
+  const s = position - k;
+  const [r, g, b] = COLOR_STOPS[k].map((c, i) => Math.round(c + s * (COLOR_STOPS[k + 1][i] - c)));
+  return `rgb(${r}, ${g}, ${b})`;
+}
+
+// Heatmap and contour lines of f(x, y) over bounds = { x0, x1, y0, y1 }, drawn
+// as SVG. The heatmap is banded by the contour levels, one path per band.
+// children(project) draws the overlays: project([x, y]) gives the SVG
+// coordinates of a point of the plane.
+export default function ContourPlot({ f, bounds, resolution = 60, levelCount = 12, children }) {
+  const clipId = useId();
+  const { x0, x1, y0, y1 } = bounds;
+
+  const { bands, lines, levels } = useMemo(() => {
+    if (!f || !(x0 < x1) || !(y0 < y1)) return { bands: [], lines: [], levels: [] };
+    const grid = sampleGrid(f, [x0, x1], [y0, y1], resolution);
+    const levels = contourLevels(grid.values, levelCount);
+    const sx = (x) => MARGIN.left + ((x - x0) / (x1 - x0)) * PLOT_WIDTH;
+    const sy = (y) => MARGIN.top + (1 - (y - y0) / (y1 - y0)) * PLOT_HEIGHT;
+
+    // Each cell is coloured by the band of the mean of its corners; cells
+    // with a non-finite corner are outside the domain of f
+    const paths = Array.from({ length: levels.length + 2 }, () => []);
+    const cellWidth = PLOT_WIDTH / resolution;
+    const cellHeight = PLOT_HEIGHT / resolution;
+    for (let j = 0; j < resolution; j++) {
+      for (let i = 0; i < resolution; i++) {
+        const corners = [grid.values[j][i], grid.values[j][i + 1], grid.values[j + 1][i], grid.values[j + 1][i + 1]];
+        const mean = corners.reduce((sum, v) => sum + v, 0) / 4;
+        const band = Number.isFinite(mean) ? levels.filter((level) => level <= mean).length : levels.length + 1;
+        const left = sx(grid.xs[i]);
+        const top = sy(grid.ys[j + 1]);
+        paths[band].push(`M${left.toFixed(1)} ${top.toFixed(1)}h${cellWidth.toFixed(2)}v${cellHeight.toFixed(2)}h${(-cellWidth).toFixed(2)}z`);
+      }
+    }
+    const bands = paths.map((cells, band) => ({
+      band,
+      d: cells.join(""),
+      fill: band > levels.length ? "#FFCDD2" : colorAt(levels.length ? band / levels.length : 0),
+    }));
+
+    const lines = levels.map((level) => ({
+      level,
+      d: contourSegments(grid, level)
+        .map(([[ax, ay], [bx, by]]) => `M${sx(ax).toFixed(1)} ${sy(ay).toFixed(1)}L${sx(bx).toFixed(1)} ${sy(by).toFixed(1)}`)
+        .join(""),
+    }));
+    return { bands, lines, levels };
+  }, [f, x0, x1, y0, y1, resolution, levelCount]);
+
+  const project = ([x, y]) => [
+    MARGIN.left + ((x - x0) / (x1 - x0)) * PLOT_WIDTH,
+    MARGIN.top + (1 - (y - y0) / (y1 - y0)) * PLOT_HEIGHT,
+  ];
+  const ticks = (from, to) => Array.from({ length: TICKS + 1 }, (_, k) => from + (k / TICKS) * (to - from));
+
+  return (
+    <div className="w-full">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label="Curvas de nivel de f(x, y)">
+        <defs>
+          <clipPath id={clipId}>
+            <rect x={MARGIN.left} y={MARGIN.top} width={PLOT_WIDTH} height={PLOT_HEIGHT} />
+          </clipPath>
+        </defs>
+
+        {bands.map(({ band, d, fill }) => d && <path key={band} d={d} fill={fill} stroke={fill} strokeWidth={0.5} />)}
+        {lines.map(({ level, d }) => d && <path key={level} d={d} fill="none" stroke="#FFFFFF" strokeOpacity={0.7} strokeWidth={1} />)}
+        <rect x={MARGIN.left} y={MARGIN.top} width={PLOT_WIDTH} height={PLOT_HEIGHT} fill="none" stroke="#9E9E9E" />
+
+        {/* Axes */}
+        {(x0 < x1) && ticks(x0, x1).map((x) => {
+          const [px] = project([x, y0]);
+          return (
+            <g key={`x-${x}`}>
+              <line x1={px} x2={px} y1={MARGIN.top + PLOT_HEIGHT} y2={MARGIN.top + PLOT_HEIGHT + 4} stroke="#666" />
+              <text x={px} y={MARGIN.top + PLOT_HEIGHT + 16} textAnchor="middle" fontSize={11} fill="#666">{Number(x.toFixed(2))}</text>
+            </g>
+          );
+        })}
+        {(y0 < y1) && ticks(y0, y1).map((y) => {
+          const [, py] = project([x0, y]);
+          return (
+            <g key={`y-${y}`}>
+              <line x1={MARGIN.left - 4} x2={MARGIN.left} y1={py} y2={py} stroke="#666" />
+              <text x={MARGIN.left - 6} y={py + 4} textAnchor="end" fontSize={11} fill="#666">{Number(y.toFixed(2))}</text>
+            </g>
+          );
+        })}
+        <text x={MARGIN.left + PLOT_WIDTH / 2} y={HEIGHT - 4} textAnchor="middle" fontSize={12} fill="#333">x</text>
+        <text x={12} y={MARGIN.top + PLOT_HEIGHT / 2} textAnchor="middle" fontSize={12} fill="#333">y</text>
+
+        <g clipPath={`url(#${clipId})`}>{children && x0 < x1 && y0 < y1 && children(project)}</g>
+      </svg>
+      {levels.length > 0 && (
+        <div className="mt-1 text-xs text-gray-500">
+          {levels.length} curvas de nivel entre f = {levels[0].toPrecision(4)} y f = {levels[levels.length - 1].toPrecision(4)} (colores oscuros: valores bajos; rosa: fuera del dominio)
+        </div>
+      )}
+    </div>
+  );
+}
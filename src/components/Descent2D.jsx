@@ -0,0 +1,247 @@
+import React, { useState, useMemo } from "react";
+import { motion } from "framer-motion";
+import { finiteDifferences } from "../lib/derivatives";
+import { guardSurface, runInDomain } from "../lib/domain";
+import { DIRECTIONS, restoreDirection } from "../lib/direction";
+import { descent2D, DESCENT_DIRECTIONS } from "../lib/descent";
+import { useSurface, useSurfaceWindow } from "../hooks/useSurface";
+import SurfaceControls from "./SurfaceControls";
+import ContourPlot from "./ContourPlot";
+import { LOCAL_METHODS, localRunner } from "../lib/localMethods";
+
+export default function Descent2DOptimizer() {
+  const surface = useSurface();
+  const { f, goal, direction } = surface;
+  const [bounds, setBounds] = useState({ x0: -3, x1: 3, y0: -2, y1: 2 });
+  const [start, setStart] = useState({ x: 2.5, y: 1.5 });
+  const [method, setMethod] = useState("steepest");
+  const [lineMethod, setLineMethod] = useState("golden");
+  const [lineTol, setLineTol] = useState(0.000001);
+  const [step, setStep] = useState(0.1);
+  const [tol, setTol] = useState(0.000001);
+  const [maxIter, setMaxIter] = useState(100);
+  const [runArgs, setRunArgs] = useState(null);
+  const [selectedIter, setSelectedIter] = useState(null);
+  useSurfaceWindow(surface, setBounds, setStart);
+
+  const plotBounds = useMemo(
+    () => ({ x0: Number(bounds.x0), x1: Number(bounds.x1), y0: Number(bounds.y0), y1: Number(bounds.y1) }),
+    [bounds]
+  );
+
+  // The run is recomputed whenever f changes, so the result follows the
+  // parameter sliders live once Ejecutar has been pressed. Each iteration
+  // brackets φ(α) with Swann's method and minimizes it with the chosen 1D
+  // method; Newton's line search differentiates φ numerically.
+  const { result, domainError } = useMemo(
+    () => runInDomain(() => {
+      if (!runArgs || !goal) return null;
+      const lineSearch = localRunner(runArgs.lineMethod, runArgs.lineTol, 200, finiteDifferences);
+      const run = descent2D(guardSurface(goal), runArgs.start, {
+        method: runArgs.method,
+        lineSearch,
+        tol: runArgs.tol,
+        maxIter: runArgs.maxIter,
+        step: runArgs.step,
+      });
+      return restoreDirection(run, direction, ["fxy", "fNext"]);
+    }),
+    [goal, direction, runArgs]
+  );
+
+  const run = () => {
+    // Nothing runs while the expression has a parse error
+    if (!f) return;
+
+    const { x0, x1, y0, y1 } = plotBounds;
+    const sx = Number(start.x);
+    const sy = Number(start.y);
+    const nLineTol = Number(lineTol);
+    const nStep = Number(step);
+    const nTol = Number(tol);
+    const nMaxIter = Number(maxIter);
+    if (!(x0 < x1) || !(y0 < y1)) {
+      alert("La ventana debe cumplir x mín < x máx e y mín < y máx.");
+      return;
+    }
+    if (!Number.isFinite(sx) || !Number.isFinite(sy)) {
+      alert("El punto inicial (x₀, y₀) debe ser numérico.");
+      return;
+    }
+    if (!(nLineTol > 0) || !(nStep > 0) || !(nTol > 0)) {
+      alert("Las tolerancias y el paso inicial deben ser positivos.");
+      return;
+    }
+
+    setSelectedIter(null);
+    setRunArgs({ start: [sx, sy], method, lineMethod, lineTol: nLineTol, step: nStep, tol: nTol, maxIter: nMaxIter });
+  };
+
+  const setBound = (key) => (e) => setBounds({ ...bounds, [key]: e.target.value });
+
+  return (
+    <div className="p-6 bg-gray-50 min-h-screen font-sans">
+      <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="max-w-5xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-2xl font-bold">Optimizador: Descenso con búsqueda lineal</h1>
+          <div className="text-sm text-gray-600">{DIRECTIONS[direction].title} bidimensional • búsqueda lineal exacta</div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-1 bg-white p-4 rounded-2xl shadow-sm">
+            <SurfaceControls surface={surface} />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Ventana x</label>
+            <div className="flex gap-2 mt-2">
+              <input type="number" value={bounds.x0} onChange={setBound("x0")} className="p-2 border rounded w-1/2" />
+              <input type="number" value={bounds.x1} onChange={setBound("x1")} className="p-2 border rounded w-1/2" />
+            </div>
+            <label className="block text-sm font-medium text-gray-700 mt-2">Ventana y</label>
+            <div className="flex gap-2 mt-2">
+              <input type="number" value={bounds.y0} onChange={setBound("y0")} className="p-2 border rounded w-1/2" />
+              <input type="number" value={bounds.y1} onChange={setBound("y1")} className="p-2 border rounded w-1/2" />
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Punto inicial (x₀, y₀)</label>
+            <div className="flex gap-2 mt-2">
+              <input type="number" step="any" value={start.x} onChange={(e) => setStart({ ...start, x: e.target.value })} className="p-2 border rounded w-1/2" />
+              <input type="number" step="any" value={start.y} onChange={(e) => setStart({ ...start, y: e.target.value })} className="p-2 border rounded w-1/2" />
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Dirección de búsqueda</label>
+            <select value={method} onChange={(e) => setMethod(e.target.value)} className="mt-2 w-full p-2 border rounded">
+              {Object.entries(DESCENT_DIRECTIONS).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Búsqueda lineal (método 1D)</label>
+            <select value={lineMethod} onChange={(e) => setLineMethod(e.target.value)} className="mt-2 w-full p-2 border rounded">
+              {Object.entries(LOCAL_METHODS).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Tolerancia y paso inicial de la búsqueda lineal</label>
+            <div className="flex gap-2 mt-2">
+              <input type="number" step="any" value={lineTol} onChange={(e) => setLineTol(e.target.value)} title="Tolerancia" className="p-2 border rounded w-1/2" />
+              <input type="number" step="any" value={step} onChange={(e) => setStep(e.target.value)} title="Paso inicial de Swann" className="p-2 border rounded w-1/2" />
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Tolerancia (‖∇f‖ y paso)</label>
+            <input type="number" step="any" value={tol} onChange={(e) => setTol(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Máx iteraciones</label>
+            <input type="number" value={maxIter} onChange={(e) => setMaxIter(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <button onClick={run} disabled={!f} className="mt-4 w-full bg-indigo-600 text-white p-2 rounded-2xl hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed">Ejecutar</button>
+
+            {domainError && (
+              <div className="mt-4 text-sm bg-red-50 text-red-700 p-3 rounded">{domainError.message}</div>
+            )}
+
+            {result && (
+              <div className="mt-4 text-sm bg-gray-50 p-3 rounded">
+                <div className="font-medium text-indigo-700">{DIRECTIONS[direction].found}</div>
+                <div><strong>(x*, y*):</strong> ({result.xOpt[0].toFixed(6)}, {result.xOpt[1].toFixed(6)})</div>
+                <div><strong>f(x*, y*):</strong> {result.fOpt.toFixed(6)}</div>
+                <div><strong>Iteraciones:</strong> {result.history.length}</div>
+                {result.message && <div className="mt-2 text-amber-700">{result.message}</div>}
+                {!result.converged && !result.message && (
+                  <div className="mt-2 text-amber-700">Se alcanzó el máximo de iteraciones sin llegar a la tolerancia.</div>
+                )}
+              </div>
+            )}
+
+            <div className="mt-4 text-xs text-gray-500">
+              En cada iteración d = −∇f (máximo descenso) o d = −H⁻¹∇f (Newton, con −∇f si H no es definida positiva).
+              φ(α) = f(p + α·d/‖d‖) se acota con Swann y se minimiza con el método 1D elegido: α es la longitud del paso.
+            </div>
+          </div>
+
+          <div className="md:col-span-2 bg-white p-4 rounded-2xl shadow-sm">
+            <h2 className="text-lg font-medium mb-3">Curvas de nivel y búsquedas lineales</h2>
+            <ContourPlot f={f} bounds={plotBounds}>
+              {(project) => {
+                const origin = runArgs ? project(runArgs.start) : project([Number(start.x), Number(start.y)]);
+                return (
+                  <>
+                    {result && result.history.map((h) => {
+                      const [ax, ay] = project([h.x, h.y]);
+                      const [bx, by] = project([h.xNext, h.yNext]);
+                      const selected = h.iter === selectedIter;
+                      const [lx, ly] = project([h.x + h.lo * h.dx, h.y + h.lo * h.dy]);
+                      const [hx, hy] = project([h.x + h.hi * h.dx, h.y + h.hi * h.dy]);
+                      return (
+                        <g key={h.iter}>
+                          {/* Bracket of the line search along d */}
+                          {selected && <line x1={lx} y1={ly} x2={hx} y2={hy} stroke="#03A9F4" strokeWidth={6} strokeOpacity={0.5} />}
+                          <line x1={ax} y1={ay} x2={bx} y2={by} stroke="#FF5722" strokeWidth={selected ? 3 : 2} />
+                          <circle cx={bx} cy={by} r={3} fill="#FF5722" />
+                        </g>
+                      );
+                    })}
+                    {Number.isFinite(origin[0]) && Number.isFinite(origin[1]) && (
+                      <circle cx={origin[0]} cy={origin[1]} r={5} fill="#3F51B5" stroke="#FFFFFF" strokeWidth={2} />
+                    )}
+                    {result && (() => {
+                      const [ox, oy] = project(result.xOpt);
+                      return <circle cx={ox} cy={oy} r={7} fill="#FF0000" stroke="#FFFFFF" strokeWidth={3} />;
+                    })()}
+                  </>
+                );
+              }}
+            </ContourPlot>
+
+            {result ? (
+              <div className="mt-4 overflow-auto max-h-60">
+                <table className="w-full text-sm table-auto border-collapse">
+                  <thead>
+                    <tr className="bg-gray-100">
+                      <th className="px-2 py-1 text-left">Iter</th>
+                      <th className="px-2 py-1 text-left">(x_k, y_k)</th>
+                      <th className="px-2 py-1 text-left">f</th>
+                      <th className="px-2 py-1 text-left">‖∇f‖</th>
+                      <th className="px-2 py-1 text-left">d/‖d‖</th>
+                      <th className="px-2 py-1 text-left">[α mín, α máx]</th>
+                      <th className="px-2 py-1 text-left">α</th>
+                      <th className="px-2 py-1 text-left">Iter 1D</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.history.map((h) => (
+                      <tr
+                        key={h.iter}
+                        onClick={() => setSelectedIter(h.iter)}
+                        className={`border-t cursor-pointer hover:bg-gray-50 ${h.iter === selectedIter ? "bg-sky-50" : ""}`}
+                      >
+                        <td className="px-2 py-1">{h.iter}</td>
+                        <td className="px-2 py-1">({h.x.toFixed(4)}, {h.y.toFixed(4)})</td>
+                        <td className="px-2 py-1">{h.fxy.toFixed(6)}</td>
+                        <td className="px-2 py-1">{h.gradNorm.toExponential(3)}</td>
+                        <td className="px-2 py-1">
+                          ({h.dx.toFixed(3)}, {h.dy.toFixed(3)})
+                          {h.fallback && <span className="ml-1 px-2 py-0.5 rounded text-xs bg-amber-100 text-amber-800" title="H no es definida positiva">−∇f</span>}
+                        </td>
+                        <td className="px-2 py-1">[{h.lo.toFixed(4)}, {h.hi.toFixed(4)}]</td>
+                        <td className="px-2 py-1">{h.alpha.toFixed(6)}</td>
+                        <td className="px-2 py-1">{h.lineIterations}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="mt-1 text-xs text-gray-500">Haz clic en una fila para ver el intervalo de su búsqueda lineal (azul) sobre la dirección d.</div>
+              </div>
+            ) : (
+              <div className="mt-4 text-sm text-gray-500">Ejecuta para ver las iteraciones y sus búsquedas lineales aquí.</div>
+            )}
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
@@ -1,122 +1,37 @@
 import React, { useState, useMemo } from "react";
-import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer } from "recharts";
+import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer, ReferenceLine, ReferenceArea } from "recharts";
 import { motion } from "framer-motion";
+import { guardDomain, runInDomain, clipRange } from "../lib/domain";
+import { DIRECTIONS, restoreDirection } from "../lib/direction";
+import { useObjective, useLibraryInterval, useBreakpoints, useDomain, useFeasible, useUnimodality } from "../hooks/useObjective";
+import ObjectiveControls from "./ObjectiveControls";
+import UnimodalityCheck from "./UnimodalityCheck";
+import BracketingPanel, { BracketingRows } from "./BracketingPanel";
+import { swannBracket } from "../lib/bracketing";
+import { fibonacciNumbers, fibonacciCount, fibonacciSearch } from "../lib/fibonacci";
+import { useBracketing } from "../hooks/useBracketing";
 
-// Predefined functions for safety and simplicity
-const FUNCTIONS = {
-  "Parabola (x-2)^2 + 1": (x) => (x - 2) * (x - 2) + 1,
-  "Multi-modal: (x-2)^2 + sin(5x)": (x) => (x - 2) * (x - 2) + Math.sin(5 * x),
-  "Rastrigin-like: x^2 + 5*cos(2x)": (x) => x * x + 5 * Math.cos(2 * x),
-  "Función personalizada": null, // Placeholder for custom function
+const FIBONACCI_MODES = {
+  evaluations: "Número de evaluaciones n",
+  length: "Longitud final deseada L",
 };
 
-// Safe function parser that only allows basic mathematical operations
-function parseCustomFunction(funcString) {
-  try {
-    // Remove whitespace
-    funcString = funcString.trim();
-    
-    // Basic validation - only allow safe characters
-    const allowedChars = /^[x0-9+\-*/().\s,^sin|cos|tan|log|exp|sqrt|abs|pow|min|max]+$/;
-    if (!allowedChars.test(funcString)) {
-      throw new Error("Función contiene caracteres no permitidos");
-    }
-    
-    // Replace common mathematical functions and operators
-    let processedFunc = funcString
-      .replace(/\^/g, '**') // Convert ^ to ** for exponentiation
-      .replace(/sin\(/g, 'Math.sin(')
-      .replace(/cos\(/g, 'Math.cos(')
-      .replace(/tan\(/g, 'Math.tan(')
-      .replace(/log\(/g, 'Math.log(')
-      .replace(/exp\(/g, 'Math.exp(')
-      .replace(/sqrt\(/g, 'Math.sqrt(')
-      .replace(/abs\(/g, 'Math.abs(')
-      .replace(/pow\(/g, 'Math.pow(')
-      .replace(/min\(/g, 'Math.min(')
-      .replace(/max\(/g, 'Math.max(');
-    
-    // Create function
-    const func = new Function('x', `return ${processedFunc}`);
-    
-    // Test the function with a sample value
-    func(1);
-    
-    return func;
-  } catch (error) {
-    throw new Error(`Error en la función: ${error.message}`);
-  }
-}
-
-function fibonacciSearch(f, a, b, n = 20) {
-  // Generate Fibonacci sequence
-  const fib = [1, 1];
-  for (let i = 2; i <= n; i++) {
-    fib[i] = fib[i - 1] + fib[i - 2];
-  }
-
-  let x1 = a + (fib[n - 2] / fib[n]) * (b - a);
-  let x2 = a + (fib[n - 1] / fib[n]) * (b - a);
-  let f1 = f(x1);
-  let f2 = f(x2);
-  
-  const history = [];
-  let k = n;
-
-  for (let iter = 0; iter < n - 1; iter++) {
-    history.push({ 
-      iter: iter + 1, 
-      a, 
-      b, 
-      x1, 
-      x2, 
-      f1, 
-      f2, 
-      fib_k: fib[k],
-      midpoint: (a + b) / 2 
-    });
-
-    if (f1 < f2) {
-      b = x2;
-      x2 = x1;
-      f2 = f1;
-      k = k - 1;
-      x1 = a + (fib[k - 2] / fib[k]) * (b - a);
-      f1 = f(x1);
-    } else {
-      a = x1;
-      x1 = x2;
-      f1 = f2;
-      k = k - 1;
-      x2 = a + (fib[k - 1] / fib[k]) * (b - a);
-      f2 = f(x2);
-    }
-  }
-
-  const xOpt = (a + b) / 2;
-  const fOpt = f(xOpt);
-  return { xOpt, fOpt, history };
-}
-
 export default function FibonacciOptimizer() {
-  const [fnKey, setFnKey] = useState(Object.keys(FUNCTIONS)[1]);
-  const [customFunction, setCustomFunction] = useState("x^2 - 4*x + 3");
+  const objective = useObjective();
+  const { f, goal, direction } = objective;
   const [a, setA] = useState(-2);
   const [b, setB] = useState(5);
+  const [mode, setMode] = useState("evaluations");
   const [n, setN] = useState(20);
-  const [result, setResult] = useState(null);
-
-  const f = useMemo(() => {
-    if (fnKey === "Función personalizada") {
-      try {
-        return parseCustomFunction(customFunction);
-      } catch (error) {
-        // Return a default function if parsing fails
-        return (x) => x * x;
-      }
-    }
-    return FUNCTIONS[fnKey];
-  }, [fnKey, customFunction]);
+  const [length, setLength] = useState(0.01);
+  const [epsilon, setEpsilon] = useState(0.0001);
+  const [runArgs, setRunArgs] = useState(null);
+  useLibraryInterval(objective, setA, setB);
+  const breakpoints = useBreakpoints(objective, a, b);
+  const domain = useDomain(objective, a, b);
+  const feasible = useFeasible(objective, a, b);
+  const unimodality = useUnimodality(objective, a, b);
+  const [bracketing, applyBracket] = useBracketing(a, b, setA, setB);
 
   const sampleData = useMemo(() => {
     const samples = 300;
@@ -125,46 +40,70 @@ export default function FibonacciOptimizer() {
     const numB = Number(b);
     
     // Only generate data if we have valid numbers
-    if (isNaN(numA) || isNaN(numB) || numA >= numB) {
+    if (!f || isNaN(numA) || isNaN(numB) || numA >= numB) {
       return [];
     }
     
     for (let i = 0; i <= samples; i++) {
       const x = numA + (i / samples) * (numB - numA);
       const y = f(x);
-      // Only add valid data points
-      if (typeof x === 'number' && !isNaN(x) && typeof y === 'number' && !isNaN(y)) {
+      // Only add finite data points: the gaps are shaded as outside the domain
+      if (typeof x === 'number' && !isNaN(x) && Number.isFinite(y)) {
         xs.push({ x: Number(x.toFixed(6)), y: Number(y.toFixed(6)) });
       }
     }
     return xs;
   }, [a, b, f]);
 
+  // Keeps the curve readable when f blows up near a pole or a domain edge
+  const yDomain = useMemo(() => clipRange(sampleData.map((p) => p.y)), [sampleData]);
+
+  // Evaluations the current settings amount to, with the reduction they give
+  const plan = useMemo(() => {
+    const na = Number(a);
+    const nb = Number(b);
+    const nl = Number(length);
+    if (!(na < nb)) return null;
+    if (mode === "length" && !(nl > 0)) return null;
+    const count = mode === "length" ? fibonacciCount(na, nb, nl) : Math.floor(Number(n));
+    if (!(count >= 2)) return null;
+    const fibN = fibonacciNumbers(count)[count];
+    return { n: count, fibN, ratio: 1 / fibN, finalLength: (nb - na) / fibN };
+  }, [a, b, n, length, mode]);
+
+  // The run is recomputed whenever f changes, so the result follows the
+  // parameter sliders live once Ejecutar has been pressed
+  const { result, domainError } = useMemo(
+    () => runInDomain(() => restoreDirection(runArgs && goal && fibonacciSearch(guardDomain(goal), runArgs.a, runArgs.b, runArgs.n, runArgs.epsilon), direction, ["f1", "f2"])),
+    [goal, direction, runArgs]
+  );
+
   const run = () => {
+    // Nothing runs while the expression has a parse error
+    if (!f) return;
+
     const na = Number(a);
     const nb = Number(b);
-    const nn = Number(n);
+    const neps = Number(epsilon);
     if (!(na < nb)) {
       alert("El límite izquierdo (a) debe ser menor que el derecho (b).");
       return;
     }
-    if (nn < 2) {
-      alert("El número de iteraciones debe ser al menos 2.");
+    if (mode === "length" && !(Number(length) > 0)) {
+      alert("La longitud final L debe ser positiva.");
       return;
     }
-    
-    // Validate custom function if selected
-    if (fnKey === "Función personalizada") {
-      try {
-        parseCustomFunction(customFunction);
-      } catch (error) {
-        alert(`Error en la función personalizada: ${error.message}`);
-        return;
-      }
+    if (!plan) {
+      alert("El número de evaluaciones debe ser al menos 2.");
+      return;
     }
-    
-    const res = fibonacciSearch(f, na, nb, nn);
-    setResult(res);
+    // midpoint + ε has to stay inside the interval of the final step
+    if (!(neps > 0 && neps < plan.finalLength)) {
+      alert(`ε debe ser positivo y menor que (b − a)/F_n = ${plan.finalLength.toFixed(6)}.`);
+      return;
+    }
+
+    setRunArgs({ a: na, b: nb, n: plan.n, epsilon: neps });
   };
 
   return (
@@ -172,59 +111,72 @@ export default function FibonacciOptimizer() {
       <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="max-w-5xl mx-auto">
         <div className="flex justify-between items-center mb-6">
           <h1 className="text-2xl font-bold">Optimizador: Fibonacci</h1>
-          <div className="text-sm text-gray-600">Minimización unidimensional • Método Fibonacci</div>
+          <div className="text-sm text-gray-600">{DIRECTIONS[direction].title} unidimensional • Método Fibonacci</div>
         </div>
 
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
           <div className="md:col-span-1 bg-white p-4 rounded-2xl shadow-sm">
-            <label className="block text-sm font-medium text-gray-700">Función</label>
-            <select value={fnKey} onChange={(e) => setFnKey(e.target.value)} className="mt-2 w-full p-2 border rounded">
-              {Object.keys(FUNCTIONS).map((k) => (
-                <option key={k} value={k}>
-                  {k}
-                </option>
-              ))}
-            </select>
-
-            {fnKey === "Función personalizada" && (
-              <div className="mt-3">
-                <label className="block text-sm font-medium text-gray-700">Ingresa tu función (usa 'x' como variable)</label>
-                <input 
-                  type="text" 
-                  value={customFunction} 
-                  onChange={(e) => setCustomFunction(e.target.value)}
-                  placeholder="Ej: x^2 - 4*x + 3"
-                  className="mt-1 w-full p-2 border rounded text-sm"
-                />
-                <div className="mt-1 text-xs text-gray-500">
-                  Funciones disponibles: sin, cos, tan, log, exp, sqrt, abs, pow, min, max
-                </div>
-                <div className="mt-1 text-xs text-gray-500">
-                  Operadores: +, -, *, /, ^ (potencia), paréntesis ()
-                </div>
-              </div>
-            )}
+            <ObjectiveControls objective={objective} />
 
             <label className="block text-sm font-medium text-gray-700 mt-4">Intervalo [a, b]</label>
             <div className="flex gap-2 mt-2">
               <input type="number" value={a} onChange={(e) => setA(e.target.value)} className="p-2 border rounded w-1/2" />
               <input type="number" value={b} onChange={(e) => setB(e.target.value)} className="p-2 border rounded w-1/2" />
             </div>
+            <UnimodalityCheck check={unimodality} direction={direction} />
+            <BracketingPanel bracket={(x0, h) => restoreDirection(swannBracket(guardDomain(goal), x0, h), direction, ["fx"])} onBracket={applyBracket} disabled={!f} />
 
-            <label className="block text-sm font-medium text-gray-700 mt-4">Número de iteraciones</label>
-            <input type="number" value={n} onChange={(e) => setN(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+            <label className="block text-sm font-medium text-gray-700 mt-4">Criterio</label>
+            <select value={mode} onChange={(e) => setMode(e.target.value)} className="mt-2 w-full p-2 border rounded">
+              {Object.entries(FIBONACCI_MODES).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
 
-            <button onClick={run} className="mt-4 w-full bg-indigo-600 text-white p-2 rounded-2xl hover:bg-indigo-700">Ejecutar</button>
+            {mode === "evaluations" ? (
+              <>
+                <label className="block text-sm font-medium text-gray-700 mt-4">Número de evaluaciones (n)</label>
+                <input type="number" value={n} onChange={(e) => setN(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+              </>
+            ) : (
+              <>
+                <label className="block text-sm font-medium text-gray-700 mt-4">Longitud final (L)</label>
+                <input type="number" step="any" value={length} onChange={(e) => setLength(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+              </>
+            )}
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Constante de distinguibilidad (ε)</label>
+            <input type="number" step="any" value={epsilon} onChange={(e) => setEpsilon(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            {plan && (
+              <div className="mt-2 text-xs bg-indigo-50 text-indigo-800 p-2 rounded">
+                <div>n = {plan.n} evaluaciones, F_n = {plan.fibN}</div>
+                <div>Razón de reducción esperada: 1/F_n = {plan.ratio.toExponential(3)}</div>
+                <div>Longitud final esperada: (b − a)/F_n + ε ≤ {(plan.finalLength + Number(epsilon)).toFixed(6)}</div>
+              </div>
+            )}
+
+            <button onClick={run} disabled={!f} className="mt-4 w-full bg-indigo-600 text-white p-2 rounded-2xl hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed">Ejecutar</button>
+
+            {domainError && (
+              <div className="mt-4 text-sm bg-red-50 text-red-700 p-3 rounded">{domainError.message}</div>
+            )}
 
             {result && (
               <div className="mt-4 text-sm bg-gray-50 p-3 rounded">
+                <div className="font-medium text-indigo-700">{DIRECTIONS[direction].found}</div>
                 <div><strong>x*:</strong> {result.xOpt.toFixed(6)}</div>
                 <div><strong>f(x*):</strong> {result.fOpt.toFixed(6)}</div>
                 <div><strong>Iteraciones:</strong> {result.history.length}</div>
+                <div><strong>Evaluaciones (n):</strong> {result.n}</div>
+                <div><strong>Intervalo final:</strong> [{result.a.toFixed(6)}, {result.b.toFixed(6)}]</div>
+                <div><strong>Longitud final:</strong> {(result.b - result.a).toFixed(6)}</div>
               </div>
             )}
 
-            <div className="mt-4 text-xs text-gray-500">Método Fibonacci: utiliza la secuencia de Fibonacci para determinar los puntos de evaluación.</div>
+            <div className="mt-4 text-xs text-gray-500">Método Fibonacci: utiliza la secuencia de Fibonacci para determinar los puntos de evaluación. La última evaluación se hace a distancia ε del punto medio.</div>
           </div>
 
           <div className="md:col-span-2 bg-white p-4 rounded-2xl shadow-sm">
@@ -234,10 +186,39 @@ export default function FibonacciOptimizer() {
                 <LineChart data={sampleData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis dataKey="x" domain={[a, b]} type="number" tickFormatter={(v) => v.toFixed(2)} />
-                  <YAxis />
+                  <YAxis domain={yDomain || undefined} allowDataOverflow={Boolean(yDomain)} />
                   <Tooltip formatter={(value) => value.toFixed(6)} />
                   <Line type="monotone" dataKey="y" dot={false} strokeWidth={2} />
 
+                  {/* Breakpoints of piecewise functions */}
+                  {breakpoints.map((x) => (
+                    <ReferenceLine key={x} x={x} stroke="#9C27B0" strokeDasharray="4 4" />
+                  ))}
+
+                  {/* Outside the domain of f: invalid sub-intervals and poles */}
+                  {domain.invalid.map(({ from, to }) => (
+                    <ReferenceArea key={from} x1={from} x2={to} fill="#F44336" fillOpacity={0.12} />
+                  ))}
+                  {domain.poles.map((x) => (
+                    <ReferenceLine key={`pole-${x}`} x={x} stroke="#F44336" strokeDasharray="2 2" />
+                  ))}
+
+                  {/* Feasible region of the constraints g(x) ≤ 0 */}
+                  {feasible.map(({ from, to }) => (
+                    <ReferenceArea key={`feasible-${from}`} x1={from} x2={to} fill="#4CAF50" fillOpacity={0.08} />
+                  ))}
+
+                  {/* Points of the bracketing phase */}
+                  {bracketing && (
+                    <Line
+                      data={bracketing.history.map((h) => ({ x: h.x, y: h.fx }))}
+                      type="monotone"
+                      dataKey="y"
+                      stroke="none"
+                      dot={{ fill: "#03A9F4", r: 4 }}
+                    />
+                  )}
+
                   {result && (
                     <>
                       <Line
@@ -283,9 +264,11 @@ export default function FibonacciOptimizer() {
                       <th className="px-2 py-1 text-left">x2</th>
                       <th className="px-2 py-1 text-left">f(x2)</th>
                       <th className="px-2 py-1 text-left">Fib(k)</th>
+                      <th className="px-2 py-1 text-left">Paso</th>
                     </tr>
                   </thead>
                   <tbody>
+                    <BracketingRows phase={bracketing} columns={9} />
                     {result.history.map((h) => (
                       <tr key={h.iter} className="border-t">
                         <td className="px-2 py-1">{h.iter}</td>
@@ -296,6 +279,11 @@ export default function FibonacciOptimizer() {
                         <td className="px-2 py-1">{h.x2.toFixed(6)}</td>
                         <td className="px-2 py-1">{h.f2.toFixed(6)}</td>
                         <td className="px-2 py-1">{h.fib_k}</td>
+                        <td className="px-2 py-1">
+                          <span className={`px-2 py-0.5 rounded text-xs ${h.step === "epsilon" ? "bg-amber-100 text-amber-800" : "bg-indigo-100 text-indigo-800"}`}>
+                            {h.step === "epsilon" ? "Final ε" : "Fibonacci"}
+                          </span>
+                        </td>
                       </tr>
                     ))}
                   </tbody>
@@ -0,0 +1,104 @@
+import React, { useState, useRef } from "react";
+
+const EMPTY_FORM = { name: "", description: "", a: -2, b: 5, minimizer: "" };
+
+// Save, delete, import and export controls for the shared function library
+export default function FunctionLibraryPanel({ objective }) {
+  const { isCustom, customFunction, entry, saveFunction, deleteFunction, importFunctions, exportFunctions } = objective;
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [message, setMessage] = useState(null);
+  const fileInput = useRef(null);
+
+  const updateForm = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const save = () => {
+    try {
+      saveFunction({ ...form, expression: customFunction });
+      setMessage({ type: "ok", text: `Función '${form.name.trim()}' guardada en la biblioteca.` });
+      setForm(EMPTY_FORM);
+    } catch (error) {
+      setMessage({ type: "error", text: error.message });
+    }
+  };
+
+  const download = () => {
+    const blob = new Blob([exportFunctions()], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "biblioteca-funciones.json";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const upload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const count = importFunctions(String(reader.result));
+        setMessage({ type: "ok", text: `${count} función(es) importada(s).` });
+      } catch (error) {
+        setMessage({ type: "error", text: error.message });
+      }
+    };
+    reader.readAsText(file);
+    // Allow importing the same file again
+    e.target.value = "";
+  };
+
+  return (
+    <div className="mt-3 text-xs">
+      {entry && (
+        <div className="p-2 bg-gray-50 rounded text-gray-600">
+          {entry.description && <div>{entry.description}</div>}
+          <div>
+            Intervalo por defecto: [{entry.a}, {entry.b}]
+            {entry.minimizer !== null && <> • x* conocido: {entry.minimizer}</>}
+          </div>
+          {!entry.builtin && (
+            <button onClick={() => deleteFunction(entry.name)} className="mt-1 text-red-600 hover:underline">
+              Eliminar de la biblioteca
+            </button>
+          )}
+        </div>
+      )}
+
+      <button onClick={() => setOpen(!open)} className="mt-2 text-indigo-600 hover:underline">
+        {open ? "▾" : "▸"} Biblioteca de funciones
+      </button>
+
+      {open && (
+        <div className="mt-2 p-2 border rounded">
+          {isCustom ? (
+            <>
+              <div className="font-medium text-gray-700">Guardar la función personalizada</div>
+              <input value={form.name} onChange={updateForm("name")} placeholder="Nombre" className="mt-1 w-full p-1 border rounded" />
+              <input value={form.description} onChange={updateForm("description")} placeholder="Descripción" className="mt-1 w-full p-1 border rounded" />
+              <div className="flex gap-1 mt-1">
+                <input type="number" step="any" value={form.a} onChange={updateForm("a")} title="a" className="w-1/3 p-1 border rounded" />
+                <input type="number" step="any" value={form.b} onChange={updateForm("b")} title="b" className="w-1/3 p-1 border rounded" />
+                <input type="number" step="any" value={form.minimizer} onChange={updateForm("minimizer")} placeholder="x* (opcional)" className="w-1/3 p-1 border rounded" />
+              </div>
+              <button onClick={save} className="mt-1 w-full bg-indigo-600 text-white p-1 rounded hover:bg-indigo-700">Guardar</button>
+            </>
+          ) : (
+            <div className="text-gray-500">Elige "Función personalizada" para guardar una función nueva.</div>
+          )}
+
+          <div className="flex gap-2 mt-2">
+            <button onClick={download} className="flex-1 p-1 border rounded hover:bg-gray-50">Exportar JSON</button>
+            <button onClick={() => fileInput.current.click()} className="flex-1 p-1 border rounded hover:bg-gray-50">Importar JSON</button>
+            <input ref={fileInput} type="file" accept="application/json,.json" onChange={upload} className="hidden" />
+          </div>
+
+          {message && (
+            <div className={`mt-2 ${message.type === "error" ? "text-red-600" : "text-green-700"}`}>{message.text}</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
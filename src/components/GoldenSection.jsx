@@ -1,109 +1,35 @@
 import React, { useState, useMemo } from "react";
-import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer } from "recharts";
+import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer, ReferenceLine, ReferenceArea } from "recharts";
 import { motion } from "framer-motion";
+import { guardDomain, runInDomain, clipRange } from "../lib/domain";
+import { DIRECTIONS, restoreDirection } from "../lib/direction";
+import { useObjective, useLibraryInterval, useBreakpoints, useDomain, useFeasible, useUnimodality } from "../hooks/useObjective";
+import ObjectiveControls from "./ObjectiveControls";
+import UnimodalityCheck from "./UnimodalityCheck";
+import BracketingPanel, { BracketingRows } from "./BracketingPanel";
+import { swannBracket } from "../lib/bracketing";
+import { goldenSectionSearch } from "../lib/goldenSection";
+import { useBracketing } from "../hooks/useBracketing";
 
 // Golden Section Search Visualizer
 // Single-file React component. Uses Tailwind CSS classes for quick styling.
 // To run: create a React app (Vite or CRA), install dependencies: recharts, framer-motion, tailwindcss (optional)
 // Example: npm i recharts framer-motion
 
-// Predefined functions for safety and simplicity (no user-eval)
-const FUNCTIONS = {
-  "Parabola (x-2)^2 + 1": (x) => (x - 2) * (x - 2) + 1,
-  "Multi-modal: (x-2)^2 + sin(5x)": (x) => (x - 2) * (x - 2) + Math.sin(5 * x),
-  "Rastrigin-like: x^2 + 5*cos(2x)": (x) => x * x + 5 * Math.cos(2 * x),
-  "Función personalizada": null, // Placeholder for custom function
-};
-
-// Safe function parser that only allows basic mathematical operations
-function parseCustomFunction(funcString) {
-  try {
-    // Remove whitespace
-    funcString = funcString.trim();
-    
-    // Basic validation - only allow safe characters
-    const allowedChars = /^[x0-9+\-*/().\s,^sin|cos|tan|log|exp|sqrt|abs|pow|min|max]+$/;
-    if (!allowedChars.test(funcString)) {
-      throw new Error("Función contiene caracteres no permitidos");
-    }
-    
-    // Replace common mathematical functions and operators
-    let processedFunc = funcString
-      .replace(/\^/g, '**') // Convert ^ to ** for exponentiation
-      .replace(/sin\(/g, 'Math.sin(')
-      .replace(/cos\(/g, 'Math.cos(')
-      .replace(/tan\(/g, 'Math.tan(')
-      .replace(/log\(/g, 'Math.log(')
-      .replace(/exp\(/g, 'Math.exp(')
-      .replace(/sqrt\(/g, 'Math.sqrt(')
-      .replace(/abs\(/g, 'Math.abs(')
-      .replace(/pow\(/g, 'Math.pow(')
-      .replace(/min\(/g, 'Math.min(')
-      .replace(/max\(/g, 'Math.max(');
-    
-    // Create function
-    const func = new Function('x', `return ${processedFunc}`);
-    
-    // Test the function with a sample value
-    func(1);
-    
-    return func;
-  } catch (error) {
-    throw new Error(`Error en la función: ${error.message}`);
-  }
-}
-
-function goldenSectionSearch(f, a, b, tol = 1e-3, maxIter = 100) {
-  const phi = (1 + Math.sqrt(5)) / 2;
-  let c = b - (b - a) / phi;
-  let d = a + (b - a) / phi;
-  let fc = f(c);
-  let fd = f(d);
-  const history = [];
-
-  for (let iter = 0; iter < maxIter; iter++) {
-    history.push({ iter: iter + 1, a, b, c, d, fc, fd, midpoint: (a + b) / 2 });
-    if (Math.abs(b - a) < tol) break;
-    if (fc < fd) {
-      b = d;
-      d = c;
-      fd = fc;
-      c = b - (b - a) / phi;
-      fc = f(c);
-    } else {
-      a = c;
-      c = d;
-      fc = fd;
-      d = a + (b - a) / phi;
-      fd = f(d);
-    }
-  }
-
-  const xOpt = (a + b) / 2;
-  const fOpt = f(xOpt);
-  return { xOpt, fOpt, history };
-}
-
 export default function GoldenSectionOptimizer() {
-  const [fnKey, setFnKey] = useState(Object.keys(FUNCTIONS)[1]);
-  const [customFunction, setCustomFunction] = useState("x^2 - 4*x + 3");
+  const objective = useObjective();
+  const { f, goal, direction } = objective;
   const [a, setA] = useState(-2);
   const [b, setB] = useState(5);
   const [tol, setTol] = useState(0.001);
   const [maxIter, setMaxIter] = useState(60);
-  const [result, setResult] = useState(null);
-
-  const f = useMemo(() => {
-    if (fnKey === "Función personalizada") {
-      try {
-        return parseCustomFunction(customFunction);
-      } catch (error) {
-        // Return a default function if parsing fails
-        return (x) => x * x;
-      }
-    }
-    return FUNCTIONS[fnKey];
-  }, [fnKey, customFunction]);
+  const [runArgs, setRunArgs] = useState(null);
+  useLibraryInterval(objective, setA, setB);
+  const breakpoints = useBreakpoints(objective, a, b);
+  const domain = useDomain(objective, a, b);
+  const feasible = useFeasible(objective, a, b);
+  const unimodality = useUnimodality(objective, a, b);
+  const [bracketing, applyBracket] = useBracketing(a, b, setA, setB);
 
   const sampleData = useMemo(() => {
     const samples = 300;
@@ -112,22 +38,35 @@ export default function GoldenSectionOptimizer() {
     const numB = Number(b);
     
     // Only generate data if we have valid numbers
-    if (isNaN(numA) || isNaN(numB) || numA >= numB) {
+    if (!f || isNaN(numA) || isNaN(numB) || numA >= numB) {
       return [];
     }
     
     for (let i = 0; i <= samples; i++) {
       const x = numA + (i / samples) * (numB - numA);
       const y = f(x);
-      // Only add valid data points
-      if (typeof x === 'number' && !isNaN(x) && typeof y === 'number' && !isNaN(y)) {
+      // Only add finite data points: the gaps are shaded as outside the domain
+      if (typeof x === 'number' && !isNaN(x) && Number.isFinite(y)) {
         xs.push({ x: Number(x.toFixed(6)), y: Number(y.toFixed(6)) });
       }
     }
     return xs;
   }, [a, b, f]);
 
+  // Keeps the curve readable when f blows up near a pole or a domain edge
+  const yDomain = useMemo(() => clipRange(sampleData.map((p) => p.y)), [sampleData]);
+
+  // The run is recomputed whenever f changes, so the result follows the
+  // parameter sliders live once Ejecutar has been pressed
+  const { result, domainError } = useMemo(
+    () => runInDomain(() => restoreDirection(runArgs && goal && goldenSectionSearch(guardDomain(goal), runArgs.a, runArgs.b, runArgs.tol, runArgs.maxIter), direction, ["fc", "fd"])),
+    [goal, direction, runArgs]
+  );
+
   const run = () => {
+    // Nothing runs while the expression has a parse error
+    if (!f) return;
+
     const na = Number(a);
     const nb = Number(b);
     const ntol = Number(tol);
@@ -137,18 +76,7 @@ export default function GoldenSectionOptimizer() {
       return;
     }
     
-    // Validate custom function if selected
-    if (fnKey === "Función personalizada") {
-      try {
-        parseCustomFunction(customFunction);
-      } catch (error) {
-        alert(`Error en la función personalizada: ${error.message}`);
-        return;
-      }
-    }
-    
-    const res = goldenSectionSearch(f, na, nb, ntol, nmax);
-    setResult(res);
+    setRunArgs({ a: na, b: nb, tol: ntol, maxIter: nmax });
   };
 
   return (
@@ -156,44 +84,20 @@ export default function GoldenSectionOptimizer() {
       <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="max-w-5xl mx-auto">
         <div className="flex justify-between items-center mb-6">
           <h1 className="text-2xl font-bold">Optimizador: Golden Section Search</h1>
-          <div className="text-sm text-gray-600">Minimización unidimensional • Interfaz interactiva</div>
+          <div className="text-sm text-gray-600">{DIRECTIONS[direction].title} unidimensional • Interfaz interactiva</div>
         </div>
 
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
           <div className="md:col-span-1 bg-white p-4 rounded-2xl shadow-sm">
-            <label className="block text-sm font-medium text-gray-700">Función</label>
-            <select value={fnKey} onChange={(e) => setFnKey(e.target.value)} className="mt-2 w-full p-2 border rounded">
-              {Object.keys(FUNCTIONS).map((k) => (
-                <option key={k} value={k}>
-                  {k}
-                </option>
-              ))}
-            </select>
-
-            {fnKey === "Función personalizada" && (
-              <div className="mt-3">
-                <label className="block text-sm font-medium text-gray-700">Ingresa tu función (usa 'x' como variable)</label>
-                <input 
-                  type="text" 
-                  value={customFunction} 
-                  onChange={(e) => setCustomFunction(e.target.value)}
-                  placeholder="Ej: x^2 - 4*x + 3"
-                  className="mt-1 w-full p-2 border rounded text-sm"
-                />
-                <div className="mt-1 text-xs text-gray-500">
-                  Funciones disponibles: sin, cos, tan, log, exp, sqrt, abs, pow, min, max
-                </div>
-                <div className="mt-1 text-xs text-gray-500">
-                  Operadores: +, -, *, /, ^ (potencia), paréntesis ()
-                </div>
-              </div>
-            )}
+            <ObjectiveControls objective={objective} />
 
             <label className="block text-sm font-medium text-gray-700 mt-4">Intervalo [a, b]</label>
             <div className="flex gap-2 mt-2">
               <input type="number" value={a} onChange={(e) => setA(e.target.value)} className="p-2 border rounded w-1/2" />
               <input type="number" value={b} onChange={(e) => setB(e.target.value)} className="p-2 border rounded w-1/2" />
             </div>
+            <UnimodalityCheck check={unimodality} direction={direction} />
+            <BracketingPanel bracket={(x0, h) => restoreDirection(swannBracket(guardDomain(goal), x0, h), direction, ["fx"])} onBracket={applyBracket} disabled={!f} />
 
             <label className="block text-sm font-medium text-gray-700 mt-4">Tolerancia</label>
             <input type="number" step="any" value={tol} onChange={(e) => setTol(e.target.value)} className="mt-2 p-2 border rounded w-full" />
@@ -201,10 +105,15 @@ export default function GoldenSectionOptimizer() {
             <label className="block text-sm font-medium text-gray-700 mt-4">Máx Iteraciones</label>
             <input type="number" value={maxIter} onChange={(e) => setMaxIter(e.target.value)} className="mt-2 p-2 border rounded w-full" />
 
-            <button onClick={run} className="mt-4 w-full bg-indigo-600 text-white p-2 rounded-2xl hover:bg-indigo-700">Ejecutar</button>
+            <button onClick={run} disabled={!f} className="mt-4 w-full bg-indigo-600 text-white p-2 rounded-2xl hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed">Ejecutar</button>
+
+            {domainError && (
+              <div className="mt-4 text-sm bg-red-50 text-red-700 p-3 rounded">{domainError.message}</div>
+            )}
 
             {result && (
               <div className="mt-4 text-sm bg-gray-50 p-3 rounded">
+                <div className="font-medium text-indigo-700">{DIRECTIONS[direction].found}</div>
                 <div><strong>x*:</strong> {result.xOpt.toFixed(6)}</div>
                 <div><strong>f(x*):</strong> {result.fOpt.toFixed(6)}</div>
                 <div><strong>Iteraciones:</strong> {result.history.length}</div>
@@ -221,10 +130,39 @@ export default function GoldenSectionOptimizer() {
                 <LineChart data={sampleData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis dataKey="x" domain={[a, b]} type="number" tickFormatter={(v) => v.toFixed(2)} />
-                  <YAxis />
+                  <YAxis domain={yDomain || undefined} allowDataOverflow={Boolean(yDomain)} />
                   <Tooltip formatter={(value) => value.toFixed(6)} />
                   <Line type="monotone" dataKey="y" dot={false} strokeWidth={2} />
 
+                  {/* Breakpoints of piecewise functions */}
+                  {breakpoints.map((x) => (
+                    <ReferenceLine key={x} x={x} stroke="#9C27B0" strokeDasharray="4 4" />
+                  ))}
+
+                  {/* Outside the domain of f: invalid sub-intervals and poles */}
+                  {domain.invalid.map(({ from, to }) => (
+                    <ReferenceArea key={from} x1={from} x2={to} fill="#F44336" fillOpacity={0.12} />
+                  ))}
+                  {domain.poles.map((x) => (
+                    <ReferenceLine key={`pole-${x}`} x={x} stroke="#F44336" strokeDasharray="2 2" />
+                  ))}
+
+                  {/* Feasible region of the constraints g(x) ≤ 0 */}
+                  {feasible.map(({ from, to }) => (
+                    <ReferenceArea key={`feasible-${from}`} x1={from} x2={to} fill="#4CAF50" fillOpacity={0.08} />
+                  ))}
+
+                  {/* Points of the bracketing phase */}
+                  {bracketing && (
+                    <Line
+                      data={bracketing.history.map((h) => ({ x: h.x, y: h.fx }))}
+                      type="monotone"
+                      dataKey="y"
+                      stroke="none"
+                      dot={{ fill: "#03A9F4", r: 4 }}
+                    />
+                  )}
+
                   {/* Show iteration points if result exists */}
                   {result && (
                     <>
@@ -273,6 +211,7 @@ export default function GoldenSectionOptimizer() {
                     </tr>
                   </thead>
                   <tbody>
+                    <BracketingRows phase={bracketing} columns={7} />
                     {result.history.map((h) => (
                       <tr key={h.iter} className="border-t">
                         <td className="px-2 py-1">{h.iter}</td>
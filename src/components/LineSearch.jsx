@@ -0,0 +1,422 @@
+import React, { useState, useMemo } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer, ReferenceArea } from "recharts";
+import { motion } from "framer-motion";
+import { guardSurface, runInDomain, clipRange } from "../lib/domain";
+import { DIRECTIONS } from "../lib/direction";
+import { gradient, hessian } from "../lib/surface";
+import { DESCENT_DIRECTIONS, newtonDirection } from "../lib/descent";
+import { LINE_SEARCHES, TRIAL_STEPS, backtrackingArmijo, strongWolfe, acceptableSteps } from "../lib/lineSearch";
+import { useSurface, useSurfaceWindow } from "../hooks/useSurface";
+import SurfaceControls from "./SurfaceControls";
+import ContourPlot from "./ContourPlot";
+
+const DIRECTION_MODES = {
+  ...DESCENT_DIRECTIONS,
+  manual: "Manual (dx, dy)",
+};
+
+const STEP_BADGES = {
+  initial: "bg-gray-100 text-gray-700",
+  backtrack: "bg-indigo-100 text-indigo-800",
+  expand: "bg-green-100 text-green-800",
+  cubic: "bg-amber-100 text-amber-800",
+  bisection: "bg-red-100 text-red-800",
+};
+
+const ACCEPTED_COLOR = "#4CAF50";
+const REJECTED_COLOR = "#F44336";
+
+// φ(α) = f(p + α·d) and φ'(α) = ∇f(p + α·d)·d for the function minimized
+function restriction(f, [x, y], [dx, dy]) {
+  return {
+    phi: (alpha) => f(x + alpha * dx, y + alpha * dy),
+    dphi: (alpha) => {
+      const [gx, gy] = gradient(f, x + alpha * dx, y + alpha * dy);
+      return gx * dx + gy * dy;
+    },
+  };
+}
+
+// Direction at p: −∇f, Newton (−∇f when H is not positive definite) or
+// the one typed in. Returns { d, fallback }.
+function searchDirection(f, [x, y], mode, manual) {
+  if (mode === "manual") return { d: manual, fallback: false };
+  const g = gradient(f, x, y);
+  const steepest = [-g[0], -g[1]];
+  if (mode !== "newton") return { d: steepest, fallback: false };
+  const d = newtonDirection(hessian(f, x, y), g);
+  return d ? { d, fallback: false } : { d: steepest, fallback: true };
+}
+
+const mark = (ok) => (ok ? "✓" : "✗");
+
+export default function LineSearchOptimizer() {
+  const surface = useSurface();
+  const { f, goal, direction } = surface;
+  const [bounds, setBounds] = useState({ x0: -3, x1: 3, y0: -2, y1: 2 });
+  const [start, setStart] = useState({ x: 2.5, y: 1.5 });
+  const [directionMode, setDirectionMode] = useState("steepest");
+  const [manual, setManual] = useState({ x: -1, y: 0 });
+  const [search, setSearch] = useState("wolfe");
+  const [alpha0, setAlpha0] = useState(1);
+  const [c1, setC1] = useState(0.0001);
+  const [c2, setC2] = useState(0.9);
+  const [rho, setRho] = useState(0.5);
+  const [alphaMax, setAlphaMax] = useState(100);
+  const [maxIter, setMaxIter] = useState(50);
+  const [runArgs, setRunArgs] = useState(null);
+  const [selectedIter, setSelectedIter] = useState(null);
+  useSurfaceWindow(surface, setBounds, setStart);
+
+  const plotBounds = useMemo(
+    () => ({ x0: Number(bounds.x0), x1: Number(bounds.x1), y0: Number(bounds.y0), y1: Number(bounds.y1) }),
+    [bounds]
+  );
+
+  // The run is recomputed whenever f changes, so the result follows the
+  // parameter sliders live once Ejecutar has been pressed. The direction is
+  // taken at the starting point of the function being minimized.
+  const { result, domainError } = useMemo(
+    () => runInDomain(() => {
+      if (!runArgs || !goal) return null;
+      const g = guardSurface(goal);
+      const { d, fallback } = searchDirection(g, runArgs.start, runArgs.directionMode, runArgs.manual);
+      const { phi, dphi } = restriction(g, runArgs.start, d);
+      const options = { alpha0: runArgs.alpha0, c1: runArgs.c1, c2: runArgs.c2, maxIter: runArgs.maxIter };
+      const run = runArgs.search === "armijo"
+        ? backtrackingArmijo(phi, dphi, { ...options, rho: runArgs.rho })
+        : strongWolfe(phi, dphi, { ...options, alphaMax: runArgs.alphaMax });
+      return { ...run, d, fallback, phi0: phi(0), dphi0: dphi(0) };
+    }),
+    [goal, runArgs]
+  );
+
+  // Range of α on the plot: past the initial step and every trial
+  const alphaPlot = useMemo(() => {
+    if (!result) return Number(alpha0) > 0 ? 2 * Number(alpha0) : 2;
+    return 1.25 * Math.max(runArgs.alpha0, ...result.history.map((h) => h.alpha));
+  }, [result, runArgs, alpha0]);
+
+  // φ over [0, alphaPlot] with the two condition lines and the steps that
+  // satisfy both, for the direction of the last run
+  const plot = useMemo(() => {
+    if (!result || !goal) return null;
+    const { phi, dphi } = restriction(goal, runArgs.start, result.d);
+    const samples = 200;
+    const curve = [];
+    for (let i = 0; i <= samples; i++) {
+      const x = (i / samples) * alphaPlot;
+      const y = phi(x);
+      // Only add finite data points
+      if (Number.isFinite(y)) curve.push({ x, y });
+    }
+    const { phi0, dphi0 } = result;
+    return {
+      curve,
+      armijo: [{ x: 0, y: phi0 }, { x: alphaPlot, y: phi0 + runArgs.c1 * alphaPlot * dphi0 }],
+      curvature: [{ x: 0, y: phi0 }, { x: alphaPlot, y: phi0 + runArgs.c2 * alphaPlot * dphi0 }],
+      acceptable: dphi0 < 0 ? acceptableSteps(phi, dphi, alphaPlot, { c1: runArgs.c1, c2: runArgs.c2 }) : [],
+    };
+  }, [result, goal, runArgs, alphaPlot]);
+
+  const yDomain = useMemo(() => (plot ? clipRange(plot.curve.map((p) => p.y)) : null), [plot]);
+
+  // The clicked trial, by default the last one; its tangent is drawn
+  const selected = result && (result.history.find((h) => h.iter === selectedIter) || result.history[result.history.length - 1]);
+  const tangent = selected && (() => {
+    const half = 0.08 * alphaPlot;
+    const from = Math.max(0, selected.alpha - half);
+    const to = selected.alpha + half;
+    return [
+      { x: from, y: selected.phi + selected.dphi * (from - selected.alpha) },
+      { x: to, y: selected.phi + selected.dphi * (to - selected.alpha) },
+    ];
+  })();
+
+  const run = () => {
+    // Nothing runs while the expression has a parse error
+    if (!f) return;
+
+    const { x0, x1, y0, y1 } = plotBounds;
+    const sx = Number(start.x);
+    const sy = Number(start.y);
+    const mx = Number(manual.x);
+    const my = Number(manual.y);
+    const na0 = Number(alpha0);
+    const nc1 = Number(c1);
+    const nc2 = Number(c2);
+    const nRho = Number(rho);
+    const nMax = Number(alphaMax);
+    const nMaxIter = Number(maxIter);
+    if (!(x0 < x1) || !(y0 < y1)) {
+      alert("La ventana debe cumplir x mín < x máx e y mín < y máx.");
+      return;
+    }
+    if (!Number.isFinite(sx) || !Number.isFinite(sy)) {
+      alert("El punto inicial (x₀, y₀) debe ser numérico.");
+      return;
+    }
+    if (directionMode === "manual" && (!Number.isFinite(mx) || !Number.isFinite(my) || (mx === 0 && my === 0))) {
+      alert("La dirección manual (dx, dy) debe ser numérica y no nula.");
+      return;
+    }
+    if (!(0 < nc1 && nc1 < nc2 && nc2 < 1)) {
+      alert("Las constantes deben cumplir 0 < c₁ < c₂ < 1.");
+      return;
+    }
+    if (!(na0 > 0) || !(0 < nRho && nRho < 1) || !(nMax >= na0)) {
+      alert("El paso inicial α₀ debe ser positivo, ρ debe estar en (0, 1) y α máx no puede ser menor que α₀.");
+      return;
+    }
+
+    setSelectedIter(null);
+    setRunArgs({
+      start: [sx, sy],
+      directionMode,
+      manual: [mx, my],
+      search,
+      alpha0: na0,
+      c1: nc1,
+      c2: nc2,
+      rho: nRho,
+      alphaMax: nMax,
+      maxIter: nMaxIter,
+    });
+  };
+
+  const setBound = (key) => (e) => setBounds({ ...bounds, [key]: e.target.value });
+  const phiLabel = direction === "max" ? "φ(α) = −f(p + α·d)" : "φ(α) = f(p + α·d)";
+
+  return (
+    <div className="p-6 bg-gray-50 min-h-screen font-sans">
+      <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="max-w-5xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-2xl font-bold">Búsqueda lineal inexacta: {LINE_SEARCHES[search]}</h1>
+          <div className="text-sm text-gray-600">{DIRECTIONS[direction].title} bidimensional • condiciones de Armijo y Wolfe</div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-1 bg-white p-4 rounded-2xl shadow-sm">
+            <SurfaceControls surface={surface} />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Ventana x</label>
+            <div className="flex gap-2 mt-2">
+              <input type="number" value={bounds.x0} onChange={setBound("x0")} className="p-2 border rounded w-1/2" />
+              <input type="number" value={bounds.x1} onChange={setBound("x1")} className="p-2 border rounded w-1/2" />
+            </div>
+            <label className="block text-sm font-medium text-gray-700 mt-2">Ventana y</label>
+            <div className="flex gap-2 mt-2">
+              <input type="number" value={bounds.y0} onChange={setBound("y0")} className="p-2 border rounded w-1/2" />
+              <input type="number" value={bounds.y1} onChange={setBound("y1")} className="p-2 border rounded w-1/2" />
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Punto inicial p = (x₀, y₀)</label>
+            <div className="flex gap-2 mt-2">
+              <input type="number" step="any" value={start.x} onChange={(e) => setStart({ ...start, x: e.target.value })} className="p-2 border rounded w-1/2" />
+              <input type="number" step="any" value={start.y} onChange={(e) => setStart({ ...start, y: e.target.value })} className="p-2 border rounded w-1/2" />
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Dirección d</label>
+            <select value={directionMode} onChange={(e) => setDirectionMode(e.target.value)} className="mt-2 w-full p-2 border rounded">
+              {Object.entries(DIRECTION_MODES).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            {directionMode === "manual" && (
+              <div className="flex gap-2 mt-2">
+                <input type="number" step="any" value={manual.x} onChange={(e) => setManual({ ...manual, x: e.target.value })} title="dx" className="p-2 border rounded w-1/2" />
+                <input type="number" step="any" value={manual.y} onChange={(e) => setManual({ ...manual, y: e.target.value })} title="dy" className="p-2 border rounded w-1/2" />
+              </div>
+            )}
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Búsqueda lineal</label>
+            <select value={search} onChange={(e) => setSearch(e.target.value)} className="mt-2 w-full p-2 border rounded">
+              {Object.entries(LINE_SEARCHES).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Constantes c₁ (Armijo) y c₂ (curvatura)</label>
+            <div className="flex gap-2 mt-2">
+              <input type="number" step="any" value={c1} onChange={(e) => setC1(e.target.value)} title="c₁" className="p-2 border rounded w-1/2" />
+              <input type="number" step="any" value={c2} onChange={(e) => setC2(e.target.value)} title="c₂" className="p-2 border rounded w-1/2" />
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">
+              {search === "armijo" ? "Paso inicial α₀ y factor de retroceso ρ" : "Paso inicial α₀ y α máx"}
+            </label>
+            <div className="flex gap-2 mt-2">
+              <input type="number" step="any" value={alpha0} onChange={(e) => setAlpha0(e.target.value)} title="α₀" className="p-2 border rounded w-1/2" />
+              {search === "armijo" ? (
+                <input type="number" step="any" value={rho} onChange={(e) => setRho(e.target.value)} title="ρ" className="p-2 border rounded w-1/2" />
+              ) : (
+                <input type="number" step="any" value={alphaMax} onChange={(e) => setAlphaMax(e.target.value)} title="α máx" className="p-2 border rounded w-1/2" />
+              )}
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Máx evaluaciones</label>
+            <input type="number" value={maxIter} onChange={(e) => setMaxIter(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <button onClick={run} disabled={!f} className="mt-4 w-full bg-indigo-600 text-white p-2 rounded-2xl hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed">Ejecutar</button>
+
+            {domainError && (
+              <div className="mt-4 text-sm bg-red-50 text-red-700 p-3 rounded">{domainError.message}</div>
+            )}
+
+            {result && (
+              <div className="mt-4 text-sm bg-gray-50 p-3 rounded">
+                <div><strong>d:</strong> ({result.d[0].toFixed(6)}, {result.d[1].toFixed(6)})</div>
+                <div><strong>φ(0), φ'(0):</strong> {result.phi0.toFixed(6)}, {result.dphi0.toFixed(6)}</div>
+                {result.fallback && <div className="mt-1 text-amber-700">H no es definida positiva en p: se usa −∇f.</div>}
+                {result.alpha !== null && (
+                  <>
+                    <div className="mt-2 font-medium text-indigo-700">Paso aceptado</div>
+                    <div><strong>α:</strong> {result.alpha.toFixed(6)}</div>
+                    <div><strong>p + α·d:</strong> ({(runArgs.start[0] + result.alpha * result.d[0]).toFixed(6)}, {(runArgs.start[1] + result.alpha * result.d[1]).toFixed(6)})</div>
+                    <div><strong>φ(α):</strong> {result.phiAlpha.toFixed(6)}</div>
+                    <div><strong>Evaluaciones:</strong> {result.history.length}</div>
+                  </>
+                )}
+                {result.warning && <div className="mt-2 text-amber-700">{result.warning}</div>}
+                {!result.converged && !result.warning && (
+                  <div className="mt-2 text-amber-700">Se alcanzó el máximo de evaluaciones (o α máx) sin encontrar un paso aceptable.</div>
+                )}
+              </div>
+            )}
+
+            <div className="mt-4 text-xs text-gray-500">
+              Armijo: φ(α) ≤ φ(0) + c₁·α·φ'(0) (bajo la recta naranja). Wolfe fuerte: además |φ'(α)| ≤ c₂·|φ'(0)|, la tangente no puede ser más empinada que la recta verde azulado.
+              El retroceso reduce α por ρ hasta cumplir Armijo; Wolfe amplía α hasta encerrar pasos aceptables y luego interpola con cúbicas (zoom).
+            </div>
+          </div>
+
+          <div className="md:col-span-2 bg-white p-4 rounded-2xl shadow-sm">
+            <h2 className="text-lg font-medium mb-3">{phiLabel}</h2>
+            {plot ? (
+              <div style={{ height: 320 }} className="w-full">
+                <ResponsiveContainer>
+                  <LineChart data={plot.curve} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="x" domain={[0, alphaPlot]} type="number" tickFormatter={(v) => v.toFixed(2)} />
+                    <YAxis domain={yDomain || undefined} allowDataOverflow={Boolean(yDomain)} />
+                    <Tooltip formatter={(value) => value.toFixed(6)} />
+
+                    {/* Steps that satisfy both conditions */}
+                    {plot.acceptable.map(({ from, to }) => (
+                      <ReferenceArea key={from} x1={from} x2={to} fill={ACCEPTED_COLOR} fillOpacity={0.1} ifOverflow="hidden" />
+                    ))}
+
+                    <Line type="monotone" dataKey="y" dot={false} strokeWidth={2} />
+                    {/* Sufficient decrease and curvature lines */}
+                    <Line data={plot.armijo} type="linear" dataKey="y" dot={false} stroke="#FF9800" strokeWidth={1.5} strokeDasharray="6 3" />
+                    <Line data={plot.curvature} type="linear" dataKey="y" dot={false} stroke="#009688" strokeWidth={1.5} strokeDasharray="2 3" />
+                    {tangent && (
+                      <Line data={tangent} type="linear" dataKey="y" dot={false} stroke={selected.curvature ? ACCEPTED_COLOR : REJECTED_COLOR} strokeWidth={3} />
+                    )}
+
+                    <Line
+                      data={result.history.filter((h) => !h.accepted).map((h) => ({ x: h.alpha, y: h.phi }))}
+                      type="monotone"
+                      dataKey="y"
+                      stroke="none"
+                      dot={{ fill: REJECTED_COLOR, r: 4 }}
+                    />
+                    <Line
+                      data={result.history.filter((h) => h.accepted).map((h) => ({ x: h.alpha, y: h.phi }))}
+                      type="monotone"
+                      dataKey="y"
+                      stroke="none"
+                      dot={{ fill: ACCEPTED_COLOR, stroke: "#FFFFFF", strokeWidth: 2, r: 7 }}
+                    />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            ) : (
+              <div className="text-sm text-gray-500">Ejecuta para ver φ(α), las rectas de Armijo y de curvatura y los pasos de prueba.</div>
+            )}
+
+            {plot && (
+              <div className="mt-2 text-xs text-gray-600">
+                Naranja: recta de Armijo. Verde azulado: pendiente c₂·φ'(0). Zonas verdes: pasos que cumplen ambas condiciones. Puntos rojos: pasos rechazados; verdes: aceptados.
+                {selected && ` Tangente del paso ${selected.iter} en ${selected.curvature ? "verde (cumple" : "rojo (no cumple"} la condición de curvatura).`}
+              </div>
+            )}
+
+            <h2 className="text-lg font-medium mt-4 mb-3">Curvas de nivel y dirección d</h2>
+            <ContourPlot f={f} bounds={plotBounds}>
+              {(project) => {
+                const origin = runArgs ? runArgs.start : [Number(start.x), Number(start.y)];
+                const [ox, oy] = project(origin);
+                const along = (alpha) => project([origin[0] + alpha * result.d[0], origin[1] + alpha * result.d[1]]);
+                return (
+                  <>
+                    {result && (() => {
+                      const [ex, ey] = along(alphaPlot);
+                      return <line x1={ox} y1={oy} x2={ex} y2={ey} stroke="#03A9F4" strokeWidth={2} strokeOpacity={0.7} />;
+                    })()}
+                    {result && result.history.map((h) => {
+                      const [px, py] = along(h.alpha);
+                      return <circle key={h.iter} cx={px} cy={py} r={h.iter === selected.iter ? 5 : 3} fill={h.accepted ? ACCEPTED_COLOR : REJECTED_COLOR} stroke="#FFFFFF" strokeWidth={1} />;
+                    })}
+                    {Number.isFinite(ox) && Number.isFinite(oy) && (
+                      <circle cx={ox} cy={oy} r={5} fill="#3F51B5" stroke="#FFFFFF" strokeWidth={2} />
+                    )}
+                  </>
+                );
+              }}
+            </ContourPlot>
+
+            {result ? (
+              <div className="mt-4 overflow-auto max-h-60">
+                <table className="w-full text-sm table-auto border-collapse">
+                  <thead>
+                    <tr className="bg-gray-100">
+                      <th className="px-2 py-1 text-left">#</th>
+                      <th className="px-2 py-1 text-left">Paso</th>
+                      <th className="px-2 py-1 text-left">α</th>
+                      <th className="px-2 py-1 text-left">φ(α)</th>
+                      <th className="px-2 py-1 text-left">φ'(α)</th>
+                      <th className="px-2 py-1 text-left">Armijo</th>
+                      <th className="px-2 py-1 text-left">Curvatura</th>
+                      <th className="px-2 py-1 text-left">[lo, hi]</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.history.map((h) => (
+                      <tr
+                        key={h.iter}
+                        onClick={() => setSelectedIter(h.iter)}
+                        className={`border-t cursor-pointer hover:bg-gray-50 ${h.iter === selected.iter ? "bg-orange-50" : ""}`}
+                      >
+                        <td className="px-2 py-1">{h.iter}</td>
+                        <td className="px-2 py-1">
+                          <span className={`px-2 py-0.5 rounded text-xs ${STEP_BADGES[h.step]}`}>{TRIAL_STEPS[h.step]}</span>
+                        </td>
+                        <td className="px-2 py-1">{h.alpha.toFixed(6)}</td>
+                        <td className="px-2 py-1">{h.phi.toFixed(6)}</td>
+                        <td className="px-2 py-1">{h.dphi.toFixed(6)}</td>
+                        <td className={`px-2 py-1 ${h.armijo ? "text-green-700" : "text-red-700"}`}>{mark(h.armijo)}</td>
+                        <td className={`px-2 py-1 ${h.curvature ? "text-green-700" : "text-red-700"}`}>
+                          {mark(h.curvature)}
+                          {runArgs.search === "armijo" && <span className="text-gray-400"> (no se exige)</span>}
+                        </td>
+                        <td className="px-2 py-1">{h.lo === null ? "—" : `[${h.lo.toFixed(4)}, ${h.hi.toFixed(4)}]`}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="mt-1 text-xs text-gray-500">Haz clic en una fila para dibujar la tangente de ese paso sobre φ.</div>
+              </div>
+            ) : (
+              <div className="mt-4 text-sm text-gray-500">Ejecuta para ver cada paso de prueba y las condiciones que cumple aquí.</div>
+            )}
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
@@ -0,0 +1,299 @@
+import React, { useState, useMemo } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer, ReferenceLine, ReferenceArea } from "recharts";
+import { motion } from "framer-motion";
+import { guardDomain, runInDomain, clipRange } from "../lib/domain";
+import { DIRECTIONS, restoreDirection, negatePoints } from "../lib/direction";
+import { estimateLipschitz, sawtooth, piyavskiiShubert } from "../lib/lipschitz";
+import { useObjective, useLibraryInterval, useBreakpoints, useDomain, useFeasible } from "../hooks/useObjective";
+import ObjectiveControls from "./ObjectiveControls";
+
+const CONSTANT_MODES = {
+  estimated: "Estimada de la gráfica",
+  manual: "Manual",
+};
+
+// When maximizing the sawtooth bounds f from above
+const BOUND_LABELS = {
+  min: "Cota inferior",
+  max: "Cota superior",
+};
+
+// A result computed on −f in terms of f (used when maximizing)
+function restoreLipschitz(result, direction) {
+  const restored = restoreDirection(result, direction, ["fx", "lowerBound", "best"]);
+  if (!restored || direction !== "max") return restored;
+  return { ...restored, evaluations: negatePoints(result.evaluations) };
+}
+
+export default function LipschitzOptimizer() {
+  const objective = useObjective();
+  const { f, goal, direction } = objective;
+  const [a, setA] = useState(-2);
+  const [b, setB] = useState(5);
+  const [constantMode, setConstantMode] = useState("estimated");
+  const [manualL, setManualL] = useState(10);
+  const [tol, setTol] = useState(0.01);
+  const [maxIter, setMaxIter] = useState(1000);
+  const [runArgs, setRunArgs] = useState(null);
+  const [selectedIter, setSelectedIter] = useState(null);
+  useLibraryInterval(objective, setA, setB);
+  const breakpoints = useBreakpoints(objective, a, b);
+  const domain = useDomain(objective, a, b);
+  const feasible = useFeasible(objective, a, b);
+
+  const sampleData = useMemo(() => {
+    const samples = 300;
+    const xs = [];
+    const numA = Number(a);
+    const numB = Number(b);
+
+    // Only generate data if we have valid numbers
+    if (!f || isNaN(numA) || isNaN(numB) || numA >= numB) {
+      return [];
+    }
+
+    for (let i = 0; i <= samples; i++) {
+      const x = numA + (i / samples) * (numB - numA);
+      const y = f(x);
+      // Only add finite data points: the gaps are shaded as outside the domain
+      if (typeof x === 'number' && !isNaN(x) && Number.isFinite(y)) {
+        xs.push({ x: Number(x.toFixed(6)), y: Number(y.toFixed(6)) });
+      }
+    }
+    return xs;
+  }, [a, b, f]);
+
+  // Keeps the curve readable when f blows up near a pole or a domain edge
+  const yDomain = useMemo(() => clipRange(sampleData.map((p) => p.y)), [sampleData]);
+
+  // Steepest slope of the plotted curve, with a safety margin
+  const estimatedL = useMemo(() => estimateLipschitz(sampleData), [sampleData]);
+
+  // The run is recomputed whenever f changes, so the result follows the
+  // parameter sliders live once Ejecutar has been pressed
+  const { result, domainError } = useMemo(
+    () => runInDomain(() => restoreLipschitz(
+      runArgs && goal && piyavskiiShubert(guardDomain(goal), runArgs.a, runArgs.b, runArgs.L, runArgs.tol, runArgs.maxIter),
+      direction
+    )),
+    [goal, direction, runArgs]
+  );
+
+  // Sawtooth bound drawn on the chart: the one the clicked row chose its
+  // point from, or by default the final one. It is built on the function
+  // being minimized, so it changes sign back when maximizing.
+  const envelope = useMemo(() => {
+    if (!result) return null;
+    const sign = direction === "max" ? -1 : 1;
+    const step = result.history.find((h) => h.iter === selectedIter) || null;
+    const evaluations = step ? result.evaluations.slice(0, step.iter + 1) : result.evaluations;
+    const data = sawtooth(evaluations.map(([x, y]) => [x, sign * y]), runArgs.L).map(({ x, y }) => ({ x, y: sign * y }));
+    return { data, step };
+  }, [result, selectedIter, direction, runArgs]);
+
+  const run = () => {
+    // Nothing runs while the expression has a parse error
+    if (!f) return;
+
+    const na = Number(a);
+    const nb = Number(b);
+    const nL = constantMode === "manual" ? Number(manualL) : estimatedL;
+    const ntol = Number(tol);
+    const nmax = Number(maxIter);
+    if (!(na < nb)) {
+      alert("El límite izquierdo (a) debe ser menor que el derecho (b).");
+      return;
+    }
+    if (!(nL > 0)) {
+      alert("La constante de Lipschitz L debe ser positiva.");
+      return;
+    }
+    if (!(ntol > 0)) {
+      alert("La tolerancia debe ser positiva.");
+      return;
+    }
+
+    setSelectedIter(null);
+    setRunArgs({ a: na, b: nb, L: nL, tol: ntol, maxIter: nmax });
+  };
+
+  const boundLabel = BOUND_LABELS[direction];
+
+  return (
+    <div className="p-6 bg-gray-50 min-h-screen font-sans">
+      <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="max-w-5xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-2xl font-bold">Optimizador: Piyavskii–Shubert</h1>
+          <div className="text-sm text-gray-600">{DIRECTIONS[direction].title} global • Constante de Lipschitz</div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-1 bg-white p-4 rounded-2xl shadow-sm">
+            <ObjectiveControls objective={objective} />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Intervalo [a, b]</label>
+            <div className="flex gap-2 mt-2">
+              <input type="number" value={a} onChange={(e) => setA(e.target.value)} className="p-2 border rounded w-1/2" />
+              <input type="number" value={b} onChange={(e) => setB(e.target.value)} className="p-2 border rounded w-1/2" />
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Constante de Lipschitz (L)</label>
+            <select value={constantMode} onChange={(e) => setConstantMode(e.target.value)} className="mt-2 w-full p-2 border rounded">
+              {Object.entries(CONSTANT_MODES).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            {constantMode === "manual" ? (
+              <input type="number" step="any" value={manualL} onChange={(e) => setManualL(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+            ) : (
+              <div className="mt-2 text-xs text-gray-600">
+                L ≈ {estimatedL.toFixed(4)} (1.5 × la mayor pendiente entre puntos de la gráfica)
+              </div>
+            )}
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Tolerancia de la brecha</label>
+            <input type="number" step="any" value={tol} onChange={(e) => setTol(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Máx Iteraciones</label>
+            <input type="number" value={maxIter} onChange={(e) => setMaxIter(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <button onClick={run} disabled={!f} className="mt-4 w-full bg-indigo-600 text-white p-2 rounded-2xl hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed">Ejecutar</button>
+
+            {domainError && (
+              <div className="mt-4 text-sm bg-red-50 text-red-700 p-3 rounded">{domainError.message}</div>
+            )}
+
+            {result && (
+              <div className="mt-4 text-sm bg-gray-50 p-3 rounded">
+                <div className="font-medium text-indigo-700">{DIRECTIONS[direction].found} (global)</div>
+                <div><strong>x*:</strong> {result.xOpt.toFixed(6)}</div>
+                <div><strong>f(x*):</strong> {result.fOpt.toFixed(6)}</div>
+                <div><strong>Iteraciones:</strong> {result.history.length}</div>
+                <div><strong>L usada:</strong> {runArgs.L.toFixed(4)}</div>
+                {result.history.length > 0 && (
+                  <div><strong>{boundLabel} final:</strong> {result.history[result.history.length - 1].lowerBound.toFixed(6)}</div>
+                )}
+                {!result.converged && (
+                  <div className="mt-2 text-amber-700">Se alcanzó el máximo de iteraciones sin cerrar la brecha por debajo de la tolerancia.</div>
+                )}
+                {result.warning && <div className="mt-2 text-amber-700">{result.warning}</div>}
+              </div>
+            )}
+
+            <div className="mt-4 text-xs text-gray-500">Piyavskii–Shubert: con |f(x) − f(y)| ≤ L|x − y| cada evaluación da un cono bajo f; el máximo de los conos es una cota en diente de sierra. Se evalúa donde la cota es más baja y se para cuando la brecha entre el mejor valor y la cota es menor que la tolerancia.</div>
+          </div>
+
+          <div className="md:col-span-2 bg-white p-4 rounded-2xl shadow-sm">
+            <h2 className="text-lg font-medium mb-3">Gráfica y cota en diente de sierra</h2>
+            <div style={{ height: 360 }} className="w-full">
+              <ResponsiveContainer>
+                <LineChart data={sampleData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="x" domain={[a, b]} type="number" tickFormatter={(v) => v.toFixed(2)} />
+                  <YAxis domain={yDomain || undefined} allowDataOverflow={Boolean(yDomain)} />
+                  <Tooltip formatter={(value) => value.toFixed(6)} />
+                  <Line type="monotone" dataKey="y" dot={false} strokeWidth={2} />
+
+                  {/* Breakpoints of piecewise functions */}
+                  {breakpoints.map((x) => (
+                    <ReferenceLine key={x} x={x} stroke="#9C27B0" strokeDasharray="4 4" />
+                  ))}
+
+                  {/* Outside the domain of f: invalid sub-intervals and poles */}
+                  {domain.invalid.map(({ from, to }) => (
+                    <ReferenceArea key={from} x1={from} x2={to} fill="#F44336" fillOpacity={0.12} />
+                  ))}
+                  {domain.poles.map((x) => (
+                    <ReferenceLine key={`pole-${x}`} x={x} stroke="#F44336" strokeDasharray="2 2" />
+                  ))}
+
+                  {/* Feasible region of the constraints g(x) ≤ 0 */}
+                  {feasible.map(({ from, to }) => (
+                    <ReferenceArea key={`feasible-${from}`} x1={from} x2={to} fill="#4CAF50" fillOpacity={0.08} />
+                  ))}
+
+                  {result && (
+                    <>
+                      {/* Sawtooth bound and, for a clicked row, the valley it picked */}
+                      <Line data={envelope.data} type="linear" dataKey="y" dot={false} stroke="#009688" strokeWidth={1.5} strokeDasharray="5 3" />
+                      {envelope.step && (
+                        <Line
+                          data={[{ x: envelope.step.x, y: envelope.step.lowerBound }]}
+                          type="monotone"
+                          dataKey="y"
+                          stroke="none"
+                          dot={{ fill: "#009688", r: 5 }}
+                        />
+                      )}
+                      <Line
+                        data={result.evaluations.map(([x, y]) => ({ x, y }))}
+                        type="monotone"
+                        dataKey="y"
+                        stroke="none"
+                        dot={{ fill: "#FF5722", r: 3 }}
+                        connectNulls={false}
+                      />
+                      <Line
+                        data={[{ x: result.xOpt, y: result.fOpt }]}
+                        type="monotone"
+                        dataKey="y"
+                        stroke="none"
+                        dot={{ fill: "#FF0000", stroke: "#FFFFFF", strokeWidth: 3, r: 8 }}
+                        connectNulls={false}
+                      />
+                    </>
+                  )}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            {envelope && (
+              <div className="mt-2 text-xs text-teal-700">
+                {envelope.step
+                  ? `${boundLabel} antes de la iteración ${envelope.step.iter} (verde azulado): su punto extremo está en x = ${envelope.step.x.toFixed(6)}.`
+                  : `${boundLabel} final (verde azulado). Haz clic en una fila para ver la cota de esa iteración.`}
+              </div>
+            )}
+
+            {result ? (
+              <div className="mt-4 overflow-auto max-h-60">
+                <table className="w-full text-sm table-auto border-collapse">
+                  <thead>
+                    <tr className="bg-gray-100">
+                      <th className="px-2 py-1 text-left">Iter</th>
+                      <th className="px-2 py-1 text-left">x</th>
+                      <th className="px-2 py-1 text-left">f(x)</th>
+                      <th className="px-2 py-1 text-left">{boundLabel}</th>
+                      <th className="px-2 py-1 text-left">Mejor f</th>
+                      <th className="px-2 py-1 text-left">Brecha</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.history.map((h) => (
+                      <tr
+                        key={h.iter}
+                        onClick={() => setSelectedIter(h.iter === selectedIter ? null : h.iter)}
+                        className={`border-t cursor-pointer hover:bg-gray-50 ${h.iter === selectedIter ? "bg-teal-50" : ""}`}
+                      >
+                        <td className="px-2 py-1">{h.iter}</td>
+                        <td className="px-2 py-1">{h.x.toFixed(6)}</td>
+                        <td className="px-2 py-1">{h.fx.toFixed(6)}</td>
+                        <td className="px-2 py-1">{h.lowerBound.toFixed(6)}</td>
+                        <td className="px-2 py-1">{h.best.toFixed(6)}</td>
+                        <td className="px-2 py-1">{h.gap.toExponential(3)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <div className="mt-4 text-sm text-gray-500">Ejecuta la optimización para ver la progresión iterativa aquí.</div>
+            )}
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
@@ -0,0 +1,322 @@
+import React, { useState, useMemo } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer, ReferenceLine, ReferenceArea } from "recharts";
+import { motion } from "framer-motion";
+import { buildDerivatives } from "../lib/derivatives";
+import { guardDomain, runInDomain, clipRange } from "../lib/domain";
+import { DIRECTIONS, directed, negateKeys } from "../lib/direction";
+import { multiStart, splitInterval } from "../lib/multistart";
+import { useObjective, useLibraryInterval, useBreakpoints, useDomain, useFeasible } from "../hooks/useObjective";
+import ObjectiveControls from "./ObjectiveControls";
+import { LOCAL_METHODS, localRunner } from "../lib/localMethods";
+
+// A result computed on −f in terms of f (used when maximizing)
+function restoreMultiStart(result, direction) {
+  if (!result || direction !== "max") return result;
+  const minima = result.minima.map((m) => negateKeys(m, ["fx"]));
+  return {
+    runs: result.runs.map((r) => negateKeys(r, ["fOpt"])),
+    minima,
+    global: minima[result.minima.indexOf(result.global)] || null,
+  };
+}
+
+export default function MultiStartOptimizer() {
+  const objective = useObjective();
+  const { f, ast, params, goal, direction } = objective;
+  const [a, setA] = useState(-2);
+  const [b, setB] = useState(5);
+  const [count, setCount] = useState(10);
+  const [method, setMethod] = useState("golden");
+  const [tol, setTol] = useState(0.0001);
+  const [maxIter, setMaxIter] = useState(60);
+  const [radius, setRadius] = useState(0.01);
+  const [runArgs, setRunArgs] = useState(null);
+  useLibraryInterval(objective, setA, setB);
+  const breakpoints = useBreakpoints(objective, a, b);
+  const domain = useDomain(objective, a, b);
+  const feasible = useFeasible(objective, a, b);
+
+  const sampleData = useMemo(() => {
+    const samples = 400;
+    const xs = [];
+    const numA = Number(a);
+    const numB = Number(b);
+
+    // Only generate data if we have valid numbers
+    if (!f || isNaN(numA) || isNaN(numB) || numA >= numB) {
+      return [];
+    }
+
+    for (let i = 0; i <= samples; i++) {
+      const x = numA + (i / samples) * (numB - numA);
+      const y = f(x);
+      // Only add finite data points: the gaps are shaded as outside the domain
+      if (typeof x === 'number' && !isNaN(x) && Number.isFinite(y)) {
+        xs.push({ x: Number(x.toFixed(6)), y: Number(y.toFixed(6)) });
+      }
+    }
+    return xs;
+  }, [a, b, f]);
+
+  // Keeps the curve readable when f blows up near a pole or a domain edge
+  const yDomain = useMemo(() => clipRange(sampleData.map((p) => p.y)), [sampleData]);
+
+  // The run is recomputed whenever f changes, so the result follows the
+  // parameter sliders live once Ejecutar has been pressed
+  const { result, domainError } = useMemo(
+    () => runInDomain(() => {
+      if (!runArgs || !goal) return null;
+      // Newton uses the exact derivatives of the function being minimized
+      const derivatives = runArgs.method === "newton" ? buildDerivatives(ast, "ad", params) : null;
+      const localRun = localRunner(runArgs.method, runArgs.tol, runArgs.maxIter, () => ({
+        df: directed(derivatives.df, direction),
+        d2f: directed(derivatives.d2f, direction),
+      }));
+      return restoreMultiStart(multiStart(guardDomain(goal), runArgs.a, runArgs.b, runArgs.count, localRun, runArgs.radius), direction);
+    }),
+    [goal, ast, params, direction, runArgs]
+  );
+
+  // Subinterval edges of the run, or of the current settings before it
+  const edges = useMemo(() => {
+    const na = runArgs ? runArgs.a : Number(a);
+    const nb = runArgs ? runArgs.b : Number(b);
+    const n = runArgs ? runArgs.count : Math.floor(Number(count));
+    if (!(na < nb) || !(n >= 1) || n > 200) return [];
+    return splitInterval(na, nb, n).slice(1).map(([lo]) => lo);
+  }, [a, b, count, runArgs]);
+
+  const run = () => {
+    // Nothing runs while the expression has a parse error
+    if (!f) return;
+
+    const na = Number(a);
+    const nb = Number(b);
+    const ncount = Math.floor(Number(count));
+    const ntol = Number(tol);
+    const nmax = Number(maxIter);
+    const nradius = Number(radius);
+    if (!(na < nb)) {
+      alert("El límite izquierdo (a) debe ser menor que el derecho (b).");
+      return;
+    }
+    if (!(ncount >= 1 && ncount <= 200)) {
+      alert("El número de subintervalos debe estar entre 1 y 200.");
+      return;
+    }
+    if (!(nradius > 0)) {
+      alert("El radio de agrupamiento debe ser positivo.");
+      return;
+    }
+    if (!(ntol > 0)) {
+      alert("La tolerancia debe ser positiva.");
+      return;
+    }
+
+    setRunArgs({ a: na, b: nb, count: ncount, method, tol: ntol, maxIter: nmax, radius: nradius });
+  };
+
+  const { optimum } = DIRECTIONS[direction];
+
+  return (
+    <div className="p-6 bg-gray-50 min-h-screen font-sans">
+      <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="max-w-5xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-2xl font-bold">Optimizador: Multi-inicio global</h1>
+          <div className="text-sm text-gray-600">{DIRECTIONS[direction].title} global • Un método local por subintervalo</div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-1 bg-white p-4 rounded-2xl shadow-sm">
+            <ObjectiveControls objective={objective} />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Intervalo [a, b]</label>
+            <div className="flex gap-2 mt-2">
+              <input type="number" value={a} onChange={(e) => setA(e.target.value)} className="p-2 border rounded w-1/2" />
+              <input type="number" value={b} onChange={(e) => setB(e.target.value)} className="p-2 border rounded w-1/2" />
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Método local</label>
+            <select value={method} onChange={(e) => setMethod(e.target.value)} className="mt-2 w-full p-2 border rounded">
+              {Object.entries(LOCAL_METHODS).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Número de subintervalos</label>
+            <input type="number" value={count} onChange={(e) => setCount(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Tolerancia</label>
+            <input type="number" step="any" value={tol} onChange={(e) => setTol(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Máx Iteraciones</label>
+            <input type="number" value={maxIter} onChange={(e) => setMaxIter(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Radio de agrupamiento</label>
+            <input type="number" step="any" value={radius} onChange={(e) => setRadius(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <button onClick={run} disabled={!f} className="mt-4 w-full bg-indigo-600 text-white p-2 rounded-2xl hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed">Ejecutar</button>
+
+            {domainError && (
+              <div className="mt-4 text-sm bg-red-50 text-red-700 p-3 rounded">{domainError.message}</div>
+            )}
+
+            {result && (
+              <div className="mt-4 text-sm bg-gray-50 p-3 rounded">
+                {result.global ? (
+                  <>
+                    <div className="font-medium text-indigo-700">{DIRECTIONS[direction].found} (global)</div>
+                    <div><strong>x*:</strong> {result.global.x.toFixed(6)}</div>
+                    <div><strong>f(x*):</strong> {result.global.fx.toFixed(6)}</div>
+                  </>
+                ) : (
+                  <div className="text-amber-700">Ninguna corrida terminó en un {optimum} local.</div>
+                )}
+                <div><strong>Óptimos locales:</strong> {result.minima.length}</div>
+                <div><strong>Corridas:</strong> {result.runs.length} ({result.runs.filter((r) => r.minimum === null).length} descartadas)</div>
+              </div>
+            )}
+
+            <div className="mt-4 text-xs text-gray-500">Multi-inicio: divide [a, b] en subintervalos, ejecuta el método local en cada uno y agrupa los puntos a los que converge. Se descartan las corridas que terminan en el borde de su subintervalo sin ser un {optimum} local.</div>
+          </div>
+
+          <div className="md:col-span-2 bg-white p-4 rounded-2xl shadow-sm">
+            <h2 className="text-lg font-medium mb-3">Gráfica, subintervalos y óptimos locales</h2>
+            <div style={{ height: 360 }} className="w-full">
+              <ResponsiveContainer>
+                <LineChart data={sampleData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="x" domain={[a, b]} type="number" tickFormatter={(v) => v.toFixed(2)} />
+                  <YAxis domain={yDomain || undefined} allowDataOverflow={Boolean(yDomain)} />
+                  <Tooltip formatter={(value) => value.toFixed(6)} />
+                  <Line type="monotone" dataKey="y" dot={false} strokeWidth={2} />
+
+                  {/* Edges of the subintervals */}
+                  {edges.map((x) => (
+                    <ReferenceLine key={`edge-${x}`} x={x} stroke="#BDBDBD" strokeDasharray="3 3" />
+                  ))}
+
+                  {/* Breakpoints of piecewise functions */}
+                  {breakpoints.map((x) => (
+                    <ReferenceLine key={x} x={x} stroke="#9C27B0" strokeDasharray="4 4" />
+                  ))}
+
+                  {/* Outside the domain of f: invalid sub-intervals and poles */}
+                  {domain.invalid.map(({ from, to }) => (
+                    <ReferenceArea key={from} x1={from} x2={to} fill="#F44336" fillOpacity={0.12} />
+                  ))}
+                  {domain.poles.map((x) => (
+                    <ReferenceLine key={`pole-${x}`} x={x} stroke="#F44336" strokeDasharray="2 2" />
+                  ))}
+
+                  {/* Feasible region of the constraints g(x) ≤ 0 */}
+                  {feasible.map(({ from, to }) => (
+                    <ReferenceArea key={`feasible-${from}`} x1={from} x2={to} fill="#4CAF50" fillOpacity={0.08} />
+                  ))}
+
+                  {result && (
+                    <>
+                      {/* Where every run stopped */}
+                      <Line
+                        data={result.runs.map((r) => ({ x: r.xOpt, y: r.fOpt }))}
+                        type="monotone"
+                        dataKey="y"
+                        stroke="none"
+                        dot={{ fill: "#3F51B5", r: 3 }}
+                        connectNulls={false}
+                      />
+                      <Line
+                        data={result.minima.map((m) => ({ x: m.x, y: m.fx }))}
+                        type="monotone"
+                        dataKey="y"
+                        stroke="none"
+                        dot={{ fill: "#FF5722", r: 6 }}
+                        connectNulls={false}
+                      />
+                      {result.global && (
+                        <Line
+                          data={[{ x: result.global.x, y: result.global.fx }]}
+                          type="monotone"
+                          dataKey="y"
+                          stroke="none"
+                          dot={{ fill: "#FF0000", stroke: "#FFFFFF", strokeWidth: 3, r: 8 }}
+                          connectNulls={false}
+                        />
+                      )}
+                    </>
+                  )}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            {result ? (
+              <>
+                <div className="mt-4 overflow-auto max-h-60">
+                  <div className="text-sm font-medium text-gray-700 mb-1">Óptimos locales encontrados</div>
+                  <table className="w-full text-sm table-auto border-collapse">
+                    <thead>
+                      <tr className="bg-gray-100">
+                        <th className="px-2 py-1 text-left">#</th>
+                        <th className="px-2 py-1 text-left">x</th>
+                        <th className="px-2 py-1 text-left">f(x)</th>
+                        <th className="px-2 py-1 text-left">Corridas</th>
+                        <th className="px-2 py-1 text-left"></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {result.minima.map((m, i) => (
+                        <tr key={m.x} className={`border-t ${m === result.global ? "bg-red-50 font-medium" : ""}`}>
+                          <td className="px-2 py-1">{i + 1}</td>
+                          <td className="px-2 py-1">{m.x.toFixed(6)}</td>
+                          <td className="px-2 py-1">{m.fx.toFixed(6)}</td>
+                          <td className="px-2 py-1">{m.runs.join(", ")}</td>
+                          <td className="px-2 py-1">
+                            {m === result.global && <span className="px-2 py-0.5 rounded text-xs bg-red-100 text-red-800">Global</span>}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                <div className="mt-4 overflow-auto max-h-60">
+                  <div className="text-sm font-medium text-gray-700 mb-1">Corridas por subintervalo</div>
+                  <table className="w-full text-sm table-auto border-collapse">
+                    <thead>
+                      <tr className="bg-gray-100">
+                        <th className="px-2 py-1 text-left">Corrida</th>
+                        <th className="px-2 py-1 text-left">Subintervalo</th>
+                        <th className="px-2 py-1 text-left">x*</th>
+                        <th className="px-2 py-1 text-left">f(x*)</th>
+                        <th className="px-2 py-1 text-left">Iter</th>
+                        <th className="px-2 py-1 text-left">Óptimo</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {result.runs.map((r) => (
+                        <tr key={r.run} className="border-t">
+                          <td className="px-2 py-1">{r.run}</td>
+                          <td className="px-2 py-1">[{r.lo.toFixed(3)}, {r.hi.toFixed(3)}]</td>
+                          <td className="px-2 py-1">{r.xOpt.toFixed(6)}</td>
+                          <td className="px-2 py-1">{r.fOpt.toFixed(6)}</td>
+                          <td className="px-2 py-1">{r.iterations}</td>
+                          <td className="px-2 py-1">
+                            {r.minimum !== null ? `#${r.minimum}` : <span className="px-2 py-0.5 rounded text-xs bg-amber-100 text-amber-800">Descartada</span>}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            ) : (
+              <div className="mt-4 text-sm text-gray-500">Ejecuta la optimización para ver los óptimos locales aquí.</div>
+            )}
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
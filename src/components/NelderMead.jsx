@@ -0,0 +1,224 @@
+import React, { useState, useMemo } from "react";
+import { motion } from "framer-motion";
+import { guardSurface, runInDomain } from "../lib/domain";
+import { DIRECTIONS, restoreDirection, negateKeys } from "../lib/direction";
+import { nelderMead, SIMPLEX_STEPS } from "../lib/nelderMead";
+import { useSurface, useSurfaceWindow } from "../hooks/useSurface";
+import SurfaceControls from "./SurfaceControls";
+import ContourPlot from "./ContourPlot";
+
+const STEP_BADGES = {
+  initial: "bg-gray-100 text-gray-700",
+  reflection: "bg-indigo-100 text-indigo-800",
+  expansion: "bg-green-100 text-green-800",
+  outside: "bg-amber-100 text-amber-800",
+  inside: "bg-amber-100 text-amber-800",
+  shrink: "bg-red-100 text-red-800",
+};
+
+// Row of a run on −f in terms of f
+const restoreSimplexRow = (row) => ({ ...negateKeys(row, ["fPoint"]), values: row.values.map((v) => -v) });
+
+export default function NelderMeadOptimizer() {
+  const surface = useSurface();
+  const { f, goal, direction } = surface;
+  const [bounds, setBounds] = useState({ x0: -3, x1: 3, y0: -2, y1: 2 });
+  const [start, setStart] = useState({ x: 2.5, y: 1.5 });
+  const [size, setSize] = useState(0.5);
+  const [tol, setTol] = useState(0.000001);
+  const [maxIter, setMaxIter] = useState(200);
+  const [runArgs, setRunArgs] = useState(null);
+  const [selectedIter, setSelectedIter] = useState(null);
+  useSurfaceWindow(surface, setBounds, setStart);
+
+  const plotBounds = useMemo(
+    () => ({ x0: Number(bounds.x0), x1: Number(bounds.x1), y0: Number(bounds.y0), y1: Number(bounds.y1) }),
+    [bounds]
+  );
+
+  // The run is recomputed whenever f changes, so the result follows the
+  // parameter sliders live once Ejecutar has been pressed
+  const { result, domainError } = useMemo(
+    () => runInDomain(() => restoreDirection(
+      runArgs && goal && nelderMead(guardSurface(goal), runArgs.start, { size: runArgs.size, tol: runArgs.tol, maxIter: runArgs.maxIter }),
+      direction,
+      restoreSimplexRow
+    )),
+    [goal, direction, runArgs]
+  );
+
+  // The clicked row, by default the last one
+  const selected = result && (result.history.find((h) => h.iter === selectedIter) || result.history[result.history.length - 1]);
+
+  const run = () => {
+    // Nothing runs while the expression has a parse error
+    if (!f) return;
+
+    const { x0, x1, y0, y1 } = plotBounds;
+    const sx = Number(start.x);
+    const sy = Number(start.y);
+    const nSize = Number(size);
+    const nTol = Number(tol);
+    const nMaxIter = Number(maxIter);
+    if (!(x0 < x1) || !(y0 < y1)) {
+      alert("La ventana debe cumplir x mín < x máx e y mín < y máx.");
+      return;
+    }
+    if (!Number.isFinite(sx) || !Number.isFinite(sy)) {
+      alert("El punto inicial (x₀, y₀) debe ser numérico.");
+      return;
+    }
+    if (!(nSize > 0) || !(nTol > 0)) {
+      alert("El tamaño del símplex y la tolerancia deben ser positivos.");
+      return;
+    }
+
+    setSelectedIter(null);
+    setRunArgs({ start: [sx, sy], size: nSize, tol: nTol, maxIter: nMaxIter });
+  };
+
+  const setBound = (key) => (e) => setBounds({ ...bounds, [key]: e.target.value });
+
+  return (
+    <div className="p-6 bg-gray-50 min-h-screen font-sans">
+      <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="max-w-5xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-2xl font-bold">Optimizador: Nelder–Mead</h1>
+          <div className="text-sm text-gray-600">{DIRECTIONS[direction].title} bidimensional • sin derivadas</div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-1 bg-white p-4 rounded-2xl shadow-sm">
+            <SurfaceControls surface={surface} />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Ventana x</label>
+            <div className="flex gap-2 mt-2">
+              <input type="number" value={bounds.x0} onChange={setBound("x0")} className="p-2 border rounded w-1/2" />
+              <input type="number" value={bounds.x1} onChange={setBound("x1")} className="p-2 border rounded w-1/2" />
+            </div>
+            <label className="block text-sm font-medium text-gray-700 mt-2">Ventana y</label>
+            <div className="flex gap-2 mt-2">
+              <input type="number" value={bounds.y0} onChange={setBound("y0")} className="p-2 border rounded w-1/2" />
+              <input type="number" value={bounds.y1} onChange={setBound("y1")} className="p-2 border rounded w-1/2" />
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Punto inicial (x₀, y₀)</label>
+            <div className="flex gap-2 mt-2">
+              <input type="number" step="any" value={start.x} onChange={(e) => setStart({ ...start, x: e.target.value })} className="p-2 border rounded w-1/2" />
+              <input type="number" step="any" value={start.y} onChange={(e) => setStart({ ...start, y: e.target.value })} className="p-2 border rounded w-1/2" />
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Tamaño del símplex inicial</label>
+            <input type="number" step="any" value={size} onChange={(e) => setSize(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Tolerancia (tamaño y dispersión de f)</label>
+            <input type="number" step="any" value={tol} onChange={(e) => setTol(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Máx iteraciones</label>
+            <input type="number" value={maxIter} onChange={(e) => setMaxIter(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <button onClick={run} disabled={!f} className="mt-4 w-full bg-indigo-600 text-white p-2 rounded-2xl hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed">Ejecutar</button>
+
+            {domainError && (
+              <div className="mt-4 text-sm bg-red-50 text-red-700 p-3 rounded">{domainError.message}</div>
+            )}
+
+            {result && (
+              <div className="mt-4 text-sm bg-gray-50 p-3 rounded">
+                <div className="font-medium text-indigo-700">{DIRECTIONS[direction].found}</div>
+                <div><strong>(x*, y*):</strong> ({result.xOpt[0].toFixed(6)}, {result.xOpt[1].toFixed(6)})</div>
+                <div><strong>f(x*, y*):</strong> {result.fOpt.toFixed(6)}</div>
+                <div><strong>Iteraciones:</strong> {result.history.length - 1}</div>
+                {!result.converged && (
+                  <div className="mt-2 text-amber-700">Se alcanzó el máximo de iteraciones sin llegar a la tolerancia.</div>
+                )}
+              </div>
+            )}
+
+            <div className="mt-4 text-xs text-gray-500">
+              Coeficientes estándar: reflexión 1, expansión 2, contracción ½ y encogimiento ½ hacia el mejor vértice.
+            </div>
+          </div>
+
+          <div className="md:col-span-2 bg-white p-4 rounded-2xl shadow-sm">
+            <h2 className="text-lg font-medium mb-3">Curvas de nivel y símplex</h2>
+            <ContourPlot f={f} bounds={plotBounds}>
+              {(project) => {
+                const triangle = (simplex) => simplex.map((p) => project(p).map((v) => v.toFixed(1)).join(",")).join(" ");
+                const origin = project([Number(start.x), Number(start.y)]);
+                return (
+                  <>
+                    {result && result.history.map((h) => (
+                      <polygon key={h.iter} points={triangle(h.simplex)} fill="none" stroke="#3F51B5" strokeOpacity={0.35} strokeWidth={1} />
+                    ))}
+                    {!result && Number.isFinite(origin[0]) && Number.isFinite(origin[1]) && (
+                      <circle cx={origin[0]} cy={origin[1]} r={5} fill="#3F51B5" stroke="#FFFFFF" strokeWidth={2} />
+                    )}
+                    {selected && (() => {
+                      // The step is labelled at the vertex it accepted, or at
+                      // the best vertex for a shrink and the starting triangle
+                      const [lx, ly] = project(selected.point || selected.simplex[0]);
+                      return (
+                        <g>
+                          <polygon points={triangle(selected.simplex)} fill="#FF5722" fillOpacity={0.2} stroke="#FF5722" strokeWidth={2} />
+                          {selected.point && <circle cx={lx} cy={ly} r={4} fill="#FF5722" />}
+                          <text x={lx + 6} y={ly - 6} fontSize={12} fill="#FFFFFF" stroke="#333" strokeWidth={0.5}>
+                            {selected.iter}: {SIMPLEX_STEPS[selected.step]}
+                          </text>
+                        </g>
+                      );
+                    })()}
+                    {result && (() => {
+                      const [ox, oy] = project(result.xOpt);
+                      return <circle cx={ox} cy={oy} r={7} fill="#FF0000" stroke="#FFFFFF" strokeWidth={3} />;
+                    })()}
+                  </>
+                );
+              }}
+            </ContourPlot>
+
+            {result ? (
+              <div className="mt-4 overflow-auto max-h-60">
+                <table className="w-full text-sm table-auto border-collapse">
+                  <thead>
+                    <tr className="bg-gray-100">
+                      <th className="px-2 py-1 text-left">Iter</th>
+                      <th className="px-2 py-1 text-left">Paso</th>
+                      <th className="px-2 py-1 text-left">Punto aceptado</th>
+                      <th className="px-2 py-1 text-left">Mejor vértice</th>
+                      <th className="px-2 py-1 text-left">f mejor</th>
+                      <th className="px-2 py-1 text-left">f peor</th>
+                      <th className="px-2 py-1 text-left">Tamaño</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.history.map((h) => (
+                      <tr
+                        key={h.iter}
+                        onClick={() => setSelectedIter(h.iter)}
+                        className={`border-t cursor-pointer hover:bg-gray-50 ${h.iter === selected.iter ? "bg-orange-50" : ""}`}
+                      >
+                        <td className="px-2 py-1">{h.iter}</td>
+                        <td className="px-2 py-1">
+                          <span className={`px-2 py-0.5 rounded text-xs ${STEP_BADGES[h.step]}`}>{SIMPLEX_STEPS[h.step]}</span>
+                        </td>
+                        <td className="px-2 py-1">{h.point ? `(${h.point[0].toFixed(4)}, ${h.point[1].toFixed(4)})` : "—"}</td>
+                        <td className="px-2 py-1">({h.simplex[0][0].toFixed(4)}, {h.simplex[0][1].toFixed(4)})</td>
+                        <td className="px-2 py-1">{h.values[0].toFixed(6)}</td>
+                        <td className="px-2 py-1">{h.values[2].toFixed(6)}</td>
+                        <td className="px-2 py-1">{h.size.toExponential(3)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="mt-1 text-xs text-gray-500">Haz clic en una fila para resaltar su símplex (naranja) en la gráfica.</div>
+              </div>
+            ) : (
+              <div className="mt-4 text-sm text-gray-500">Ejecuta para ver cada símplex y su paso aquí.</div>
+            )}
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
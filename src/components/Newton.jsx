@@ -1,204 +1,176 @@
 import React, { useState, useMemo } from "react";
-import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer } from "recharts";
+import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer, ReferenceLine, ReferenceArea } from "recharts";
 import { motion } from "framer-motion";
+import { formatExpression } from "../lib/expression";
+import { derivative } from "../lib/symbolic";
+import { buildDerivatives, DERIVATIVE_MODES } from "../lib/derivatives";
+import { findBreakpoints, derivativeBreakAt } from "../lib/piecewise";
+import { guardDomain, runInDomain, clipRange } from "../lib/domain";
+import { DIRECTIONS, directed, restoreDirection, curvatureWarning } from "../lib/direction";
+import { runNewton } from "../lib/newton";
+import { useObjective, useLibraryInterval, useBreakpoints, useDomain, useFeasible } from "../hooks/useObjective";
+import ObjectiveControls from "./ObjectiveControls";
 
-// Predefined functions for safety and simplicity
-const FUNCTIONS = {
-  "Parabola (x-2)^2 + 1": (x) => (x - 2) * (x - 2) + 1,
-  "Multi-modal: (x-2)^2 + sin(5x)": (x) => (x - 2) * (x - 2) + Math.sin(5 * x),
-  "Rastrigin-like: x^2 + 5*cos(2x)": (x) => x * x + 5 * Math.cos(2 * x),
-  "Función personalizada": null, // Placeholder for custom function
+const NEWTON_STRATEGIES = {
+  pure: "Newton puro",
+  safeguarded: "Salvaguardado con intervalo [a, b]",
+  damped: "Amortiguado (Levenberg)",
 };
 
-// Derivative functions (hardcoded for safety)
-const DERIVATIVES = {
-  "Parabola (x-2)^2 + 1": (x) => 2 * (x - 2),
-  "Multi-modal: (x-2)^2 + sin(5x)": (x) => 2 * (x - 2) + 5 * Math.cos(5 * x),
-  "Rastrigin-like: x^2 + 5*cos(2x)": (x) => 2 * x - 10 * Math.sin(2 * x),
-  "Función personalizada": null, // Placeholder for custom derivative
+const FALLBACK_STEPS = {
+  bisection: "Bisección",
+  golden: "Sección áurea",
 };
 
-// Second derivative functions
-const SECOND_DERIVATIVES = {
-  "Parabola (x-2)^2 + 1": (x) => 2,
-  "Multi-modal: (x-2)^2 + sin(5x)": (x) => 2 - 25 * Math.sin(5 * x),
-  "Rastrigin-like: x^2 + 5*cos(2x)": (x) => 2 - 20 * Math.cos(2 * x),
-  "Función personalizada": null, // Placeholder for custom second derivative
+const STEP_KINDS = {
+  newton: { label: "Newton", className: "bg-indigo-100 text-indigo-800" },
+  bisection: { label: "Bisección", className: "bg-amber-100 text-amber-800" },
+  golden: { label: "Dorado", className: "bg-amber-100 text-amber-800" },
+  damped: { label: "Amortiguado", className: "bg-green-100 text-green-800" },
 };
 
-// Safe function parser that only allows basic mathematical operations
-function parseCustomFunction(funcString) {
-  try {
-    // Remove whitespace
-    funcString = funcString.trim();
-    
-    // Basic validation - only allow safe characters
-    const allowedChars = /^[x0-9+\-*/().\s,^sin|cos|tan|log|exp|sqrt|abs|pow|min|max]+$/;
-    if (!allowedChars.test(funcString)) {
-      throw new Error("Función contiene caracteres no permitidos");
-    }
-    
-    // Replace common mathematical functions and operators
-    let processedFunc = funcString
-      .replace(/\^/g, '**') // Convert ^ to ** for exponentiation
-      .replace(/sin\(/g, 'Math.sin(')
-      .replace(/cos\(/g, 'Math.cos(')
-      .replace(/tan\(/g, 'Math.tan(')
-      .replace(/log\(/g, 'Math.log(')
-      .replace(/exp\(/g, 'Math.exp(')
-      .replace(/sqrt\(/g, 'Math.sqrt(')
-      .replace(/abs\(/g, 'Math.abs(')
-      .replace(/pow\(/g, 'Math.pow(')
-      .replace(/min\(/g, 'Math.min(')
-      .replace(/max\(/g, 'Math.max(');
-    
-    // Create function
-    const func = new Function('x', `return ${processedFunc}`);
-    
-    // Test the function with a sample value
-    func(1);
-    
-    return func;
-  } catch (error) {
-    throw new Error(`Error en la función: ${error.message}`);
-  }
-}
-
-function newtonMethod(f, df, d2f, x0, tol = 1e-6, maxIter = 100) {
-  const history = [];
-  let x = x0;
-  
-  for (let iter = 0; iter < maxIter; iter++) {
-    const fx = f(x);
-    const dfx = df(x);
-    const d2fx = d2f(x);
-    
-    history.push({
-      iter: iter + 1,
-      x,
-      fx,
-      dfx,
-      d2fx,
-      step: dfx / d2fx
-    });
-    
-    if (Math.abs(dfx) < tol) break;
-    
-    if (Math.abs(d2fx) < 1e-12) {
-      alert("La segunda derivada es muy pequeña. El método de Newton puede no converger.");
-      break;
-    }
-    
-    const step = dfx / d2fx;
-    x = x - step;
-  }
-
-  const fOpt = f(x);
-  return { xOpt: x, fOpt, history };
-}
-
 export default function NewtonOptimizer() {
-  const [fnKey, setFnKey] = useState(Object.keys(FUNCTIONS)[1]);
-  const [customFunction, setCustomFunction] = useState("x^2 - 4*x + 3");
+  const objective = useObjective();
+  const { f, ast, params, goal, direction } = objective;
   const [x0, setX0] = useState(0);
   const [tol, setTol] = useState(0.000001);
   const [maxIter, setMaxIter] = useState(60);
-  const [result, setResult] = useState(null);
-
-  const f = useMemo(() => {
-    if (fnKey === "Función personalizada") {
-      try {
-        return parseCustomFunction(customFunction);
-      } catch (error) {
-        // Return a default function if parsing fails
-        return (x) => x * x;
-      }
-    }
-    return FUNCTIONS[fnKey];
-  }, [fnKey, customFunction]);
-  const df = useMemo(() => {
-    if (fnKey === "Función personalizada") {
-      // For custom functions, we'll use a simple numerical derivative approximation
-      return (x) => {
-        const h = 1e-6;
-        return (f(x + h) - f(x - h)) / (2 * h);
-      };
+  const [derivativeMode, setDerivativeMode] = useState("ad");
+  const [strategy, setStrategy] = useState("pure");
+  const [a, setA] = useState(-2);
+  const [b, setB] = useState(5);
+  const [fallback, setFallback] = useState("bisection");
+  const [runArgs, setRunArgs] = useState(null);
+  useLibraryInterval(objective, setA, setB);
+
+  // Simplified symbolic derivatives, shown for every function whatever the mode
+  const symbolicDerivatives = useMemo(() => ast && {
+    first: derivative(ast, 1),
+    second: derivative(ast, 2),
+  }, [ast]);
+
+  const { df, d2f } = useMemo(() => (ast ? buildDerivatives(ast, derivativeMode, params, f) : { df: null, d2f: null }), [ast, derivativeMode, params, f]);
+
+  // Every mode is run so switching modes swaps the table instantly. Once
+  // Ejecutar has been pressed the runs follow the parameter sliders live.
+  const results = useMemo(() => {
+    if (!runArgs || !ast) return null;
+    const runs = {};
+    for (const mode of Object.keys(DERIVATIVE_MODES)) {
+      const derivatives = buildDerivatives(ast, mode, params, f);
+      // Run on the function being minimized, recorded as values of f
+      runs[mode] = runInDomain(() => restoreDirection(
+        runNewton(
+          runArgs.strategy,
+          guardDomain(goal),
+          guardDomain(directed(derivatives.df, direction), "f'"),
+          guardDomain(directed(derivatives.d2f, direction), "f''"),
+          runArgs,
+          goal
+        ),
+        direction,
+        ["fx", "dfx", "d2fx"]
+      ));
     }
-    return DERIVATIVES[fnKey];
-  }, [fnKey, f]);
-
-  const d2f = useMemo(() => {
-    if (fnKey === "Función personalizada") {
-      // For custom functions, we'll use a simple numerical second derivative approximation
-      return (x) => {
-        const h = 1e-6;
-        return (f(x + h) - 2 * f(x) + f(x - h)) / (h * h);
-      };
+    return runs;
+  }, [ast, params, f, goal, direction, runArgs]);
+  const { result, domainError } = (results && results[derivativeMode]) || { result: null, domainError: null };
+
+  // f' = 0 at a minimum and at a maximum alike: f''(x*) tells them apart
+  const curvature = useMemo(() => (result && d2f ? curvatureWarning(d2f(result.xOpt), direction) : null), [result, d2f, direction]);
+
+  // Iterations that land on a breakpoint where f' jumps. Newton can leave the
+  // plotted window, so the breakpoints are searched over the iterates' range.
+  const derivativeBreaks = useMemo(() => {
+    if (!result) return [];
+    const xs = result.history.map((h) => h.x).filter(Number.isFinite);
+    const lo = Math.min(...xs) - runArgs.tol;
+    const hi = Math.max(...xs) + runArgs.tol;
+    const points = findBreakpoints(ast, params, lo, hi);
+    return result.history
+      .filter((h) => derivativeBreakAt(df, points, h.x, runArgs.tol) !== null)
+      .map((h) => h.iter);
+  }, [result, ast, params, df, runArgs]);
+
+  // Chart window: 6 units around x0, or the bracket in safeguarded mode,
+  // widened to the iterates (at most 10 units further on each side) so a
+  // step that shoots away is still visible
+  const [lo, hi] = useMemo(() => {
+    const numX0 = Number(x0);
+    const bracket = strategy === "safeguarded" && Number(a) < Number(b);
+    let min = bracket ? Number(a) : numX0 - 3;
+    let max = bracket ? Number(b) : numX0 + 3;
+    if (isNaN(min) || isNaN(max)) return [NaN, NaN];
+    if (result) {
+      const xs = result.history.map((h) => h.x);
+      min = Math.max(Math.min(min, ...xs), min - 10);
+      max = Math.min(Math.max(max, ...xs), max + 10);
     }
-    return SECOND_DERIVATIVES[fnKey];
-  }, [fnKey, f]);
+    return [min, max];
+  }, [x0, strategy, a, b, result]);
+
+  const breakpoints = useBreakpoints(objective, lo, hi);
+  const domain = useDomain(objective, lo, hi);
+  const feasible = useFeasible(objective, lo, hi);
 
   const sampleData = useMemo(() => {
     const samples = 300;
     const xs = [];
-    const numX0 = Number(x0);
-    const range = 6; // Show range around x0
     
     // Only generate data if we have valid numbers
-    if (isNaN(numX0)) {
+    if (!f || isNaN(lo) || isNaN(hi)) {
       return [];
     }
     
     for (let i = 0; i <= samples; i++) {
-      const x = numX0 - range/2 + (i / samples) * range;
+      const x = lo + (i / samples) * (hi - lo);
       const y = f(x);
-      // Only add valid data points
-      if (typeof x === 'number' && !isNaN(x) && typeof y === 'number' && !isNaN(y)) {
+      // Only add finite data points: the gaps are shaded as outside the domain
+      if (typeof x === 'number' && !isNaN(x) && Number.isFinite(y)) {
         xs.push({ x: Number(x.toFixed(6)), y: Number(y.toFixed(6)) });
       }
     }
     return xs;
-  }, [x0, f]);
+  }, [lo, hi, f]);
+
+  // Keeps the curve readable when f blows up near a pole or a domain edge
+  const yDomain = useMemo(() => clipRange(sampleData.map((p) => p.y)), [sampleData]);
 
   const derivativeData = useMemo(() => {
     const samples = 300;
     const xs = [];
-    const numX0 = Number(x0);
-    const range = 6;
     
     // Only generate data if we have valid numbers
-    if (isNaN(numX0)) {
+    if (!df || isNaN(lo) || isNaN(hi)) {
       return [];
     }
     
     for (let i = 0; i <= samples; i++) {
-      const x = numX0 - range/2 + (i / samples) * range;
+      const x = lo + (i / samples) * (hi - lo);
       const y = df(x);
-      // Only add valid data points
-      if (typeof x === 'number' && !isNaN(x) && typeof y === 'number' && !isNaN(y)) {
+      // Only add finite data points: the gaps are shaded as outside the domain
+      if (typeof x === 'number' && !isNaN(x) && Number.isFinite(y)) {
         xs.push({ x: Number(x.toFixed(6)), y: Number(y.toFixed(6)) });
       }
     }
     return xs;
-  }, [x0, df]);
+  }, [lo, hi, df]);
 
   const run = () => {
+    // Nothing runs while the expression has a parse error
+    if (!f) return;
+
     const nx0 = Number(x0);
     const ntol = Number(tol);
     const nmax = Number(maxIter);
-    
-    // Validate custom function if selected
-    if (fnKey === "Función personalizada") {
-      try {
-        parseCustomFunction(customFunction);
-      } catch (error) {
-        alert(`Error en la función personalizada: ${error.message}`);
-        return;
-      }
+    const na = Number(a);
+    const nb = Number(b);
+    if (strategy === "safeguarded" && !(na < nb)) {
+      alert("El límite izquierdo (a) debe ser menor que el derecho (b).");
+      return;
     }
     
-    const res = newtonMethod(f, df, d2f, nx0, ntol, nmax);
-    setResult(res);
+    setRunArgs({ x0: nx0, tol: ntol, maxIter: nmax, strategy, a: na, b: nb, fallback });
   };
 
   return (
@@ -206,37 +178,55 @@ export default function NewtonOptimizer() {
       <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="max-w-5xl mx-auto">
         <div className="flex justify-between items-center mb-6">
           <h1 className="text-2xl font-bold">Optimizador: Newton Unidimensional</h1>
-          <div className="text-sm text-gray-600">Minimización unidimensional • Método de Newton</div>
+          <div className="text-sm text-gray-600">{DIRECTIONS[direction].title} unidimensional • Método de Newton</div>
         </div>
 
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
           <div className="md:col-span-1 bg-white p-4 rounded-2xl shadow-sm">
-            <label className="block text-sm font-medium text-gray-700">Función</label>
-            <select value={fnKey} onChange={(e) => setFnKey(e.target.value)} className="mt-2 w-full p-2 border rounded">
-              {Object.keys(FUNCTIONS).map((k) => (
-                <option key={k} value={k}>
-                  {k}
+            <ObjectiveControls objective={objective} />
+
+            {symbolicDerivatives && (
+              <div className="mt-3 text-xs bg-gray-50 p-2 rounded font-mono break-all">
+                <div>f'(x) = {formatExpression(symbolicDerivatives.first)}</div>
+                <div>f''(x) = {formatExpression(symbolicDerivatives.second)}</div>
+              </div>
+            )}
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Derivadas</label>
+            <select value={derivativeMode} onChange={(e) => setDerivativeMode(e.target.value)} className="mt-2 w-full p-2 border rounded">
+              {Object.entries(DERIVATIVE_MODES).map(([mode, label]) => (
+                <option key={mode} value={mode}>
+                  {label}
                 </option>
               ))}
             </select>
 
-            {fnKey === "Función personalizada" && (
-              <div className="mt-3">
-                <label className="block text-sm font-medium text-gray-700">Ingresa tu función (usa 'x' como variable)</label>
-                <input 
-                  type="text" 
-                  value={customFunction} 
-                  onChange={(e) => setCustomFunction(e.target.value)}
-                  placeholder="Ej: x^2 - 4*x + 3"
-                  className="mt-1 w-full p-2 border rounded text-sm"
-                />
-                <div className="mt-1 text-xs text-gray-500">
-                  Funciones disponibles: sin, cos, tan, log, exp, sqrt, abs, pow, min, max
-                </div>
-                <div className="mt-1 text-xs text-gray-500">
-                  Operadores: +, -, *, /, ^ (potencia), paréntesis ()
+            <label className="block text-sm font-medium text-gray-700 mt-4">Estrategia</label>
+            <select value={strategy} onChange={(e) => setStrategy(e.target.value)} className="mt-2 w-full p-2 border rounded">
+              {Object.entries(NEWTON_STRATEGIES).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+
+            {strategy === "safeguarded" && (
+              <>
+                <label className="block text-sm font-medium text-gray-700 mt-4">Intervalo [a, b]</label>
+                <div className="flex gap-2 mt-2">
+                  <input type="number" value={a} onChange={(e) => setA(e.target.value)} className="p-2 border rounded w-1/2" />
+                  <input type="number" value={b} onChange={(e) => setB(e.target.value)} className="p-2 border rounded w-1/2" />
                 </div>
-              </div>
+
+                <label className="block text-sm font-medium text-gray-700 mt-4">Paso de respaldo</label>
+                <select value={fallback} onChange={(e) => setFallback(e.target.value)} className="mt-2 w-full p-2 border rounded">
+                  {Object.entries(FALLBACK_STEPS).map(([key, label]) => (
+                    <option key={key} value={key}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </>
             )}
 
             <label className="block text-sm font-medium text-gray-700 mt-4">Punto inicial (x₀)</label>
@@ -248,17 +238,59 @@ export default function NewtonOptimizer() {
             <label className="block text-sm font-medium text-gray-700 mt-4">Máx Iteraciones</label>
             <input type="number" value={maxIter} onChange={(e) => setMaxIter(e.target.value)} className="mt-2 p-2 border rounded w-full" />
 
-            <button onClick={run} className="mt-4 w-full bg-indigo-600 text-white p-2 rounded-2xl hover:bg-indigo-700">Ejecutar</button>
+            <button onClick={run} disabled={!f} className="mt-4 w-full bg-indigo-600 text-white p-2 rounded-2xl hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed">Ejecutar</button>
+
+            {domainError && (
+              <div className="mt-4 text-sm bg-red-50 text-red-700 p-3 rounded">{domainError.message}</div>
+            )}
 
             {result && (
               <div className="mt-4 text-sm bg-gray-50 p-3 rounded">
+                <div className="font-medium text-indigo-700">{DIRECTIONS[direction].found}</div>
                 <div><strong>x*:</strong> {result.xOpt.toFixed(6)}</div>
                 <div><strong>f(x*):</strong> {result.fOpt.toFixed(6)}</div>
                 <div><strong>Iteraciones:</strong> {result.history.length}</div>
+                {derivativeBreaks.length > 0 && (
+                  <div className="mt-2 text-amber-700">
+                    La derivada es discontinua en la(s) iteración(es) {derivativeBreaks.join(", ")}: el punto puede ser un quiebre y no un punto crítico.
+                  </div>
+                )}
+                {result.warning && <div className="mt-2 text-amber-700">{result.warning}</div>}
+                {curvature && <div className="mt-2 text-amber-700">{curvature}</div>}
               </div>
             )}
 
-            <div className="mt-4 text-xs text-gray-500">Método de Newton: utiliza la primera y segunda derivada para encontrar el mínimo. Convergencia cuadrática.</div>
+            {results && (
+              <div className="mt-4 overflow-auto">
+                <div className="text-xs font-medium text-gray-700 mb-1">Comparación de derivadas</div>
+                <table className="w-full text-xs table-auto border-collapse">
+                  <thead>
+                    <tr className="bg-gray-100">
+                      <th className="px-1 py-1 text-left">Modo</th>
+                      <th className="px-1 py-1 text-left">Iter</th>
+                      <th className="px-1 py-1 text-left">x*</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(results).map(([mode, { result: res }]) => (
+                      <tr key={mode} className={`border-t ${mode === derivativeMode ? "bg-indigo-50" : ""}`}>
+                        <td className="px-1 py-1">{DERIVATIVE_MODES[mode]}</td>
+                        {res ? (
+                          <>
+                            <td className="px-1 py-1">{res.history.length}</td>
+                            <td className="px-1 py-1">{res.xOpt.toFixed(8)}</td>
+                          </>
+                        ) : (
+                          <td colSpan={2} className="px-1 py-1 text-red-700">Fuera del dominio</td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <div className="mt-4 text-xs text-gray-500">Método de Newton: utiliza la primera y segunda derivada para encontrar el óptimo. Convergencia cuadrática. Las estrategias salvaguardada y amortiguada evitan que se aleje del intervalo o acabe en un punto crítico del tipo contrario.</div>
           </div>
 
           <div className="md:col-span-2 bg-white p-4 rounded-2xl shadow-sm">
@@ -267,11 +299,29 @@ export default function NewtonOptimizer() {
               <ResponsiveContainer>
                 <LineChart data={sampleData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
                   <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="x" type="number" tickFormatter={(v) => v.toFixed(2)} />
-                  <YAxis />
+                  <XAxis dataKey="x" domain={[lo, hi]} type="number" tickFormatter={(v) => v.toFixed(2)} />
+                  <YAxis domain={yDomain || undefined} allowDataOverflow={Boolean(yDomain)} />
                   <Tooltip formatter={(value) => value.toFixed(6)} />
                   <Line type="monotone" dataKey="y" dot={false} strokeWidth={2} stroke="#8884d8" />
 
+                  {/* Breakpoints of piecewise functions */}
+                  {breakpoints.map((x) => (
+                    <ReferenceLine key={x} x={x} stroke="#9C27B0" strokeDasharray="4 4" />
+                  ))}
+
+                  {/* Outside the domain of f: invalid sub-intervals and poles */}
+                  {domain.invalid.map(({ from, to }) => (
+                    <ReferenceArea key={from} x1={from} x2={to} fill="#F44336" fillOpacity={0.12} />
+                  ))}
+                  {domain.poles.map((x) => (
+                    <ReferenceLine key={`pole-${x}`} x={x} stroke="#F44336" strokeDasharray="2 2" />
+                  ))}
+
+                  {/* Feasible region of the constraints g(x) ≤ 0 */}
+                  {feasible.map(({ from, to }) => (
+                    <ReferenceArea key={`feasible-${from}`} x1={from} x2={to} fill="#4CAF50" fillOpacity={0.08} />
+                  ))}
+
                   {/* Derivative line */}
                   <Line 
                     data={derivativeData} 
@@ -285,6 +335,13 @@ export default function NewtonOptimizer() {
 
                   {result && (
                     <>
+                      {/* Bracket of the safeguarded run */}
+                      {runArgs.strategy === "safeguarded" && (
+                        <>
+                          <ReferenceLine x={runArgs.a} stroke="#607D8B" strokeDasharray="6 3" />
+                          <ReferenceLine x={runArgs.b} stroke="#607D8B" strokeDasharray="6 3" />
+                        </>
+                      )}
                       <Line
                         data={result.history.map((h) => ({ x: h.x, y: h.fx }))}
                         type="monotone"
@@ -318,17 +375,23 @@ export default function NewtonOptimizer() {
                       <th className="px-2 py-1 text-left">f'(x)</th>
                       <th className="px-2 py-1 text-left">f''(x)</th>
                       <th className="px-2 py-1 text-left">Paso</th>
+                      <th className="px-2 py-1 text-left">Tipo</th>
                     </tr>
                   </thead>
                   <tbody>
                     {result.history.map((h) => (
-                      <tr key={h.iter} className="border-t">
+                      <tr key={h.iter} className={`border-t ${derivativeBreaks.includes(h.iter) ? "bg-amber-50" : ""}`}>
                         <td className="px-2 py-1">{h.iter}</td>
                         <td className="px-2 py-1">{h.x.toFixed(6)}</td>
                         <td className="px-2 py-1">{h.fx.toFixed(6)}</td>
                         <td className="px-2 py-1">{h.dfx.toFixed(6)}</td>
                         <td className="px-2 py-1">{h.d2fx.toFixed(6)}</td>
                         <td className="px-2 py-1">{h.step.toFixed(6)}</td>
+                        <td className="px-2 py-1 whitespace-nowrap">
+                          <span className={`px-2 py-0.5 rounded text-xs ${STEP_KINDS[h.kind].className}`}>{STEP_KINDS[h.kind].label}</span>
+                          {h.reason && <span className="ml-1 text-xs text-gray-500">({h.reason})</span>}
+                          {h.kind === "damped" && <span className="ml-1 text-xs text-gray-500">λ = {h.lambda.toExponential(2)}</span>}
+                        </td>
                       </tr>
                     ))}
                   </tbody>
@@ -0,0 +1,285 @@
+import React, { useState, useMemo } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer, ReferenceLine, ReferenceArea } from "recharts";
+import { motion } from "framer-motion";
+import { finiteDifferences } from "../lib/derivatives";
+import { guardDomain, runInDomain, clipRange } from "../lib/domain";
+import { DIRECTIONS, directed } from "../lib/direction";
+import { NOISE_TYPES, isNoisy, noiseDeviation, monteCarlo, spread } from "../lib/noise";
+import { useObjective, useLibraryInterval, useBreakpoints, useDomain, useFeasible } from "../hooks/useObjective";
+import ObjectiveControls from "./ObjectiveControls";
+import { LOCAL_METHODS, localRunner } from "../lib/localMethods";
+
+const METHOD_COLORS = {
+  golden: "#FF5722",
+  fibonacci: "#3F51B5",
+  brent: "#009688",
+  dichotomous: "#FF9800",
+  newton: "#03A9F4",
+};
+
+const MAX_RUNS = 1000;
+
+function formatValue(value) {
+  return value === null ? "—" : value.toFixed(6);
+}
+
+export default function NoiseMonteCarloOptimizer() {
+  const objective = useObjective();
+  const { f, exact, noise, direction } = objective;
+  const [a, setA] = useState(-2);
+  const [b, setB] = useState(5);
+  const [methods, setMethods] = useState(["golden", "fibonacci", "dichotomous", "brent"]);
+  const [runs, setRuns] = useState(50);
+  const [tol, setTol] = useState(0.0001);
+  const [maxIter, setMaxIter] = useState(100);
+  const [runArgs, setRunArgs] = useState(null);
+  useLibraryInterval(objective, setA, setB);
+  const breakpoints = useBreakpoints(objective, a, b);
+  const domain = useDomain(objective, a, b);
+  const feasible = useFeasible(objective, a, b);
+
+  // The noisy curve every method sees, with the exact one under it
+  const sampleData = useMemo(() => {
+    const samples = 400;
+    const xs = [];
+    const numA = Number(a);
+    const numB = Number(b);
+
+    // Only generate data if we have valid numbers
+    if (!f || isNaN(numA) || isNaN(numB) || numA >= numB) {
+      return [];
+    }
+
+    for (let i = 0; i <= samples; i++) {
+      const x = numA + (i / samples) * (numB - numA);
+      const y = f(x);
+      const exactY = exact(x);
+      // Only add finite data points: the gaps are shaded as outside the domain
+      if (typeof x === 'number' && !isNaN(x) && Number.isFinite(y)) {
+        xs.push({ x: Number(x.toFixed(6)), y: Number(y.toFixed(6)), exact: Number(exactY.toFixed(6)) });
+      }
+    }
+    return xs;
+  }, [a, b, f, exact]);
+
+  // Keeps the curve readable when f blows up near a pole or a domain edge
+  const yDomain = useMemo(() => clipRange(sampleData.map((p) => p.y)), [sampleData]);
+
+  // Every method runs once on the exact function, as the reference, and then
+  // once per seed on the noisy one. Newton uses finite differences of the
+  // noisy function: exact derivatives would hide the noise from it.
+  const { result, domainError } = useMemo(
+    () => runInDomain(() => {
+      if (!runArgs || !exact) return null;
+      return runArgs.methods.map((method) => {
+        const localRun = localRunner(method, runArgs.tol, runArgs.maxIter, finiteDifferences);
+        const solve = (g) => localRun(guardDomain(directed(g, direction)), runArgs.a, runArgs.b);
+        const reference = solve(exact).xOpt;
+        const { rows, x, evaluations } = monteCarlo(exact, noise, runArgs.runs, solve);
+        const points = rows.map((row) => ({ x: row.xOpt, y: exact(row.xOpt) }));
+        return { method, reference, rows, points, x, fx: spread(points.map((p) => p.y)), evaluations };
+      });
+    }),
+    [exact, noise, direction, runArgs]
+  );
+
+  const toggleMethod = (key) => {
+    setMethods((previous) => (previous.includes(key) ? previous.filter((m) => m !== key) : [...previous, key]));
+  };
+
+  const run = () => {
+    // Nothing runs while the expression has a parse error
+    if (!f) return;
+
+    const na = Number(a);
+    const nb = Number(b);
+    const nruns = Math.floor(Number(runs));
+    const ntol = Number(tol);
+    const nmax = Number(maxIter);
+    if (!(na < nb)) {
+      alert("El límite izquierdo (a) debe ser menor que el derecho (b).");
+      return;
+    }
+    if (methods.length === 0) {
+      alert("Elige al menos un método.");
+      return;
+    }
+    if (!(nruns >= 1 && nruns <= MAX_RUNS)) {
+      alert(`El número de corridas debe estar entre 1 y ${MAX_RUNS}.`);
+      return;
+    }
+    if (!(ntol > 0)) {
+      alert("La tolerancia debe ser positiva.");
+      return;
+    }
+
+    // Keeps the order of LOCAL_METHODS whatever the order they were ticked
+    const ordered = Object.keys(LOCAL_METHODS).filter((key) => methods.includes(key));
+    setRunArgs({ a: na, b: nb, methods: ordered, runs: nruns, tol: ntol, maxIter: nmax });
+  };
+
+  const noisy = isNoisy(noise);
+
+  return (
+    <div className="p-6 bg-gray-50 min-h-screen font-sans">
+      <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="max-w-5xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-2xl font-bold">Optimizador: Robustez al ruido</h1>
+          <div className="text-sm text-gray-600">{DIRECTIONS[direction].title} • Monte Carlo con semillas consecutivas</div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-1 bg-white p-4 rounded-2xl shadow-sm">
+            <ObjectiveControls objective={objective} />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Intervalo [a, b]</label>
+            <div className="flex gap-2 mt-2">
+              <input type="number" value={a} onChange={(e) => setA(e.target.value)} className="p-2 border rounded w-1/2" />
+              <input type="number" value={b} onChange={(e) => setB(e.target.value)} className="p-2 border rounded w-1/2" />
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Métodos</label>
+            <div className="mt-2 space-y-1">
+              {Object.entries(LOCAL_METHODS).map(([key, label]) => (
+                <label key={key} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input type="checkbox" checked={methods.includes(key)} onChange={() => toggleMethod(key)} />
+                  <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: METHOD_COLORS[key] }} />
+                  {label}
+                </label>
+              ))}
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Corridas (N)</label>
+            <input type="number" value={runs} onChange={(e) => setRuns(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Tolerancia</label>
+            <input type="number" step="any" value={tol} onChange={(e) => setTol(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Máx Iteraciones</label>
+            <input type="number" value={maxIter} onChange={(e) => setMaxIter(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <button onClick={run} disabled={!f} className="mt-4 w-full bg-indigo-600 text-white p-2 rounded-2xl hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed">Ejecutar</button>
+
+            {!noisy && (
+              <div className="mt-4 text-sm bg-amber-50 text-amber-700 p-3 rounded">Sin ruido todas las corridas dan el mismo x*: elige un tipo de ruido y una amplitud en «Ruido en las evaluaciones».</div>
+            )}
+
+            {domainError && (
+              <div className="mt-4 text-sm bg-red-50 text-red-700 p-3 rounded">{domainError.message}</div>
+            )}
+
+            {result && (
+              <div className="mt-4 text-sm bg-gray-50 p-3 rounded">
+                <div><strong>Ruido:</strong> {NOISE_TYPES[noise.type]}</div>
+                {noisy && (
+                  <>
+                    <div><strong>Desviación por evaluación:</strong> {noiseDeviation(noise).toPrecision(3)}</div>
+                    <div><strong>Semillas:</strong> {noise.seed} a {noise.seed + runArgs.runs - 1}</div>
+                  </>
+                )}
+                <div><strong>Corridas por método:</strong> {runArgs.runs}</div>
+              </div>
+            )}
+
+            <div className="mt-4 text-xs text-gray-500">Cada método se ejecuta N veces sobre f con ruido, cambiando solo la semilla, y una vez sobre f exacta como referencia. La dispersión de x* muestra cuánto lo afecta el ruido; promediar más repeticiones por evaluación la reduce a costa de más mediciones.</div>
+          </div>
+
+          <div className="md:col-span-2 bg-white p-4 rounded-2xl shadow-sm">
+            <h2 className="text-lg font-medium mb-3">Gráfica y x* de cada corrida</h2>
+            <div style={{ height: 360 }} className="w-full">
+              <ResponsiveContainer>
+                <LineChart data={sampleData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="x" domain={[a, b]} type="number" tickFormatter={(v) => v.toFixed(2)} />
+                  <YAxis domain={yDomain || undefined} allowDataOverflow={Boolean(yDomain)} />
+                  <Tooltip formatter={(value) => value.toFixed(6)} />
+                  {noisy && <Line type="linear" dataKey="y" dot={false} stroke="#BDBDBD" strokeWidth={1} />}
+                  <Line type="monotone" dataKey="exact" dot={false} strokeWidth={2} />
+
+                  {/* Breakpoints of piecewise functions */}
+                  {breakpoints.map((x) => (
+                    <ReferenceLine key={x} x={x} stroke="#9C27B0" strokeDasharray="4 4" />
+                  ))}
+
+                  {/* Outside the domain of f: invalid sub-intervals and poles */}
+                  {domain.invalid.map(({ from, to }) => (
+                    <ReferenceArea key={from} x1={from} x2={to} fill="#F44336" fillOpacity={0.12} />
+                  ))}
+                  {domain.poles.map((x) => (
+                    <ReferenceLine key={`pole-${x}`} x={x} stroke="#F44336" strokeDasharray="2 2" />
+                  ))}
+
+                  {/* Feasible region of the constraints g(x) ≤ 0 */}
+                  {feasible.map(({ from, to }) => (
+                    <ReferenceArea key={`feasible-${from}`} x1={from} x2={to} fill="#4CAF50" fillOpacity={0.08} />
+                  ))}
+
+                  {/* x* of every run on the exact curve, and the mean x* of each method */}
+                  {result &&
+                    result.map(({ method, points, x }) => (
+                      <React.Fragment key={method}>
+                        <Line
+                          data={points}
+                          type="monotone"
+                          dataKey="y"
+                          stroke="none"
+                          dot={{ fill: METHOD_COLORS[method], fillOpacity: 0.6, r: 4 }}
+                          connectNulls={false}
+                        />
+                        {x.mean !== null && <ReferenceLine x={x.mean} stroke={METHOD_COLORS[method]} strokeDasharray="4 2" />}
+                      </React.Fragment>
+                    ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            {result ? (
+              <div className="mt-4 overflow-auto max-h-72">
+                <div className="text-sm font-medium text-gray-700 mb-1">Resumen Monte Carlo de x*</div>
+                <table className="w-full text-sm table-auto border-collapse">
+                  <thead>
+                    <tr className="bg-gray-100">
+                      <th className="px-2 py-1 text-left">Método</th>
+                      <th className="px-2 py-1 text-left">x* sin ruido</th>
+                      <th className="px-2 py-1 text-left">Media x*</th>
+                      <th className="px-2 py-1 text-left">Desv. x*</th>
+                      <th className="px-2 py-1 text-left">[mín, máx]</th>
+                      <th className="px-2 py-1 text-left">Sesgo</th>
+                      <th className="px-2 py-1 text-left">f(x*) media</th>
+                      <th className="px-2 py-1 text-left">Evaluaciones</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.map(({ method, reference, x, fx, evaluations }) => (
+                      <tr key={method} className="border-t">
+                        <td className="px-2 py-1">
+                          <span className="inline-block w-3 h-3 rounded-full mr-1 align-middle" style={{ backgroundColor: METHOD_COLORS[method] }} />
+                          {LOCAL_METHODS[method]}
+                        </td>
+                        <td className="px-2 py-1">{formatValue(reference)}</td>
+                        <td className="px-2 py-1">{formatValue(x.mean)}</td>
+                        <td className="px-2 py-1">{formatValue(x.std)}</td>
+                        <td className="px-2 py-1">
+                          {x.n > 0 ? `[${x.min.toFixed(4)}, ${x.max.toFixed(4)}]` : "—"}
+                        </td>
+                        <td className="px-2 py-1">{x.mean === null ? "—" : (x.mean - reference).toExponential(2)}</td>
+                        <td className="px-2 py-1">{formatValue(fx.mean)}</td>
+                        <td className="px-2 py-1">
+                          {evaluations.mean.toFixed(1)}
+                          {noisy && noise.repeats > 1 && <span className="text-xs text-gray-500"> × {noise.repeats}</span>}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="mt-1 text-xs text-gray-500">f(x*) media es el valor exacto (sin ruido) en los x* hallados: mide cuánto se pierde por el ruido.</div>
+              </div>
+            ) : (
+              <div className="mt-4 text-sm text-gray-500">Ejecuta el Monte Carlo para comparar la dispersión de x* entre métodos.</div>
+            )}
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
@@ -0,0 +1,236 @@
+import React from "react";
+import { CUSTOM_FUNCTION_KEY } from "../hooks/useObjective";
+import { NOISE_TYPES, isNoisy, noiseDeviation } from "../lib/noise";
+import FunctionLibraryPanel from "./FunctionLibraryPanel";
+
+const SLIDER_RANGE = 10;
+
+// Slider plus number input for one free parameter of the expression
+export function ParameterSlider({ name, value, onChange }) {
+  const min = Math.min(-SLIDER_RANGE, value);
+  const max = Math.max(SLIDER_RANGE, value);
+
+  return (
+    <div className="mt-2">
+      <div className="flex items-center justify-between text-xs text-gray-700">
+        <span className="font-mono">{name}</span>
+        <input
+          type="number"
+          step="any"
+          value={value}
+          onChange={(e) => e.target.value !== "" && onChange(name, Number(e.target.value))}
+          className="w-24 p-1 border rounded text-xs"
+        />
+      </div>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={0.1}
+        value={value}
+        onChange={(e) => onChange(name, Number(e.target.value))}
+        className="w-full"
+      />
+    </div>
+  );
+}
+
+// Echo of the expression with the offending characters underlined in red.
+// An error at the end of the input (missing operand or parenthesis) is marked
+// with a placeholder so there is something to underline.
+export function ParseErrorHighlight({ source, error }) {
+  const start = Math.min(error.position, source.length);
+  const end = Math.min(start + error.length, source.length);
+  const marked = source.slice(start, end) || "␣";
+
+  return (
+    <div className="mt-1 p-2 bg-red-50 rounded text-xs">
+      <div className="font-mono whitespace-pre-wrap break-all text-gray-800">
+        {source.slice(0, start)}
+        <span className="text-red-600 underline decoration-wavy decoration-red-600">{marked}</span>
+        {source.slice(end)}
+      </div>
+      <div className="mt-1 text-red-600">{error.message}</div>
+    </div>
+  );
+}
+
+// Inequality constraints g(x) ≤ 0, one expression per row. Only the
+// penalty/barrier method enforces them; every chart shades where they hold.
+function ConstraintList({ objective }) {
+  const { constraintSources, setConstraintSources, constraintErrors } = objective;
+
+  const update = (index, value) => {
+    setConstraintSources(constraintSources.map((source, i) => (i === index ? value : source)));
+  };
+  const remove = (index) => {
+    setConstraintSources(constraintSources.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="mt-3">
+      <div className="flex justify-between items-center">
+        <label className="text-sm font-medium text-gray-700">Restricciones g(x) ≤ 0</label>
+        <button onClick={() => setConstraintSources([...constraintSources, ""])} className="text-xs text-indigo-600 hover:underline">
+          + Añadir
+        </button>
+      </div>
+      {constraintSources.map((source, i) => (
+        <div key={i} className="mt-1">
+          <div className="flex gap-1 items-center">
+            <span className="text-xs text-gray-600 w-8">g{i + 1}(x)</span>
+            <input
+              type="text"
+              value={source}
+              onChange={(e) => update(i, e.target.value)}
+              placeholder="Ej: x - 1"
+              className={`flex-1 p-1 border rounded text-sm ${constraintErrors[i] ? "border-red-500" : ""}`}
+            />
+            <span className="text-xs text-gray-600">≤ 0</span>
+            <button onClick={() => remove(i)} title="Quitar" className="px-1 text-red-600 hover:text-red-800">
+              ✕
+            </button>
+          </div>
+          {constraintErrors[i] && <ParseErrorHighlight source={source} error={constraintErrors[i]} />}
+        </div>
+      ))}
+      {constraintSources.length > 0 && (
+        <div className="mt-1 text-xs text-gray-500">La región factible se sombrea en verde; el método «Penalización / barrera» las respeta.</div>
+      )}
+    </div>
+  );
+}
+
+// Random error added to every evaluation of f. The settings apply live to
+// every method; the same seed always gives the same noisy function.
+function NoiseControls({ objective }) {
+  const { noise, setNoise } = objective;
+  const update = (key, value) => setNoise({ ...noise, [key]: value });
+
+  return (
+    <div className="mt-3">
+      <label className="block text-sm font-medium text-gray-700">Ruido en las evaluaciones</label>
+      <select value={noise.type} onChange={(e) => update("type", e.target.value)} className="mt-2 w-full p-2 border rounded">
+        {Object.entries(NOISE_TYPES).map(([key, label]) => (
+          <option key={key} value={key}>
+            {label}
+          </option>
+        ))}
+      </select>
+      {noise.type !== "none" && (
+        <>
+          <div className="flex gap-2 mt-2">
+            <div className="w-1/3">
+              <label className="block text-xs text-gray-600">Amplitud</label>
+              <input
+                type="number"
+                step="any"
+                min={0}
+                value={noise.amplitude}
+                onChange={(e) => e.target.value !== "" && update("amplitude", Math.max(0, Number(e.target.value)))}
+                className="p-1 border rounded w-full text-sm"
+              />
+            </div>
+            <div className="w-1/3">
+              <label className="block text-xs text-gray-600">Semilla</label>
+              <input
+                type="number"
+                value={noise.seed}
+                onChange={(e) => e.target.value !== "" && update("seed", Math.floor(Number(e.target.value)))}
+                className="p-1 border rounded w-full text-sm"
+              />
+            </div>
+            <div className="w-1/3">
+              <label className="block text-xs text-gray-600">Repeticiones</label>
+              <input
+                type="number"
+                min={1}
+                value={noise.repeats}
+                onChange={(e) => e.target.value !== "" && update("repeats", Math.max(1, Math.floor(Number(e.target.value))))}
+                className="p-1 border rounded w-full text-sm"
+              />
+            </div>
+          </div>
+          {isNoisy(noise) && (
+            <div className="mt-1 text-xs text-gray-500">
+              Cada evaluación promedia {noise.repeats} medición{noise.repeats === 1 ? "" : "es"}: desviación del error ≈ {noiseDeviation(noise).toPrecision(3)}. Las derivadas exactas (AD o simbólica) no ven el ruido; con «Diferencias finitas» Newton, Bisección, Secante y Raíces sí lo ven.
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Function selector shared by the optimizers: presets, custom expression,
+// constraints, noise and one control per free parameter. Takes the object
+// returned by useObjective.
+export default function ObjectiveControls({ objective }) {
+  const { fnKey, setFnKey, customFunction, setCustomFunction, isCustom, error, library, parameters, params, setParameter } = objective;
+
+  return (
+    <>
+      <label className="block text-sm font-medium text-gray-700">Función</label>
+      <select value={fnKey} onChange={(e) => setFnKey(e.target.value)} className="mt-2 w-full p-2 border rounded">
+        <optgroup label="Predefinidas">
+          {library.filter((e) => e.builtin).map((e) => (
+            <option key={e.name} value={e.name}>
+              {e.name}
+            </option>
+          ))}
+        </optgroup>
+        {library.some((e) => !e.builtin) && (
+          <optgroup label="Mis funciones">
+            {library.filter((e) => !e.builtin).map((e) => (
+              <option key={e.name} value={e.name}>
+                {e.name}
+              </option>
+            ))}
+          </optgroup>
+        )}
+        <option value={CUSTOM_FUNCTION_KEY}>{CUSTOM_FUNCTION_KEY}</option>
+      </select>
+
+      {isCustom && (
+        <div className="mt-3">
+          <label className="block text-sm font-medium text-gray-700">Ingresa tu función (usa 'x' como variable)</label>
+          <input
+            type="text"
+            value={customFunction}
+            onChange={(e) => setCustomFunction(e.target.value)}
+            placeholder="Ej: a*x^2 + b*sin(c*x)"
+            className={`mt-1 w-full p-2 border rounded text-sm ${error ? "border-red-500" : ""}`}
+          />
+          {error && <ParseErrorHighlight source={customFunction} error={error} />}
+          <div className="mt-1 text-xs text-gray-500">
+            Funciones disponibles: sin, cos, tan, asin, acos, atan, sinh, cosh, tanh, exp, log, log10, sqrt, abs, pow, min, max
+          </div>
+          <div className="mt-1 text-xs text-gray-500">
+            Operadores: +, -, *, /, ^ (potencia), paréntesis () • Constantes: pi, e
+          </div>
+          <div className="mt-1 text-xs text-gray-500">
+            Por tramos: if(x&lt;1, x^2, 2*x-1), piecewise(c1, v1, c2, v2, ..., otro) • Comparaciones: &lt;, &lt;=, &gt;, &gt;=, ==, !=
+          </div>
+          <div className="mt-1 text-xs text-gray-500">
+            Cualquier otro nombre (a, b, c, ...) es un parámetro ajustable
+          </div>
+        </div>
+      )}
+
+      <FunctionLibraryPanel objective={objective} />
+
+      <ConstraintList objective={objective} />
+
+      <NoiseControls objective={objective} />
+
+      {parameters.length > 0 && (
+        <div className="mt-3 p-2 bg-gray-50 rounded">
+          <div className="text-sm font-medium text-gray-700">Parámetros</div>
+          {parameters.map((name) => (
+            <ParameterSlider key={name} name={name} value={params[name]} onChange={setParameter} />
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
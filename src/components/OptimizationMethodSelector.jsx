@@ -6,6 +6,22 @@ import SequentialOptimizer from "./SequentialSearch";
 import DichotomousOptimizer from "./DichotomousSearch";
 import BisectionOptimizer from "./Bisection";
 import NewtonOptimizer from "./Newton";
+import SecantOptimizer from "./Secant";
+import BrentOptimizer from "./Brent";
+import QuadraticInterpolationOptimizer from "./QuadraticInterpolation";
+import MultiStartOptimizer from "./MultiStart";
+import LipschitzOptimizer from "./Lipschitz";
+import BranchAndBoundOptimizer from "./BranchAndBound";
+import StochasticOptimizer from "./StochasticSearch";
+import ConstrainedOptimizer from "./Constrained";
+import NoiseMonteCarloOptimizer from "./NoiseMonteCarlo";
+import Descent2DOptimizer from "./Descent2D";
+import NelderMeadOptimizer from "./NelderMead";
+import LineSearchOptimizer from "./LineSearch";
+import RootFinder from "./RootFinder";
+import { ObjectiveProvider, useObjectiveState } from "../hooks/useObjective";
+import { SurfaceProvider, useSurfaceState } from "../hooks/useSurface";
+import { DIRECTIONS } from "../lib/direction";
 
 const OPTIMIZATION_METHODS = {
   "Sección Aurea": GoldenSectionOptimizer,
@@ -14,12 +30,51 @@ const OPTIMIZATION_METHODS = {
   "Búsqueda dicotómica": DichotomousOptimizer,
   "Bisección": BisectionOptimizer,
   "Newton unidimensional": NewtonOptimizer,
+  "Secante": SecantOptimizer,
+  "Brent": BrentOptimizer,
+  "Interpolación cuadrática": QuadraticInterpolationOptimizer,
+  "Multi-inicio (global)": MultiStartOptimizer,
+  "Piyavskii–Shubert (Lipschitz)": LipschitzOptimizer,
+  "Ramificación y acotación (intervalos)": BranchAndBoundOptimizer,
+  "Recocido simulado / (1+1)-ES": StochasticOptimizer,
+  "Penalización / barrera": ConstrainedOptimizer,
+  "Robustez al ruido (Monte Carlo)": NoiseMonteCarloOptimizer,
+};
+
+const SURFACE_METHODS = {
+  "Gradiente / Newton 2D": Descent2DOptimizer,
+  "Nelder–Mead": NelderMeadOptimizer,
+  "Búsqueda lineal inexacta": LineSearchOptimizer,
+};
+
+const ROOT_FINDERS = {
+  "Raíces de f(x)": RootFinder,
+};
+
+// Each mode has its own list of methods; f(x) = 0 shares the objective of
+// the 1D optimizers
+const MODES = {
+  "1d": { label: "f(x)", title: "Optimizador Unidimensional", methods: OPTIMIZATION_METHODS },
+  "2d": { label: "f(x, y)", title: "Optimizador Bidimensional", methods: SURFACE_METHODS },
+  root: { label: "f(x) = 0", title: "Raíces de ecuaciones", methods: ROOT_FINDERS },
 };
 
 export default function OptimizationMethodSelector() {
+  const [mode, setMode] = useState("1d");
   const [selectedMethod, setSelectedMethod] = useState("Sección Aurea");
+  // The objectives live here so the selected or custom functions are kept
+  // when switching between methods and modes
+  const objective = useObjectiveState();
+  const { direction, setDirection } = objective;
+  const surface = useSurfaceState(direction);
 
-  const SelectedComponent = OPTIMIZATION_METHODS[selectedMethod];
+  const { methods, title } = MODES[mode];
+  const SelectedComponent = methods[selectedMethod];
+
+  const selectMode = (key) => {
+    setMode(key);
+    setSelectedMethod(Object.keys(MODES[key].methods)[0]);
+  };
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -28,23 +83,58 @@ export default function OptimizationMethodSelector() {
         <div className="max-w-5xl mx-auto px-6 py-4">
           <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
             <div>
-              <h1 className="text-2xl font-bold text-gray-900">Optimizador Unidimensional</h1>
-              <p className="text-sm text-gray-600 mt-1">Selecciona un método de optimización para minimizar funciones</p>
+              <h1 className="text-2xl font-bold text-gray-900">{title}</h1>
+              <p className="text-sm text-gray-600 mt-1">
+                {mode === "root"
+                  ? "Encuentra todas las raíces de f(x) = 0 en un intervalo"
+                  : `Selecciona un método de optimización para ${DIRECTIONS[direction].label.toLowerCase()} funciones`}
+              </p>
             </div>
             
             <div className="flex items-center gap-4">
+              <label className="text-sm font-medium text-gray-700">Modo:</label>
+              <div className="flex rounded-lg border border-gray-300 overflow-hidden text-sm">
+                {Object.entries(MODES).map(([key, { label }]) => (
+                  <button
+                    key={key}
+                    onClick={() => selectMode(key)}
+                    className={`px-3 py-2 font-mono ${mode === key ? "bg-indigo-600 text-white" : "bg-white text-gray-700 hover:bg-gray-50"}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
               <label className="text-sm font-medium text-gray-700">Método:</label>
               <select 
                 value={selectedMethod} 
                 onChange={(e) => setSelectedMethod(e.target.value)}
                 className="px-4 py-2 border border-gray-300 rounded-lg bg-white text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
               >
-                {Object.keys(OPTIMIZATION_METHODS).map((method) => (
+                {Object.keys(methods).map((method) => (
                   <option key={method} value={method}>
                     {method}
                   </option>
                 ))}
               </select>
+
+              {/* Root finding has no direction */}
+              {mode !== "root" && (
+                <>
+                  <label className="text-sm font-medium text-gray-700">Objetivo:</label>
+                  <div className="flex rounded-lg border border-gray-300 overflow-hidden text-sm">
+                    {Object.entries(DIRECTIONS).map(([key, { label }]) => (
+                      <button
+                        key={key}
+                        onClick={() => setDirection(key)}
+                        className={`px-3 py-2 ${direction === key ? "bg-indigo-600 text-white" : "bg-white text-gray-700 hover:bg-gray-50"}`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </>
+              )}
             </div>
           </div>
         </div>
@@ -56,39 +146,121 @@ export default function OptimizationMethodSelector() {
           <div className="text-sm text-indigo-800">
             <strong>Método seleccionado:</strong> {selectedMethod} - 
             {selectedMethod === "Sección Aurea" && " Utiliza la proporción áurea para dividir el intervalo de búsqueda de manera óptima."}
-            {selectedMethod === "Fibonacci" && " Emplea la secuencia de Fibonacci para determinar los puntos de evaluación de manera eficiente."}
-            {selectedMethod === "Búsqueda secuencial" && " Evalúa la función en puntos equidistantes para encontrar el mínimo mediante búsqueda exhaustiva."}
+            {selectedMethod === "Fibonacci" && " Emplea la secuencia de Fibonacci para determinar los puntos de evaluación de manera eficiente; n se fija directamente o a partir de la longitud final deseada L."}
+            {selectedMethod === "Búsqueda secuencial" && " Evalúa la función en puntos equidistantes para encontrar el óptimo mediante búsqueda exhaustiva."}
             {selectedMethod === "Búsqueda dicotómica" && " Divide el intervalo en dos partes iguales y evalúa puntos cercanos al centro."}
             {selectedMethod === "Bisección" && " Encuentra la raíz de la derivada (punto crítico) dividiendo el intervalo por la mitad."}
-            {selectedMethod === "Newton unidimensional" && " Utiliza la primera y segunda derivada para encontrar el mínimo con convergencia cuadrática."}
+            {selectedMethod === "Newton unidimensional" && " Utiliza la primera y segunda derivada para encontrar el óptimo con convergencia cuadrática."}
+            {selectedMethod === "Secante" && " Aplica la secante a f' para hallar un punto crítico sin segunda derivada (orden ≈ 1.618); la variante regula falsi conserva el cambio de signo."}
+            {selectedMethod === "Brent" && " Combina pasos de sección áurea con interpolación parabólica sucesiva: robusto como la sección áurea y rápido cerca del óptimo."}
+            {selectedMethod === "Interpolación cuadrática" && " Ajusta sucesivamente parábolas a tres puntos y se desplaza al vértice de cada una."}
+            {selectedMethod === "Multi-inicio (global)" && " Ejecuta un método local en cada subintervalo de [a, b] y agrupa los puntos hallados para listar todos los óptimos locales y señalar el global."}
+            {selectedMethod === "Piyavskii–Shubert (Lipschitz)" && " Con una constante de Lipschitz construye una cota en diente de sierra bajo f y evalúa donde es más baja: el resultado es global garantizado si L es válida."}
+            {selectedMethod === "Ramificación y acotación (intervalos)" && " Acota f en cada caja con aritmética de intervalos, divide la caja de cota más baja y descarta las que no pueden contener el óptimo: global garantizado sin necesidad de L."}
+            {selectedMethod === "Recocido simulado / (1+1)-ES" && " Da pasos aleatorios con semilla: el recocido acepta a veces pasos que empeoran f, con una probabilidad que baja al enfriarse, y la estrategia (1+1) solo acepta mejoras y adapta su paso; útiles en funciones multimodales."}
+            {selectedMethod === "Penalización / barrera" && " Respeta las restricciones g(x) ≤ 0 resolviendo una sucesión de problemas sin restricciones con el método interno elegido, penalizando o con barrera logarítmica."}
+            {selectedMethod === "Robustez al ruido (Monte Carlo)" && " Repite cada método N veces sobre f con ruido gaussiano o uniforme, cambiando solo la semilla, y resume la dispersión de x* frente al resultado sin ruido."}
+            {selectedMethod === "Gradiente / Newton 2D" && " Avanza por −∇f o por la dirección de Newton −H⁻¹∇f y en cada iteración minimiza exactamente f a lo largo de esa dirección con el método 1D elegido."}
+            {selectedMethod === "Nelder–Mead" && " Mueve un triángulo (símplex) por el plano con reflexiones, expansiones, contracciones y encogimientos, usando solo valores de f."}
+            {selectedMethod === "Búsqueda lineal inexacta" && " Desde un punto y una dirección de descenso busca un paso α que cumpla Armijo (retroceso) o las condiciones fuertes de Wolfe (ampliación y zoom con interpolación cúbica), como hacen los optimizadores reales."}
+            {selectedMethod === "Raíces de f(x)" && " Resuelve f(x) = 0 con bisección, regula falsi, Illinois, secante, Newton o Brent–Dekker en cada cambio de signo de f en [a, b] y lista todas las raíces."}
           </div>
           
           {/* Legend */}
-          <div className="mt-3 flex flex-wrap gap-4 text-xs">
-            <div className="flex items-center gap-2">
-              <div className="w-3 h-3 bg-red-500 rounded-full border-2 border-white"></div>
-              <span className="text-indigo-700"><strong>Punto mínimo encontrado</strong></span>
+          {mode === "1d" ? (
+            <div className="mt-3 flex flex-wrap gap-4 text-xs">
+              <div className="flex items-center gap-2">
+                <div className="w-3 h-3 bg-red-500 rounded-full border-2 border-white"></div>
+                <span className="text-indigo-700"><strong>Punto {DIRECTIONS[direction].optimum} encontrado</strong></span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-3 h-3 bg-orange-500 rounded-full"></div>
+                <span className="text-indigo-700">Puntos de evaluación</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-3 h-3 bg-blue-500 rounded-full"></div>
+                <span className="text-indigo-700">Puntos auxiliares</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-3 h-3 bg-sky-500 rounded-full"></div>
+                <span className="text-indigo-700">Fase de acotamiento (desde x₀)</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-3 h-0 border-t-2 border-dashed border-purple-600"></div>
+                <span className="text-indigo-700">Puntos de quiebre (funciones por tramos)</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-3 h-3 bg-red-500 opacity-25"></div>
+                <span className="text-indigo-700">Fuera del dominio de f (zonas y polos en rojo)</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-3 h-3 bg-green-500 opacity-25"></div>
+                <span className="text-indigo-700">Región factible de las restricciones</span>
+              </div>
             </div>
-            <div className="flex items-center gap-2">
-              <div className="w-3 h-3 bg-orange-500 rounded-full"></div>
-              <span className="text-indigo-700">Puntos de evaluación</span>
+          ) : mode === "root" ? (
+            <div className="mt-3 flex flex-wrap gap-4 text-xs">
+              <div className="flex items-center gap-2">
+                <div className="w-3 h-3 bg-red-500 rounded-full border-2 border-white"></div>
+                <span className="text-indigo-700"><strong>Raíces encontradas</strong></span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-3 h-3 bg-orange-500 rounded-full"></div>
+                <span className="text-indigo-700">Iteraciones de la raíz seleccionada</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-3 h-3 bg-sky-500 opacity-50"></div>
+                <span className="text-indigo-700">Subintervalos con cambio de signo</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-3 h-3 bg-red-500 opacity-25"></div>
+                <span className="text-indigo-700">Fuera del dominio de f (zonas y polos en rojo)</span>
+              </div>
             </div>
-            <div className="flex items-center gap-2">
-              <div className="w-3 h-3 bg-blue-500 rounded-full"></div>
-              <span className="text-indigo-700">Puntos auxiliares</span>
+          ) : (
+            <div className="mt-3 flex flex-wrap gap-4 text-xs">
+              <div className="flex items-center gap-2">
+                <div className="w-3 h-3 bg-red-500 rounded-full border-2 border-white"></div>
+                <span className="text-indigo-700"><strong>Punto {DIRECTIONS[direction].optimum} encontrado</strong></span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-3 h-3 bg-blue-500 rounded-full"></div>
+                <span className="text-indigo-700">Punto inicial</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-3 h-0 border-t-2 border-orange-500"></div>
+                <span className="text-indigo-700">Pasos (una búsqueda lineal por segmento)</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-3 h-3 bg-sky-500 opacity-50"></div>
+                <span className="text-indigo-700">Intervalo de la búsqueda lineal seleccionada</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-3 h-3 bg-orange-200 border border-orange-500"></div>
+                <span className="text-indigo-700">Símplex seleccionado (Nelder–Mead)</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-3 h-3 bg-green-500 rounded-full"></div>
+                <div className="w-3 h-3 bg-red-500 rounded-full"></div>
+                <span className="text-indigo-700">Pasos de prueba aceptados / rechazados (búsqueda inexacta)</span>
+              </div>
             </div>
-          </div>
+          )}
         </div>
       </div>
 
       {/* Selected optimization component */}
       <motion.div
-        key={selectedMethod}
+        key={`${mode}-${selectedMethod}`}
         initial={{ opacity: 0, y: 20 }}
         animate={{ opacity: 1, y: 0 }}
         transition={{ duration: 0.3 }}
       >
-        <SelectedComponent />
+        <ObjectiveProvider value={objective}>
+          <SurfaceProvider value={surface}>
+            <SelectedComponent />
+          </SurfaceProvider>
+        </ObjectiveProvider>
       </motion.div>
     </div>
   );
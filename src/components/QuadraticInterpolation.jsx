@@ -0,0 +1,314 @@
+import React, { useState, useMemo, useEffect } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer, ReferenceLine, ReferenceArea } from "recharts";
+import { motion } from "framer-motion";
+import { guardDomain, runInDomain, clipRange } from "../lib/domain";
+import { DIRECTIONS, restoreDirection, negateKeys, negatePoints } from "../lib/direction";
+import { parabolaCurve, quadraticInterpolation } from "../lib/parabola";
+import { useObjective, useBreakpoints, useDomain, useFeasible } from "../hooks/useObjective";
+import ObjectiveControls from "./ObjectiveControls";
+
+const DEGENERATE_MESSAGES = {
+  repeated: "Dos de los tres puntos coinciden: no hay una única parábola que pase por ellos.",
+  collinear: "Los tres puntos son colineales: la parábola degenera en una recta y no tiene vértice.",
+  concave: "La parábola es cóncava (abre hacia abajo): su vértice es un máximo, no un mínimo.",
+  convex: "La parábola es convexa (abre hacia arriba): su vértice es un mínimo, no un máximo.",
+};
+
+// Short form for the history table
+const DEGENERATE_LABELS = {
+  repeated: "Puntos repetidos",
+  collinear: "Colineales",
+  concave: "Parábola cóncava",
+  convex: "Parábola convexa",
+};
+
+// A row computed on −f in terms of f (used when maximizing). The parabolas
+// flip too, so a concave one of −f is a convex one of f.
+function restoreQuadraticRow(h) {
+  const row = negateKeys(h, ["fVertex"]);
+  row.points = negatePoints(h.points);
+  if (h.degenerate === "concave") row.degenerate = "convex";
+  return row;
+}
+
+export default function QuadraticInterpolationOptimizer() {
+  const objective = useObjective();
+  const { f, entry, goal, direction } = objective;
+  const [x1, setX1] = useState(-2);
+  const [x2, setX2] = useState(1.5);
+  const [x3, setX3] = useState(5);
+  const [tol, setTol] = useState(0.00001);
+  const [maxIter, setMaxIter] = useState(30);
+  const [runArgs, setRunArgs] = useState(null);
+  const [selectedIter, setSelectedIter] = useState(null);
+
+  // A library entry proposes its interval ends and midpoint as the triple
+  useEffect(() => {
+    if (entry) {
+      setX1(entry.a);
+      setX2((entry.a + entry.b) / 2);
+      setX3(entry.b);
+    }
+  }, [entry]);
+
+  // The run is recomputed whenever f changes, so the result follows the
+  // parameter sliders live once Ejecutar has been pressed
+  const { result, domainError } = useMemo(
+    () => runInDomain(() => restoreDirection(
+      runArgs && goal && quadraticInterpolation(guardDomain(goal), runArgs.x1, runArgs.x2, runArgs.x3, runArgs.tol, runArgs.maxIter),
+      direction,
+      restoreQuadraticRow
+    )),
+    [goal, direction, runArgs]
+  );
+
+  // Why the run stopped early, from the row that reported it
+  const warning = useMemo(() => {
+    const last = result && result.history[result.history.length - 1];
+    return last && last.degenerate ? DEGENERATE_MESSAGES[last.degenerate] : null;
+  }, [result]);
+
+  // Chart window: the starting triple with a margin, widened to every vertex
+  const [lo, hi] = useMemo(() => {
+    const xs = [x1, x2, x3].map(Number).filter(Number.isFinite);
+    if (result) {
+      result.history.forEach((h) => h.vertex !== null && xs.push(h.vertex));
+    }
+    if (xs.length === 0) return [-1, 1];
+    const min = Math.min(...xs);
+    const max = Math.max(...xs);
+    const margin = 0.15 * Math.max(max - min, 1);
+    return [min - margin, max + margin];
+  }, [x1, x2, x3, result]);
+
+  const breakpoints = useBreakpoints(objective, lo, hi);
+  const domain = useDomain(objective, lo, hi);
+  const feasible = useFeasible(objective, lo, hi);
+
+  const sampleData = useMemo(() => {
+    const samples = 300;
+    const xs = [];
+
+    // Only generate data if we have a valid function
+    if (!f) {
+      return [];
+    }
+
+    for (let i = 0; i <= samples; i++) {
+      const x = lo + (i / samples) * (hi - lo);
+      const y = f(x);
+      // Only add finite data points: the gaps are shaded as outside the domain
+      if (typeof x === 'number' && !isNaN(x) && Number.isFinite(y)) {
+        xs.push({ x: Number(x.toFixed(6)), y: Number(y.toFixed(6)) });
+      }
+    }
+    return xs;
+  }, [lo, hi, f]);
+
+  // Keeps the curve readable when f blows up near a pole or a domain edge
+  const yDomain = useMemo(() => clipRange(sampleData.map((p) => p.y)), [sampleData]);
+
+  // Every fitted parabola, drawn a little beyond its three points. The
+  // clicked row (by default the last one) is highlighted.
+  const parabolas = useMemo(() => {
+    if (!result) return [];
+    const fitted = result.history.filter((h) => h.vertex !== null);
+    const shown = fitted.some((h) => h.iter === selectedIter) ? selectedIter : fitted.length && fitted[fitted.length - 1].iter;
+    return fitted.map((h) => {
+      const xs = h.points.map(([x]) => x);
+      const span = Math.max(...xs) - Math.min(...xs);
+      const from = Math.max(lo, Math.min(...xs, h.vertex) - 0.25 * span);
+      const to = Math.min(hi, Math.max(...xs, h.vertex) + 0.25 * span);
+      return { iter: h.iter, data: parabolaCurve(h.points, from, to), highlighted: h.iter === shown };
+    });
+  }, [result, selectedIter, lo, hi]);
+
+  const run = () => {
+    // Nothing runs while the expression has a parse error
+    if (!f) return;
+
+    const n1 = Number(x1);
+    const n2 = Number(x2);
+    const n3 = Number(x3);
+    const ntol = Number(tol);
+    const nmax = Number(maxIter);
+    if (![n1, n2, n3].every(Number.isFinite)) {
+      alert("Los tres puntos iniciales deben ser números.");
+      return;
+    }
+
+    setSelectedIter(null);
+    setRunArgs({ x1: n1, x2: n2, x3: n3, tol: ntol, maxIter: nmax });
+  };
+
+  return (
+    <div className="p-6 bg-gray-50 min-h-screen font-sans">
+      <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="max-w-5xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-2xl font-bold">Optimizador: Interpolación cuadrática</h1>
+          <div className="text-sm text-gray-600">{DIRECTIONS[direction].title} unidimensional • Interpolación parabólica sucesiva</div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-1 bg-white p-4 rounded-2xl shadow-sm">
+            <ObjectiveControls objective={objective} />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Puntos iniciales (x₁, x₂, x₃)</label>
+            <div className="flex gap-2 mt-2">
+              <input type="number" step="any" value={x1} onChange={(e) => setX1(e.target.value)} className="p-2 border rounded w-1/3" />
+              <input type="number" step="any" value={x2} onChange={(e) => setX2(e.target.value)} className="p-2 border rounded w-1/3" />
+              <input type="number" step="any" value={x3} onChange={(e) => setX3(e.target.value)} className="p-2 border rounded w-1/3" />
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Tolerancia</label>
+            <input type="number" step="any" value={tol} onChange={(e) => setTol(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Máx Iteraciones</label>
+            <input type="number" value={maxIter} onChange={(e) => setMaxIter(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <button onClick={run} disabled={!f} className="mt-4 w-full bg-indigo-600 text-white p-2 rounded-2xl hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed">Ejecutar</button>
+
+            {domainError && (
+              <div className="mt-4 text-sm bg-red-50 text-red-700 p-3 rounded">{domainError.message}</div>
+            )}
+
+            {result && (
+              <div className="mt-4 text-sm bg-gray-50 p-3 rounded">
+                <div className="font-medium text-indigo-700">{DIRECTIONS[direction].found}</div>
+                <div><strong>x*:</strong> {result.xOpt.toFixed(6)}</div>
+                <div><strong>f(x*):</strong> {result.fOpt.toFixed(6)}</div>
+                <div><strong>Iteraciones:</strong> {result.history.length}</div>
+                {warning && <div className="mt-2 text-amber-700">{warning} Se devuelve el mejor punto evaluado.</div>}
+              </div>
+            )}
+
+            <div className="mt-4 text-xs text-gray-500">Interpolación cuadrática: ajusta una parábola a tres puntos, evalúa f en su vértice y reemplaza con él el peor de los tres. Haz clic en una fila para resaltar su parábola.</div>
+          </div>
+
+          <div className="md:col-span-2 bg-white p-4 rounded-2xl shadow-sm">
+            <h2 className="text-lg font-medium mb-3">Gráfica, parábolas ajustadas y vértices</h2>
+            <div style={{ height: 360 }} className="w-full">
+              <ResponsiveContainer>
+                <LineChart data={sampleData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="x" domain={[lo, hi]} type="number" tickFormatter={(v) => v.toFixed(2)} />
+                  <YAxis domain={yDomain || undefined} allowDataOverflow={Boolean(yDomain)} />
+                  <Tooltip formatter={(value) => value.toFixed(6)} />
+                  <Line type="monotone" dataKey="y" dot={false} strokeWidth={2} />
+
+                  {/* Breakpoints of piecewise functions */}
+                  {breakpoints.map((x) => (
+                    <ReferenceLine key={x} x={x} stroke="#9C27B0" strokeDasharray="4 4" />
+                  ))}
+
+                  {/* Outside the domain of f: invalid sub-intervals and poles */}
+                  {domain.invalid.map(({ from, to }) => (
+                    <ReferenceArea key={from} x1={from} x2={to} fill="#F44336" fillOpacity={0.12} />
+                  ))}
+                  {domain.poles.map((x) => (
+                    <ReferenceLine key={`pole-${x}`} x={x} stroke="#F44336" strokeDasharray="2 2" />
+                  ))}
+
+                  {/* Feasible region of the constraints g(x) ≤ 0 */}
+                  {feasible.map(({ from, to }) => (
+                    <ReferenceArea key={`feasible-${from}`} x1={from} x2={to} fill="#4CAF50" fillOpacity={0.08} />
+                  ))}
+
+                  {result && (
+                    <>
+                      {parabolas.map((p) => (
+                        <Line
+                          key={p.iter}
+                          data={p.data}
+                          type="monotone"
+                          dataKey="y"
+                          dot={false}
+                          stroke="#4CAF50"
+                          strokeWidth={p.highlighted ? 2.5 : 1}
+                          strokeOpacity={p.highlighted ? 1 : 0.35}
+                          strokeDasharray="6 3"
+                        />
+                      ))}
+                      <Line
+                        data={result.history.flatMap((h) => (h.iter === 1 ? h.points.map(([x, y]) => ({ x, y })) : []))}
+                        type="monotone"
+                        dataKey="y"
+                        stroke="none"
+                        dot={{ fill: "#3F51B5", r: 4 }}
+                        connectNulls={false}
+                      />
+                      <Line
+                        data={result.history.filter((h) => h.vertex !== null).map((h) => ({ x: h.vertex, y: h.fVertex }))}
+                        type="monotone"
+                        dataKey="y"
+                        stroke="none"
+                        dot={{ fill: "#FF5722", r: 4 }}
+                        connectNulls={false}
+                      />
+                      <Line
+                        data={[{ x: result.xOpt, y: result.fOpt }]}
+                        type="monotone"
+                        dataKey="y"
+                        stroke="none"
+                        dot={{ fill: "#FF0000", stroke: "#FFFFFF", strokeWidth: 3, r: 8 }}
+                        connectNulls={false}
+                      />
+                    </>
+                  )}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            {result ? (
+              <div className="mt-4 overflow-auto max-h-60">
+                <table className="w-full text-sm table-auto border-collapse">
+                  <thead>
+                    <tr className="bg-gray-100">
+                      <th className="px-2 py-1 text-left">Iter</th>
+                      <th className="px-2 py-1 text-left">x₁</th>
+                      <th className="px-2 py-1 text-left">f(x₁)</th>
+                      <th className="px-2 py-1 text-left">x₂</th>
+                      <th className="px-2 py-1 text-left">f(x₂)</th>
+                      <th className="px-2 py-1 text-left">x₃</th>
+                      <th className="px-2 py-1 text-left">f(x₃)</th>
+                      <th className="px-2 py-1 text-left">Vértice</th>
+                      <th className="px-2 py-1 text-left">f(vértice)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.history.map((h) => (
+                      <tr
+                        key={h.iter}
+                        onClick={() => h.vertex !== null && setSelectedIter(h.iter)}
+                        className={`border-t ${h.degenerate ? "bg-amber-50" : "cursor-pointer hover:bg-gray-50"} ${parabolas.some((p) => p.iter === h.iter && p.highlighted) ? "bg-green-50" : ""}`}
+                      >
+                        <td className="px-2 py-1">{h.iter}</td>
+                        {h.points.map(([x, fx], i) => (
+                          <React.Fragment key={i}>
+                            <td className="px-2 py-1">{x.toFixed(6)}</td>
+                            <td className="px-2 py-1">{fx.toFixed(6)}</td>
+                          </React.Fragment>
+                        ))}
+                        {h.degenerate ? (
+                          <td colSpan={2} className="px-2 py-1 text-amber-700">{DEGENERATE_LABELS[h.degenerate]}</td>
+                        ) : (
+                          <>
+                            <td className="px-2 py-1">{h.vertex.toFixed(6)}</td>
+                            <td className="px-2 py-1">{h.fVertex.toFixed(6)}</td>
+                          </>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <div className="mt-4 text-sm text-gray-500">Ejecuta la optimización para ver la progresión iterativa aquí.</div>
+            )}
+          </div>
+        </div>
+
+      </motion.div>
+    </div>
+  );
+}
@@ -0,0 +1,373 @@
+import React, { useState, useMemo } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer, ReferenceLine, ReferenceArea } from "recharts";
+import { motion } from "framer-motion";
+import { buildDerivatives, DERIVATIVE_MODES } from "../lib/derivatives";
+import { guardDomain, runInDomain, clipRange } from "../lib/domain";
+import { convergenceOrders, estimatedOrder } from "../lib/convergence";
+import { ROOT_METHODS, BRACKETED_METHODS, BRENT_STEPS, bisection, falsePosition, secant, newton, brentDekker, findRoots } from "../lib/roots";
+import { useObjective, useLibraryInterval, useBreakpoints, useDomain, useFeasible } from "../hooks/useObjective";
+import ObjectiveControls from "./ObjectiveControls";
+
+// Order each method should approach, shown next to the empirical one
+const EXPECTED_ORDERS = {
+  bisection: "1 (el intervalo se reduce a la mitad)",
+  regulaFalsi: "1",
+  illinois: "≈ 1.442",
+  secant: "≈ 1.618",
+  newton: "2",
+  brent: "≈ 1.618–1.839",
+};
+
+// The method as solve(lo, hi) on one sign change of g. The open methods start
+// from the ends (secant) or the midpoint (Newton) of the subinterval.
+function rootSolver(method, g, dg, tol, maxIter) {
+  switch (method) {
+    case "regulaFalsi":
+      return (lo, hi) => falsePosition(g, lo, hi, tol, maxIter);
+    case "illinois":
+      return (lo, hi) => falsePosition(g, lo, hi, tol, maxIter, true);
+    case "secant":
+      return (lo, hi) => secant(g, lo, hi, tol, maxIter);
+    case "newton":
+      return (lo, hi) => newton(g, dg, (lo + hi) / 2, tol, maxIter);
+    case "brent":
+      return (lo, hi) => brentDekker(g, lo, hi, tol, maxIter);
+    default:
+      return (lo, hi) => bisection(g, lo, hi, tol, maxIter);
+  }
+}
+
+export default function RootFinder() {
+  const objective = useObjective();
+  const { f, ast, params } = objective;
+  const [a, setA] = useState(-2);
+  const [b, setB] = useState(5);
+  const [method, setMethod] = useState("brent");
+  const [tol, setTol] = useState(0.0000000001);
+  const [maxIter, setMaxIter] = useState(100);
+  const [derivativeMode, setDerivativeMode] = useState("ad");
+  const [runArgs, setRunArgs] = useState(null);
+  const [selectedRoot, setSelectedRoot] = useState(0);
+  useLibraryInterval(objective, setA, setB);
+  const breakpoints = useBreakpoints(objective, a, b);
+  const domain = useDomain(objective, a, b);
+  const feasible = useFeasible(objective, a, b);
+
+  const { df } = useMemo(() => (ast ? buildDerivatives(ast, derivativeMode, params, f) : { df: null }), [ast, derivativeMode, params, f]);
+
+  const sampleData = useMemo(() => {
+    const samples = 300;
+    const xs = [];
+    const numA = Number(a);
+    const numB = Number(b);
+
+    // Only generate data if we have valid numbers
+    if (!f || isNaN(numA) || isNaN(numB) || numA >= numB) {
+      return [];
+    }
+
+    for (let i = 0; i <= samples; i++) {
+      const x = numA + (i / samples) * (numB - numA);
+      const y = f(x);
+      // Only add finite data points: the gaps are shaded as outside the domain
+      if (typeof x === 'number' && !isNaN(x) && Number.isFinite(y)) {
+        xs.push({ x: Number(x.toFixed(6)), y: Number(y.toFixed(6)) });
+      }
+    }
+    return xs;
+  }, [a, b, f]);
+
+  // Keeps the curve readable when f blows up near a pole or a domain edge
+  const yDomain = useMemo(() => clipRange(sampleData.map((p) => p.y)), [sampleData]);
+
+  // The run is recomputed whenever f changes, so the result follows the
+  // parameter sliders live once Ejecutar has been pressed. Every sign change
+  // of f in [a, b] gets its own run; an open method with no sign change to
+  // start from runs once from the ends of [a, b].
+  const { result, domainError } = useMemo(
+    () => runInDomain(() => {
+      if (!runArgs || !f) return null;
+      const solve = rootSolver(runArgs.method, guardDomain(f), guardDomain(df, "f'"), runArgs.tol, runArgs.maxIter);
+      const found = findRoots(f, runArgs.a, runArgs.b, solve, {
+        tol: Math.max(runArgs.tol, 1e-9),
+        open: !BRACKETED_METHODS.includes(runArgs.method),
+      });
+      for (const root of found.roots) {
+        const orders = convergenceOrders(root.history.map((h) => h.x));
+        root.history = root.history.map((h, i) => ({ ...h, order: orders[i] }));
+        root.order = estimatedOrder(root.history.map((h) => h.x));
+      }
+      return found;
+    }),
+    [f, df, runArgs]
+  );
+
+  const current = result && result.roots[Math.min(selectedRoot, result.roots.length - 1)];
+  // Poles, points outside [a, b] and runs that did not converge stay in the
+  // table but are not counted or marked as roots
+  const realRoots = result ? result.roots.filter((r) => r.converged && !r.pole && !r.outside) : [];
+  const isBracketed = runArgs && BRACKETED_METHODS.includes(runArgs.method);
+
+  const run = () => {
+    // Nothing runs while the expression has a parse error
+    if (!f) return;
+
+    const na = Number(a);
+    const nb = Number(b);
+    const ntol = Number(tol);
+    const nmax = Number(maxIter);
+    if (!(na < nb)) {
+      alert("El límite izquierdo (a) debe ser menor que el derecho (b).");
+      return;
+    }
+    if (!(ntol > 0)) {
+      alert("La tolerancia debe ser positiva.");
+      return;
+    }
+
+    setSelectedRoot(0);
+    setRunArgs({ a: na, b: nb, method, tol: ntol, maxIter: nmax });
+  };
+
+  return (
+    <div className="p-6 bg-gray-50 min-h-screen font-sans">
+      <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="max-w-5xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-2xl font-bold">Raíces: {ROOT_METHODS[method]}</h1>
+          <div className="text-sm text-gray-600">Resolver f(x) = 0 • todas las raíces con cambio de signo</div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-1 bg-white p-4 rounded-2xl shadow-sm">
+            <ObjectiveControls objective={objective} />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Método</label>
+            <select value={method} onChange={(e) => setMethod(e.target.value)} className="mt-2 w-full p-2 border rounded">
+              {Object.entries(ROOT_METHODS).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+
+            {method === "newton" && (
+              <>
+                <label className="block text-sm font-medium text-gray-700 mt-4">Derivada f'</label>
+                <select value={derivativeMode} onChange={(e) => setDerivativeMode(e.target.value)} className="mt-2 w-full p-2 border rounded">
+                  {Object.entries(DERIVATIVE_MODES).map(([mode, label]) => (
+                    <option key={mode} value={mode}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </>
+            )}
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Intervalo [a, b]</label>
+            <div className="flex gap-2 mt-2">
+              <input type="number" value={a} onChange={(e) => setA(e.target.value)} className="p-2 border rounded w-1/2" />
+              <input type="number" value={b} onChange={(e) => setB(e.target.value)} className="p-2 border rounded w-1/2" />
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Tolerancia</label>
+            <input type="number" step="any" value={tol} onChange={(e) => setTol(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Máx Iteraciones</label>
+            <input type="number" value={maxIter} onChange={(e) => setMaxIter(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <button onClick={run} disabled={!f} className="mt-4 w-full bg-indigo-600 text-white p-2 rounded-2xl hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed">Ejecutar</button>
+
+            {domainError && (
+              <div className="mt-4 text-sm bg-red-50 text-red-700 p-3 rounded">{domainError.message}</div>
+            )}
+
+            {result && (
+              <div className="mt-4 text-sm bg-gray-50 p-3 rounded">
+                <div className="font-medium text-indigo-700">
+                  {realRoots.length === 1 ? "1 raíz encontrada" : `${realRoots.length} raíces encontradas`}
+                </div>
+                <div><strong>Cambios de signo en [a, b]:</strong> {result.brackets.length}</div>
+                {current && (
+                  <>
+                    <div><strong>Raíz {selectedRoot + 1}, x*:</strong> {current.x.toFixed(10)}</div>
+                    <div><strong>f(x*):</strong> {current.gx.toExponential(3)}</div>
+                    <div><strong>Iteraciones:</strong> {current.history.length}</div>
+                    <div>
+                      <strong>Orden empírico:</strong> {current.order !== null ? current.order.toFixed(3) : "— (pocas iteraciones)"}
+                      <span className="text-gray-500"> (esperado {EXPECTED_ORDERS[runArgs.method]})</span>
+                    </div>
+                    {current.warning && <div className="mt-2 text-amber-700">{current.warning}</div>}
+                    {!current.converged && !current.warning && (
+                      <div className="mt-2 text-amber-700">Se alcanzó el máximo de iteraciones sin llegar a la tolerancia.</div>
+                    )}
+                  </>
+                )}
+                {result.brackets.length === 0 && isBracketed && (
+                  <div className="mt-2 text-amber-700">f no cambia de signo en [a, b]: este método necesita f(a)·f(b) &lt; 0. Prueba otro intervalo, o la secante o Newton.</div>
+                )}
+              </div>
+            )}
+
+            <div className="mt-4 text-xs text-gray-500">
+              Se muestrea f en [a, b] y el método se ejecuta en cada subintervalo donde cambia de signo. Las raíces dobles (f toca el eje sin cruzarlo) no producen cambio de signo.
+            </div>
+          </div>
+
+          <div className="md:col-span-2 bg-white p-4 rounded-2xl shadow-sm">
+            <h2 className="text-lg font-medium mb-3">Gráfica de f, cambios de signo y raíces</h2>
+            <div style={{ height: 360 }} className="w-full">
+              <ResponsiveContainer>
+                <LineChart data={sampleData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="x" domain={[a, b]} type="number" tickFormatter={(v) => v.toFixed(2)} />
+                  <YAxis domain={yDomain || undefined} allowDataOverflow={Boolean(yDomain)} />
+                  <Tooltip formatter={(value) => value.toFixed(6)} />
+                  <Line type="monotone" dataKey="y" dot={false} strokeWidth={2} />
+                  <ReferenceLine y={0} stroke="#9E9E9E" />
+
+                  {/* Breakpoints of piecewise functions */}
+                  {breakpoints.map((x) => (
+                    <ReferenceLine key={x} x={x} stroke="#9C27B0" strokeDasharray="4 4" />
+                  ))}
+
+                  {/* Outside the domain of f: invalid sub-intervals and poles */}
+                  {domain.invalid.map(({ from, to }) => (
+                    <ReferenceArea key={from} x1={from} x2={to} fill="#F44336" fillOpacity={0.12} />
+                  ))}
+                  {domain.poles.map((x) => (
+                    <ReferenceLine key={`pole-${x}`} x={x} stroke="#F44336" strokeDasharray="2 2" />
+                  ))}
+
+                  {/* Feasible region of the constraints g(x) ≤ 0 */}
+                  {feasible.map(({ from, to }) => (
+                    <ReferenceArea key={`feasible-${from}`} x1={from} x2={to} fill="#4CAF50" fillOpacity={0.08} />
+                  ))}
+
+                  {result && (
+                    <>
+                      {/* Sign changes the methods start from */}
+                      {result.brackets.map(({ lo, hi }) => (
+                        <ReferenceArea key={`bracket-${lo}`} x1={lo} x2={hi} fill="#03A9F4" fillOpacity={0.25} />
+                      ))}
+                      {realRoots.map((r) => (
+                        <ReferenceLine key={`root-${r.x}`} x={r.x} stroke="#FF0000" strokeOpacity={0.4} />
+                      ))}
+                      {current && (
+                        <Line
+                          data={current.history.map((h) => ({ x: h.x, y: f(h.x) }))}
+                          type="monotone"
+                          dataKey="y"
+                          stroke="none"
+                          dot={{ fill: "#FF5722", r: 4 }}
+                          connectNulls={false}
+                        />
+                      )}
+                      <Line
+                        data={realRoots.map((r) => ({ x: r.x, y: 0 }))}
+                        type="monotone"
+                        dataKey="y"
+                        stroke="none"
+                        dot={{ fill: "#FF0000", stroke: "#FFFFFF", strokeWidth: 3, r: 8 }}
+                        connectNulls={false}
+                      />
+                    </>
+                  )}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            {result && result.roots.length > 0 && (
+              <div className="mt-4 overflow-auto max-h-48">
+                <div className="text-sm font-medium text-gray-700 mb-1">Raíces en [a, b]</div>
+                <table className="w-full text-sm table-auto border-collapse">
+                  <thead>
+                    <tr className="bg-gray-100">
+                      <th className="px-2 py-1 text-left">#</th>
+                      <th className="px-2 py-1 text-left">Subintervalo</th>
+                      <th className="px-2 py-1 text-left">x*</th>
+                      <th className="px-2 py-1 text-left">f(x*)</th>
+                      <th className="px-2 py-1 text-left">Iteraciones</th>
+                      <th className="px-2 py-1 text-left">Estado</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.roots.map((r, i) => (
+                      <tr
+                        key={r.index}
+                        onClick={() => setSelectedRoot(i)}
+                        className={`border-t cursor-pointer hover:bg-gray-50 ${r === current ? "bg-orange-50" : ""}`}
+                      >
+                        <td className="px-2 py-1">{i + 1}</td>
+                        <td className="px-2 py-1">[{r.lo.toFixed(4)}, {r.hi.toFixed(4)}]</td>
+                        <td className="px-2 py-1">{r.x.toFixed(10)}</td>
+                        <td className="px-2 py-1">{r.gx.toExponential(3)}</td>
+                        <td className="px-2 py-1">{r.history.length}</td>
+                        <td className="px-2 py-1">
+                          {r.pole ? (
+                            <span className="px-2 py-0.5 rounded text-xs bg-red-100 text-red-800" title="f cambia de signo por una asíntota">Polo, no raíz</span>
+                          ) : r.outside ? (
+                            <span className="px-2 py-0.5 rounded text-xs bg-amber-100 text-amber-800">Fuera de [a, b]</span>
+                          ) : r.converged ? (
+                            <span className="px-2 py-0.5 rounded text-xs bg-green-100 text-green-800">Raíz</span>
+                          ) : (
+                            <span className="px-2 py-0.5 rounded text-xs bg-amber-100 text-amber-800">Sin converger</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="mt-1 text-xs text-gray-500">Haz clic en una raíz para ver sus iteraciones.</div>
+              </div>
+            )}
+
+            {current ? (
+              <div className="mt-4 overflow-auto max-h-60">
+                <div className="text-sm font-medium text-gray-700 mb-1">Iteraciones de la raíz {selectedRoot + 1}</div>
+                <table className="w-full text-sm table-auto border-collapse">
+                  <thead>
+                    <tr className="bg-gray-100">
+                      <th className="px-2 py-1 text-left">Iter</th>
+                      {isBracketed && <th className="px-2 py-1 text-left">[a, b]</th>}
+                      <th className="px-2 py-1 text-left">xₖ</th>
+                      <th className="px-2 py-1 text-left">f(xₖ)</th>
+                      <th className="px-2 py-1 text-left">{isBracketed && runArgs.method === "bisection" ? "b − a" : "|xₖ − xₖ₋₁|"}</th>
+                      <th className="px-2 py-1 text-left">q local</th>
+                      {(runArgs.method === "brent" || runArgs.method === "illinois") && <th className="px-2 py-1 text-left">Paso</th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {current.history.map((h) => (
+                      <tr key={h.iter} className="border-t">
+                        <td className="px-2 py-1">{h.iter}</td>
+                        {isBracketed && <td className="px-2 py-1">[{h.a.toFixed(6)}, {h.b.toFixed(6)}]</td>}
+                        <td className="px-2 py-1">{h.x.toFixed(10)}</td>
+                        <td className="px-2 py-1">{h.gx.toExponential(3)}</td>
+                        <td className="px-2 py-1">{h.error.toExponential(3)}</td>
+                        <td className="px-2 py-1">{h.order !== null ? h.order.toFixed(3) : "—"}</td>
+                        {runArgs.method === "brent" && (
+                          <td className="px-2 py-1">
+                            <span className={`px-2 py-0.5 rounded text-xs ${h.step === "bisection" ? "bg-amber-100 text-amber-800" : "bg-indigo-100 text-indigo-800"}`}>
+                              {BRENT_STEPS[h.step]}
+                            </span>
+                          </td>
+                        )}
+                        {runArgs.method === "illinois" && (
+                          <td className="px-2 py-1">
+                            {h.step === "illinois" && <span className="px-2 py-0.5 rounded text-xs bg-green-100 text-green-800" title="Se usó la mitad del valor del extremo retenido">f/2</span>}
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              !result && <div className="mt-4 text-sm text-gray-500">Ejecuta para ver las raíces y la progresión iterativa aquí.</div>
+            )}
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
@@ -0,0 +1,388 @@
+import React, { useState, useMemo } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer, ReferenceLine, ReferenceArea } from "recharts";
+import { motion } from "framer-motion";
+import { formatExpression } from "../lib/expression";
+import { derivative } from "../lib/symbolic";
+import { buildDerivatives, DERIVATIVE_MODES } from "../lib/derivatives";
+import { guardDomain, runInDomain, clipRange } from "../lib/domain";
+import { DIRECTIONS, directed, restoreDirection, curvatureWarning } from "../lib/direction";
+import { convergenceOrders, estimatedOrder } from "../lib/convergence";
+import { secant, falsePosition } from "../lib/roots";
+import { useObjective, useLibraryInterval, useBreakpoints, useDomain, useFeasible } from "../hooks/useObjective";
+import ObjectiveControls from "./ObjectiveControls";
+
+const SECANT_VARIANTS = {
+  secant: "Secante",
+  regulaFalsi: "Regula falsi (mantiene el cambio de signo)",
+};
+
+// Secant method on f': Newton's step x - f'(x) / f''(x) with f'' replaced
+// by the slope of the secant through the last two points, so only first
+// derivatives are needed. The regula-falsi variant draws the secant through
+// the ends of a bracket where f' changes sign and keeps the sign change,
+// trading the ≈1.618 order for guaranteed convergence. Both are the root
+// finders of roots.js run on f'; the rows add the secant points for the
+// chart and the order estimate. xOpt is null when regula falsi has no sign
+// change to start from.
+function secantMethod(f, df, x0, x1, tol = 1e-6, maxIter = 100, variant = "secant") {
+  const run = variant === "regulaFalsi" ? falsePosition(df, x0, x1, tol, maxIter) : secant(df, x0, x1, tol, maxIter);
+  const iterates = run.history.map((h) => h.x);
+  const orders = convergenceOrders(iterates);
+  const history = run.history.map((h, i) => {
+    const [[prev, gPrev], [curr, gCurr]] = h.through;
+    return { iter: h.iter, prev, gPrev, curr, gCurr, next: h.x, gNext: h.gx, order: orders[i] };
+  });
+  const xOpt = run.root;
+  return { xOpt, fOpt: xOpt === null ? null : f(xOpt), history, warning: run.warning, order: estimatedOrder(iterates) };
+}
+
+export default function SecantOptimizer() {
+  const objective = useObjective();
+  const { f, ast, params, goal, direction } = objective;
+  const [x0, setX0] = useState(-2);
+  const [x1, setX1] = useState(5);
+  const [tol, setTol] = useState(0.000001);
+  const [maxIter, setMaxIter] = useState(60);
+  const [derivativeMode, setDerivativeMode] = useState("ad");
+  const [variant, setVariant] = useState("secant");
+  const [runArgs, setRunArgs] = useState(null);
+  useLibraryInterval(objective, setX0, setX1);
+
+  // Simplified symbolic derivative, shown for every function whatever the mode
+  const symbolicDerivative = useMemo(() => ast && derivative(ast, 1), [ast]);
+
+  const { df, d2f } = useMemo(() => (ast ? buildDerivatives(ast, derivativeMode, params, f) : { df: null, d2f: null }), [ast, derivativeMode, params, f]);
+
+  // The run is recomputed whenever f changes, so the result follows the
+  // parameter sliders live once Ejecutar has been pressed
+  const { result, domainError } = useMemo(
+    () => runInDomain(() => restoreDirection(
+      runArgs && goal && secantMethod(
+        guardDomain(goal),
+        guardDomain(directed(df, direction), "f'"),
+        runArgs.x0,
+        runArgs.x1,
+        runArgs.tol,
+        runArgs.maxIter,
+        runArgs.variant
+      ),
+      direction,
+      ["gPrev", "gCurr", "gNext"]
+    )),
+    [goal, df, direction, runArgs]
+  );
+
+  // The secant finds any root of f': f''(x*) says whether it is the right kind
+  const curvature = useMemo(() => (result && result.xOpt !== null && d2f ? curvatureWarning(d2f(result.xOpt), direction) : null), [result, d2f, direction]);
+
+  // Chart window: the two starting points with a margin, widened to the
+  // iterates but not further than one extra span on each side, since the
+  // plain secant can jump far away
+  const [lo, hi] = useMemo(() => {
+    const n0 = Number(x0);
+    const n1 = Number(x1);
+    if (!Number.isFinite(n0) || !Number.isFinite(n1) || n0 === n1) return [-1, 1];
+    const span = Math.abs(n1 - n0);
+    let min = Math.min(n0, n1);
+    let max = Math.max(n0, n1);
+    if (result) {
+      const xs = result.history.map((h) => h.next);
+      min = Math.max(Math.min(min, ...xs), min - span);
+      max = Math.min(Math.max(max, ...xs), max + span);
+    }
+    const margin = 0.1 * (max - min);
+    return [min - margin, max + margin];
+  }, [x0, x1, result]);
+
+  const breakpoints = useBreakpoints(objective, lo, hi);
+  const domain = useDomain(objective, lo, hi);
+  const feasible = useFeasible(objective, lo, hi);
+
+  const sampleData = useMemo(() => {
+    const samples = 300;
+    const xs = [];
+
+    // Only generate data if we have a valid function
+    if (!f) {
+      return [];
+    }
+
+    for (let i = 0; i <= samples; i++) {
+      const x = lo + (i / samples) * (hi - lo);
+      const y = f(x);
+      // Only add finite data points: the gaps are shaded as outside the domain
+      if (typeof x === 'number' && !isNaN(x) && Number.isFinite(y)) {
+        xs.push({ x: Number(x.toFixed(6)), y: Number(y.toFixed(6)) });
+      }
+    }
+    return xs;
+  }, [lo, hi, f]);
+
+  const derivativeData = useMemo(() => {
+    const samples = 300;
+    const xs = [];
+
+    // Only generate data if we have a valid derivative
+    if (!df) {
+      return [];
+    }
+
+    for (let i = 0; i <= samples; i++) {
+      const x = lo + (i / samples) * (hi - lo);
+      const y = df(x);
+      // Only add finite data points: the gaps are shaded as outside the domain
+      if (typeof x === 'number' && !isNaN(x) && Number.isFinite(y)) {
+        xs.push({ x: Number(x.toFixed(6)), y: Number(y.toFixed(6)) });
+      }
+    }
+    return xs;
+  }, [lo, hi, df]);
+
+  // Keeps the curves readable when f or f' blow up near a pole
+  const yDomain = useMemo(
+    () => clipRange([...sampleData, ...derivativeData].map((p) => p.y)),
+    [sampleData, derivativeData]
+  );
+
+  // Each secant runs through (xₖ₋₁, f'(xₖ₋₁)) and (xₖ, f'(xₖ)) and meets
+  // the axis at xₖ₊₁; the three points are collinear, so sorting them by x
+  // gives the segment to draw
+  const secantLines = useMemo(() => {
+    if (!result) return [];
+    return result.history.map((h) => ({
+      iter: h.iter,
+      data: [
+        { x: h.prev, y: h.gPrev },
+        { x: h.curr, y: h.gCurr },
+        { x: h.next, y: 0 },
+      ].sort((p, q) => p.x - q.x),
+    }));
+  }, [result]);
+
+  const run = () => {
+    // Nothing runs while the expression has a parse error
+    if (!f) return;
+
+    const n0 = Number(x0);
+    const n1 = Number(x1);
+    const ntol = Number(tol);
+    const nmax = Number(maxIter);
+    if (!Number.isFinite(n0) || !Number.isFinite(n1) || n0 === n1) {
+      alert("Los dos puntos iniciales deben ser números distintos.");
+      return;
+    }
+
+    // Regula falsi needs a sign change of f', like bisection
+    if (variant === "regulaFalsi" && df(n0) * df(n1) > 0) {
+      alert("La derivada debe cambiar de signo entre los dos puntos para la variante regula falsi.");
+      return;
+    }
+
+    setRunArgs({ x0: n0, x1: n1, tol: ntol, maxIter: nmax, variant });
+  };
+
+  const isRegulaFalsi = result && runArgs.variant === "regulaFalsi";
+
+  return (
+    <div className="p-6 bg-gray-50 min-h-screen font-sans">
+      <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="max-w-5xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-2xl font-bold">Optimizador: Secante sobre f'</h1>
+          <div className="text-sm text-gray-600">{DIRECTIONS[direction].title} unidimensional • Solo primeras derivadas</div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-1 bg-white p-4 rounded-2xl shadow-sm">
+            <ObjectiveControls objective={objective} />
+
+            {symbolicDerivative && (
+              <div className="mt-3 text-xs bg-gray-50 p-2 rounded font-mono break-all">
+                f'(x) = {formatExpression(symbolicDerivative)}
+              </div>
+            )}
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Derivadas</label>
+            <select value={derivativeMode} onChange={(e) => setDerivativeMode(e.target.value)} className="mt-2 w-full p-2 border rounded">
+              {Object.entries(DERIVATIVE_MODES).map(([mode, label]) => (
+                <option key={mode} value={mode}>
+                  {label}
+                </option>
+              ))}
+            </select>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Variante</label>
+            <select value={variant} onChange={(e) => setVariant(e.target.value)} className="mt-2 w-full p-2 border rounded">
+              {Object.entries(SECANT_VARIANTS).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Puntos iniciales (x₀, x₁)</label>
+            <div className="flex gap-2 mt-2">
+              <input type="number" step="any" value={x0} onChange={(e) => setX0(e.target.value)} className="p-2 border rounded w-1/2" />
+              <input type="number" step="any" value={x1} onChange={(e) => setX1(e.target.value)} className="p-2 border rounded w-1/2" />
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Tolerancia</label>
+            <input type="number" step="any" value={tol} onChange={(e) => setTol(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Máx Iteraciones</label>
+            <input type="number" value={maxIter} onChange={(e) => setMaxIter(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <button onClick={run} disabled={!f} className="mt-4 w-full bg-indigo-600 text-white p-2 rounded-2xl hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed">Ejecutar</button>
+
+            {domainError && (
+              <div className="mt-4 text-sm bg-red-50 text-red-700 p-3 rounded">{domainError.message}</div>
+            )}
+
+            {result && (
+              <div className="mt-4 text-sm bg-gray-50 p-3 rounded">
+                {result.xOpt !== null && (
+                  <>
+                    <div className="font-medium text-indigo-700">{DIRECTIONS[direction].found}</div>
+                    <div><strong>x*:</strong> {result.xOpt.toFixed(6)}</div>
+                    <div><strong>f(x*):</strong> {result.fOpt.toFixed(6)}</div>
+                  </>
+                )}
+                <div><strong>Iteraciones:</strong> {result.history.length}</div>
+                <div>
+                  <strong>Orden de convergencia empírico:</strong>{" "}
+                  {result.order !== null ? result.order.toFixed(3) : "— (pocas iteraciones)"}
+                  <span className="text-gray-500"> (secante ≈ 1.618, regula falsi ≈ 1)</span>
+                </div>
+                {result.warning && <div className="mt-2 text-amber-700">{result.warning}</div>}
+                {curvature && <div className="mt-2 text-amber-700">{curvature}</div>}
+              </div>
+            )}
+
+            <div className="mt-4 text-xs text-gray-500">Método de la secante: busca un punto crítico (f'(x) = 0) aproximando f'' con la pendiente de la secante entre las dos últimas iteraciones.</div>
+          </div>
+
+          <div className="md:col-span-2 bg-white p-4 rounded-2xl shadow-sm">
+            <h2 className="text-lg font-medium mb-3">Gráfica de la función, su derivada y las secantes</h2>
+            <div style={{ height: 360 }} className="w-full">
+              <ResponsiveContainer>
+                <LineChart data={sampleData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="x" domain={[lo, hi]} type="number" tickFormatter={(v) => v.toFixed(2)} />
+                  <YAxis domain={yDomain || undefined} allowDataOverflow={Boolean(yDomain)} />
+                  <Tooltip formatter={(value) => value.toFixed(6)} />
+                  <Line type="monotone" dataKey="y" dot={false} strokeWidth={2} stroke="#8884d8" />
+                  <ReferenceLine y={0} stroke="#9E9E9E" />
+
+                  {/* Breakpoints of piecewise functions */}
+                  {breakpoints.map((x) => (
+                    <ReferenceLine key={x} x={x} stroke="#9C27B0" strokeDasharray="4 4" />
+                  ))}
+
+                  {/* Outside the domain of f: invalid sub-intervals and poles */}
+                  {domain.invalid.map(({ from, to }) => (
+                    <ReferenceArea key={from} x1={from} x2={to} fill="#F44336" fillOpacity={0.12} />
+                  ))}
+                  {domain.poles.map((x) => (
+                    <ReferenceLine key={`pole-${x}`} x={x} stroke="#F44336" strokeDasharray="2 2" />
+                  ))}
+
+                  {/* Feasible region of the constraints g(x) ≤ 0 */}
+                  {feasible.map(({ from, to }) => (
+                    <ReferenceArea key={`feasible-${from}`} x1={from} x2={to} fill="#4CAF50" fillOpacity={0.08} />
+                  ))}
+
+                  {/* Derivative line */}
+                  <Line
+                    data={derivativeData}
+                    type="monotone"
+                    dataKey="y"
+                    dot={false}
+                    strokeWidth={2}
+                    stroke="#82ca9d"
+                    strokeDasharray="5 5"
+                  />
+
+                  {result && (
+                    <>
+                      {/* Secant lines on f', the latest one darkest */}
+                      {secantLines.map((s, i) => (
+                        <Line
+                          key={s.iter}
+                          data={s.data}
+                          type="linear"
+                          dataKey="y"
+                          dot={false}
+                          stroke="#FF9800"
+                          strokeWidth={1.5}
+                          strokeOpacity={0.3 + (0.7 * (i + 1)) / secantLines.length}
+                        />
+                      ))}
+                      <Line
+                        data={result.history.map((h) => ({ x: h.next, y: 0 }))}
+                        type="monotone"
+                        dataKey="y"
+                        stroke="none"
+                        dot={{ fill: "#3F51B5", r: 3 }}
+                        connectNulls={false}
+                      />
+                      <Line
+                        data={result.history.map((h) => ({ x: h.next, y: f(h.next) }))}
+                        type="monotone"
+                        dataKey="y"
+                        stroke="none"
+                        dot={{ fill: "#FF5722", r: 4 }}
+                        connectNulls={false}
+                      />
+                      {result.xOpt !== null && (
+                        <Line
+                          data={[{ x: result.xOpt, y: result.fOpt }]}
+                          type="monotone"
+                          dataKey="y"
+                          stroke="none"
+                          dot={{ fill: "#FF0000", stroke: "#FFFFFF", strokeWidth: 3, r: 8 }}
+                          connectNulls={false}
+                        />
+                      )}
+                    </>
+                  )}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            {result ? (
+              <div className="mt-4 overflow-auto max-h-60">
+                <table className="w-full text-sm table-auto border-collapse">
+                  <thead>
+                    <tr className="bg-gray-100">
+                      <th className="px-2 py-1 text-left">Iter</th>
+                      <th className="px-2 py-1 text-left">{isRegulaFalsi ? "a" : "xₖ₋₁"}</th>
+                      <th className="px-2 py-1 text-left">{isRegulaFalsi ? "b" : "xₖ"}</th>
+                      <th className="px-2 py-1 text-left">{isRegulaFalsi ? "f'(b)" : "f'(xₖ)"}</th>
+                      <th className="px-2 py-1 text-left">xₖ₊₁</th>
+                      <th className="px-2 py-1 text-left">f'(xₖ₊₁)</th>
+                      <th className="px-2 py-1 text-left">q local</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.history.map((h) => (
+                      <tr key={h.iter} className="border-t">
+                        <td className="px-2 py-1">{h.iter}</td>
+                        <td className="px-2 py-1">{h.prev.toFixed(6)}</td>
+                        <td className="px-2 py-1">{h.curr.toFixed(6)}</td>
+                        <td className="px-2 py-1">{h.gCurr.toFixed(6)}</td>
+                        <td className="px-2 py-1">{h.next.toFixed(6)}</td>
+                        <td className="px-2 py-1">{h.gNext.toExponential(3)}</td>
+                        <td className="px-2 py-1">{h.order !== null ? h.order.toFixed(3) : "—"}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <div className="mt-4 text-sm text-gray-500">Ejecuta la optimización para ver la progresión iterativa aquí.</div>
+            )}
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
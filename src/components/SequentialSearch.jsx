@@ -1,52 +1,13 @@
 import React, { useState, useMemo } from "react";
-import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer } from "recharts";
+import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer, ReferenceLine, ReferenceArea } from "recharts";
 import { motion } from "framer-motion";
-
-// Predefined functions for safety and simplicity
-const FUNCTIONS = {
-  "Parabola (x-2)^2 + 1": (x) => (x - 2) * (x - 2) + 1,
-  "Multi-modal: (x-2)^2 + sin(5x)": (x) => (x - 2) * (x - 2) + Math.sin(5 * x),
-  "Rastrigin-like: x^2 + 5*cos(2x)": (x) => x * x + 5 * Math.cos(2 * x),
-  "Función personalizada": null, // Placeholder for custom function
-};
-
-// Safe function parser that only allows basic mathematical operations
-function parseCustomFunction(funcString) {
-  try {
-    // Remove whitespace
-    funcString = funcString.trim();
-    
-    // Basic validation - only allow safe characters
-    const allowedChars = /^[x0-9+\-*/().\s,^sin|cos|tan|log|exp|sqrt|abs|pow|min|max]+$/;
-    if (!allowedChars.test(funcString)) {
-      throw new Error("Función contiene caracteres no permitidos");
-    }
-    
-    // Replace common mathematical functions and operators
-    let processedFunc = funcString
-      .replace(/\^/g, '**') // Convert ^ to ** for exponentiation
-      .replace(/sin\(/g, 'Math.sin(')
-      .replace(/cos\(/g, 'Math.cos(')
-      .replace(/tan\(/g, 'Math.tan(')
-      .replace(/log\(/g, 'Math.log(')
-      .replace(/exp\(/g, 'Math.exp(')
-      .replace(/sqrt\(/g, 'Math.sqrt(')
-      .replace(/abs\(/g, 'Math.abs(')
-      .replace(/pow\(/g, 'Math.pow(')
-      .replace(/min\(/g, 'Math.min(')
-      .replace(/max\(/g, 'Math.max(');
-    
-    // Create function
-    const func = new Function('x', `return ${processedFunc}`);
-    
-    // Test the function with a sample value
-    func(1);
-    
-    return func;
-  } catch (error) {
-    throw new Error(`Error en la función: ${error.message}`);
-  }
-}
+import { guardDomain, runInDomain, clipRange } from "../lib/domain";
+import { DIRECTIONS, restoreDirection } from "../lib/direction";
+import { useObjective, useLibraryInterval, useBreakpoints, useDomain, useFeasible } from "../hooks/useObjective";
+import ObjectiveControls from "./ObjectiveControls";
+import BracketingPanel, { BracketingRows } from "./BracketingPanel";
+import { swannBracket } from "../lib/bracketing";
+import { useBracketing } from "../hooks/useBracketing";
 
 function sequentialSearch(f, a, b, n = 50) {
   const step = (b - a) / n;
@@ -77,24 +38,17 @@ function sequentialSearch(f, a, b, n = 50) {
 }
 
 export default function SequentialOptimizer() {
-  const [fnKey, setFnKey] = useState(Object.keys(FUNCTIONS)[1]);
-  const [customFunction, setCustomFunction] = useState("x^2 - 4*x + 3");
+  const objective = useObjective();
+  const { f, goal, direction } = objective;
   const [a, setA] = useState(-2);
   const [b, setB] = useState(5);
   const [n, setN] = useState(50);
-  const [result, setResult] = useState(null);
-
-  const f = useMemo(() => {
-    if (fnKey === "Función personalizada") {
-      try {
-        return parseCustomFunction(customFunction);
-      } catch (error) {
-        // Return a default function if parsing fails
-        return (x) => x * x;
-      }
-    }
-    return FUNCTIONS[fnKey];
-  }, [fnKey, customFunction]);
+  const [runArgs, setRunArgs] = useState(null);
+  useLibraryInterval(objective, setA, setB);
+  const breakpoints = useBreakpoints(objective, a, b);
+  const domain = useDomain(objective, a, b);
+  const feasible = useFeasible(objective, a, b);
+  const [bracketing, applyBracket] = useBracketing(a, b, setA, setB);
 
   const sampleData = useMemo(() => {
     const samples = 300;
@@ -103,22 +57,35 @@ export default function SequentialOptimizer() {
     const numB = Number(b);
     
     // Only generate data if we have valid numbers
-    if (isNaN(numA) || isNaN(numB) || numA >= numB) {
+    if (!f || isNaN(numA) || isNaN(numB) || numA >= numB) {
       return [];
     }
     
     for (let i = 0; i <= samples; i++) {
       const x = numA + (i / samples) * (numB - numA);
       const y = f(x);
-      // Only add valid data points
-      if (typeof x === 'number' && !isNaN(x) && typeof y === 'number' && !isNaN(y)) {
+      // Only add finite data points: the gaps are shaded as outside the domain
+      if (typeof x === 'number' && !isNaN(x) && Number.isFinite(y)) {
         xs.push({ x: Number(x.toFixed(6)), y: Number(y.toFixed(6)) });
       }
     }
     return xs;
   }, [a, b, f]);
 
+  // Keeps the curve readable when f blows up near a pole or a domain edge
+  const yDomain = useMemo(() => clipRange(sampleData.map((p) => p.y)), [sampleData]);
+
+  // The run is recomputed whenever f changes, so the result follows the
+  // parameter sliders live once Ejecutar has been pressed
+  const { result, domainError } = useMemo(
+    () => runInDomain(() => restoreDirection(runArgs && goal && sequentialSearch(guardDomain(goal), runArgs.a, runArgs.b, runArgs.n), direction, ["fx", "currentMinF"])),
+    [goal, direction, runArgs]
+  );
+
   const run = () => {
+    // Nothing runs while the expression has a parse error
+    if (!f) return;
+
     const na = Number(a);
     const nb = Number(b);
     const nn = Number(n);
@@ -131,18 +98,7 @@ export default function SequentialOptimizer() {
       return;
     }
     
-    // Validate custom function if selected
-    if (fnKey === "Función personalizada") {
-      try {
-        parseCustomFunction(customFunction);
-      } catch (error) {
-        alert(`Error en la función personalizada: ${error.message}`);
-        return;
-      }
-    }
-    
-    const res = sequentialSearch(f, na, nb, nn);
-    setResult(res);
+    setRunArgs({ a: na, b: nb, n: nn });
   };
 
   return (
@@ -150,59 +106,39 @@ export default function SequentialOptimizer() {
       <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="max-w-5xl mx-auto">
         <div className="flex justify-between items-center mb-6">
           <h1 className="text-2xl font-bold">Optimizador: Búsqueda Secuencial</h1>
-          <div className="text-sm text-gray-600">Minimización unidimensional • Búsqueda exhaustiva</div>
+          <div className="text-sm text-gray-600">{DIRECTIONS[direction].title} unidimensional • Búsqueda exhaustiva</div>
         </div>
 
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
           <div className="md:col-span-1 bg-white p-4 rounded-2xl shadow-sm">
-            <label className="block text-sm font-medium text-gray-700">Función</label>
-            <select value={fnKey} onChange={(e) => setFnKey(e.target.value)} className="mt-2 w-full p-2 border rounded">
-              {Object.keys(FUNCTIONS).map((k) => (
-                <option key={k} value={k}>
-                  {k}
-                </option>
-              ))}
-            </select>
-
-            {fnKey === "Función personalizada" && (
-              <div className="mt-3">
-                <label className="block text-sm font-medium text-gray-700">Ingresa tu función (usa 'x' como variable)</label>
-                <input 
-                  type="text" 
-                  value={customFunction} 
-                  onChange={(e) => setCustomFunction(e.target.value)}
-                  placeholder="Ej: x^2 - 4*x + 3"
-                  className="mt-1 w-full p-2 border rounded text-sm"
-                />
-                <div className="mt-1 text-xs text-gray-500">
-                  Funciones disponibles: sin, cos, tan, log, exp, sqrt, abs, pow, min, max
-                </div>
-                <div className="mt-1 text-xs text-gray-500">
-                  Operadores: +, -, *, /, ^ (potencia), paréntesis ()
-                </div>
-              </div>
-            )}
+            <ObjectiveControls objective={objective} />
 
             <label className="block text-sm font-medium text-gray-700 mt-4">Intervalo [a, b]</label>
             <div className="flex gap-2 mt-2">
               <input type="number" value={a} onChange={(e) => setA(e.target.value)} className="p-2 border rounded w-1/2" />
               <input type="number" value={b} onChange={(e) => setB(e.target.value)} className="p-2 border rounded w-1/2" />
             </div>
+            <BracketingPanel bracket={(x0, h) => restoreDirection(swannBracket(guardDomain(goal), x0, h), direction, ["fx"])} onBracket={applyBracket} disabled={!f} />
 
             <label className="block text-sm font-medium text-gray-700 mt-4">Número de puntos</label>
             <input type="number" value={n} onChange={(e) => setN(e.target.value)} className="mt-2 p-2 border rounded w-full" />
 
-            <button onClick={run} className="mt-4 w-full bg-indigo-600 text-white p-2 rounded-2xl hover:bg-indigo-700">Ejecutar</button>
+            <button onClick={run} disabled={!f} className="mt-4 w-full bg-indigo-600 text-white p-2 rounded-2xl hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed">Ejecutar</button>
+
+            {domainError && (
+              <div className="mt-4 text-sm bg-red-50 text-red-700 p-3 rounded">{domainError.message}</div>
+            )}
 
             {result && (
               <div className="mt-4 text-sm bg-gray-50 p-3 rounded">
+                <div className="font-medium text-indigo-700">{DIRECTIONS[direction].found}</div>
                 <div><strong>x*:</strong> {result.xOpt.toFixed(6)}</div>
                 <div><strong>f(x*):</strong> {result.fOpt.toFixed(6)}</div>
                 <div><strong>Evaluaciones:</strong> {result.history.length}</div>
               </div>
             )}
 
-            <div className="mt-4 text-xs text-gray-500">Búsqueda secuencial: evalúa la función en puntos equidistantes y encuentra el mínimo.</div>
+            <div className="mt-4 text-xs text-gray-500">Búsqueda secuencial: evalúa la función en puntos equidistantes y se queda con el mejor.</div>
           </div>
 
           <div className="md:col-span-2 bg-white p-4 rounded-2xl shadow-sm">
@@ -212,10 +148,39 @@ export default function SequentialOptimizer() {
                 <LineChart data={sampleData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis dataKey="x" domain={[a, b]} type="number" tickFormatter={(v) => v.toFixed(2)} />
-                  <YAxis />
+                  <YAxis domain={yDomain || undefined} allowDataOverflow={Boolean(yDomain)} />
                   <Tooltip formatter={(value) => value.toFixed(6)} />
                   <Line type="monotone" dataKey="y" dot={false} strokeWidth={2} />
 
+                  {/* Breakpoints of piecewise functions */}
+                  {breakpoints.map((x) => (
+                    <ReferenceLine key={x} x={x} stroke="#9C27B0" strokeDasharray="4 4" />
+                  ))}
+
+                  {/* Outside the domain of f: invalid sub-intervals and poles */}
+                  {domain.invalid.map(({ from, to }) => (
+                    <ReferenceArea key={from} x1={from} x2={to} fill="#F44336" fillOpacity={0.12} />
+                  ))}
+                  {domain.poles.map((x) => (
+                    <ReferenceLine key={`pole-${x}`} x={x} stroke="#F44336" strokeDasharray="2 2" />
+                  ))}
+
+                  {/* Feasible region of the constraints g(x) ≤ 0 */}
+                  {feasible.map(({ from, to }) => (
+                    <ReferenceArea key={`feasible-${from}`} x1={from} x2={to} fill="#4CAF50" fillOpacity={0.08} />
+                  ))}
+
+                  {/* Points of the bracketing phase */}
+                  {bracketing && (
+                    <Line
+                      data={bracketing.history.map((h) => ({ x: h.x, y: h.fx }))}
+                      type="monotone"
+                      dataKey="y"
+                      stroke="none"
+                      dot={{ fill: "#03A9F4", r: 4 }}
+                    />
+                  )}
+
                   {result && (
                     <>
                       <Line
@@ -253,6 +218,7 @@ export default function SequentialOptimizer() {
                     </tr>
                   </thead>
                   <tbody>
+                    <BracketingRows phase={bracketing} columns={5} />
                     {result.history.map((h) => (
                       <tr key={h.iter} className="border-t">
                         <td className="px-2 py-1">{h.iter}</td>
@@ -0,0 +1,475 @@
+import React, { useState, useMemo, useEffect } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer, ReferenceLine, ReferenceArea } from "recharts";
+import { motion } from "framer-motion";
+import { guardDomain, runInDomain, clipRange } from "../lib/domain";
+import { DIRECTIONS, restoreDirection } from "../lib/direction";
+import { STOCHASTIC_METHODS, COOLING_SCHEDULES, simulatedAnnealing, onePlusOneES } from "../lib/stochastic";
+import { useObjective, useLibraryInterval, useBreakpoints, useDomain, useFeasible } from "../hooks/useObjective";
+import ObjectiveControls from "./ObjectiveControls";
+
+const STEP_ADAPTATION = {
+  fifth: "Regla de 1/5",
+  fixed: "σ fija",
+};
+
+// Milliseconds per move of the animation
+const ANIMATION_SPEEDS = {
+  400: "Lenta",
+  150: "Normal",
+  40: "Rápida",
+};
+
+const MAX_MOVES = 5000;
+
+function formatValue(value) {
+  return Number.isFinite(value) ? value.toFixed(6) : "—";
+}
+
+export default function StochasticOptimizer() {
+  const objective = useObjective();
+  const { f, goal, direction } = objective;
+  const [method, setMethod] = useState("annealing");
+  const [a, setA] = useState(-2);
+  const [b, setB] = useState(5);
+  const [x0, setX0] = useState(-1.5);
+  const [seed, setSeed] = useState(1);
+  const [maxIter, setMaxIter] = useState(300);
+  const [T0, setT0] = useState(2);
+  const [schedule, setSchedule] = useState("exponential");
+  const [alpha, setAlpha] = useState(0.98);
+  const [sigma, setSigma] = useState(1);
+  const [adaptation, setAdaptation] = useState("fifth");
+  const [tol, setTol] = useState(0.000001);
+  const [runArgs, setRunArgs] = useState(null);
+  // Moves shown on the chart (null: all of them) and the animation state
+  const [frame, setFrame] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(150);
+  useLibraryInterval(objective, setA, setB);
+  const breakpoints = useBreakpoints(objective, a, b);
+  const domain = useDomain(objective, a, b);
+  const feasible = useFeasible(objective, a, b);
+
+  const sampleData = useMemo(() => {
+    const samples = 400;
+    const xs = [];
+    const numA = Number(a);
+    const numB = Number(b);
+
+    // Only generate data if we have valid numbers
+    if (!f || isNaN(numA) || isNaN(numB) || numA >= numB) {
+      return [];
+    }
+
+    for (let i = 0; i <= samples; i++) {
+      const x = numA + (i / samples) * (numB - numA);
+      const y = f(x);
+      // Only add finite data points: the gaps are shaded as outside the domain
+      if (typeof x === 'number' && !isNaN(x) && Number.isFinite(y)) {
+        xs.push({ x: Number(x.toFixed(6)), y: Number(y.toFixed(6)) });
+      }
+    }
+    return xs;
+  }, [a, b, f]);
+
+  // Keeps the curve readable when f blows up near a pole or a domain edge
+  const yDomain = useMemo(() => clipRange(sampleData.map((p) => p.y)), [sampleData]);
+
+  // Only the starting point has to be in the domain: a candidate outside it
+  // is just rejected. The seed makes the run repeatable, so it can follow
+  // the parameter sliders live like the deterministic methods.
+  const { result, domainError } = useMemo(
+    () => runInDomain(() => {
+      if (!runArgs || !goal) return null;
+      guardDomain(goal)(runArgs.x0);
+      const { method: chosen, a: na, b: nb, ...options } = runArgs;
+      const raw = chosen === "es" ? onePlusOneES(goal, na, nb, options) : simulatedAnnealing(goal, na, nb, options);
+      return restoreDirection(raw, direction, ["fx", "fCandidate", "delta", "fBest"]);
+    }),
+    [goal, direction, runArgs]
+  );
+
+  const moves = result ? result.history.length : 0;
+  const shown = frame === null ? moves : Math.min(frame, moves);
+  const current = shown > 0 ? result.history[shown - 1] : null;
+  const animating = playing && shown < moves;
+
+  // Advances one move per tick while the animation plays
+  useEffect(() => {
+    if (!animating) return undefined;
+    const timer = setTimeout(() => setFrame(shown + 1), speed);
+    return () => clearTimeout(timer);
+  }, [animating, shown, speed]);
+
+  const togglePlay = () => {
+    if (animating) {
+      setPlaying(false);
+      return;
+    }
+    if (shown >= moves) setFrame(0);
+    setPlaying(true);
+  };
+
+  const showMove = (iter) => {
+    setPlaying(false);
+    setFrame(iter);
+  };
+
+  // Candidates up to the shown move, split by outcome
+  const trail = useMemo(() => {
+    const rows = result ? result.history.slice(0, shown).filter((h) => Number.isFinite(h.fCandidate)) : [];
+    const point = (h) => ({ x: h.candidate, y: h.fCandidate });
+    return { accepted: rows.filter((h) => h.accepted).map(point), rejected: rows.filter((h) => !h.accepted).map(point) };
+  }, [result, shown]);
+
+  const run = () => {
+    // Nothing runs while the expression has a parse error
+    if (!f) return;
+
+    const na = Number(a);
+    const nb = Number(b);
+    const nx0 = Number(x0);
+    const nseed = Math.floor(Number(seed));
+    const nmax = Math.floor(Number(maxIter));
+    const nT0 = Number(T0);
+    const nalpha = Number(alpha);
+    const nsigma = Number(sigma);
+    const ntol = Number(tol);
+    if (!(na < nb)) {
+      alert("El límite izquierdo (a) debe ser menor que el derecho (b).");
+      return;
+    }
+    if (!(nx0 >= na && nx0 <= nb)) {
+      alert("El punto inicial x₀ debe estar dentro de [a, b].");
+      return;
+    }
+    if (!Number.isFinite(nseed)) {
+      alert("La semilla debe ser un número entero.");
+      return;
+    }
+    if (!(nmax >= 1 && nmax <= MAX_MOVES)) {
+      alert(`El número de iteraciones debe estar entre 1 y ${MAX_MOVES}.`);
+      return;
+    }
+    if (!(nsigma > 0)) {
+      alert("El tamaño de paso σ debe ser positivo.");
+      return;
+    }
+
+    const common = { method, a: na, b: nb, x0: nx0, seed: nseed, maxIter: nmax };
+    if (method === "es") {
+      setRunArgs({ ...common, sigma0: nsigma, adapt: adaptation === "fifth", tol: ntol });
+    } else {
+      if (!(nT0 > 0)) {
+        alert("La temperatura inicial T₀ debe ser positiva.");
+        return;
+      }
+      if (schedule === "exponential" && !(nalpha > 0 && nalpha < 1)) {
+        alert("El factor de enfriamiento α debe estar entre 0 y 1.");
+        return;
+      }
+      setRunArgs({ ...common, T0: nT0, schedule, alpha: nalpha, sigma: nsigma });
+    }
+    setFrame(null);
+    setPlaying(false);
+  };
+
+  const es = result && runArgs.method === "es";
+  const moveColor = (h) => (h.accepted ? "#4CAF50" : "#F44336");
+
+  return (
+    <div className="p-6 bg-gray-50 min-h-screen font-sans">
+      <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="max-w-5xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-2xl font-bold">Optimizador: Métodos estocásticos</h1>
+          <div className="text-sm text-gray-600">{DIRECTIONS[direction].title} global • Movimientos aleatorios con semilla</div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-1 bg-white p-4 rounded-2xl shadow-sm">
+            <ObjectiveControls objective={objective} />
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Método</label>
+            <select value={method} onChange={(e) => setMethod(e.target.value)} className="mt-2 w-full p-2 border rounded">
+              {Object.entries(STOCHASTIC_METHODS).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Intervalo [a, b]</label>
+            <div className="flex gap-2 mt-2">
+              <input type="number" value={a} onChange={(e) => setA(e.target.value)} className="p-2 border rounded w-1/2" />
+              <input type="number" value={b} onChange={(e) => setB(e.target.value)} className="p-2 border rounded w-1/2" />
+            </div>
+
+            <div className="flex gap-2 mt-4">
+              <div className="w-1/2">
+                <label className="block text-sm font-medium text-gray-700">Punto inicial x₀</label>
+                <input type="number" step="any" value={x0} onChange={(e) => setX0(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+              </div>
+              <div className="w-1/2">
+                <label className="block text-sm font-medium text-gray-700">Semilla</label>
+                <input type="number" value={seed} onChange={(e) => setSeed(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+              </div>
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">{method === "es" ? "Paso inicial σ₀" : "Tamaño de paso σ"}</label>
+            <input type="number" step="any" value={sigma} onChange={(e) => setSigma(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            {method === "annealing" ? (
+              <>
+                <label className="block text-sm font-medium text-gray-700 mt-4">Enfriamiento</label>
+                <select value={schedule} onChange={(e) => setSchedule(e.target.value)} className="mt-2 w-full p-2 border rounded">
+                  {Object.entries(COOLING_SCHEDULES).map(([key, label]) => (
+                    <option key={key} value={key}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <div className="flex gap-2 mt-2">
+                  <div className="w-1/2">
+                    <label className="block text-xs text-gray-600">Temperatura inicial T₀</label>
+                    <input type="number" step="any" value={T0} onChange={(e) => setT0(e.target.value)} className="p-2 border rounded w-full" />
+                  </div>
+                  {schedule === "exponential" && (
+                    <div className="w-1/2">
+                      <label className="block text-xs text-gray-600">Factor α</label>
+                      <input type="number" step="any" value={alpha} onChange={(e) => setAlpha(e.target.value)} className="p-2 border rounded w-full" />
+                    </div>
+                  )}
+                </div>
+              </>
+            ) : (
+              <>
+                <label className="block text-sm font-medium text-gray-700 mt-4">Adaptación de σ</label>
+                <select value={adaptation} onChange={(e) => setAdaptation(e.target.value)} className="mt-2 w-full p-2 border rounded">
+                  {Object.entries(STEP_ADAPTATION).map(([key, label]) => (
+                    <option key={key} value={key}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <label className="block text-sm font-medium text-gray-700 mt-4">Tolerancia en σ</label>
+                <input type="number" step="any" value={tol} onChange={(e) => setTol(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+              </>
+            )}
+
+            <label className="block text-sm font-medium text-gray-700 mt-4">Máx Iteraciones</label>
+            <input type="number" value={maxIter} onChange={(e) => setMaxIter(e.target.value)} className="mt-2 p-2 border rounded w-full" />
+
+            <button onClick={run} disabled={!f} className="mt-4 w-full bg-indigo-600 text-white p-2 rounded-2xl hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed">Ejecutar</button>
+
+            {domainError && (
+              <div className="mt-4 text-sm bg-red-50 text-red-700 p-3 rounded">{domainError.message}</div>
+            )}
+
+            {result && (
+              <div className="mt-4 text-sm bg-gray-50 p-3 rounded">
+                <div className="font-medium text-indigo-700">{DIRECTIONS[direction].found}</div>
+                <div><strong>x*:</strong> {result.xOpt.toFixed(6)}</div>
+                <div><strong>f(x*):</strong> {result.fOpt.toFixed(6)}</div>
+                <div><strong>Iteraciones:</strong> {moves}</div>
+                <div><strong>Movimientos aceptados:</strong> {result.acceptedCount} de {moves} ({moves > 0 ? ((100 * result.acceptedCount) / moves).toFixed(1) : "0"}%)</div>
+                {es && (
+                  <>
+                    <div><strong>σ final:</strong> {moves > 0 ? result.history[moves - 1].sigma.toExponential(3) : runArgs.sigma0}</div>
+                    <div className={result.converged ? "text-green-700" : "text-amber-700"}>
+                      {result.converged ? "σ por debajo de la tolerancia" : "Se alcanzó el máximo de iteraciones"}
+                    </div>
+                  </>
+                )}
+              </div>
+            )}
+
+            <div className="mt-4 text-xs text-gray-500">
+              {method === "es"
+                ? "(1+1)-ES: propone x + σ·N(0, 1) y solo acepta si f no empeora; con la regla de 1/5, σ crece si más de una de cada cinco propuestas tiene éxito y se reduce si no."
+                : "Recocido simulado: propone x + σ·N(0, 1), acepta siempre si f mejora y, si empeora en Δf, con probabilidad exp(−Δf/T). Con T alta escapa de los óptimos locales; al enfriarse se comporta como un descenso."}{" "}
+              Las propuestas se reflejan en los bordes de [a, b] y las que caen fuera del dominio se rechazan.
+            </div>
+          </div>
+
+          <div className="md:col-span-2 bg-white p-4 rounded-2xl shadow-sm">
+            <h2 className="text-lg font-medium mb-3">Gráfica y movimientos aceptados y rechazados</h2>
+            <div style={{ height: 360 }} className="w-full">
+              <ResponsiveContainer>
+                <LineChart data={sampleData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="x" domain={[a, b]} type="number" tickFormatter={(v) => v.toFixed(2)} />
+                  <YAxis domain={yDomain || undefined} allowDataOverflow={Boolean(yDomain)} />
+                  <Tooltip formatter={(value) => value.toFixed(6)} />
+                  <Line type="monotone" dataKey="y" dot={false} strokeWidth={2} />
+
+                  {/* Breakpoints of piecewise functions */}
+                  {breakpoints.map((x) => (
+                    <ReferenceLine key={x} x={x} stroke="#9C27B0" strokeDasharray="4 4" />
+                  ))}
+
+                  {/* Outside the domain of f: invalid sub-intervals and poles */}
+                  {domain.invalid.map(({ from, to }) => (
+                    <ReferenceArea key={from} x1={from} x2={to} fill="#F44336" fillOpacity={0.12} />
+                  ))}
+                  {domain.poles.map((x) => (
+                    <ReferenceLine key={`pole-${x}`} x={x} stroke="#F44336" strokeDasharray="2 2" />
+                  ))}
+
+                  {/* Feasible region of the constraints g(x) ≤ 0 */}
+                  {feasible.map(({ from, to }) => (
+                    <ReferenceArea key={`feasible-${from}`} x1={from} x2={to} fill="#4CAF50" fillOpacity={0.08} />
+                  ))}
+
+                  {/* Candidates so far: accepted in green, rejected in red */}
+                  {result && (
+                    <>
+                      <Line data={trail.rejected} type="monotone" dataKey="y" stroke="none" dot={{ fill: "#F44336", fillOpacity: 0.35, r: 3 }} connectNulls={false} />
+                      <Line data={trail.accepted} type="monotone" dataKey="y" stroke="none" dot={{ fill: "#4CAF50", fillOpacity: 0.6, r: 3 }} connectNulls={false} />
+                    </>
+                  )}
+
+                  {/* The shown move, from the current point to its candidate */}
+                  {current && (
+                    <>
+                      {Number.isFinite(current.fCandidate) && (
+                        <ReferenceLine
+                          segment={[{ x: current.x, y: current.fx }, { x: current.candidate, y: current.fCandidate }]}
+                          stroke={moveColor(current)}
+                          strokeWidth={2}
+                          strokeDasharray={current.accepted ? undefined : "4 3"}
+                          ifOverflow="hidden"
+                        />
+                      )}
+                      {!Number.isFinite(current.fCandidate) && <ReferenceLine x={current.candidate} stroke="#F44336" strokeDasharray="4 3" />}
+                      <Line data={[{ x: current.x, y: current.fx }]} type="monotone" dataKey="y" stroke="none" dot={{ fill: "#FF9800", r: 6 }} connectNulls={false} />
+                      {Number.isFinite(current.fCandidate) && (
+                        <Line
+                          data={[{ x: current.candidate, y: current.fCandidate }]}
+                          type="monotone"
+                          dataKey="y"
+                          stroke="none"
+                          dot={{ fill: moveColor(current), r: 6 }}
+                          connectNulls={false}
+                        />
+                      )}
+                      <Line
+                        data={[{ x: current.xBest, y: current.fBest }]}
+                        type="monotone"
+                        dataKey="y"
+                        stroke="none"
+                        dot={{ fill: "#FF0000", stroke: "#FFFFFF", strokeWidth: 3, r: 8 }}
+                        connectNulls={false}
+                      />
+                    </>
+                  )}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            {result && moves > 0 && (
+              <>
+                <div className="mt-2 flex items-center gap-2 text-sm">
+                  <button onClick={togglePlay} className="px-3 py-1 rounded bg-indigo-600 text-white hover:bg-indigo-700">
+                    {animating ? "❚❚ Pausa" : "▶ Animar"}
+                  </button>
+                  <input
+                    type="range"
+                    min={0}
+                    max={moves}
+                    value={shown}
+                    onChange={(e) => showMove(Number(e.target.value))}
+                    className="flex-1"
+                  />
+                  <span className="text-xs text-gray-600 w-20 text-right">
+                    {shown} / {moves}
+                  </span>
+                  <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} className="p-1 border rounded text-xs">
+                    {Object.entries(ANIMATION_SPEEDS).map(([key, label]) => (
+                      <option key={key} value={key}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                {current && (
+                  <motion.div
+                    key={current.iter}
+                    initial={{ opacity: 0, y: -4 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    className={`mt-2 text-xs ${current.accepted ? "text-green-700" : "text-red-700"}`}
+                  >
+                    Movimiento {current.iter}: x = {current.x.toFixed(4)} → {current.candidate.toFixed(4)}, Δf = {formatValue(current.delta)}, P(aceptar) = {current.probability.toFixed(4)} •{" "}
+                    {current.accepted ? "aceptado" : "rechazado"}
+                  </motion.div>
+                )}
+              </>
+            )}
+
+            {/* Temperature (annealing) or step size (ES) along the run */}
+            {result && moves > 0 && (
+              <div style={{ height: 140 }} className="w-full mt-3">
+                <ResponsiveContainer>
+                  <LineChart data={result.history} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="iter" type="number" domain={[1, moves]} />
+                    <YAxis tickFormatter={(v) => v.toPrecision(2)} />
+                    <Tooltip formatter={(value) => value.toPrecision(4)} />
+                    <Line type="monotone" dataKey={es ? "sigma" : "T"} dot={false} stroke="#FF9800" strokeWidth={2} name={es ? "σ" : "T"} />
+                    {current && <ReferenceLine x={current.iter} stroke="#3F51B5" strokeDasharray="3 3" />}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+
+            {result ? (
+              <div className="mt-4 overflow-auto max-h-60">
+                <table className="w-full text-sm table-auto border-collapse">
+                  <thead>
+                    <tr className="bg-gray-100">
+                      <th className="px-2 py-1 text-left">Iter</th>
+                      <th className="px-2 py-1 text-left">{es ? "σ" : "T"}</th>
+                      <th className="px-2 py-1 text-left">x</th>
+                      <th className="px-2 py-1 text-left">f(x)</th>
+                      <th className="px-2 py-1 text-left">Candidato</th>
+                      <th className="px-2 py-1 text-left">f(cand.)</th>
+                      <th className="px-2 py-1 text-left">Δf</th>
+                      <th className="px-2 py-1 text-left">P(aceptar)</th>
+                      <th className="px-2 py-1 text-left">Movimiento</th>
+                      <th className="px-2 py-1 text-left">Mejor f</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.history.map((h) => (
+                      <tr
+                        key={h.iter}
+                        onClick={() => showMove(h.iter)}
+                        className={`border-t cursor-pointer hover:bg-gray-50 ${current && h.iter === current.iter ? "bg-orange-50" : ""}`}
+                      >
+                        <td className="px-2 py-1">{h.iter}</td>
+                        <td className="px-2 py-1">{(es ? h.sigma : h.T).toPrecision(4)}</td>
+                        <td className="px-2 py-1">{h.x.toFixed(6)}</td>
+                        <td className="px-2 py-1">{formatValue(h.fx)}</td>
+                        <td className="px-2 py-1">{h.candidate.toFixed(6)}</td>
+                        <td className="px-2 py-1">{formatValue(h.fCandidate)}</td>
+                        <td className="px-2 py-1">{formatValue(h.delta)}</td>
+                        <td className="px-2 py-1">{h.probability.toFixed(4)}</td>
+                        <td className="px-2 py-1">
+                          <span className={`px-2 py-0.5 rounded text-xs ${h.accepted ? "bg-green-100 text-green-800" : "bg-red-100 text-red-800"}`}>
+                            {h.accepted ? "Aceptado" : "Rechazado"}
+                          </span>
+                        </td>
+                        <td className="px-2 py-1">{formatValue(h.fBest)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <div className="mt-4 text-sm text-gray-500">Ejecuta la optimización para ver los movimientos aquí.</div>
+            )}
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import React from "react";
+import { PRESET_SURFACES } from "../lib/surface";
+import { CUSTOM_SURFACE_KEY } from "../hooks/useSurface";
+import { ParameterSlider, ParseErrorHighlight } from "./ObjectiveControls";
+
+// Surface selector shared by the 2D optimizers: presets, custom expression in
+// x and y, and one control per free parameter. Takes the object returned by
+// useSurface.
+export default function SurfaceControls({ surface }) {
+  const { surfaceKey, setSurfaceKey, customSurface, setCustomSurface, isCustom, error, entry, parameters, params, setParameter } = surface;
+
+  return (
+    <>
+      <label className="block text-sm font-medium text-gray-700">Función f(x, y)</label>
+      <select value={surfaceKey} onChange={(e) => setSurfaceKey(e.target.value)} className="mt-2 w-full p-2 border rounded">
+        {PRESET_SURFACES.map((e) => (
+          <option key={e.name} value={e.name}>
+            {e.name}
+          </option>
+        ))}
+        <option value={CUSTOM_SURFACE_KEY}>{CUSTOM_SURFACE_KEY}</option>
+      </select>
+      {entry && <div className="mt-1 text-xs text-gray-500">{entry.description}</div>}
+
+      {isCustom && (
+        <div className="mt-3">
+          <label className="block text-sm font-medium text-gray-700">Ingresa tu función (usa 'x' e 'y' como variables)</label>
+          <input
+            type="text"
+            value={customSurface}
+            onChange={(e) => setCustomSurface(e.target.value)}
+            placeholder="Ej: (x-a)^2 + b*(y-x^2)^2"
+            className={`mt-1 w-full p-2 border rounded text-sm ${error ? "border-red-500" : ""}`}
+          />
+          {error && <ParseErrorHighlight source={customSurface} error={error} />}
+          <div className="mt-1 text-xs text-gray-500">
+            Mismas funciones y operadores que en f(x); cualquier nombre distinto de x e y es un parámetro ajustable
+          </div>
+        </div>
+      )}
+
+      {parameters.length > 0 && (
+        <div className="mt-3 p-2 bg-gray-50 rounded">
+          <div className="text-sm font-medium text-gray-700">Parámetros</div>
+          {parameters.map((name) => (
+            <ParameterSlider key={name} name={name} value={params[name]} onChange={setParameter} />
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,42 @@
+import React from "react";
+
+// Wording of the unimodality check for each direction: a minimum needs f to
+// fall and then rise, a maximum the opposite
+const SLOPES = {
+  min: { before: "decrece", after: "crece" },
+  max: { before: "crece", after: "decrece" },
+};
+
+const interval = ({ lo, hi }) => `[${lo.toFixed(4)}, ${hi.toFixed(4)}]`;
+
+// Result of useUnimodality under the interval inputs of Golden, Fibonacci
+// and Dichotomous search, which only guarantee the optimum when f is
+// unimodal on [a, b]
+export default function UnimodalityCheck({ check, direction }) {
+  if (!check) return null;
+  const { before, after } = SLOPES[direction];
+
+  if (check.status === "unimodal") {
+    const [from, to] = check.valley;
+    return (
+      <div className="mt-2 text-xs text-gray-600">
+        <span className="px-2 py-0.5 rounded text-xs bg-green-100 text-green-800">Unimodal</span>{" "}
+        f {before} hasta {from.toFixed(4)} y {after} desde {to.toFixed(4)} (cotas de f' por aritmética de intervalos).
+      </div>
+    );
+  }
+  if (check.status === "violated") {
+    return (
+      <div className="mt-2 text-xs text-gray-600">
+        <span className="px-2 py-0.5 rounded text-xs bg-red-100 text-red-800">No unimodal</span>{" "}
+        f {after} en todo {interval(check.rising)} y {before} después en {interval(check.falling)}: el método puede acabar en un óptimo local.
+      </div>
+    );
+  }
+  return (
+    <div className="mt-2 text-xs text-gray-600">
+      <span className="px-2 py-0.5 rounded text-xs bg-amber-100 text-amber-800">Sin verificar</span>{" "}
+      Las cotas por intervalos de f' no bastan para decidir si f es unimodal en [a, b].
+    </div>
+  );
+}
@@ -0,0 +1,18 @@
+import { useState, useCallback } from "react";
+
+// Bracketing phase of an interval method. applyBracket stores the phase
+// found from x0 and fills in [a, b] with its interval. The phase is returned
+// only while a and b are still that interval, so typing another interval by
+// hand drops it from the table and the chart.
+export function useBracketing(a, b, setA, setB) {
+  const [phase, setPhase] = useState(null);
+
+  const applyBracket = useCallback((found) => {
+    setPhase(found);
+    setA(found.a);
+    setB(found.b);
+  }, [setA, setB]);
+
+  const current = phase && Number(a) === phase.a && Number(b) === phase.b ? phase : null;
+  return [current, applyBracket];
+}
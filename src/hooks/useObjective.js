@@ -0,0 +1,221 @@
+import { createContext, useContext, useState, useMemo, useCallback, useEffect } from "react";
+import { parseExpression, compileExpression, collectParameters, bindParameters } from "../lib/expression";
+import { findBreakpoints } from "../lib/piecewise";
+import { analyzeDomain } from "../lib/domain";
+import { feasibleIntervals } from "../lib/constraints";
+import { directed } from "../lib/direction";
+import { derivative } from "../lib/symbolic";
+import { intervalExtension, negateInterval, checkUnimodality } from "../lib/interval";
+import { DEFAULT_NOISE, withNoise } from "../lib/noise";
+import {
+  PRESET_FUNCTIONS,
+  normalizeEntry,
+  loadUserFunctions,
+  saveUserFunctions,
+  mergeFunctions,
+  exportLibrary,
+  parseLibraryFile,
+} from "../lib/functionLibrary";
+
+export const CUSTOM_FUNCTION_KEY = "Función personalizada";
+
+export const DEFAULT_PARAMETER_VALUE = 1;
+
+const ObjectiveContext = createContext(null);
+
+export const ObjectiveProvider = ObjectiveContext.Provider;
+
+// Objective selection shared by every optimizer: the function library, the
+// selected entry or custom expression, its AST, the values of its free
+// parameters, the bound f(x), the constraints g(x) ≤ 0 and whether f is
+// minimized or maximized (goal is the function the methods minimize). With
+// noise enabled f is the noisy function every method sees and exact the
+// noise-free one. OptimizationMethodSelector owns this
+// state and passes it down through ObjectiveProvider, so it survives method
+// changes.
+export function useObjectiveState() {
+  const [fnKey, setFnKey] = useState(PRESET_FUNCTIONS[1].name);
+  const [customFunction, setCustomFunction] = useState("x^2 - 4*x + 3");
+  const [parameterValues, setParameterValues] = useState({});
+  const [userFunctions, setUserFunctions] = useState(() => loadUserFunctions());
+  const [direction, setDirection] = useState("min");
+  const [constraintSources, setConstraintSources] = useState([]);
+  const [noise, setNoise] = useState(DEFAULT_NOISE);
+
+  useEffect(() => {
+    saveUserFunctions(userFunctions);
+  }, [userFunctions]);
+
+  const library = useMemo(() => [...PRESET_FUNCTIONS, ...userFunctions], [userFunctions]);
+  const entry = useMemo(() => library.find((e) => e.name === fnKey) || null, [library, fnKey]);
+
+  const isCustom = fnKey === CUSTOM_FUNCTION_KEY;
+
+  // A parse error leaves ast and f null: nothing is plotted or run until the
+  // expression is valid, and the controls show where the error is
+  const { ast, error } = useMemo(() => {
+    const source = entry ? entry.expression : customFunction;
+    try {
+      return { ast: parseExpression(source), error: null };
+    } catch (parseError) {
+      return { ast: null, error: parseError };
+    }
+  }, [entry, customFunction]);
+
+  // Each constraint is parsed like f; blank ones are ignored and a parse
+  // error only leaves that constraint out
+  const parsedConstraints = useMemo(() => constraintSources.map((source) => {
+    if (!source.trim()) return { ast: null, error: null };
+    try {
+      return { ast: parseExpression(source), error: null };
+    } catch (parseError) {
+      return { ast: null, error: parseError };
+    }
+  }), [constraintSources]);
+
+  // Free parameters of f and of the constraints
+  const parameters = useMemo(() => {
+    const names = ast ? collectParameters(ast) : [];
+    for (const { ast: constraint } of parsedConstraints) {
+      if (!constraint) continue;
+      for (const name of collectParameters(constraint)) {
+        if (!names.includes(name)) names.push(name);
+      }
+    }
+    return names;
+  }, [ast, parsedConstraints]);
+
+  // Current value of every parameter in the expression; new ones start at 1
+  const params = useMemo(() => {
+    const values = {};
+    for (const name of parameters) {
+      values[name] = name in parameterValues ? parameterValues[name] : DEFAULT_PARAMETER_VALUE;
+    }
+    return values;
+  }, [parameters, parameterValues]);
+
+  const evaluate = useMemo(() => ast && compileExpression(ast), [ast]);
+  const exact = useMemo(() => evaluate && bindParameters(evaluate, params), [evaluate, params]);
+  const f = useMemo(() => withNoise(exact, noise), [exact, noise]);
+  const goal = useMemo(() => directed(f, direction), [f, direction]);
+  const constraints = useMemo(
+    () => parsedConstraints.filter((c) => c.ast).map((c) => bindParameters(compileExpression(c.ast), params)),
+    [parsedConstraints, params]
+  );
+  const constraintErrors = useMemo(() => parsedConstraints.map((c) => c.error), [parsedConstraints]);
+
+  const setParameter = useCallback((name, value) => {
+    setParameterValues((previous) => ({ ...previous, [name]: value }));
+  }, []);
+
+  // Saves an entry under its name (replacing a user entry with the same name)
+  // and selects it. Throws with a user-facing message if it is invalid.
+  const saveFunction = useCallback((raw) => {
+    const saved = normalizeEntry(raw);
+    if (saved.name === CUSTOM_FUNCTION_KEY || PRESET_FUNCTIONS.some((e) => e.name === saved.name)) {
+      throw new Error(`El nombre '${saved.name}' está reservado`);
+    }
+    setUserFunctions((previous) => mergeFunctions(previous, [saved]));
+    setFnKey(saved.name);
+  }, []);
+
+  const deleteFunction = useCallback((name) => {
+    setUserFunctions((previous) => previous.filter((e) => e.name !== name));
+    setFnKey((current) => (current === name ? PRESET_FUNCTIONS[0].name : current));
+  }, []);
+
+  // Merges the entries of an exported JSON file; returns how many were read
+  const importFunctions = useCallback((text) => {
+    const imported = parseLibraryFile(text).filter(
+      (e) => e.name !== CUSTOM_FUNCTION_KEY && !PRESET_FUNCTIONS.some((p) => p.name === e.name)
+    );
+    setUserFunctions((previous) => mergeFunctions(previous, imported));
+    return imported.length;
+  }, []);
+
+  const exportFunctions = useCallback(() => exportLibrary(userFunctions), [userFunctions]);
+
+  return {
+    fnKey,
+    setFnKey,
+    customFunction,
+    setCustomFunction,
+    isCustom,
+    error,
+    library,
+    entry,
+    saveFunction,
+    deleteFunction,
+    importFunctions,
+    exportFunctions,
+    ast,
+    parameters,
+    params,
+    setParameter,
+    f,
+    exact,
+    noise,
+    setNoise,
+    direction,
+    setDirection,
+    goal,
+    constraintSources,
+    setConstraintSources,
+    constraintErrors,
+    constraints,
+  };
+}
+
+export function useObjective() {
+  return useContext(ObjectiveContext);
+}
+
+// Applies the default interval of the selected library entry to [a, b]
+export function useLibraryInterval(objective, setA, setB) {
+  const { entry } = objective;
+  useEffect(() => {
+    if (entry) {
+      setA(entry.a);
+      setB(entry.b);
+    }
+  }, [entry, setA, setB]);
+}
+
+// Breakpoints of a piecewise objective inside [a, b], for the chart
+export function useBreakpoints(objective, a, b) {
+  const { ast, params } = objective;
+  return useMemo(() => (ast ? findBreakpoints(ast, params, Number(a), Number(b)) : []), [ast, params, a, b]);
+}
+
+// Invalid sub-intervals and poles of the objective inside [a, b], for the chart
+export function useDomain(objective, a, b) {
+  const { f } = objective;
+  return useMemo(() => (f ? analyzeDomain(f, Number(a), Number(b)) : { invalid: [], poles: [] }), [f, a, b]);
+}
+
+// Feasible sub-intervals of the constraints inside [a, b], for the chart.
+// Empty when there are no constraints.
+export function useFeasible(objective, a, b) {
+  const { constraints } = objective;
+  return useMemo(
+    () => (constraints.length > 0 && Number(a) < Number(b) ? feasibleIntervals(constraints, Number(a), Number(b)) : []),
+    [constraints, a, b]
+  );
+}
+
+// Interval check that the objective is unimodal on [a, b] in the chosen
+// direction (see checkUnimodality), for the methods that assume it. When
+// maximizing it is run on −f. null while f has a parse error.
+export function useUnimodality(objective, a, b) {
+  const { ast, params, direction } = objective;
+  return useMemo(() => {
+    const na = Number(a);
+    const nb = Number(b);
+    if (!ast || !(na < nb)) return null;
+    const [dF, d2F] = [1, 2].map((order) => {
+      const F = intervalExtension(derivative(ast, order), params);
+      return direction === "max" ? (X) => negateInterval(F(X)) : F;
+    });
+    return checkUnimodality(dF, d2F, na, nb);
+  }, [ast, params, direction, a, b]);
+}
@@ -0,0 +1,84 @@
+import { createContext, useContext, useState, useMemo, useCallback, useEffect } from "react";
+import { parseExpression, compileExpression } from "../lib/expression";
+import { PRESET_SURFACES, surfaceParameters, bindSurface } from "../lib/surface";
+import { directed } from "../lib/direction";
+import { DEFAULT_PARAMETER_VALUE } from "./useObjective";
+
+export const CUSTOM_SURFACE_KEY = "Superficie personalizada";
+
+const SurfaceContext = createContext(null);
+
+export const SurfaceProvider = SurfaceContext.Provider;
+
+// Objective of the f(x, y) mode: a preset surface or a custom expression in x
+// and y, the values of its free parameters and the bound f(x, y). direction
+// comes from the 1D objective so the Minimizar/Maximizar switch covers both
+// modes; goal is the function the 2D methods minimize.
+export function useSurfaceState(direction) {
+  const [surfaceKey, setSurfaceKey] = useState(PRESET_SURFACES[0].name);
+  const [customSurface, setCustomSurface] = useState("(x-1)^2 + (y+1)^2 + x*y");
+  const [parameterValues, setParameterValues] = useState({});
+
+  const entry = useMemo(() => PRESET_SURFACES.find((e) => e.name === surfaceKey) || null, [surfaceKey]);
+  const isCustom = surfaceKey === CUSTOM_SURFACE_KEY;
+
+  // As for f(x): a parse error leaves ast and f null
+  const { ast, error } = useMemo(() => {
+    const source = entry ? entry.expression : customSurface;
+    try {
+      return { ast: parseExpression(source), error: null };
+    } catch (parseError) {
+      return { ast: null, error: parseError };
+    }
+  }, [entry, customSurface]);
+
+  const parameters = useMemo(() => (ast ? surfaceParameters(ast) : []), [ast]);
+
+  const params = useMemo(() => {
+    const values = {};
+    for (const name of parameters) {
+      values[name] = name in parameterValues ? parameterValues[name] : DEFAULT_PARAMETER_VALUE;
+    }
+    return values;
+  }, [parameters, parameterValues]);
+
+  const f = useMemo(() => ast && bindSurface(compileExpression(ast), params), [ast, params]);
+  const goal = useMemo(() => directed(f, direction), [f, direction]);
+
+  const setParameter = useCallback((name, value) => {
+    setParameterValues((previous) => ({ ...previous, [name]: value }));
+  }, []);
+
+  return {
+    surfaceKey,
+    setSurfaceKey,
+    customSurface,
+    setCustomSurface,
+    isCustom,
+    error,
+    entry,
+    ast,
+    parameters,
+    params,
+    setParameter,
+    f,
+    direction,
+    goal,
+  };
+}
+
+export function useSurface() {
+  return useContext(SurfaceContext);
+}
+
+// Applies the default window { x0, x1, y0, y1 } and starting point { x, y }
+// of the selected preset
+export function useSurfaceWindow(surface, setBounds, setStart) {
+  const { entry } = surface;
+  useEffect(() => {
+    if (entry) {
+      setBounds({ x0: entry.x[0], x1: entry.x[1], y0: entry.y[0], y1: entry.y[1] });
+      setStart({ x: entry.start[0], y: entry.start[1] });
+    }
+  }, [entry, setBounds, setStart]);
+}
@@ -0,0 +1,176 @@
+// Forward-mode automatic differentiation over the expression AST.
+// Every value is a second-order jet { v, d, dd } holding f, f' and f'' at the
+// same point (a hyper-dual number with e1 = e2), so one pass through the tree
+// yields all three without truncation error.
+import { CONSTANTS, COMPARISON_OPERATORS, VARIABLE } from "./expression";
+
+const constantJet = (v) => ({ v, d: 0, dd: 0 });
+
+// Value, first and second derivative of each whitelisted unary function
+const UNARY_RULES = {
+  sin: (u) => [Math.sin(u), Math.cos(u), -Math.sin(u)],
+  cos: (u) => [Math.cos(u), -Math.sin(u), -Math.cos(u)],
+  tan: (u) => {
+    const t = Math.tan(u);
+    const sec2 = 1 + t * t;
+    return [t, sec2, 2 * t * sec2];
+  },
+  asin: (u) => {
+    const s = 1 - u * u;
+    return [Math.asin(u), 1 / Math.sqrt(s), u / Math.pow(s, 1.5)];
+  },
+  acos: (u) => {
+    const s = 1 - u * u;
+    return [Math.acos(u), -1 / Math.sqrt(s), -u / Math.pow(s, 1.5)];
+  },
+  atan: (u) => {
+    const s = 1 + u * u;
+    return [Math.atan(u), 1 / s, (-2 * u) / (s * s)];
+  },
+  sinh: (u) => [Math.sinh(u), Math.cosh(u), Math.sinh(u)],
+  cosh: (u) => [Math.cosh(u), Math.sinh(u), Math.cosh(u)],
+  tanh: (u) => {
+    const t = Math.tanh(u);
+    const sech2 = 1 - t * t;
+    return [t, sech2, -2 * t * sech2];
+  },
+  exp: (u) => {
+    const e = Math.exp(u);
+    return [e, e, e];
+  },
+  log: (u) => [Math.log(u), 1 / u, -1 / (u * u)],
+  ln: (u) => [Math.log(u), 1 / u, -1 / (u * u)],
+  log10: (u) => [Math.log10(u), 1 / (u * Math.LN10), -1 / (u * u * Math.LN10)],
+  sqrt: (u) => {
+    const r = Math.sqrt(u);
+    return [r, 0.5 / r, -0.25 / (r * u)];
+  },
+  abs: (u) => [Math.abs(u), Math.sign(u), 0],
+};
+
+// Chain rule for g(u): (g∘u)' = g'·u', (g∘u)'' = g''·u'^2 + g'·u''
+function applyUnary(rule, u) {
+  const [g, g1, g2] = rule(u.v);
+  return { v: g, d: g1 * u.d, dd: g2 * u.d * u.d + g1 * u.dd };
+}
+
+function addJets(a, b) {
+  return { v: a.v + b.v, d: a.d + b.d, dd: a.dd + b.dd };
+}
+
+function subJets(a, b) {
+  return { v: a.v - b.v, d: a.d - b.d, dd: a.dd - b.dd };
+}
+
+function mulJets(a, b) {
+  return {
+    v: a.v * b.v,
+    d: a.d * b.v + a.v * b.d,
+    dd: a.dd * b.v + 2 * a.d * b.d + a.v * b.dd,
+  };
+}
+
+function divJets(a, b) {
+  const v = a.v / b.v;
+  const d = (a.d - v * b.d) / b.v;
+  return { v, d, dd: (a.dd - 2 * d * b.d - v * b.dd) / b.v };
+}
+
+function powJets(base, exponent) {
+  if (exponent.d === 0 && exponent.dd === 0) {
+    // Constant exponent: u^n with n' = 0, valid for negative bases too
+    const n = exponent.v;
+    const g1 = n === 0 ? 0 : n * Math.pow(base.v, n - 1);
+    const g2 = n === 0 || n === 1 ? 0 : n * (n - 1) * Math.pow(base.v, n - 2);
+    return {
+      v: Math.pow(base.v, n),
+      d: g1 * base.d,
+      dd: g2 * base.d * base.d + g1 * base.dd,
+    };
+  }
+  // General case: u^v = exp(v * log(u))
+  return applyUnary(UNARY_RULES.exp, mulJets(exponent, applyUnary(UNARY_RULES.log, base)));
+}
+
+const BINARY_RULES = {
+  "+": addJets,
+  "-": subJets,
+  "*": mulJets,
+  "/": divJets,
+  "^": powJets,
+};
+
+function compileJetNode(node) {
+  switch (node.type) {
+    case "number": {
+      const jet = constantJet(node.value);
+      return () => jet;
+    }
+    case "constant": {
+      const jet = constantJet(CONSTANTS[node.name]);
+      return () => jet;
+    }
+    case "variable": {
+      if (node.name === VARIABLE) {
+        // Seed: dx/dx = 1, d²x/dx² = 0
+        return (x) => ({ v: x, d: 1, dd: 0 });
+      }
+      const name = node.name;
+      return (x, params) => constantJet(params[name]);
+    }
+    case "unary": {
+      const argument = compileJetNode(node.argument);
+      return (x, params) => {
+        const u = argument(x, params);
+        return { v: -u.v, d: -u.d, dd: -u.dd };
+      };
+    }
+    case "binary": {
+      const left = compileJetNode(node.left);
+      const right = compileJetNode(node.right);
+      const rule = BINARY_RULES[node.op];
+      return (x, params) => rule(left(x, params), right(x, params));
+    }
+    case "call": {
+      const args = node.args.map(compileJetNode);
+      if (node.name === "pow") {
+        return (x, params) => powJets(args[0](x, params), args[1](x, params));
+      }
+      if (node.name === "min" || node.name === "max") {
+        const pickLeft = node.name === "min" ? (l, r) => l.v <= r.v : (l, r) => l.v >= r.v;
+        return (x, params) => {
+          const l = args[0](x, params);
+          const r = args[1](x, params);
+          return pickLeft(l, r) ? l : r;
+        };
+      }
+      const rule = UNARY_RULES[node.name];
+      const [argument] = args;
+      return (x, params) => applyUnary(rule, argument(x, params));
+    }
+    case "comparison": {
+      const left = compileJetNode(node.left);
+      const right = compileJetNode(node.right);
+      const test = COMPARISON_OPERATORS[node.op];
+      return (x, params) => constantJet(test(left(x, params).v, right(x, params).v) ? 1 : 0);
+    }
+    case "piecewise": {
+      // Only the selected piece is differentiated, as with one-sided limits
+      const branches = node.branches.map((branch) => [compileJetNode(branch.condition), compileJetNode(branch.value)]);
+      const otherwise = compileJetNode(node.otherwise);
+      return (x, params) => {
+        for (const [condition, value] of branches) {
+          if (condition(x, params).v) return value(x, params);
+        }
+        return otherwise(x, params);
+      };
+    }
+    default:
+      return () => constantJet(NaN);
+  }
+}
+
+// Compiles an AST into (x, params) => { v, d, dd } with f(x), f'(x) and f''(x)
+export function compileJet(ast) {
+  return compileJetNode(ast);
+}
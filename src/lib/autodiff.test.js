@@ -0,0 +1,32 @@
+import { parseExpression } from "./expression";
+import { compileJet } from "./autodiff";
+
+const jetAt = (source, x) => compileJet(parseExpression(source))(x);
+
+test("propagates value, first and second derivative in one pass", () => {
+  const jet = jetAt("(x-2)^2 + sin(5*x)", 1);
+  expect(jet.v).toBeCloseTo(1 + Math.sin(5));
+  expect(jet.d).toBeCloseTo(-2 + 5 * Math.cos(5));
+  expect(jet.dd).toBeCloseTo(2 - 25 * Math.sin(5));
+});
+
+test("handles quotients, general powers and compositions", () => {
+  const x = 1.3;
+  const quotient = jetAt("1 / x", x);
+  expect(quotient.d).toBeCloseTo(-1 / (x * x));
+  expect(quotient.dd).toBeCloseTo(2 / (x * x * x));
+
+  const power = jetAt("x^x", x);
+  const dlog = Math.log(x) + 1;
+  expect(power.d).toBeCloseTo(Math.pow(x, x) * dlog);
+  expect(power.dd).toBeCloseTo(Math.pow(x, x) * (dlog * dlog + 1 / x));
+
+  const composed = jetAt("exp(sqrt(x))", x);
+  const r = Math.sqrt(x);
+  expect(composed.d).toBeCloseTo(Math.exp(r) / (2 * r));
+});
+
+test("keeps exact derivatives of polynomials at zero", () => {
+  const jet = jetAt("x^2 - 4*x + 3", 0);
+  expect(jet).toEqual({ v: 3, d: -4, dd: 2 });
+});
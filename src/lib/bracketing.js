@@ -0,0 +1,96 @@
+// Bracketing phase for the interval methods: starting from a single point x0
+// and a step h, expand the step until an interval [a, b] that contains a
+// minimizer is found. Every evaluated point is returned as a history row
+// { step, x, fx, h } so the phase can be shown before the method's own rows.
+
+// Swann's method: move downhill with steps h, 2h, 4h, ... until f goes up.
+// The last three points x_{k-1}, x_k, x_{k+1} then satisfy
+// f(x_k) < f(x_{k-1}) and f(x_k) <= f(x_{k+1}), so [x_{k-1}, x_{k+1}] is a
+// unimodal bracket.
+export function swannBracket(f, x0, h = 0.1, maxSteps = 50) {
+  const history = [];
+  const record = (x, fx, step) => history.push({ step: history.length + 1, x, fx, h: step });
+
+  const f0 = f(x0);
+  const fRight = f(x0 + h);
+  const fLeft = f(x0 - h);
+  record(x0, f0, 0);
+  record(x0 + h, fRight, h);
+  record(x0 - h, fLeft, -h);
+
+  if (fLeft >= f0 && fRight >= f0) {
+    return { a: x0 - h, b: x0 + h, history, found: true };
+  }
+
+  // Downhill direction; from a local maximum either side works
+  const direction = fRight <= fLeft ? 1 : -1;
+  let previous = x0;
+  let current = x0 + direction * h;
+  let fCurrent = direction > 0 ? fRight : fLeft;
+  let step = direction * h;
+
+  for (let k = 0; k < maxSteps; k++) {
+    step *= 2;
+    const next = current + step;
+    const fNext = f(next);
+    record(next, fNext, step);
+    if (fNext >= fCurrent) {
+      return { a: Math.min(previous, next), b: Math.max(previous, next), history, found: true };
+    }
+    previous = current;
+    current = next;
+    fCurrent = fNext;
+  }
+
+  return {
+    a: Math.min(previous, current),
+    b: Math.max(previous, current),
+    history,
+    found: false,
+    message: `f sigue decreciendo tras ${maxSteps} duplicaciones del paso: puede no tener mínimo en esa dirección.`,
+  };
+}
+
+// Expands from x0 towards the side where f' < 0 (downhill) until f' turns
+// positive, giving a bracket with f'(a) < 0 < f'(b) as bisection needs.
+// history rows carry f'(x) as dfx besides f(x).
+export function derivativeBracket(f, df, x0, h = 0.1, maxSteps = 50) {
+  const history = [];
+  const record = (x, dfx, step) => history.push({ step: history.length + 1, x, fx: f(x), dfx, h: step });
+
+  const g0 = df(x0);
+  record(x0, g0, 0);
+  if (g0 === 0) {
+    const gLeft = df(x0 - h);
+    const gRight = df(x0 + h);
+    record(x0 - h, gLeft, -h);
+    record(x0 + h, gRight, h);
+    if (gLeft < 0 && gRight > 0) {
+      return { a: x0 - h, b: x0 + h, history, found: true };
+    }
+  }
+
+  // f' > 0 means the minimizer is to the left
+  const direction = g0 > 0 ? -1 : 1;
+  let previous = x0;
+  let step = direction * h;
+
+  for (let k = 0; k < maxSteps; k++) {
+    const next = previous + step;
+    const g = df(next);
+    record(next, g, step);
+    if (direction > 0 ? g > 0 : g < 0) {
+      return { a: Math.min(previous, next), b: Math.max(previous, next), history, found: true };
+    }
+    previous = next;
+    step *= 2;
+  }
+
+  return {
+    a: Math.min(x0, previous),
+    b: Math.max(x0, previous),
+    history,
+    found: false,
+    message: `f' no cambia de signo tras ${maxSteps} duplicaciones del paso.`,
+  };
+}
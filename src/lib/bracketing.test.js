@@ -0,0 +1,46 @@
+import { swannBracket, derivativeBracket } from "./bracketing";
+
+const f = (x) => (x - 3) ** 2;
+const df = (x) => 2 * (x - 3);
+
+test("Swann expands downhill until f goes up", () => {
+  const { a, b, history, found } = swannBracket(f, 0, 0.1);
+  expect(found).toBe(true);
+  expect(a).toBeLessThan(3);
+  expect(b).toBeGreaterThan(3);
+  // x0, x0 ± h, then 0.3, 0.7, 1.5, 3.1, 6.3
+  const xs = history.map((h) => h.x).slice(3);
+  [0.3, 0.7, 1.5, 3.1, 6.3].forEach((x, i) => expect(xs[i]).toBeCloseTo(x, 12));
+  expect(xs).toHaveLength(5);
+  expect(a).toBeCloseTo(1.5, 12);
+  expect(b).toBeCloseTo(6.3, 12);
+});
+
+test("Swann works to the left and around a starting minimum", () => {
+  const left = swannBracket(f, 10, 0.5);
+  expect(left.found).toBe(true);
+  expect(left.a).toBeLessThan(3);
+  expect(left.b).toBeGreaterThan(3);
+
+  const around = swannBracket(f, 3, 0.1);
+  expect(around).toMatchObject({ a: 2.9, b: 3.1, found: true });
+  expect(around.history).toHaveLength(3);
+});
+
+test("Swann reports a function that keeps decreasing", () => {
+  const result = swannBracket((x) => -x, 0, 1, 10);
+  expect(result.found).toBe(false);
+  expect(result.message).toMatch(/sigue decreciendo/);
+});
+
+test("derivative bracket finds a sign change of f'", () => {
+  for (const x0 of [-4, 11]) {
+    const { a, b, found, history } = derivativeBracket(f, df, x0, 0.25);
+    expect(found).toBe(true);
+    expect(df(a)).toBeLessThan(0);
+    expect(df(b)).toBeGreaterThan(0);
+    expect(history[0]).toMatchObject({ step: 1, x: x0, fx: f(x0), dfx: df(x0) });
+  }
+  expect(derivativeBracket(f, df, 3, 0.1)).toMatchObject({ a: 2.9, b: 3.1, found: true });
+  expect(derivativeBracket((x) => x, () => 1, 0, 1, 5).found).toBe(false);
+});
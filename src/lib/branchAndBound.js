@@ -0,0 +1,98 @@
+// Interval branch and bound: global minimization of f on [a, b] with the
+// interval extension F of f (see interval.js). Every box [lo, hi] carries
+// F([lo, hi]), whose lower end bounds f from below on the box. The box with
+// the lowest bound is halved and f is evaluated at its midpoint; a box whose
+// bound is above the best value found cannot hold the minimum and is
+// discarded. The gap between the best value and the lowest bound left
+// bounds the error, so the answer is guaranteed global without needing a
+// Lipschitz constant.
+
+// Midpoint value of a box, or null when f is undefined there
+function sample(f, x) {
+  const fx = f(x);
+  return Number.isFinite(fx) ? { x, fx } : null;
+}
+
+// Rows: { iter, lo, hi, lowerBound, best, xBest, gap, boxes, discarded },
+// where [lo, hi] is the box split in the iteration, lowerBound the lowest
+// bound over the boxes before the split, boxes how many are left after it
+// and discarded how many it removed. discarded lists every removed box as
+// { lo, hi, range, iter, reason } with reason "bound" (above the best value)
+// or "domain" (f is undefined on all of it); boxes are the ones left.
+export function intervalBranchAndBound(F, f, a, b, { tol = 1e-4, maxIter = 500 } = {}) {
+  const discarded = [];
+  let boxes = [];
+  let best = null;
+  const improve = (candidate) => {
+    if (candidate && (!best || candidate.fx < best.fx)) best = candidate;
+  };
+  const add = (lo, hi, iter) => {
+    const range = F([lo, hi]);
+    if (range) {
+      boxes.push({ lo, hi, range });
+    } else {
+      discarded.push({ lo, hi, range: null, iter, reason: "domain" });
+    }
+  };
+
+  [a, (a + b) / 2, b].forEach((x) => improve(sample(f, x)));
+  add(a, b, 0);
+
+  const history = [];
+  let converged = false;
+  // Below this width halving a box no longer changes its bound
+  const minWidth = (b - a) * 1e-12;
+
+  for (let iter = 1; iter <= maxIter && boxes.length > 0; iter++) {
+    const lowest = boxes.reduce((p, q) => (q.range[0] < p.range[0] ? q : p));
+    const gap = best ? best.fx - lowest.range[0] : Infinity;
+    if (gap <= tol) {
+      converged = true;
+      break;
+    }
+    if (lowest.hi - lowest.lo < minWidth) break;
+
+    const before = discarded.length;
+    boxes = boxes.filter((box) => box !== lowest);
+    const mid = (lowest.lo + lowest.hi) / 2;
+    improve(sample(f, mid));
+    add(lowest.lo, mid, iter);
+    add(mid, lowest.hi, iter);
+
+    // Boxes whose bound is above the best value cannot hold the minimum
+    if (best) {
+      const kept = [];
+      for (const box of boxes) {
+        if (box.range[0] > best.fx) {
+          discarded.push({ ...box, iter, reason: "bound" });
+        } else {
+          kept.push(box);
+        }
+      }
+      boxes = kept;
+    }
+
+    history.push({
+      iter,
+      lo: lowest.lo,
+      hi: lowest.hi,
+      lowerBound: lowest.range[0],
+      best: best ? best.fx : null,
+      xBest: best ? best.x : null,
+      gap,
+      boxes: boxes.length,
+      discarded: discarded.length - before,
+    });
+  }
+
+  const lowerBound = boxes.length > 0 ? Math.min(...boxes.map((box) => box.range[0])) : best && best.fx;
+  return {
+    xOpt: best ? best.x : null,
+    fOpt: best ? best.fx : null,
+    lowerBound,
+    history,
+    boxes,
+    discarded,
+    converged,
+  };
+}
@@ -0,0 +1,40 @@
+import { parseExpression, parseCustomFunction } from "./expression";
+import { intervalExtension } from "./interval";
+import { intervalBranchAndBound } from "./branchAndBound";
+
+const problem = (source) => [intervalExtension(parseExpression(source)), parseCustomFunction(source)];
+
+test("finds the global minimum of a multimodal function with a certified gap", () => {
+  const [F, f] = problem("(x-2)^2 + sin(5*x)");
+  const { xOpt, fOpt, lowerBound, history, discarded, converged } = intervalBranchAndBound(F, f, -2, 5, { tol: 1e-6, maxIter: 2000 });
+  expect(converged).toBe(true);
+  expect(xOpt).toBeCloseTo(2.184, 2);
+  expect(fOpt).toBeCloseTo(-0.9633, 3);
+  expect(fOpt - lowerBound).toBeLessThanOrEqual(1e-6);
+  expect(lowerBound).toBeLessThanOrEqual(fOpt);
+  // Every discarded box lies above the minimum
+  expect(discarded.every((box) => box.range[0] > fOpt)).toBe(true);
+  expect(history[history.length - 1].boxes).toBeGreaterThan(0);
+});
+
+test("resolves two symmetric global minima", () => {
+  const [F, f] = problem("x^2 + 5*cos(2*x)");
+  const { xOpt, boxes, converged } = intervalBranchAndBound(F, f, -3, 3, { tol: 1e-6, maxIter: 500 });
+  expect(converged).toBe(true);
+  expect(Math.abs(xOpt)).toBeCloseTo(1.4262, 3);
+  // Boxes are left around both minima
+  expect(boxes.some((box) => box.hi < 0) && boxes.some((box) => box.lo > 0)).toBe(true);
+});
+
+test("discards boxes where f is undefined and stops at maxIter", () => {
+  // On [-4, 0] the bound of −2|x| looks promising until the halves of the
+  // box turn out to be outside the domain of sqrt
+  const [F, f] = problem("sqrt(x) - 2*abs(x)");
+  const { xOpt, discarded } = intervalBranchAndBound(F, f, -4, 4, { tol: 1e-6, maxIter: 500 });
+  expect(discarded.some((box) => box.reason === "domain" && box.hi <= 0)).toBe(true);
+  expect(xOpt).toBeCloseTo(4, 6);
+
+  const short = intervalBranchAndBound(F, f, -4, 4, { tol: 1e-12, maxIter: 3 });
+  expect(short.converged).toBe(false);
+  expect(short.history).toHaveLength(3);
+});
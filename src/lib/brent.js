@@ -0,0 +1,85 @@
+// Minimization on [a, b] by Brent's method, used by the Brent optimizer and
+// as the inner line search of the global and 2D methods. Rows:
+// { iter, a, b, x, fx, u, fu, step, parabola }, where u is the point
+// evaluated in the iteration, step is "parabolic" or "golden" and parabola
+// ({ points, vertex }) is the one fitted in a parabolic step, null otherwise.
+
+const CGOLD = (3 - Math.sqrt(5)) / 2;
+const ZEPS = 1e-10;
+
+// Brent's method: keeps the three best points x (best), w (second best) and
+// v (previous w), tries the vertex of the parabola through them and falls
+// back to a golden-section step when that vertex is not acceptable (outside
+// [a, b], or the step is not smaller than half the one before last).
+export function brentMethod(f, a, b, tol = 1e-3, maxIter = 100) {
+  let x = a + CGOLD * (b - a);
+  let w = x;
+  let v = x;
+  let fx = f(x);
+  let fw = fx;
+  let fv = fx;
+  let d = 0;
+  let e = 0;
+  const history = [];
+
+  for (let iter = 0; iter < maxIter; iter++) {
+    const xm = (a + b) / 2;
+    // tol is absolute like in the other interval methods: stop once x is
+    // within tol of both ends of the bracket
+    const tol1 = tol / 2 + ZEPS;
+    const tol2 = 2 * tol1;
+    if (Math.abs(x - xm) <= tol2 - (b - a) / 2) break;
+
+    let step = "golden";
+    let parabola = null;
+    if (Math.abs(e) > tol1) {
+      const r = (x - w) * (fx - fv);
+      let q = (x - v) * (fx - fw);
+      let p = (x - v) * q - (x - w) * r;
+      q = 2 * (q - r);
+      if (q > 0) p = -p;
+      q = Math.abs(q);
+      const eBefore = e;
+      e = d;
+      if (!(Math.abs(p) >= Math.abs(0.5 * q * eBefore) || p <= q * (a - x) || p >= q * (b - x))) {
+        d = p / q;
+        const u = x + d;
+        // Do not evaluate too close to the ends of the bracket
+        if (u - a < tol2 || b - u < tol2) d = xm - x >= 0 ? tol1 : -tol1;
+        step = "parabolic";
+        parabola = { points: [[x, fx], [w, fw], [v, fv]], vertex: x + p / q };
+      }
+    }
+    if (step === "golden") {
+      e = x >= xm ? a - x : b - x;
+      d = CGOLD * e;
+    }
+
+    const u = Math.abs(d) >= tol1 ? x + d : x + (d >= 0 ? tol1 : -tol1);
+    const fu = f(u);
+    history.push({ iter: iter + 1, a, b, x, fx, u, fu, step, parabola });
+
+    if (fu <= fx) {
+      if (u >= x) a = x; else b = x;
+      v = w;
+      fv = fw;
+      w = x;
+      fw = fx;
+      x = u;
+      fx = fu;
+    } else {
+      if (u < x) a = u; else b = u;
+      if (fu <= fw || w === x) {
+        v = w;
+        fv = fw;
+        w = u;
+        fw = fu;
+      } else if (fu <= fv || v === x || v === w) {
+        v = u;
+        fv = fu;
+      }
+    }
+  }
+
+  return { xOpt: x, fOpt: fx, history };
+}
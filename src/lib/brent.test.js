@@ -0,0 +1,46 @@
+import { brentMethod } from "./brent";
+import { PRESET_FUNCTIONS } from "./functionLibrary";
+import { parseExpression, compileExpression, bindParameters } from "./expression";
+
+test("converges to a local minimum on every preset", () => {
+  for (const { expression, a, b } of PRESET_FUNCTIONS) {
+    const f = bindParameters(compileExpression(parseExpression(expression)));
+    const { xOpt, fOpt, history } = brentMethod(f, a, b, 1e-8, 200);
+    expect(history.length).toBeLessThan(200);
+    expect(fOpt).toBe(f(xOpt));
+    expect(f(xOpt - 1e-4)).toBeGreaterThanOrEqual(fOpt);
+    expect(f(xOpt + 1e-4)).toBeGreaterThanOrEqual(fOpt);
+  }
+  const parabola = (x) => (x - 2) ** 2 + 1;
+  expect(brentMethod(parabola, -2, 5, 1e-8).xOpt).toBeCloseTo(2, 7);
+});
+
+test("labels each step parabolic or golden and records the fitted parabola", () => {
+  const { history } = brentMethod((x) => (x - 2) ** 2 + Math.sin(5 * x), -2, 5, 1e-8);
+  const steps = new Set(history.map((h) => h.step));
+  expect(steps).toEqual(new Set(["parabolic", "golden"]));
+  const parabolic = history.filter((h) => h.step === "parabolic");
+  expect(parabolic.every((h) => h.parabola.points.length === 3 && Number.isFinite(h.parabola.vertex))).toBe(true);
+  expect(history.filter((h) => h.step === "golden").every((h) => h.parabola === null)).toBe(true);
+  // The first step has no earlier points to fit
+  expect(history[0].step).toBe("golden");
+  // On a parabola the fitted vertex is the minimum itself
+  const exact = brentMethod((x) => (x - 1) ** 2, -3, 4, 1e-8).history.find((h) => h.step === "parabolic");
+  expect(exact.parabola.vertex).toBeCloseTo(1, 10);
+});
+
+test("stops once x is within tol of the bracket", () => {
+  const f = (x) => Math.cosh(x - 0.3);
+  const loose = brentMethod(f, -2, 2, 1e-2);
+  const tight = brentMethod(f, -2, 2, 1e-8);
+  expect(Math.abs(loose.xOpt - 0.3)).toBeLessThan(1e-2);
+  expect(Math.abs(tight.xOpt - 0.3)).toBeLessThan(1e-6);
+  expect(loose.history.length).toBeLessThan(tight.history.length);
+  // Every bracket still contains the minimum, up to the flatness of f there
+  for (const h of tight.history) {
+    expect(h.a).toBeLessThanOrEqual(0.3 + 1e-7);
+    expect(h.b).toBeGreaterThanOrEqual(0.3 - 1e-7);
+  }
+  // maxIter caps the run
+  expect(brentMethod(f, -2, 2, 1e-12, 3).history).toHaveLength(3);
+});
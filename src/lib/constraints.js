@@ -0,0 +1,118 @@
+// Inequality constraints g_i(x) ≤ 0 on a 1D objective, and the two classic
+// ways of reducing the constrained problem to a sequence of unconstrained
+// ones that any of the line-search methods can solve:
+//   penalty (exterior)   Φ(x) = f(x) + μ Σ max(0, g_i(x))²   with μ → ∞
+//   log-barrier (interior) Φ(x) = f(x) − μ Σ ln(−g_i(x))     with μ → 0
+
+// Largest g_i(x): x is feasible when it is ≤ 0. A constraint that is not a
+// number at x counts as violated.
+export function maxConstraint(gs, x) {
+  let worst = -Infinity;
+  for (const g of gs) {
+    const value = g(x);
+    worst = Math.max(worst, Number.isNaN(value) ? Infinity : value);
+  }
+  return worst;
+}
+
+const isFeasible = (gs, x) => maxConstraint(gs, x) <= 0;
+
+// Edge between a feasible and an infeasible point, by bisection
+function refineEdge(gs, inside, outside, steps = 50) {
+  for (let i = 0; i < steps; i++) {
+    const mid = (inside + outside) / 2;
+    if (isFeasible(gs, mid)) inside = mid;
+    else outside = mid;
+  }
+  return inside;
+}
+
+// Feasible sub-intervals [{ from, to }] of [a, b], found on a grid of
+// samples and with their edges refined. Isolated feasible points between two
+// samples are missed.
+export function feasibleIntervals(gs, a, b, samples = 400) {
+  const intervals = [];
+  let start = null;
+  let previous = a;
+  let previousFeasible = false;
+  for (let i = 0; i <= samples; i++) {
+    const x = a + (i / samples) * (b - a);
+    const feasible = isFeasible(gs, x);
+    if (feasible && !previousFeasible) {
+      start = i === 0 ? x : refineEdge(gs, x, previous);
+    } else if (!feasible && previousFeasible) {
+      intervals.push({ from: start, to: refineEdge(gs, previous, x) });
+    }
+    previous = x;
+    previousFeasible = feasible;
+  }
+  if (previousFeasible) intervals.push({ from: start, to: b });
+  return intervals;
+}
+
+export function penaltyFunction(f, gs, mu) {
+  return (x) => {
+    let sum = 0;
+    for (const g of gs) sum += Math.max(0, g(x)) ** 2;
+    return f(x) + mu * sum;
+  };
+}
+
+// +∞ outside the strict interior, so a method never settles there
+export function barrierFunction(f, gs, mu) {
+  return (x) => {
+    let sum = 0;
+    for (const g of gs) {
+      const value = g(x);
+      if (!(value < 0)) return Infinity;
+      sum += Math.log(-value);
+    }
+    return f(x) - mu * sum;
+  };
+}
+
+// Exterior penalty: minimize Φ on [a, b] with μ = μ0, μ0·growth, ... until
+// the largest violation max g_i(x) is below tol. innerRun(phi, lo, hi)
+// returns { xOpt, history } like the line-search methods.
+export function penaltyMethod(f, gs, a, b, innerRun, { mu0 = 1, growth = 10, outerIter = 10, tol = 1e-4 } = {}) {
+  const history = [];
+  let mu = mu0;
+  let x = null;
+  let converged = false;
+  for (let k = 0; k < outerIter; k++) {
+    const phi = penaltyFunction(f, gs, mu);
+    const inner = innerRun(phi, a, b);
+    x = inner.xOpt;
+    const violation = Math.max(0, maxConstraint(gs, x));
+    history.push({ outer: k + 1, mu, x, fx: f(x), violation, innerIterations: inner.history.length });
+    if (violation <= tol) {
+      converged = true;
+      break;
+    }
+    mu *= growth;
+  }
+  return { xOpt: x, fOpt: f(x), history, converged };
+}
+
+// Log barrier inside the feasible interval { from, to }: minimize Φ with
+// μ = μ0, μ0/growth, ... until m·μ (the bound on f(x) − f* for convex
+// problems with m constraints) is below tol. The iterates stay strictly
+// feasible.
+export function barrierMethod(f, gs, interval, innerRun, { mu0 = 1, growth = 10, outerIter = 10, tol = 1e-4 } = {}) {
+  const history = [];
+  let mu = mu0;
+  let x = null;
+  let converged = false;
+  for (let k = 0; k < outerIter; k++) {
+    const phi = barrierFunction(f, gs, mu);
+    const inner = innerRun(phi, interval.from, interval.to);
+    x = inner.xOpt;
+    history.push({ outer: k + 1, mu, x, fx: f(x), violation: Math.max(0, maxConstraint(gs, x)), gap: gs.length * mu, innerIterations: inner.history.length });
+    if (gs.length * mu <= tol) {
+      converged = true;
+      break;
+    }
+    mu /= growth;
+  }
+  return { xOpt: x, fOpt: f(x), history, converged };
+}
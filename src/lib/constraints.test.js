@@ -0,0 +1,83 @@
+import { maxConstraint, feasibleIntervals, penaltyFunction, barrierFunction, penaltyMethod, barrierMethod } from "./constraints";
+import { LOCAL_METHODS, localRunner } from "./localMethods";
+import { finiteDifferences } from "./derivatives";
+import { guardDomain } from "./domain";
+
+// Golden-section search as the inner method
+function golden(f, a, b, tol = 1e-9) {
+  const r = (Math.sqrt(5) - 1) / 2;
+  const history = [];
+  let c = b - r * (b - a);
+  let d = a + r * (b - a);
+  while (b - a > tol) {
+    history.push({ a, b });
+    if (f(c) < f(d)) {
+      b = d;
+      d = c;
+      c = b - r * (b - a);
+    } else {
+      a = c;
+      c = d;
+      d = a + r * (b - a);
+    }
+  }
+  const xOpt = (a + b) / 2;
+  return { xOpt, fOpt: f(xOpt), history };
+}
+
+// Minimize (x - 3)^2 subject to x ≤ 1: the answer is x = 1
+const f = (x) => (x - 3) ** 2;
+const gs = [(x) => x - 1];
+
+test("maxConstraint and feasibleIntervals locate g(x) ≤ 0", () => {
+  expect(maxConstraint(gs, 0)).toBe(-1);
+  expect(maxConstraint([(x) => Math.log(x)], -1)).toBe(Infinity);
+  const [interval, ...rest] = feasibleIntervals(gs, -2, 5);
+  expect(rest).toHaveLength(0);
+  expect(interval.from).toBe(-2);
+  expect(interval.to).toBeCloseTo(1, 10);
+  expect(interval.to).toBeLessThanOrEqual(1);
+
+  // Two pieces: |x| ≥ 1 in [-2, 2]
+  const pieces = feasibleIntervals([(x) => 1 - Math.abs(x)], -2, 2);
+  expect(pieces.map(({ from, to }) => [from, to].map((v) => Number(v.toFixed(8))))).toEqual([[-2, -1], [1, 2]]);
+});
+
+test("penalty and barrier functions", () => {
+  expect(penaltyFunction(f, gs, 10)(2)).toBe(1 + 10);
+  expect(penaltyFunction(f, gs, 10)(0)).toBe(9);
+  expect(barrierFunction(f, gs, 1)(0)).toBe(9);
+  expect(barrierFunction(f, gs, 1)(1)).toBe(Infinity);
+});
+
+test("the penalty method approaches x = 1 from outside", () => {
+  const { xOpt, history, converged } = penaltyMethod(f, gs, -2, 5, golden, { mu0: 1, growth: 10, outerIter: 12, tol: 1e-4 });
+  expect(converged).toBe(true);
+  expect(xOpt).toBeCloseTo(1, 3);
+  // Minimizer of Φ is 1 + 2/(1 + μ): infeasible, closer at each μ
+  expect(history[0].x).toBeCloseTo(2, 6);
+  for (const h of history) expect(h.x).toBeGreaterThan(1);
+  for (let i = 1; i < history.length; i++) expect(history[i].violation).toBeLessThan(history[i - 1].violation);
+});
+
+test("the barrier method approaches x = 1 from inside", () => {
+  const [interval] = feasibleIntervals(gs, -2, 5);
+  const { xOpt, history, converged } = barrierMethod(f, gs, interval, golden, { mu0: 1, growth: 10, tol: 1e-5 });
+  expect(converged).toBe(true);
+  expect(xOpt).toBeCloseTo(1, 4);
+  for (const h of history) expect(h.x).toBeLessThan(1);
+  for (let i = 1; i < history.length; i++) expect(history[i].x).toBeGreaterThan(history[i - 1].x);
+});
+
+test("every inner method runs the barrier on an active constraint", () => {
+  // Minimize (x - 2)^2 + 1 subject to x ≤ 1, with the defaults of the optimizer
+  const g = (x) => (x - 2) ** 2 + 1;
+  const [interval] = feasibleIntervals(gs, -2, 5);
+  for (const method of Object.keys(LOCAL_METHODS)) {
+    const localRun = localRunner(method, 1e-6, 200, finiteDifferences);
+    const { xOpt, converged } = barrierMethod(guardDomain(g), gs, interval, localRun, { mu0: 1, growth: 10, outerIter: 10, tol: 1e-4 });
+    expect([method, converged]).toEqual([method, true]);
+    expect(xOpt).toBeLessThan(1);
+    expect(xOpt).toBeCloseTo(1, 3);
+  }
+});
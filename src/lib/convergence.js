@@ -0,0 +1,45 @@
+// Empirical order of convergence of an iterate sequence. With the steps
+// d_k = |x_k - x_{k-1}| (which behave like the errors near the limit),
+//   q_k = ln(d_k / d_{k-1}) / ln(d_{k-1} / d_{k-2})
+// tends to the order: 1 for linear methods, ≈ 1.618 for the secant, 2 for
+// Newton. Returns one estimate per iterate (null where it cannot be formed,
+// or once the steps are down at rounding level).
+export function convergenceOrders(xs) {
+  const orders = xs.map(() => null);
+  const step = (k) => Math.abs(xs[k] - xs[k - 1]);
+  // Steps below this are dominated by rounding in f'
+  const noise = (k) => 1e-10 * Math.max(1, Math.abs(xs[k]));
+  for (let k = 3; k < xs.length; k++) {
+    const d0 = step(k - 2);
+    const d1 = step(k - 1);
+    const d2 = step(k);
+    if (d0 <= noise(k - 2) || d1 <= noise(k - 1) || d2 <= noise(k)) continue;
+    const q = Math.log(d2 / d1) / Math.log(d1 / d0);
+    if (Number.isFinite(q)) orders[k] = q;
+  }
+  return orders;
+}
+
+// Order fitted over the last few steps as the least-squares slope of
+// ln d_{k+1} against ln d_k (from d_{k+1} ≈ C d_k^q). The one-step estimates
+// above zig-zag (the secant's alternate well above and below 1.618), the
+// fit smooths that out. Returns null with fewer than two usable steps.
+export function estimatedOrder(xs, window = 4) {
+  const logs = [];
+  for (let k = 1; k < xs.length; k++) {
+    const d = Math.abs(xs[k] - xs[k - 1]);
+    if (d <= 1e-10 * Math.max(1, Math.abs(xs[k]))) break;
+    logs.push(Math.log(d));
+  }
+  const pairs = logs.slice(1).map((y, i) => [logs[i], y]).slice(-window);
+  if (pairs.length < 2) return null;
+  const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / pairs.length;
+  const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / pairs.length;
+  let sxy = 0;
+  let sxx = 0;
+  for (const [x, y] of pairs) {
+    sxy += (x - meanX) * (y - meanY);
+    sxx += (x - meanX) ** 2;
+  }
+  return sxx > 0 ? sxy / sxx : null;
+}
@@ -0,0 +1,52 @@
+import { convergenceOrders, estimatedOrder } from "./convergence";
+
+// Iterates of x_{k+1} = g(x_k) or of the secant recurrence for the root of
+// x^2 - 2, whose orders are known
+function iterate(next, start, n) {
+  const xs = [...start];
+  while (xs.length < n) xs.push(next(xs));
+  return xs;
+}
+
+test("the one-step estimates of the secant zig-zag around 1.618", () => {
+  const g = (x) => 2 * (x - 2) + 5 * Math.cos(5 * x);
+  const xs = [-2, 5];
+  for (let k = 0; k < 7; k++) {
+    const [x0, x1] = xs.slice(-2);
+    xs.push(x1 - (g(x1) * (x1 - x0)) / (g(x1) - g(x0)));
+  }
+  const local = convergenceOrders(xs).filter((q) => q !== null);
+  expect(Math.max(...local)).toBeGreaterThan(2.5);
+  expect(Math.min(...local)).toBeLessThan(1);
+  const order = estimatedOrder(xs);
+  expect(order).toBeGreaterThan(1.3);
+  expect(order).toBeLessThan(1.9);
+});
+
+test("recovers the order of linear, secant and Newton iterations", () => {
+  const linear = iterate((xs) => 1 + 0.5 * (xs[xs.length - 1] - 1), [3], 12);
+  expect(estimatedOrder(linear)).toBeCloseTo(1, 6);
+
+  const g = (x) => x * x - 2;
+  const secant = iterate((xs) => {
+    const [x0, x1] = xs.slice(-2);
+    return x1 - (g(x1) * (x1 - x0)) / (g(x1) - g(x0));
+  }, [1, 2], 8);
+  const secantOrder = estimatedOrder(secant);
+  expect(secantOrder).toBeGreaterThan(1.5);
+  expect(secantOrder).toBeLessThan(1.75);
+
+  const newton = iterate((xs) => {
+    const x = xs[xs.length - 1];
+    return x - g(x) / (2 * x);
+  }, [3], 6);
+  expect(estimatedOrder(newton)).toBeCloseTo(2, 1);
+});
+
+test("skips estimates once the steps reach rounding level", () => {
+  const orders = convergenceOrders([0, 1, 1.5, 1.75, 1.75, 1.75]);
+  expect(orders.slice(0, 3)).toEqual([null, null, null]);
+  expect(orders[3]).toBeCloseTo(1, 12);
+  expect(orders.slice(4)).toEqual([null, null]);
+  expect(estimatedOrder([0, 1, 1.5])).toBeNull();
+});
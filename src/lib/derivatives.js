@@ -0,0 +1,67 @@
+// Derivative providers for the Newton and Bisection optimizers. All three
+// build f' and f'' from the same parsed expression so they can be compared:
+//   "ad"        forward-mode automatic differentiation (exact, one pass)
+//   "symbolic"  simplified symbolic derivatives, compiled like f
+//   "fd"        central finite differences with scaled step sizes
+import { compileExpression, bindParameters } from "./expression";
+import { compileJet } from "./autodiff";
+import { derivative } from "./symbolic";
+
+export const DERIVATIVE_MODES = {
+  ad: "AD exacta (números duales)",
+  symbolic: "Simbólica",
+  fd: "Diferencias finitas",
+};
+
+// Steps that balance truncation and rounding error for each formula
+const FD_STEP_1 = Math.cbrt(Number.EPSILON);
+const FD_STEP_2 = Math.pow(Number.EPSILON, 0.25);
+
+// f' and f'' of any function by central differences, for functions that
+// are not a parsed expression (penalized objectives, for instance)
+export function finiteDifferences(f) {
+  return {
+    df: (x) => {
+      const h = FD_STEP_1 * Math.max(1, Math.abs(x));
+      return (f(x + h) - f(x - h)) / (2 * h);
+    },
+    d2f: (x) => {
+      const h = FD_STEP_2 * Math.max(1, Math.abs(x));
+      return (f(x + h) - 2 * f(x) + f(x - h)) / (h * h);
+    },
+  };
+}
+
+// f, when given, is the function the finite differences are taken of
+// instead of the compiled expression: the objective with its noise, which
+// the exact modes cannot see
+export function buildDerivatives(ast, mode = "ad", params = {}, f = null) {
+  if (mode === "symbolic") {
+    const first = derivative(ast, 1);
+    const second = derivative(ast, 2);
+    return {
+      df: bindParameters(compileExpression(first), params),
+      d2f: bindParameters(compileExpression(second), params),
+      first,
+      second,
+    };
+  }
+
+  if (mode === "fd") {
+    return finiteDifferences(f || bindParameters(compileExpression(ast), params));
+  }
+
+  // df and d2f share the jet of the last point, so Newton's f'(x), f''(x)
+  // pair costs a single pass through the expression
+  const jet = compileJet(ast);
+  let lastX = NaN;
+  let lastJet = null;
+  const jetAt = (x) => {
+    if (x !== lastX) {
+      lastX = x;
+      lastJet = jet(x, params);
+    }
+    return lastJet;
+  };
+  return { df: (x) => jetAt(x).d, d2f: (x) => jetAt(x).dd };
+}
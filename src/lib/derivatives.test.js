@@ -0,0 +1,26 @@
+import { buildDerivatives } from "./derivatives";
+import { parseExpression, compileExpression } from "./expression";
+import { withNoise } from "./noise";
+
+const ast = parseExpression("x^2 - 4*x + 3");
+const exact = compileExpression(ast);
+
+test("every mode gives the derivatives of the expression", () => {
+  for (const mode of ["ad", "symbolic", "fd"]) {
+    const { df, d2f } = buildDerivatives(ast, mode);
+    expect(df(3)).toBeCloseTo(2, 5);
+    expect(d2f(3)).toBeCloseTo(2, 3);
+  }
+});
+
+test("finite differences see the noise of the function they are given", () => {
+  const noisy = withNoise((x) => exact(x, {}), { type: "gaussian", amplitude: 0.1, seed: 1, repeats: 1 });
+  const withoutNoise = buildDerivatives(ast, "fd", {}, (x) => exact(x, {}));
+  const withNoiseFd = buildDerivatives(ast, "fd", {}, noisy);
+  expect(withoutNoise.df(3)).toBeCloseTo(2, 5);
+  expect(Math.abs(withNoiseFd.df(3) - 2)).toBeGreaterThan(1);
+  expect(withNoiseFd.df(3)).toBe(buildDerivatives(ast, "fd", {}, noisy).df(3));
+
+  // The exact modes ignore it
+  expect(buildDerivatives(ast, "ad", {}, noisy).df(3)).toBe(2);
+});
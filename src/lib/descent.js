@@ -0,0 +1,86 @@
+// Line-search descent methods for f(x, y). Each iteration picks a descent
+// direction d at the current point, brackets φ(α) = f(p + α·d/‖d‖) with
+// Swann's method and minimizes φ exactly with a 1D method. α is therefore the
+// length of the step, and every iteration is one segment p → p + α·d/‖d‖.
+import { gradient, hessian } from "./surface";
+import { swannBracket } from "./bracketing";
+
+export const DESCENT_DIRECTIONS = {
+  steepest: "Máximo descenso (−∇f)",
+  newton: "Newton (−H⁻¹∇f)",
+};
+
+// Newton direction −H⁻¹∇f, or null when H is not positive definite (the
+// direction would not be a descent direction)
+export function newtonDirection([[a, b], [, d]], [gx, gy]) {
+  const det = a * d - b * b;
+  if (!(a > 0 && det > 0)) return null;
+  return [-(d * gx - b * gy) / det, -(a * gy - b * gx) / det];
+}
+
+// Descent from start = [x, y]. lineSearch(φ, lo, hi) minimizes φ on the
+// bracket and returns { xOpt, history }. step is the initial Swann step.
+// Rows: { iter, x, y, fxy, gradNorm, dx, dy, fallback, lo, hi, alpha,
+// lineIterations, xNext, yNext, fNext }, where (dx, dy) is the unit direction
+// and fallback marks a Newton iteration that used −∇f instead.
+export function descent2D(f, start, { method = "steepest", lineSearch, tol = 1e-6, maxIter = 100, step = 0.1 } = {}) {
+  const history = [];
+  let [x, y] = start;
+  let fxy = f(x, y);
+  let converged = false;
+  let message = null;
+
+  for (let iter = 1; iter <= maxIter; iter++) {
+    const g = gradient(f, x, y);
+    const gradNorm = Math.hypot(g[0], g[1]);
+    if (gradNorm <= tol) {
+      converged = true;
+      break;
+    }
+
+    let d = [-g[0], -g[1]];
+    let fallback = false;
+    if (method === "newton") {
+      const newton = newtonDirection(hessian(f, x, y), g);
+      if (newton && newton[0] * g[0] + newton[1] * g[1] < 0) {
+        d = newton;
+      } else {
+        fallback = true;
+      }
+    }
+    const norm = Math.hypot(d[0], d[1]);
+    const [dx, dy] = [d[0] / norm, d[1] / norm];
+
+    const px = x;
+    const py = y;
+    const phi = (alpha) => f(px + alpha * dx, py + alpha * dy);
+    const bracket = swannBracket(phi, 0, step);
+    if (!bracket.found) {
+      message = `La búsqueda lineal no encontró un mínimo en la dirección d de la iteración ${iter}: ${bracket.message}`;
+      break;
+    }
+    const line = lineSearch(phi, bracket.a, bracket.b);
+    // The bracket may start slightly behind p; never step backwards
+    const alpha = Math.max(line.xOpt, 0);
+    const xNext = x + alpha * dx;
+    const yNext = y + alpha * dy;
+    const fNext = f(xNext, yNext);
+
+    history.push({
+      iter, x, y, fxy, gradNorm, dx, dy, fallback,
+      lo: bracket.a, hi: bracket.b, alpha, lineIterations: line.history.length,
+      xNext, yNext, fNext,
+    });
+
+    x = xNext;
+    y = yNext;
+    const decrease = fxy - fNext;
+    fxy = fNext;
+    if (alpha <= tol || decrease <= tol * tol) {
+      converged = true;
+      break;
+    }
+  }
+
+  return { xOpt: [x, y], fOpt: fxy, history, converged, message };
+}
@@ -0,0 +1,59 @@
+import { descent2D, newtonDirection } from "./descent";
+
+// Golden-section search as the exact line search
+function golden(f, a, b, tol = 1e-10) {
+  const r = (Math.sqrt(5) - 1) / 2;
+  const history = [];
+  while (b - a > tol) {
+    const c = b - r * (b - a);
+    const d = a + r * (b - a);
+    history.push({ a, b });
+    if (f(c) < f(d)) b = d;
+    else a = c;
+  }
+  return { xOpt: (a + b) / 2, history };
+}
+
+const valley = (x, y) => x * x + 10 * y * y;
+
+test("Newton direction solves H d = −g and rejects indefinite H", () => {
+  expect(newtonDirection([[2, 0], [0, 20]], [4, 20])).toEqual([-2, -1]);
+  expect(newtonDirection([[1, 0], [0, -1]], [1, 1])).toBeNull();
+});
+
+test("steepest descent zigzags down the valley with exact line searches", () => {
+  const { xOpt, fOpt, history, converged } = descent2D(valley, [2.5, 1.5], { lineSearch: golden, tol: 1e-6 });
+  expect(converged).toBe(true);
+  expect(xOpt[0]).toBeCloseTo(0, 4);
+  expect(xOpt[1]).toBeCloseTo(0, 4);
+  expect(fOpt).toBeLessThan(1e-8);
+  expect(history.length).toBeGreaterThan(5);
+  // Exact line searches make consecutive directions orthogonal
+  for (let k = 1; k < 4; k++) {
+    const dot = history[k].dx * history[k - 1].dx + history[k].dy * history[k - 1].dy;
+    expect(Math.abs(dot)).toBeLessThan(1e-3);
+  }
+  history.forEach((row) => expect(row.fNext).toBeLessThanOrEqual(row.fxy));
+});
+
+test("Newton reaches the minimum of a quadratic in one line search", () => {
+  const { xOpt, history } = descent2D(valley, [2.5, 1.5], { method: "newton", lineSearch: golden });
+  expect(history[0].fallback).toBe(false);
+  expect(history[0].xNext).toBeCloseTo(0, 4);
+  expect(history[0].yNext).toBeCloseTo(0, 4);
+  expect(xOpt[0]).toBeCloseTo(0, 4);
+});
+
+test("Newton falls back to −∇f where the Hessian is not positive definite", () => {
+  const f = (x, y) => x ** 4 - 2 * x * x + y * y;
+  const { history, xOpt } = descent2D(f, [0.1, 1], { method: "newton", lineSearch: golden });
+  expect(history[0].fallback).toBe(true);
+  expect(Math.abs(xOpt[0])).toBeCloseTo(1, 3);
+  expect(xOpt[1]).toBeCloseTo(0, 3);
+});
+
+test("an unbounded direction stops with a message", () => {
+  const { message, converged } = descent2D((x, y) => -x - y, [0, 0], { lineSearch: golden });
+  expect(converged).toBe(false);
+  expect(message).toMatch(/búsqueda lineal/);
+});
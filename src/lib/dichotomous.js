@@ -0,0 +1,38 @@
+// Minimization on [a, b] by dichotomous search, used by the dichotomous
+// optimizer and as the inner line search of the global and 2D methods. Each
+// iteration compares two points δ either side of the midpoint and keeps
+// about half of the interval. Rows: { iter, a, b, c, d, fc, fd, midpoint }.
+
+export function dichotomousSearch(f, a, b, tol = 1e-3, delta = 1e-4, maxIter = 100) {
+  const history = [];
+  
+  for (let iter = 0; iter < maxIter; iter++) {
+    if (Math.abs(b - a) < tol) break;
+    
+    const c = (a + b) / 2 - delta;
+    const d = (a + b) / 2 + delta;
+    const fc = f(c);
+    const fd = f(d);
+    
+    history.push({
+      iter: iter + 1,
+      a,
+      b,
+      c,
+      d,
+      fc,
+      fd,
+      midpoint: (a + b) / 2
+    });
+    
+    if (fc < fd) {
+      b = d;
+    } else {
+      a = c;
+    }
+  }
+
+  const xOpt = (a + b) / 2;
+  const fOpt = f(xOpt);
+  return { xOpt, fOpt, history };
+}
@@ -0,0 +1,17 @@
+import { dichotomousSearch } from "./dichotomous";
+
+test("converges to the minimizer of a unimodal function", () => {
+  const { xOpt } = dichotomousSearch((x) => (x - 1.3) ** 2 + 2, -2, 5, 1e-6, 1e-8);
+  expect(xOpt).toBeCloseTo(1.3, 5);
+});
+
+test("compares points δ either side of the midpoint and keeps about half", () => {
+  const { history } = dichotomousSearch((x) => Math.abs(x - 0.7), 0, 2, 1e-3, 1e-5);
+  for (const row of history) {
+    expect(row.c).toBeCloseTo(row.midpoint - 1e-5, 12);
+    expect(row.d).toBeCloseTo(row.midpoint + 1e-5, 12);
+  }
+  for (let i = 1; i < history.length; i++) {
+    expect(history[i].b - history[i].a).toBeCloseTo((history[i - 1].b - history[i - 1].a) / 2 + 1e-5, 12);
+  }
+});
@@ -0,0 +1,58 @@
+// Objective direction shared by every method. The methods only minimize:
+// maximizing f is minimizing −f, so they run on the directed function and
+// the values they record are turned back into values of f before they
+// reach the tables and the chart.
+export const DIRECTIONS = {
+  min: { label: "Minimizar", title: "Minimización", optimum: "mínimo", found: "Mínimo encontrado" },
+  max: { label: "Maximizar", title: "Maximización", optimum: "máximo", found: "Máximo encontrado" },
+};
+
+// The function the methods minimize: f itself, or −f when maximizing.
+// Also used for f' and f'', which change sign with f, and for f(x, y).
+export function directed(fn, direction) {
+  if (!fn || direction !== "max") return fn;
+  return (...args) => -fn(...args);
+}
+
+// Copy of row with the numeric values under keys negated
+export function negateKeys(row, keys) {
+  const copy = { ...row };
+  for (const key of keys) {
+    if (typeof copy[key] === "number") copy[key] = -copy[key];
+  }
+  return copy;
+}
+
+// [x, y] pairs with y negated
+export function negatePoints(points) {
+  return points.map(([x, y]) => [x, -y]);
+}
+
+// A result computed on directed(f) in terms of f: fOpt (when present) and
+// every history row, through restoreRow, change sign back when maximizing.
+// restoreRow is a list of keys to negate or a function of the row.
+export function restoreDirection(result, direction, restoreRow) {
+  if (!result || direction !== "max") return result;
+  const restore = typeof restoreRow === "function" ? restoreRow : (row) => negateKeys(row, restoreRow);
+  const restored = { ...result, history: result.history.map(restore) };
+  if (typeof result.fOpt === "number") restored.fOpt = -result.fOpt;
+  return restored;
+}
+
+// Second-order check of a critical point against the direction: f'' > 0
+// at a minimum and f'' < 0 at a maximum. Returns a message when f''(x*)
+// contradicts the direction or is too small to decide, null otherwise.
+export function curvatureWarning(d2fx, direction, tol = 1e-8) {
+  const { optimum } = DIRECTIONS[direction];
+  if (!Number.isFinite(d2fx)) {
+    return `f''(x*) no es un número: no se puede comprobar que sea un ${optimum}.`;
+  }
+  if (Math.abs(d2fx) <= tol) {
+    return `f''(x*) ≈ 0: la curvatura no confirma un ${optimum} (puede ser un punto de inflexión).`;
+  }
+  const found = d2fx > 0 ? "min" : "max";
+  if (found !== direction) {
+    return `f''(x*) = ${d2fx.toFixed(6)}: el punto crítico es un ${DIRECTIONS[found].optimum}, no un ${optimum}.`;
+  }
+  return null;
+}
@@ -0,0 +1,34 @@
+import { directed, restoreDirection, negatePoints, curvatureWarning } from "./direction";
+
+const f = (x) => (x - 1) ** 2;
+
+test("directed negates f only when maximizing", () => {
+  expect(directed(f, "min")).toBe(f);
+  expect(directed(f, "max")(3)).toBe(-4);
+  expect(directed(null, "max")).toBeNull();
+});
+
+test("restoreDirection turns recorded values back into values of f", () => {
+  const result = { xOpt: 1, fOpt: -2, history: [{ iter: 1, x: 1, fx: -2, points: [[0, -1], [1, -2]] }] };
+  expect(restoreDirection(result, "min", ["fx"])).toBe(result);
+
+  const byKeys = restoreDirection(result, "max", ["fx", "missing"]);
+  expect(byKeys.fOpt).toBe(2);
+  expect(byKeys.history[0]).toEqual({ iter: 1, x: 1, fx: 2, points: [[0, -1], [1, -2]] });
+  expect(result.history[0].fx).toBe(-2);
+
+  const byRow = restoreDirection(result, "max", (h) => ({ ...h, points: negatePoints(h.points) }));
+  expect(byRow.history[0].points).toEqual([[0, 1], [1, 2]]);
+
+  const phase = restoreDirection({ a: 0, b: 1, history: [{ fx: 3 }] }, "max", ["fx"]);
+  expect(phase).toEqual({ a: 0, b: 1, history: [{ fx: -3 }] });
+});
+
+test("curvatureWarning checks f'' against the direction", () => {
+  expect(curvatureWarning(2, "min")).toBeNull();
+  expect(curvatureWarning(-2, "max")).toBeNull();
+  expect(curvatureWarning(-2, "min")).toMatch(/es un máximo, no un mínimo/);
+  expect(curvatureWarning(2, "max")).toMatch(/es un mínimo, no un máximo/);
+  expect(curvatureWarning(0, "max")).toMatch(/punto de inflexión/);
+  expect(curvatureWarning(NaN, "min")).toMatch(/no es un número/);
+});
@@ -0,0 +1,182 @@
+// Domain analysis for objectives that are not defined everywhere, such as
+// log(x), sqrt(x) or 1/(x-1). Invalid sub-intervals (f is NaN or infinite)
+// are shaded on the charts and poles are marked; the search methods run on a
+// guarded f that stops them as soon as they step outside the domain.
+
+export class DomainError extends Error {
+  constructor(message, x, value, label = "f") {
+    super(message);
+    this.name = "DomainError";
+    this.x = x;
+    this.value = value;
+    this.label = label;
+  }
+}
+
+function describeValue(value) {
+  if (Number.isNaN(value)) return "no es un número";
+  return value > 0 ? "vale +∞" : "vale −∞";
+}
+
+// Wraps f so that any non-finite value throws a DomainError naming the point.
+// label is how the function is shown in the message (f, f', f'').
+export function guardDomain(f, label = "f") {
+  return (x) => {
+    const value = f(x);
+    if (!Number.isFinite(value)) {
+      throw new DomainError(
+        `${label}(x) ${describeValue(value)} en x = ${Number(x).toPrecision(6)}: el método se detuvo fuera del dominio de la función. Ajusta el intervalo o el punto inicial.`,
+        x,
+        value,
+        label
+      );
+    }
+    return value;
+  };
+}
+
+// guardDomain for a surface f(x, y); the error's x is the point [x, y]
+export function guardSurface(f, label = "f") {
+  return (x, y) => {
+    const value = f(x, y);
+    if (!Number.isFinite(value)) {
+      throw new DomainError(
+        `${label}(x, y) ${describeValue(value)} en (${Number(x).toPrecision(6)}, ${Number(y).toPrecision(6)}): el método se detuvo fuera del dominio de la función. Ajusta la ventana o el punto inicial.`,
+        [x, y],
+        value,
+        label
+      );
+    }
+    return value;
+  };
+}
+
+// Runs a method that uses guarded functions. A DomainError is returned as
+// { result: null, domainError } instead of propagating; anything else throws.
+export function runInDomain(callback) {
+  try {
+    return { result: callback(), domainError: null };
+  } catch (error) {
+    if (error instanceof DomainError) {
+      return { result: null, domainError: error };
+    }
+    throw error;
+  }
+}
+
+const isValid = (f, x) => Number.isFinite(f(x));
+
+// Bisects the edge between a valid point and an invalid one
+function refineEdge(f, valid, invalid) {
+  for (let k = 0; k < 60; k++) {
+    const mid = (valid + invalid) / 2;
+    if (mid === valid || mid === invalid) break;
+    if (isValid(f, mid)) {
+      valid = mid;
+    } else {
+      invalid = mid;
+    }
+  }
+  return valid;
+}
+
+// A pole hides between two finite samples where f changes sign (1/x) or
+// keeps growing (1/x^2). Sign changes are bisected like a root; otherwise a
+// ternary search follows the larger |f|. Only an interior point where |f|
+// ends up huge counts, which rules out roots and steep but bounded stretches.
+function findPole(f, x0, x1, threshold) {
+  let lo = x0;
+  let hi = x1;
+  const signChange = f(lo) * f(hi) < 0;
+  for (let k = 0; k < 100; k++) {
+    if (signChange) {
+      const mid = (lo + hi) / 2;
+      if (mid === lo || mid === hi) break;
+      const fm = f(mid);
+      if (!Number.isFinite(fm)) return mid;
+      if (f(lo) * fm < 0) {
+        hi = mid;
+      } else {
+        lo = mid;
+      }
+    } else {
+      const m1 = lo + (hi - lo) / 3;
+      const m2 = hi - (hi - lo) / 3;
+      if (m1 === lo || m2 === hi) break;
+      const f1 = f(m1);
+      const f2 = f(m2);
+      if (!Number.isFinite(f1)) return m1;
+      if (!Number.isFinite(f2)) return m2;
+      if (Math.abs(f1) > Math.abs(f2)) {
+        hi = m2;
+      } else {
+        lo = m1;
+      }
+    }
+  }
+  const x = (lo + hi) / 2;
+  const edge = 1e-6 * (x1 - x0);
+  if (x - x0 < edge || x1 - x < edge) return null;
+  return Math.max(Math.abs(f(lo)), Math.abs(f(hi))) > threshold ? x : null;
+}
+
+// Scans [a, b] on a uniform grid. Returns the sub-intervals where f is not
+// finite as [{ from, to }] with refined edges, and the poles inside the
+// valid part (points where |f| blows up between two finite samples).
+export function analyzeDomain(f, a, b, samples = 400) {
+  if (!(a < b)) return { invalid: [], poles: [] };
+  const xs = [];
+  for (let i = 0; i <= samples; i++) {
+    xs.push(a + (i / samples) * (b - a));
+  }
+  const ys = xs.map((x) => f(x));
+  const finite = ys.filter(Number.isFinite).map(Math.abs).sort((p, q) => p - q);
+  // Typical size of f on the grid, so "huge" is relative to the function
+  const typical = finite.length > 0 ? finite[Math.floor(finite.length / 2)] : 0;
+  const threshold = 1e6 * Math.max(1, typical);
+
+  const invalid = [];
+  const poles = [];
+  let start = Number.isFinite(ys[0]) ? null : a;
+  for (let i = 1; i <= samples; i++) {
+    const wasValid = Number.isFinite(ys[i - 1]);
+    const nowValid = Number.isFinite(ys[i]);
+    if (wasValid && !nowValid) {
+      start = refineEdge(f, xs[i - 1], xs[i]);
+    } else if (!wasValid && nowValid) {
+      const to = refineEdge(f, xs[i], xs[i - 1]);
+      // A single bad sample (1/(x-1) at x = 1) is a pole, not an interval
+      if (to - start <= 1e-9 * (b - a)) {
+        poles.push((start + to) / 2);
+      } else {
+        invalid.push({ from: start, to });
+      }
+      start = null;
+    } else if (wasValid && nowValid) {
+      const growing = Math.abs(ys[i - 1]) > threshold / 1e3 || Math.abs(ys[i]) > threshold / 1e3;
+      if (ys[i - 1] * ys[i] < 0 || growing) {
+        const pole = findPole(f, xs[i - 1], xs[i], threshold);
+        if (pole !== null) poles.push(pole);
+      }
+    }
+  }
+  if (start !== null) invalid.push({ from: start, to: b });
+
+  return { invalid, poles };
+}
+
+// y-axis range that keeps the bulk of the curve readable when a few samples
+// are huge (near a pole or the edge of the domain). Returns null when the
+// data needs no clipping and the chart can pick its own range.
+export function clipRange(values, spread = 3) {
+  const sorted = values.filter(Number.isFinite).sort((p, q) => p - q);
+  if (sorted.length < 4) return null;
+  const quantile = (q) => sorted[Math.floor(q * (sorted.length - 1))];
+  const low = quantile(0.05);
+  const high = quantile(0.95);
+  const margin = spread * Math.max(high - low, 1e-9);
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  if (min >= low - margin && max <= high + margin) return null;
+  return [Math.max(min, low - margin), Math.min(max, high + margin)];
+}
@@ -0,0 +1,54 @@
+import { analyzeDomain, clipRange, guardDomain, guardSurface, runInDomain, DomainError } from "./domain";
+
+test("finds the invalid sub-interval of log and sqrt", () => {
+  const { invalid, poles } = analyzeDomain(Math.log, -2, 5);
+  expect(invalid).toHaveLength(1);
+  expect(invalid[0].from).toBe(-2);
+  expect(invalid[0].to).toBeCloseTo(0, 6);
+  expect(poles).toEqual([]);
+
+  const sqrtDomain = analyzeDomain((x) => Math.sqrt(1 - x * x), -2, 2);
+  expect(sqrtDomain.invalid).toHaveLength(2);
+  expect(sqrtDomain.invalid[0].to).toBeCloseTo(-1, 6);
+  expect(sqrtDomain.invalid[1].from).toBeCloseTo(1, 6);
+  expect(sqrtDomain.invalid[1].to).toBe(2);
+});
+
+test("marks poles but not roots or steep stretches", () => {
+  expect(analyzeDomain((x) => 1 / (x - 1.3), -2, 5).poles[0]).toBeCloseTo(1.3, 6);
+  expect(analyzeDomain((x) => 1 / ((x - 0.7) * (x - 0.7)), -2, 5).poles[0]).toBeCloseTo(0.7, 3);
+  // x = 1 lands exactly on the grid and gives Infinity
+  expect(analyzeDomain((x) => 1 / (x - 1), -1, 3).poles).toEqual([1]);
+  expect(analyzeDomain((x) => x - 0.3, -2, 5)).toEqual({ invalid: [], poles: [] });
+  expect(analyzeDomain((x) => Math.exp(10 * x), -2, 2).poles).toEqual([]);
+});
+
+test("clips the y range only when a few values are huge", () => {
+  const smooth = Array.from({ length: 101 }, (_, i) => (i / 10 - 5) ** 2);
+  expect(clipRange(smooth)).toBeNull();
+
+  const xs = Array.from({ length: 101 }, (_, i) => i / 50 - 1 + 0.005);
+  const range = clipRange(xs.map((x) => 1 / x));
+  expect(range[0]).toBeGreaterThan(-1000);
+  expect(range[1]).toBeLessThan(1000);
+});
+
+test("guarded functions stop a method outside the domain", () => {
+  const f = guardDomain(Math.log);
+  expect(f(1)).toBe(0);
+  const { result, domainError } = runInDomain(() => [2, 1, 0].map(f));
+  expect(result).toBeNull();
+  expect(domainError).toBeInstanceOf(DomainError);
+  expect(domainError.x).toBe(0);
+  expect(domainError.message).toMatch(/^f\(x\) vale −∞ en x = 0\.00000/);
+  expect(runInDomain(() => 3)).toEqual({ result: 3, domainError: null });
+  expect(() => runInDomain(() => { throw new Error("otro"); })).toThrow("otro");
+});
+
+test("guarded surfaces report the point of the plane", () => {
+  const f = guardSurface((x, y) => Math.sqrt(x * y));
+  expect(f(2, 8)).toBe(4);
+  const { domainError } = runInDomain(() => f(-1, 2));
+  expect(domainError.x).toEqual([-1, 2]);
+  expect(domainError.message).toMatch(/^f\(x, y\) no es un número en \(-1\.00000, 2\.00000\)/);
+});
@@ -0,0 +1,536 @@
+// Expression engine for custom objective functions.
+// Pipeline: tokenize -> recursive-descent parser -> AST -> closure compiler.
+// Nothing here uses eval or new Function: the compiled evaluator is a tree of
+// small closures built once per expression.
+
+// Named constants available in expressions
+export const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E,
+};
+
+// Whitelist of callable functions and their arity
+export const MATH_FUNCTIONS = {
+  sin: { arity: 1, fn: Math.sin },
+  cos: { arity: 1, fn: Math.cos },
+  tan: { arity: 1, fn: Math.tan },
+  asin: { arity: 1, fn: Math.asin },
+  acos: { arity: 1, fn: Math.acos },
+  atan: { arity: 1, fn: Math.atan },
+  sinh: { arity: 1, fn: Math.sinh },
+  cosh: { arity: 1, fn: Math.cosh },
+  tanh: { arity: 1, fn: Math.tanh },
+  exp: { arity: 1, fn: Math.exp },
+  log: { arity: 1, fn: Math.log },
+  ln: { arity: 1, fn: Math.log },
+  log10: { arity: 1, fn: Math.log10 },
+  sqrt: { arity: 1, fn: Math.sqrt },
+  abs: { arity: 1, fn: Math.abs },
+  pow: { arity: 2, fn: Math.pow },
+  min: { arity: 2, fn: Math.min },
+  max: { arity: 2, fn: Math.max },
+};
+
+// Conditional forms: if(cond, a, b) and piecewise(c1, v1, c2, v2, ..., otherwise)
+export const CONDITIONAL_FUNCTIONS = ["if", "piecewise"];
+
+// Comparison operators evaluate to 1 (true) or 0 (false)
+export const COMPARISON_OPERATORS = {
+  "<": (l, r) => l < r,
+  "<=": (l, r) => l <= r,
+  ">": (l, r) => l > r,
+  ">=": (l, r) => l >= r,
+  "==": (l, r) => l === r,
+  "!=": (l, r) => l !== r,
+};
+
+// The optimization variable of a 1D objective. Other identifiers in an
+// expression are free parameters whose values are supplied at evaluation time.
+export const VARIABLE = "x";
+
+// Parse error with the location of the offending text: position is the
+// 0-based character offset, length how many characters to underline,
+// expected the descriptions of what would have been valid there and found
+// the text that was there instead (null at the end of the input).
+export class ExpressionError extends Error {
+  constructor(message, position, { length = 1, expected = [], found = null } = {}) {
+    super(message);
+    this.name = "ExpressionError";
+    this.position = position;
+    this.length = length;
+    this.expected = expected;
+    this.found = found;
+  }
+}
+
+// What may start an operand, used in "expected ..." diagnostics
+const OPERAND_START = ["un número", "una variable", "una función", "'('"];
+
+function describeExpected(expected) {
+  if (expected.length <= 1) return expected.join("");
+  return `${expected.slice(0, -1).join(", ")} o ${expected[expected.length - 1]}`;
+}
+
+function describeToken(token) {
+  return token.type === "eof" ? "el final de la expresión" : `'${token.text}'`;
+}
+
+// Error for a token that cannot appear where it is
+function unexpectedToken(token, expected) {
+  return new ExpressionError(
+    `Se esperaba ${describeExpected(expected)} pero se encontró ${describeToken(token)} (posición ${token.pos + 1})`,
+    token.pos,
+    { length: Math.max(1, token.text.length), expected, found: token.type === "eof" ? null : token.text }
+  );
+}
+
+const OPERATOR_CHARS = "+-*/^<>";
+
+export function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Numbers: 12, 3.5, .5, 1e-3
+    if (/[0-9.]/.test(ch)) {
+      const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+      if (!match) {
+        throw new ExpressionError(`Número inválido en la posición ${i + 1}`, i, {
+          expected: ["un dígito"],
+          found: ch,
+        });
+      }
+      tokens.push({ type: "number", value: Number(match[0]), text: match[0], pos: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(ch)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+      tokens.push({ type: "ident", value: match[0], text: match[0], pos: i });
+      i += match[0].length;
+      continue;
+    }
+
+    // "**" is accepted as an alias of "^"
+    if (ch === "*" && source[i + 1] === "*") {
+      tokens.push({ type: "op", value: "^", text: "**", pos: i });
+      i += 2;
+      continue;
+    }
+
+    const pair = source.slice(i, i + 2);
+    if (pair === "<=" || pair === ">=" || pair === "==" || pair === "!=") {
+      tokens.push({ type: "op", value: pair, text: pair, pos: i });
+      i += 2;
+      continue;
+    }
+
+    if (OPERATOR_CHARS.includes(ch)) {
+      tokens.push({ type: "op", value: ch, text: ch, pos: i });
+      i++;
+      continue;
+    }
+
+    if (ch === "(" || ch === ")" || ch === ",") {
+      tokens.push({ type: ch, value: ch, text: ch, pos: i });
+      i++;
+      continue;
+    }
+
+    throw new ExpressionError(`Carácter no permitido '${ch}' en la posición ${i + 1}`, i, {
+      expected: [...OPERAND_START, "un operador"],
+      found: ch,
+    });
+  }
+
+  tokens.push({ type: "eof", value: null, text: "", pos: source.length });
+  return tokens;
+}
+
+// Recursive-descent parser. Precedence, lowest first:
+//   comparison:     a < b, a >= b, ...    (non-associative)
+//   additive:       a + b, a - b          (left-assoc)
+//   multiplicative: a * b, a / b          (left-assoc)
+//   unary:          -a, +a
+//   power:          a ^ b                 (right-assoc, binds tighter than unary minus)
+//   primary:        number, constant, x, f(args), if(...), piecewise(...), (expr)
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isOp(value) {
+    const token = this.peek();
+    return token.type === "op" && token.value === value;
+  }
+
+  expect(type, expected = [`'${type}'`]) {
+    const token = this.peek();
+    if (token.type !== type) {
+      throw unexpectedToken(token, expected);
+    }
+    return this.next();
+  }
+
+  parse() {
+    const node = this.parseComparison();
+    const token = this.peek();
+    if (token.type !== "eof") {
+      throw unexpectedToken(token, ["un operador", "el final de la expresión"]);
+    }
+    return node;
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+    const token = this.peek();
+    if (token.type === "op" && COMPARISON_OPERATORS[token.value]) {
+      this.next();
+      const right = this.parseAdditive();
+      return { type: "comparison", op: token.value, left, right };
+    }
+    return left;
+  }
+
+  parseArguments() {
+    this.expect("(");
+    const args = [];
+    if (this.peek().type !== ")") {
+      args.push(this.parseComparison());
+      while (this.peek().type === ",") {
+        this.next();
+        args.push(this.parseComparison());
+      }
+    }
+    this.expect(")", ["un operador", "','", "')'"]);
+    return args;
+  }
+
+  // if(c, a, b) is sugar for piecewise(c, a, b); both become one node with
+  // ordered { condition, value } branches and a fallback value
+  parseConditional(name, token) {
+    const args = this.parseArguments();
+    const valid = name === "if" ? args.length === 3 : args.length >= 3 && args.length % 2 === 1;
+    if (!valid) {
+      const expected = name === "if" ? "3 argumentos" : "un número impar de argumentos (3 o más)";
+      throw new ExpressionError(`La función '${name}' espera ${expected} y recibió ${args.length}`, token.pos, {
+        length: name.length,
+        expected: [expected],
+        found: `${args.length} argumento(s)`,
+      });
+    }
+    const branches = [];
+    for (let i = 0; i + 1 < args.length; i += 2) {
+      branches.push({ condition: args[i], value: args[i + 1] });
+    }
+    return { type: "piecewise", branches, otherwise: args[args.length - 1] };
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (this.isOp("+") || this.isOp("-")) {
+      const op = this.next().value;
+      const right = this.parseMultiplicative();
+      left = { type: "binary", op, left, right };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    while (this.isOp("*") || this.isOp("/")) {
+      const op = this.next().value;
+      const right = this.parseUnary();
+      left = { type: "binary", op, left, right };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOp("-")) {
+      this.next();
+      return { type: "unary", op: "-", argument: this.parseUnary() };
+    }
+    if (this.isOp("+")) {
+      this.next();
+      return this.parseUnary();
+    }
+    return this.parsePower();
+  }
+
+  parsePower() {
+    const base = this.parsePrimary();
+    if (this.isOp("^")) {
+      this.next();
+      // The exponent goes through parseUnary so that 2^-x and a^b^c (right-assoc) both work
+      const exponent = this.parseUnary();
+      return { type: "binary", op: "^", left: base, right: exponent };
+    }
+    return base;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    if (token.type === "number") {
+      this.next();
+      return { type: "number", value: token.value };
+    }
+
+    if (token.type === "(") {
+      this.next();
+      const node = this.parseComparison();
+      this.expect(")", ["un operador", "')'"]);
+      return node;
+    }
+
+    if (token.type === "ident") {
+      this.next();
+      const name = token.value;
+
+      if (this.peek().type === "(") {
+        if (CONDITIONAL_FUNCTIONS.includes(name)) {
+          return this.parseConditional(name, token);
+        }
+        const spec = MATH_FUNCTIONS[name];
+        if (!spec) {
+          throw new ExpressionError(`Función desconocida '${name}' en la posición ${token.pos + 1}`, token.pos, {
+            length: name.length,
+            expected: ["una función de la lista"],
+            found: name,
+          });
+        }
+        const args = this.parseArguments();
+        if (args.length !== spec.arity) {
+          throw new ExpressionError(
+            `La función '${name}' espera ${spec.arity} argumento(s) y recibió ${args.length}`,
+            token.pos,
+            { length: name.length, expected: [`${spec.arity} argumento(s)`], found: `${args.length} argumento(s)` }
+          );
+        }
+        return { type: "call", name, args };
+      }
+
+      if (Object.prototype.hasOwnProperty.call(CONSTANTS, name)) {
+        return { type: "constant", name };
+      }
+      if (MATH_FUNCTIONS[name] || CONDITIONAL_FUNCTIONS.includes(name)) {
+        throw new ExpressionError(`Falta '(' después de '${name}' en la posición ${token.pos + 1}`, token.pos + name.length, {
+          expected: ["'('"],
+          found: this.peek().type === "eof" ? null : this.peek().text,
+        });
+      }
+      // x is the optimization variable; any other name is a free parameter
+      return { type: "variable", name };
+    }
+
+    throw unexpectedToken(token, OPERAND_START);
+  }
+}
+
+export function parseExpression(source) {
+  if (typeof source !== "string" || source.trim() === "") {
+    throw new ExpressionError("La expresión está vacía", 0, { expected: OPERAND_START });
+  }
+  return new Parser(tokenize(source)).parse();
+}
+
+const BINARY_OPERATORS = {
+  "+": (l, r) => l + r,
+  "-": (l, r) => l - r,
+  "*": (l, r) => l * r,
+  "/": (l, r) => l / r,
+  "^": (l, r) => Math.pow(l, r),
+};
+
+// Compiles an AST into a closure tree. Every node becomes (x, params) => number,
+// where params maps parameter names to their current values.
+function compileNode(node) {
+  switch (node.type) {
+    case "number": {
+      const value = node.value;
+      return () => value;
+    }
+    case "constant": {
+      const value = CONSTANTS[node.name];
+      return () => value;
+    }
+    case "variable": {
+      if (node.name === VARIABLE) {
+        return (x) => x;
+      }
+      const name = node.name;
+      return (x, params) => params[name];
+    }
+    case "unary": {
+      const argument = compileNode(node.argument);
+      return (x, params) => -argument(x, params);
+    }
+    case "binary": {
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+      const op = BINARY_OPERATORS[node.op];
+      // Small fast paths for the most common shapes
+      if (node.op === "^" && node.right.type === "number" && node.right.value === 2) {
+        return (x, params) => {
+          const v = left(x, params);
+          return v * v;
+        };
+      }
+      return (x, params) => op(left(x, params), right(x, params));
+    }
+    case "call": {
+      const fn = MATH_FUNCTIONS[node.name].fn;
+      const args = node.args.map(compileNode);
+      if (args.length === 1) {
+        const [arg] = args;
+        return (x, params) => fn(arg(x, params));
+      }
+      const [arg0, arg1] = args;
+      return (x, params) => fn(arg0(x, params), arg1(x, params));
+    }
+    case "comparison": {
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+      const test = COMPARISON_OPERATORS[node.op];
+      return (x, params) => (test(left(x, params), right(x, params)) ? 1 : 0);
+    }
+    case "piecewise": {
+      const branches = node.branches.map((branch) => [compileNode(branch.condition), compileNode(branch.value)]);
+      const otherwise = compileNode(node.otherwise);
+      return (x, params) => {
+        for (const [condition, value] of branches) {
+          if (condition(x, params)) return value(x, params);
+        }
+        return otherwise(x, params);
+      };
+    }
+    default:
+      throw new ExpressionError(`Nodo desconocido '${node.type}'`, 0);
+  }
+}
+
+export function compileExpression(ast) {
+  return compileNode(ast);
+}
+
+// Names of the free parameters in order of first appearance
+export function collectParameters(ast) {
+  const names = [];
+  const visit = (node) => {
+    if (node.type === "variable" && node.name !== VARIABLE && !names.includes(node.name)) {
+      names.push(node.name);
+    }
+    if (node.argument) visit(node.argument);
+    if (node.left) visit(node.left);
+    if (node.right) visit(node.right);
+    if (node.args) node.args.forEach(visit);
+    if (node.branches) {
+      node.branches.forEach((branch) => {
+        visit(branch.condition);
+        visit(branch.value);
+      });
+      visit(node.otherwise);
+    }
+  };
+  visit(ast);
+  return names;
+}
+
+// Binds parameter values to a compiled expression, giving a plain f(x)
+export function bindParameters(evaluate, params = {}) {
+  return (x) => evaluate(x, params);
+}
+
+// Binding strength of each node when printed, mirroring the parser levels
+function precedence(node) {
+  if (node.type === "comparison") {
+    return 0;
+  }
+  if (node.type === "binary") {
+    return { "+": 1, "-": 1, "*": 2, "/": 2, "^": 4 }[node.op];
+  }
+  if (node.type === "unary" || (node.type === "number" && node.value < 0)) {
+    return 3;
+  }
+  return 5;
+}
+
+function formatNumber(value) {
+  return String(Number(value.toPrecision(12)));
+}
+
+// Prints an AST back to the input syntax, adding parentheses only where the
+// parser needs them.
+export function formatExpression(node) {
+  switch (node.type) {
+    case "number":
+      return formatNumber(node.value);
+    case "constant":
+    case "variable":
+      return node.name;
+    case "unary": {
+      const inner = formatExpression(node.argument);
+      return precedence(node.argument) <= 3 ? `-(${inner})` : `-${inner}`;
+    }
+    case "binary": {
+      const p = precedence(node);
+      let left = formatExpression(node.left);
+      let right = formatExpression(node.right);
+      const leftPrec = precedence(node.left);
+      const rightPrec = precedence(node.right);
+      if (node.op === "^" ? leftPrec <= p : leftPrec < p) {
+        left = `(${left})`;
+      }
+      const rightNeedsParens = node.op === "^"
+        ? rightPrec < p
+        : rightPrec < p || (rightPrec === p && (node.op === "-" || node.op === "/")) || rightPrec === 3;
+      if (rightNeedsParens) {
+        right = `(${right})`;
+      }
+      const op = node.op === "*" || node.op === "/" || node.op === "^" ? node.op : ` ${node.op} `;
+      return `${left}${op}${right}`;
+    }
+    case "call":
+      return `${node.name}(${node.args.map(formatExpression).join(", ")})`;
+    case "comparison":
+      return `${formatExpression(node.left)} ${node.op} ${formatExpression(node.right)}`;
+    case "piecewise": {
+      const parts = node.branches.flatMap((branch) => [branch.condition, branch.value]).concat(node.otherwise);
+      const name = node.branches.length === 1 ? "if" : "piecewise";
+      return `${name}(${parts.map(formatExpression).join(", ")})`;
+    }
+    default:
+      return "?";
+  }
+}
+
+// Parses and compiles a user expression in one step. Errors are re-thrown with
+// the same "Error en la función" prefix the components already display.
+export function parseCustomFunction(source, params = {}) {
+  try {
+    return bindParameters(compileExpression(parseExpression(source)), params);
+  } catch (error) {
+    if (error instanceof ExpressionError) {
+      throw new ExpressionError(`Error en la función: ${error.message}`, error.position, error);
+    }
+    throw error;
+  }
+}
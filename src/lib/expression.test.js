@@ -0,0 +1,85 @@
+import { parseExpression, parseCustomFunction, collectParameters, ExpressionError } from "./expression";
+
+test("respects operator precedence and associativity", () => {
+  expect(parseCustomFunction("2 + 3 * x")(2)).toBe(8);
+  expect(parseCustomFunction("8 / 4 / 2")(0)).toBe(1);
+  expect(parseCustomFunction("2 ^ 3 ^ 2")(0)).toBe(512);
+  expect(parseCustomFunction("-x^2")(3)).toBe(-9);
+  expect(parseCustomFunction("2^-1")(0)).toBe(0.5);
+  expect(parseCustomFunction("x**2")(4)).toBe(16);
+});
+
+test("supports constants and whitelisted functions", () => {
+  expect(parseCustomFunction("cos(pi)")(0)).toBeCloseTo(-1);
+  expect(parseCustomFunction("log(e)")(0)).toBeCloseTo(1);
+  expect(parseCustomFunction("asin(x)")(1)).toBeCloseTo(Math.PI / 2);
+  expect(parseCustomFunction("max(x, 2) + min(x, 2)")(5)).toBe(7);
+  expect(parseCustomFunction("(x-2)^2 + sin(5*x)")(1)).toBeCloseTo(1 + Math.sin(5));
+});
+
+test("builds an AST without evaluating", () => {
+  expect(parseExpression("1 - x")).toEqual({
+    type: "binary",
+    op: "-",
+    left: { type: "number", value: 1 },
+    right: { type: "variable", name: "x" },
+  });
+});
+
+test("rejects invalid input with a position", () => {
+  expect(() => parseExpression("x + ")).toThrow(ExpressionError);
+  expect(() => parseExpression("foo(x)")).toThrow(/desconocida/);
+  expect(() => parseExpression("x; alert(1)")).toThrow(/no permitido/);
+  expect(() => parseExpression("pow(x)")).toThrow(/argumento/);
+
+  let error = null;
+  try {
+    parseExpression("x * 2)");
+  } catch (e) {
+    error = e;
+  }
+  expect(error.position).toBe(5);
+});
+
+test("reports the offset, the expected tokens and what was found", () => {
+  const errorOf = (source) => {
+    try {
+      parseExpression(source);
+    } catch (e) {
+      return e;
+    }
+    return null;
+  };
+
+  const implicit = errorOf("2x + 1");
+  expect(implicit.position).toBe(1);
+  expect(implicit.found).toBe("x");
+  expect(implicit.expected).toContain("un operador");
+
+  const unclosed = errorOf("sin(x");
+  expect(unclosed.position).toBe(5);
+  expect(unclosed.found).toBeNull();
+  expect(unclosed.expected).toContain("')'");
+
+  const doubled = errorOf("x * * 2");
+  expect(doubled.position).toBe(4);
+  expect(doubled.message).toMatch(/Se esperaba un número, una variable, una función o '\('/);
+
+  const unknown = errorOf("1 + foo(x)");
+  expect([unknown.position, unknown.length]).toEqual([4, 3]);
+});
+
+test("treats other identifiers as free parameters", () => {
+  const ast = parseExpression("a*x^2 + b*sin(c*x) + a");
+  expect(collectParameters(ast)).toEqual(["a", "b", "c"]);
+  expect(parseCustomFunction("a*x^2 + b", { a: 2, b: 1 })(3)).toBe(19);
+});
+
+test("parses comparisons and piecewise definitions", () => {
+  const f = parseCustomFunction("piecewise(x < 1, x^2, x < 3, 2*x - 1, 5)");
+  expect([f(0.5), f(2), f(4)]).toEqual([0.25, 3, 5]);
+  expect(parseCustomFunction("if(x >= 0, x, -x)")(-2)).toBe(2);
+  expect(parseCustomFunction("(x > 1) * 3")(2)).toBe(3);
+  expect(() => parseExpression("if(x < 1, 2)")).toThrow(/3 argumentos/);
+  expect(() => parseExpression("piecewise(x < 1, 2, 3, 4)")).toThrow(/impar/);
+});
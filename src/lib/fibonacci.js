@@ -0,0 +1,92 @@
+// Minimization on [a, b] by Fibonacci search, used by the Fibonacci
+// optimizer and as the inner line search of the global and 2D methods. Rows:
+// { iter, a, b, x1, x2, f1, f2, fib_k, step }, where step is "fibonacci" for
+// a reduction and "epsilon" for the final comparison at midpoint + ε.
+
+// Fibonacci numbers F_0 = F_1 = 1, F_2 = 2, ... up to F_n
+export function fibonacciNumbers(n) {
+  const fib = [1, 1];
+  for (let i = 2; i <= n; i++) {
+    fib[i] = fib[i - 1] + fib[i - 2];
+  }
+  return fib;
+}
+
+// Smallest n with F_n ≥ (b − a) / L, so that n evaluations leave a final
+// interval of length (b − a) / F_n ≤ L (plus ε from the last step). Never
+// below 2, the fewest evaluations the final step needs, which is also the
+// count for an empty interval. L must be positive: with L = 0 the loop would
+// only stop when F_n overflows.
+export function fibonacciCount(a, b, length) {
+  if (!(length > 0)) throw new Error("La longitud final L debe ser positiva");
+  if (!(b > a)) return 2;
+  const ratio = (b - a) / length;
+  const fib = [1, 1];
+  let n = 1;
+  while (fib[n] < ratio) {
+    n++;
+    fib[n] = fib[n - 1] + fib[n - 2];
+  }
+  return Math.max(n, 2);
+}
+
+// n evaluations of f. Each reduction takes the interval from F_k to F_{k-1}
+// parts; at F_2 both interior points would fall on the midpoint (the same
+// point twice), so the last evaluation is made at midpoint + ε instead and
+// decides which half to keep.
+export function fibonacciSearch(f, a, b, n = 20, epsilon = 1e-3) {
+  const fib = fibonacciNumbers(n);
+  const history = [];
+  let k = n;
+  let x1 = a + (fib[k - 2] / fib[k]) * (b - a);
+  let x2 = a + (fib[k - 1] / fib[k]) * (b - a);
+  let f1 = f(x1);
+  // With n = 2 both points start at the midpoint and only the ε step is left
+  let f2 = k > 2 ? f(x2) : f1;
+
+  while (k > 2) {
+    history.push({ iter: history.length + 1, a, b, x1, x2, f1, f2, fib_k: fib[k], step: "fibonacci" });
+
+    const keepLeft = f1 < f2;
+    if (keepLeft) {
+      b = x2;
+      x2 = x1;
+      f2 = f1;
+    } else {
+      a = x1;
+      x1 = x2;
+      f1 = f2;
+    }
+    k = k - 1;
+
+    // k = 2: the kept point already is the midpoint, skip the repeated one
+    if (k === 2) {
+      if (keepLeft) {
+        x1 = x2;
+        f1 = f2;
+      }
+      break;
+    }
+    if (keepLeft) {
+      x1 = a + (fib[k - 2] / fib[k]) * (b - a);
+      f1 = f(x1);
+    } else {
+      x2 = a + (fib[k - 1] / fib[k]) * (b - a);
+      f2 = f(x2);
+    }
+  }
+
+  // Final step: compare the midpoint with a point ε to its right
+  x2 = x1 + epsilon;
+  f2 = f(x2);
+  history.push({ iter: history.length + 1, a, b, x1, x2, f1, f2, fib_k: fib[2], step: "epsilon" });
+  if (f1 <= f2) {
+    b = x2;
+  } else {
+    a = x1;
+  }
+
+  const xOpt = (a + b) / 2;
+  const fOpt = f(xOpt);
+  return { xOpt, fOpt, history, a, b, n, fib_n: fib[n] };
+}
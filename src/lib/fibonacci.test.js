@@ -0,0 +1,59 @@
+import { fibonacciNumbers, fibonacciCount, fibonacciSearch } from "./fibonacci";
+
+// f that counts its calls
+function counted(f) {
+  const g = (x) => {
+    g.calls++;
+    return f(x);
+  };
+  g.calls = 0;
+  return g;
+}
+
+test("fibonacciCount is the smallest n with F_n ≥ (b − a) / L", () => {
+  const fib = fibonacciNumbers(30);
+  expect(fib.slice(0, 8)).toEqual([1, 1, 2, 3, 5, 8, 13, 21]);
+  for (const length of [1, 0.5, 0.1, 0.013, 1e-4]) {
+    const n = fibonacciCount(-2, 5, length);
+    expect(fib[n]).toBeGreaterThanOrEqual(7 / length);
+    expect(fib[n - 1]).toBeLessThan(7 / length);
+  }
+  // F_5 = 8 exactly covers a ratio of 8
+  expect(fibonacciCount(0, 8, 1)).toBe(5);
+  // Never fewer than the 2 evaluations of the final step
+  expect(fibonacciCount(0, 1, 10)).toBe(2);
+  expect(fibonacciCount(1, 1, 0.1)).toBe(2);
+  expect(() => fibonacciCount(0, 1, 0)).toThrow();
+  expect(() => fibonacciCount(0, 1, -1)).toThrow();
+});
+
+test("makes exactly n evaluations and shrinks [a, b] to about (b − a) / F_n", () => {
+  for (const n of [3, 5, 10, 20]) {
+    const f = counted((x) => (x - 1.3) ** 2);
+    const result = fibonacciSearch(f, -2, 5, n, 1e-4);
+    // One more call gives the reported f(x*)
+    expect(f.calls).toBe(n + 1);
+    expect(result.b - result.a).toBeLessThanOrEqual(7 / fibonacciNumbers(n)[n] + 1e-4 + 1e-12);
+    expect(result.a <= 1.3 && 1.3 <= result.b).toBe(true);
+  }
+});
+
+test("ends with a step at midpoint + ε", () => {
+  const { history } = fibonacciSearch((x) => (x - 1.3) ** 2, -2, 5, 10, 1e-3);
+  expect(history.filter((h) => h.step === "epsilon")).toHaveLength(1);
+  const last = history[history.length - 1];
+  expect(last.step).toBe("epsilon");
+  expect(last.x1).toBeCloseTo((last.a + last.b) / 2, 12);
+  expect(last.x2).toBeCloseTo(last.x1 + 1e-3, 12);
+  expect(history.slice(0, -1).every((h) => h.step === "fibonacci")).toBe(true);
+});
+
+test("with n = 2 only the ε step is made", () => {
+  const f = counted((x) => (x - 4) ** 2);
+  const { history, a, b } = fibonacciSearch(f, 0, 6, 2, 0.01);
+  expect(history).toHaveLength(1);
+  expect(history[0]).toMatchObject({ step: "epsilon", x1: 3, x2: 3.01 });
+  expect(f.calls).toBe(3);
+  // f(3) > f(3.01): the right half is kept
+  expect([a, b]).toEqual([3, 6]);
+});
@@ -0,0 +1,143 @@
+// Function library shared by all optimizers. Entries are plain objects
+//   { name, expression, a, b, description, minimizer }
+// where [a, b] is the default interval and minimizer (optional) the known
+// x*. Built-in presets are always present; user entries live in localStorage.
+import { parseExpression } from "./expression";
+
+export const STORAGE_KEY = "modelado-iue:function-library";
+export const LIBRARY_FILE_VERSION = 1;
+
+export const PRESET_FUNCTIONS = [
+  {
+    name: "Parabola (x-2)^2 + 1",
+    expression: "(x-2)^2 + 1",
+    a: -2,
+    b: 5,
+    description: "Parábola convexa con un único mínimo.",
+    minimizer: 2,
+    builtin: true,
+  },
+  {
+    name: "Multi-modal: (x-2)^2 + sin(5x)",
+    expression: "(x-2)^2 + sin(5*x)",
+    a: -2,
+    b: 5,
+    description: "Parábola con oscilación: varios mínimos locales.",
+    minimizer: 2.184353,
+    builtin: true,
+  },
+  {
+    name: "Rastrigin-like: x^2 + 5*cos(2x)",
+    expression: "x^2 + 5*cos(2*x)",
+    a: -2,
+    b: 5,
+    description: "Simétrica, con mínimos globales en x = ±1.426171.",
+    minimizer: 1.426171,
+    builtin: true,
+  },
+];
+
+// Validates one entry from storage or an imported file and returns a clean
+// copy. Throws an Error with a user-facing message when it is not usable.
+export function normalizeEntry(raw) {
+  if (!raw || typeof raw !== "object") {
+    throw new Error("Entrada de biblioteca inválida");
+  }
+  const name = typeof raw.name === "string" ? raw.name.trim() : "";
+  if (!name) {
+    throw new Error("Cada función de la biblioteca necesita un nombre");
+  }
+  try {
+    parseExpression(raw.expression);
+  } catch (error) {
+    throw new Error(`La función '${name}' no es válida: ${error.message}`);
+  }
+  const a = Number(raw.a);
+  const b = Number(raw.b);
+  if (!Number.isFinite(a) || !Number.isFinite(b) || !(a < b)) {
+    throw new Error(`La función '${name}' necesita un intervalo [a, b] con a < b`);
+  }
+  const minimizer = raw.minimizer === null || raw.minimizer === undefined || raw.minimizer === ""
+    ? null
+    : Number(raw.minimizer);
+  if (minimizer !== null && !Number.isFinite(minimizer)) {
+    throw new Error(`El minimizador de '${name}' no es un número`);
+  }
+  return {
+    name,
+    expression: raw.expression.trim(),
+    a,
+    b,
+    description: typeof raw.description === "string" ? raw.description.trim() : "",
+    minimizer,
+  };
+}
+
+function getStorage() {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch (error) {
+    // Access to localStorage can throw (privacy mode, sandboxed iframes)
+    return null;
+  }
+}
+
+// User entries saved in the browser. Corrupt storage is ignored, not fatal.
+export function loadUserFunctions(storage = getStorage()) {
+  if (!storage) return [];
+  try {
+    const stored = JSON.parse(storage.getItem(STORAGE_KEY) || "[]");
+    if (!Array.isArray(stored)) return [];
+    return stored.flatMap((raw) => {
+      try {
+        return [normalizeEntry(raw)];
+      } catch (error) {
+        return [];
+      }
+    });
+  } catch (error) {
+    return [];
+  }
+}
+
+export function saveUserFunctions(entries, storage = getStorage()) {
+  if (!storage) return;
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    // Quota exceeded or storage disabled: the library still works in memory
+  }
+}
+
+// Adds or replaces entries by name, keeping the order of the existing ones
+export function mergeFunctions(existing, incoming) {
+  const merged = [...existing];
+  for (const entry of incoming) {
+    const index = merged.findIndex((e) => e.name === entry.name);
+    if (index >= 0) {
+      merged[index] = entry;
+    } else {
+      merged.push(entry);
+    }
+  }
+  return merged;
+}
+
+export function exportLibrary(entries) {
+  return JSON.stringify({ version: LIBRARY_FILE_VERSION, functions: entries }, null, 2);
+}
+
+// Accepts the exported format or a bare array of entries
+export function parseLibraryFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error("El archivo no es un JSON válido");
+  }
+  const list = Array.isArray(data) ? data : data && data.functions;
+  if (!Array.isArray(list)) {
+    throw new Error("El archivo no contiene una lista de funciones");
+  }
+  return list.map(normalizeEntry);
+}
@@ -0,0 +1,52 @@
+import {
+  normalizeEntry,
+  loadUserFunctions,
+  saveUserFunctions,
+  mergeFunctions,
+  exportLibrary,
+  parseLibraryFile,
+} from "./functionLibrary";
+
+const memoryStorage = () => {
+  const data = {};
+  return {
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => {
+      data[key] = value;
+    },
+  };
+};
+
+const tariff = { name: "Tarifa", expression: "if(x < 1, x^2, 2*x - 1)", a: "0", b: "3", description: "", minimizer: "" };
+
+test("validates entries and coerces numeric fields", () => {
+  expect(normalizeEntry(tariff)).toEqual({
+    name: "Tarifa",
+    expression: "if(x < 1, x^2, 2*x - 1)",
+    a: 0,
+    b: 3,
+    description: "",
+    minimizer: null,
+  });
+  expect(() => normalizeEntry({ ...tariff, expression: "x +" })).toThrow(/no es válida/);
+  expect(() => normalizeEntry({ ...tariff, a: 4 })).toThrow(/a < b/);
+});
+
+test("round-trips through storage and the export format", () => {
+  const storage = memoryStorage();
+  const entries = [normalizeEntry(tariff)];
+  saveUserFunctions(entries, storage);
+  expect(loadUserFunctions(storage)).toEqual(entries);
+  expect(parseLibraryFile(exportLibrary(entries))).toEqual(entries);
+});
+
+test("ignores corrupt storage and merges by name", () => {
+  const storage = memoryStorage();
+  storage.setItem("modelado-iue:function-library", "{not json");
+  expect(loadUserFunctions(storage)).toEqual([]);
+
+  const first = normalizeEntry(tariff);
+  const updated = { ...first, b: 5 };
+  expect(mergeFunctions([first], [updated])).toEqual([updated]);
+  expect(() => parseLibraryFile("{}")).toThrow(/lista/);
+});
@@ -0,0 +1,35 @@
+// Minimization on [a, b] by golden-section search, used by the golden-section
+// optimizer and as the inner line search of the global and 2D methods. Each
+// iteration keeps the interior point with the lower value and reuses it, so
+// it costs one evaluation. Rows: { iter, a, b, c, d, fc, fd, midpoint }.
+
+export function goldenSectionSearch(f, a, b, tol = 1e-3, maxIter = 100) {
+  const phi = (1 + Math.sqrt(5)) / 2;
+  let c = b - (b - a) / phi;
+  let d = a + (b - a) / phi;
+  let fc = f(c);
+  let fd = f(d);
+  const history = [];
+
+  for (let iter = 0; iter < maxIter; iter++) {
+    history.push({ iter: iter + 1, a, b, c, d, fc, fd, midpoint: (a + b) / 2 });
+    if (Math.abs(b - a) < tol) break;
+    if (fc < fd) {
+      b = d;
+      d = c;
+      fd = fc;
+      c = b - (b - a) / phi;
+      fc = f(c);
+    } else {
+      a = c;
+      c = d;
+      fc = fd;
+      d = a + (b - a) / phi;
+      fd = f(d);
+    }
+  }
+
+  const xOpt = (a + b) / 2;
+  const fOpt = f(xOpt);
+  return { xOpt, fOpt, history };
+}
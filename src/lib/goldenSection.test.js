@@ -0,0 +1,23 @@
+import { goldenSectionSearch } from "./goldenSection";
+
+test("converges to the minimizer of a unimodal function", () => {
+  const { xOpt, fOpt } = goldenSectionSearch((x) => (x - 1.3) ** 2 + 2, -2, 5, 1e-8);
+  expect(xOpt).toBeCloseTo(1.3, 7);
+  expect(fOpt).toBeCloseTo(2, 12);
+});
+
+test("shrinks the interval by the golden ratio with one new evaluation per step", () => {
+  let calls = 0;
+  const f = (x) => {
+    calls++;
+    return Math.abs(x - 0.7);
+  };
+  const { history } = goldenSectionSearch(f, 0, 2, 1e-4, 200);
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  for (let i = 1; i < history.length; i++) {
+    expect(history[i].b - history[i].a).toBeCloseTo(ratio * (history[i - 1].b - history[i - 1].a), 12);
+  }
+  // Two starting points, one per reduction and the reported f(x*)
+  expect(calls).toBe(2 + (history.length - 1) + 1);
+  expect(history[history.length - 1].b - history[history.length - 1].a).toBeLessThan(1e-4);
+});
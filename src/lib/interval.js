@@ -0,0 +1,318 @@
+// Interval arithmetic over the expression AST. An interval is [lo, hi]; the
+// interval extension F of f gives, for X = [lo, hi], an interval that
+// contains f(x) for every x in X where f is defined. Each operation is
+// rounded outwards by one ulp-sized step, so the bounds hold despite the
+// floating-point error of the endpoints. null is the empty interval (f is
+// undefined on all of X).
+import { CONSTANTS, VARIABLE, bindParameters } from "./expression";
+import { derivative } from "./symbolic";
+
+export const ENTIRE = [-Infinity, Infinity];
+
+// Pushes the endpoints away from each other to cover the rounding of the
+// operation that produced them
+function outward([lo, hi]) {
+  const down = lo === -Infinity ? lo : lo - Math.abs(lo) * Number.EPSILON - Number.MIN_VALUE;
+  const up = hi === Infinity ? hi : hi + Math.abs(hi) * Number.EPSILON + Number.MIN_VALUE;
+  return [down, up];
+}
+
+const point = (value) => [value, value];
+
+export function hull(X, Y) {
+  if (!X) return Y;
+  if (!Y) return X;
+  return [Math.min(X[0], Y[0]), Math.max(X[1], Y[1])];
+}
+
+export function negateInterval(X) {
+  return X && [-X[1], -X[0]];
+}
+
+// Product that treats 0·∞ as 0, the limit that matters for bounds
+const times = (u, v) => (u === 0 || v === 0 ? 0 : u * v);
+
+function multiply(X, Y) {
+  const products = [times(X[0], Y[0]), times(X[0], Y[1]), times(X[1], Y[0]), times(X[1], Y[1])];
+  return outward([Math.min(...products), Math.max(...products)]);
+}
+
+// Division by an interval that contains 0 can be anything
+function divide(X, Y) {
+  if (Y[0] === 0 && Y[1] === 0) return null;
+  if (Y[0] <= 0 && Y[1] >= 0) return ENTIRE;
+  return multiply(X, [1 / Y[1], 1 / Y[0]]);
+}
+
+const exponential = (X) => outward([Math.exp(X[0]), Math.exp(X[1])]);
+
+// Increasing function defined on [from, to]. With clip, X is cut to the
+// domain; without it, X must lie inside it (used to know that f is defined
+// on all of X).
+function monotone(fn, from = -Infinity, to = Infinity, clip = true) {
+  return (X) => {
+    if (!clip && (X[0] < from || X[1] > to)) return null;
+    const lo = Math.max(X[0], from);
+    const hi = Math.min(X[1], to);
+    if (lo > hi) return null;
+    return outward([fn(lo), fn(hi)]);
+  };
+}
+
+// Integer powers are exact about the sign of the base; any other exponent
+// needs a positive base and goes through exp(y·log x)
+function powerOf(clip) {
+  const power = (X, Y) => {
+    if (Y[0] === Y[1] && Number.isInteger(Y[0])) {
+      const n = Y[0];
+      if (n === 0) return point(1);
+      if (n < 0) return divide(point(1), power(X, point(-n)));
+      const [p, q] = [Math.pow(X[0], n), Math.pow(X[1], n)];
+      if (n % 2 === 1) return outward([p, q]);
+      if (X[0] <= 0 && X[1] >= 0) return [0, outward([0, Math.max(p, q)])[1]];
+      return outward([Math.min(p, q), Math.max(p, q)]);
+    }
+    // A negative base has a power only at an integer exponent, so the
+    // negative part of X gives X^k for the integers n ≤ k ≤ m in Y (one
+    // integer for a computed exponent such as 4/2, widened by the rounding)
+    // and only the positive part goes through exp(y·log x). For a fixed x,
+    // |x|^k is monotone in k, so the two smallest and the two largest k (an
+    // even and an odd one at each end) bound all the others. Without clip a
+    // wider Y can hold non-integers where f is undefined.
+    const n = Math.ceil(Y[0]);
+    const m = Math.floor(Y[1]);
+    if (X[0] < 0 && n <= m && (clip || n === m)) {
+      const ends = Number.isFinite(n) && Number.isFinite(m) ? new Set([n, Math.min(n + 1, m), Math.max(m - 1, n), m]) : null;
+      const integer = ends ? [...ends].map((k) => power(X, point(k))).reduce(hull) : ENTIRE;
+      const logarithm = X[1] > 0 ? monotone(Math.log)([0, X[1]]) : null;
+      return logarithm ? hull(integer, exponential(multiply(Y, logarithm))) : integer;
+    }
+    const logarithm = monotone(Math.log, 0, Infinity, clip)(X);
+    return logarithm && exponential(multiply(Y, logarithm));
+  };
+  return power;
+}
+
+// Whether X contains offset + k·period for some integer k
+function containsPeriodic(X, offset, period) {
+  const k = Math.ceil((X[0] - offset) / period);
+  return offset + k * period <= X[1];
+}
+
+// sin or cos: the endpoint values, widened to ±1 when X contains a peak
+function periodic(fn, peak) {
+  return (X) => {
+    if (X[1] - X[0] >= 2 * Math.PI) return [-1, 1];
+    const [p, q] = [fn(X[0]), fn(X[1])];
+    const [lo, hi] = outward([Math.min(p, q), Math.max(p, q)]);
+    return [
+      containsPeriodic(X, peak + Math.PI, 2 * Math.PI) ? -1 : Math.max(lo, -1),
+      containsPeriodic(X, peak, 2 * Math.PI) ? 1 : Math.min(hi, 1),
+    ];
+  };
+}
+
+// Functions and operators on intervals; clip as in monotone
+function intervalTables(clip) {
+  const power = powerOf(clip);
+  const functions = {
+    sin: periodic(Math.sin, Math.PI / 2),
+    cos: periodic(Math.cos, 0),
+    // Increasing between poles; across one it is unbounded
+    tan: (X) => (X[1] - X[0] >= Math.PI || containsPeriodic(X, Math.PI / 2, Math.PI) ? ENTIRE : monotone(Math.tan)(X)),
+    asin: monotone(Math.asin, -1, 1, clip),
+    acos: (X) => negateInterval(monotone((x) => -Math.acos(x), -1, 1, clip)(X)),
+    atan: monotone(Math.atan),
+    sinh: monotone(Math.sinh),
+    cosh: (X) => (X[0] <= 0 && X[1] >= 0 ? outward([1, Math.max(Math.cosh(X[0]), Math.cosh(X[1]))]) : monotone(Math.cosh, 0)(X.map(Math.abs).sort((p, q) => p - q))),
+    tanh: monotone(Math.tanh),
+    exp: exponential,
+    log: monotone(Math.log, 0, Infinity, clip),
+    ln: monotone(Math.log, 0, Infinity, clip),
+    log10: monotone(Math.log10, 0, Infinity, clip),
+    sqrt: monotone(Math.sqrt, 0, Infinity, clip),
+    abs: (X) => (X[0] <= 0 && X[1] >= 0 ? [0, Math.max(-X[0], X[1])] : monotone(Math.abs, 0)(X.map(Math.abs).sort((p, q) => p - q))),
+    pow: power,
+    min: (X, Y) => [Math.min(X[0], Y[0]), Math.min(X[1], Y[1])],
+    max: (X, Y) => [Math.max(X[0], Y[0]), Math.max(X[1], Y[1])],
+  };
+  const operators = {
+    "+": (X, Y) => outward([X[0] + Y[0], X[1] + Y[1]]),
+    "-": (X, Y) => outward([X[0] - Y[1], X[1] - Y[0]]),
+    "*": multiply,
+    "/": divide,
+    "^": power,
+  };
+  return { functions, operators };
+}
+
+const CLIPPED = intervalTables(true);
+const WHOLE = intervalTables(false);
+
+// A comparison is 1 or 0 when it holds for every pair or for none, and
+// [0, 1] when it depends on where in the intervals the values are
+const INTERVAL_COMPARISONS = {
+  "<": (X, Y) => (X[1] < Y[0] ? point(1) : X[0] >= Y[1] ? point(0) : [0, 1]),
+  "<=": (X, Y) => (X[1] <= Y[0] ? point(1) : X[0] > Y[1] ? point(0) : [0, 1]),
+  ">": (X, Y) => (X[0] > Y[1] ? point(1) : X[1] <= Y[0] ? point(0) : [0, 1]),
+  ">=": (X, Y) => (X[0] >= Y[1] ? point(1) : X[1] < Y[0] ? point(0) : [0, 1]),
+  "==": (X, Y) => (X[0] === X[1] && Y[0] === Y[1] && X[0] === Y[0] ? point(1) : X[1] < Y[0] || Y[1] < X[0] ? point(0) : [0, 1]),
+  "!=": (X, Y) => (X[0] === X[1] && Y[0] === Y[1] && X[0] === Y[0] ? point(0) : X[1] < Y[0] || Y[1] < X[0] ? point(1) : [0, 1]),
+};
+
+// Operation on intervals that are all non-empty, empty otherwise
+const strict = (op) => (...args) => (args.some((arg) => !arg) ? null : op(...args));
+
+// Compiles an AST into a closure tree like compileExpression, but every node
+// is (X, params) => interval. Parameters are points.
+function compileNode(node, tables = CLIPPED) {
+  switch (node.type) {
+    case "number": {
+      // Integers are exact, which keeps x^2 an integer power
+      const value = Number.isInteger(node.value) ? point(node.value) : outward(point(node.value));
+      return () => value;
+    }
+    case "constant": {
+      const value = outward(point(CONSTANTS[node.name]));
+      return () => value;
+    }
+    case "variable": {
+      if (node.name === VARIABLE) {
+        return (X) => X;
+      }
+      const name = node.name;
+      return (X, params) => point(params[name]);
+    }
+    case "unary": {
+      const argument = compileNode(node.argument, tables);
+      return (X, params) => negateInterval(argument(X, params));
+    }
+    case "binary": {
+      const left = compileNode(node.left, tables);
+      const right = compileNode(node.right, tables);
+      const op = strict(tables.operators[node.op]);
+      return (X, params) => op(left(X, params), right(X, params));
+    }
+    case "call": {
+      const fn = strict(tables.functions[node.name]);
+      const args = node.args.map((arg) => compileNode(arg, tables));
+      return (X, params) => fn(...args.map((arg) => arg(X, params)));
+    }
+    case "comparison": {
+      const left = compileNode(node.left, tables);
+      const right = compileNode(node.right, tables);
+      const test = strict(INTERVAL_COMPARISONS[node.op]);
+      return (X, params) => test(left(X, params), right(X, params));
+    }
+    case "piecewise": {
+      // Every branch that may be taken somewhere in X adds its values; the
+      // first condition that surely holds ends the search
+      const branches = node.branches.map((branch) => [compileNode(branch.condition, tables), compileNode(branch.value, tables)]);
+      const otherwise = compileNode(node.otherwise, tables);
+      return (X, params) => {
+        let values = null;
+        for (const [condition, value] of branches) {
+          const C = condition(X, params);
+          if (!C || (C[0] === 0 && C[1] === 0)) continue;
+          values = hull(values, value(X, params));
+          if (C[0] !== 0) return values;
+        }
+        return hull(values, otherwise(X, params));
+      };
+    }
+    default:
+      return () => ENTIRE;
+  }
+}
+
+export function compileInterval(ast) {
+  return compileNode(ast);
+}
+
+// Whether the expression has comparisons or branches, where f may jump
+function hasConditionals(node) {
+  if (node.type === "comparison" || node.type === "piecewise") return true;
+  const children = [node.argument, node.left, node.right, ...(node.args || [])].filter(Boolean);
+  return children.some(hasConditionals);
+}
+
+// Bounds of f on X for the given parameters. Without conditionals f is
+// differentiable wherever it is defined, so on a box where it is defined
+// throughout the mean value form f(m) + F'(X)·(X − m), with m the midpoint,
+// also holds; its overestimation shrinks with the square of the width
+// instead of the width, and the two bounds are intersected.
+export function intervalExtension(ast, params = {}) {
+  const F = bindParameters(compileNode(ast), params);
+  if (hasConditionals(ast)) return F;
+  const whole = bindParameters(compileNode(ast, WHOLE), params);
+  const dF = bindParameters(compileNode(derivative(ast, 1)), params);
+  const { "+": plus, "-": minus } = CLIPPED.operators;
+  return (X) => {
+    const natural = F(X);
+    if (!natural || !whole(X)) return natural;
+    const m = (X[0] + X[1]) / 2;
+    const center = F(point(m));
+    const slope = dF(X);
+    if (!center || !slope) return natural;
+    const [lo, hi] = plus(center, multiply(slope, minus(X, point(m))));
+    return [Math.max(natural[0], lo), Math.min(natural[1], hi)];
+  };
+}
+
+// Signs of f' on pieces of [a, b]: -1 where f' < 0 on the whole piece, 1
+// where f' > 0 and 0 where the bound contains 0. Undecided pieces are halved
+// up to depth times (at most maxPieces pieces in total).
+function slopeSigns(dF, a, b, pieces, depth, maxPieces) {
+  const sign = (lo, hi) => {
+    const D = dF([lo, hi]);
+    if (!D) return null;
+    return { lo, hi, sign: D[0] > 0 ? 1 : D[1] < 0 ? -1 : 0 };
+  };
+  let boxes = [];
+  for (let i = 0; i < pieces; i++) {
+    boxes.push(sign(a + (i / pieces) * (b - a), a + ((i + 1) / pieces) * (b - a)));
+  }
+  for (let level = 0; level < depth && boxes.every(Boolean); level++) {
+    if (boxes.length > maxPieces || boxes.every((box) => box.sign !== 0)) break;
+    boxes = boxes.flatMap((box) => {
+      if (box.sign !== 0) return [box];
+      const mid = (box.lo + box.hi) / 2;
+      return [sign(box.lo, mid), sign(mid, box.hi)];
+    });
+  }
+  return boxes;
+}
+
+// Checks with interval bounds of f' and f'' that f is unimodal on [a, b]
+// (decreasing, then increasing), the assumption of the interval-reduction
+// methods. Returns { status, valley, rising, falling }:
+//   "unimodal"  f' < 0 up to valley[0] and f' > 0 from valley[1] on, and
+//               either f'' > 0 on valley or valley is narrower than the
+//               finest piece (so it cannot mislead the search)
+//   "violated"  f' > 0 on all of rising and f' < 0 on all of falling, which
+//               comes after it: f has an interior maximum
+//   "unknown"   the bounds are too loose to decide, or f' is undefined
+export function checkUnimodality(dF, d2F, a, b, { pieces = 64, depth = 14, maxPieces = 4000 } = {}) {
+  const boxes = slopeSigns(dF, a, b, pieces, depth, maxPieces);
+  if (!boxes.every(Boolean)) return { status: "unknown", valley: null, rising: null, falling: null };
+
+  const firstRising = boxes.find((box) => box.sign === 1);
+  const lastFalling = [...boxes].reverse().find((box) => box.sign === -1);
+  if (firstRising && lastFalling && firstRising.hi <= lastFalling.lo) {
+    return { status: "violated", valley: null, rising: firstRising, falling: lastFalling };
+  }
+
+  // Between the last piece where f falls and the first where it rises
+  const from = lastFalling ? lastFalling.hi : a;
+  const to = firstRising ? firstRising.lo : b;
+  const undecided = boxes.filter((box) => box.sign === 0);
+  const outside = undecided.some((box) => box.hi <= from || box.lo >= to);
+  const resolution = (b - a) / pieces / 2 ** depth;
+  const convex = (() => {
+    if (to <= from) return true;
+    const D2 = d2F([from, to]);
+    return Boolean(D2) && D2[0] > 0;
+  })();
+  const status = !outside && (convex || to - from <= 2 * resolution) ? "unimodal" : "unknown";
+  return { status, valley: [from, Math.max(from, to)], rising: null, falling: null };
+}
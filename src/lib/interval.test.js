@@ -0,0 +1,117 @@
+import { parseExpression, parseCustomFunction, bindParameters } from "./expression";
+import { derivative } from "./symbolic";
+import { compileInterval, intervalExtension, checkUnimodality } from "./interval";
+
+const extension = (source, params = {}) => bindParameters(compileInterval(parseExpression(source)), params);
+
+// Whether F(X) contains f at a grid of points of X
+function encloses(source, X) {
+  const F = extension(source);
+  const f = parseCustomFunction(source);
+  const [lo, hi] = F(X);
+  for (let i = 0; i <= 200; i++) {
+    const fx = f(X[0] + (i / 200) * (X[1] - X[0]));
+    if (Number.isFinite(fx) && (fx < lo || fx > hi)) return false;
+  }
+  return true;
+}
+
+test("bounds enclose f over the whole interval", () => {
+  const sources = ["(x-2)^2 + sin(5*x)", "x^3 - x", "cos(x) * exp(-x)", "abs(x - 1) + tan(x/4)", "sqrt(x) + log(x)", "x^1.5", "cosh(x) - atan(x)"];
+  for (const source of sources) {
+    expect(encloses(source, [-0.5, 3])).toBe(true);
+    expect(encloses(source, [0.1, 0.2])).toBe(true);
+  }
+});
+
+test("keeps exact bounds for monotone pieces and even powers", () => {
+  const [lo, hi] = extension("x^2")([-1, 2]);
+  expect(lo).toBe(0);
+  expect(hi).toBeCloseTo(4, 12);
+  const [slo, shi] = extension("sin(x)")([0, Math.PI]);
+  expect(slo).toBeCloseTo(0, 12);
+  expect(shi).toBe(1);
+  // The dependency problem: x − x is not 0 but [−1, 1]
+  expect(extension("x - x")([0, 1])[1]).toBeGreaterThanOrEqual(1);
+});
+
+test("division by an interval around 0 is unbounded and log clips to its domain", () => {
+  expect(extension("1/x")([-1, 1])).toEqual([-Infinity, Infinity]);
+  expect(extension("log(x)")([-1, 1])[0]).toBe(-Infinity);
+  expect(extension("log(x)")([-2, -1])).toBeNull();
+  expect(extension("sqrt(x) + 1")([-2, -1])).toBeNull();
+});
+
+test("a computed integer exponent keeps the powers of a negative base", () => {
+  // 4/2 is rounded outwards, so the exponent is not the point 2
+  const [lo, hi] = extension("x^(4/2)")([-3, -1]);
+  expect(lo).toBeLessThanOrEqual(1);
+  expect(hi).toBeGreaterThanOrEqual(9);
+  expect(hi).toBeCloseTo(9, 10);
+  const [olo, ohi] = extension("x^(6/2)")([-2, -1]);
+  expect(olo).toBeCloseTo(-8, 10);
+  expect(ohi).toBeCloseTo(-1, 10);
+  expect(encloses("x^(4/2) - x^(6/2)", [-3, 2])).toBe(true);
+});
+
+test("an exponent spanning several integers keeps every power of a negative base", () => {
+  // On [−2, 1] the exponent covers [1.5, 3.5]: it is 2 at x = −π/3 and 3 at
+  // x = −π/6, where the negative base has a power
+  const [lo, hi] = extension("x^(1.5 + 2*cos(x)^2)")([-2, 1]);
+  expect(lo).toBeLessThanOrEqual((-Math.PI / 6) ** 3);
+  expect(hi).toBeGreaterThanOrEqual((-Math.PI / 3) ** 2);
+  // and every x^k with k in {2, 3} and x in [−2, 1]
+  expect(lo).toBeLessThanOrEqual(-8);
+  expect(hi).toBeGreaterThanOrEqual(4);
+});
+
+test("piecewise joins the branches that can be taken and uses parameters", () => {
+  const F = extension("if(x < 0, -x, k*x)", { k: 3 });
+  expect(F([1, 2])[0]).toBeCloseTo(3, 12);
+  expect(F([1, 2])[1]).toBeCloseTo(6, 12);
+  const [lo, hi] = F([-1, 1]);
+  expect(lo).toBeLessThanOrEqual(0);
+  expect(hi).toBeCloseTo(3, 12);
+});
+
+test("the mean value form tightens small boxes but is skipped where f jumps or is undefined", () => {
+  const source = "x^2 + 5*cos(2*x)";
+  const X = [1.4, 1.41];
+  const natural = extension(source)(X);
+  const centered = intervalExtension(parseExpression(source))(X);
+  expect(centered[1] - centered[0]).toBeLessThan((natural[1] - natural[0]) / 10);
+  expect(encloses(source, X)).toBe(true);
+  const f = parseCustomFunction(source);
+  expect(centered[0]).toBeLessThanOrEqual(Math.min(f(1.4), f(1.41)));
+  expect(centered[1]).toBeGreaterThanOrEqual(Math.max(f(1.4), f(1.41)));
+
+  // A jump at x = 1 and a box half outside the domain keep the natural bounds
+  const [jlo, jhi] = intervalExtension(parseExpression("if(x < 1, x, x + 5)"))([-1, 2]);
+  expect(jlo).toBeLessThanOrEqual(-1);
+  expect(jhi).toBeGreaterThanOrEqual(7);
+  const [rlo, rhi] = intervalExtension(parseExpression("sqrt(x)^3"))([-1, 2]);
+  expect(rlo).toBeLessThanOrEqual(0);
+  expect(rhi).toBeGreaterThanOrEqual(2 ** 1.5);
+});
+
+function unimodality(source, a, b) {
+  const ast = parseExpression(source);
+  const dF = intervalExtension(derivative(ast, 1));
+  const d2F = intervalExtension(derivative(ast, 2));
+  return checkUnimodality(dF, d2F, a, b);
+}
+
+test("checkUnimodality proves, refutes or leaves undecided", () => {
+  const convex = unimodality("(x-2)^2 + 1", 0, 5);
+  expect(convex.status).toBe("unimodal");
+  expect(convex.valley[0]).toBeLessThanOrEqual(2);
+  expect(convex.valley[1]).toBeGreaterThanOrEqual(2);
+
+  const wavy = unimodality("(x-2)^2 + sin(5*x)", -2, 5);
+  expect(wavy.status).toBe("violated");
+  expect(wavy.rising.hi).toBeLessThanOrEqual(wavy.falling.lo);
+
+  expect(unimodality("abs(x - 1)", -2, 5).status).toBe("unimodal");
+  expect(unimodality("x", 0, 1).status).toBe("unimodal");
+  expect(unimodality("sqrt(x)", -1, 1).status).toBe("unknown");
+});
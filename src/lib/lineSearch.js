@@ -0,0 +1,155 @@
+// Inexact line searches on φ(α) = f(p + α·d) for a descent direction d
+// (φ'(0) < 0). Instead of minimizing φ they accept the first step that
+// decreases f enough,
+//   sufficient decrease (Armijo)  φ(α) ≤ φ(0) + c1·α·φ'(0)
+// and, for the Wolfe search, is not too short either,
+//   strong curvature              |φ'(α)| ≤ c2·|φ'(0)|
+// with 0 < c1 < c2 < 1. Both return { alpha, phiAlpha, history, converged,
+// warning } with rows { iter, phase, step, alpha, phi, dphi, armijo,
+// curvature, accepted, lo, hi }; lo and hi are the zoom interval (null
+// outside the zoom phase).
+
+export const LINE_SEARCHES = {
+  armijo: "Backtracking (Armijo)",
+  wolfe: "Wolfe fuerte (zoom cúbico)",
+};
+
+export const TRIAL_STEPS = {
+  initial: "Paso inicial",
+  backtrack: "Retroceso",
+  expand: "Ampliación",
+  cubic: "Interp. cúbica",
+  bisection: "Bisección",
+};
+
+const NOT_DESCENT = "La dirección no es de descenso (φ'(0) ≥ 0): ningún paso positivo cumple la condición de Armijo.";
+
+// Checks the two conditions for a trial step
+function conditions(phi0, dphi0, c1, c2, alpha, phiAlpha, dphiAlpha) {
+  return {
+    armijo: phiAlpha <= phi0 + c1 * alpha * dphi0,
+    curvature: Math.abs(dphiAlpha) <= c2 * Math.abs(dphi0),
+  };
+}
+
+// Minimizer of the cubic through (a, fa) and (b, fb) with slopes dfa and
+// dfb, or null when the cubic has no local minimum
+export function cubicMinimizer(a, fa, dfa, b, fb, dfb) {
+  const d1 = dfa + dfb - (3 * (fa - fb)) / (a - b);
+  const radicand = d1 * d1 - dfa * dfb;
+  if (radicand < 0) return null;
+  const d2 = Math.sign(b - a) * Math.sqrt(radicand);
+  const denominator = dfb - dfa + 2 * d2;
+  if (denominator === 0) return null;
+  return b - ((b - a) * (dfb + d2 - d1)) / denominator;
+}
+
+// Backtracking: α = alpha0, ρ·alpha0, ρ²·alpha0, ... until Armijo holds.
+// Only φ is needed; φ' of each trial is recorded to show the curvature
+// condition, which backtracking does not enforce.
+export function backtrackingArmijo(phi, dphi, { alpha0 = 1, rho = 0.5, c1 = 1e-4, c2 = 0.9, maxIter = 50 } = {}) {
+  const phi0 = phi(0);
+  const dphi0 = dphi(0);
+  if (!(dphi0 < 0)) return { alpha: null, phiAlpha: null, history: [], converged: false, warning: NOT_DESCENT };
+
+  const history = [];
+  let alpha = alpha0;
+  for (let iter = 1; iter <= maxIter; iter++) {
+    const phiAlpha = phi(alpha);
+    const dphiAlpha = dphi(alpha);
+    const checks = conditions(phi0, dphi0, c1, c2, alpha, phiAlpha, dphiAlpha);
+    history.push({
+      iter,
+      phase: "backtrack",
+      step: iter === 1 ? "initial" : "backtrack",
+      alpha,
+      phi: phiAlpha,
+      dphi: dphiAlpha,
+      ...checks,
+      accepted: checks.armijo,
+      lo: null,
+      hi: null,
+    });
+    if (checks.armijo) return { alpha, phiAlpha, history, converged: true, warning: null };
+    alpha *= rho;
+  }
+  return { alpha: null, phiAlpha: null, history, converged: false, warning: null };
+}
+
+// Strong Wolfe search (Nocedal & Wright, algorithms 3.5 and 3.6). The
+// bracketing phase doubles α until a trial fails Armijo, stops decreasing φ
+// or has φ' ≥ 0, which encloses acceptable steps; the zoom phase then
+// shrinks [lo, hi] with the minimizer of the cubic through both ends,
+// bisecting when that point falls too close to an end.
+export function strongWolfe(phi, dphi, { alpha0 = 1, alphaMax = 100, c1 = 1e-4, c2 = 0.9, maxIter = 50 } = {}) {
+  const phi0 = phi(0);
+  const dphi0 = dphi(0);
+  if (!(dphi0 < 0)) return { alpha: null, phiAlpha: null, history: [], converged: false, warning: NOT_DESCENT };
+
+  const history = [];
+  const trial = (phase, step, alpha, lo, hi) => {
+    const phiAlpha = phi(alpha);
+    const dphiAlpha = dphi(alpha);
+    const checks = conditions(phi0, dphi0, c1, c2, alpha, phiAlpha, dphiAlpha);
+    const row = { iter: history.length + 1, phase, step, alpha, phi: phiAlpha, dphi: dphiAlpha, ...checks, accepted: checks.armijo && checks.curvature, lo, hi };
+    history.push(row);
+    return row;
+  };
+  const done = (row) => ({ alpha: row.alpha, phiAlpha: row.phi, history, converged: true, warning: null });
+  const failed = { alpha: null, phiAlpha: null, history, converged: false, warning: null };
+
+  // lo satisfies Armijo and has the lowest φ so far; φ'(lo)·(hi − lo) < 0
+  const zoom = (lo, hi) => {
+    while (history.length < maxIter) {
+      const width = hi.alpha - lo.alpha;
+      const cubic = cubicMinimizer(lo.alpha, lo.phi, lo.dphi, hi.alpha, hi.phi, hi.dphi);
+      const [left, right] = [Math.min(lo.alpha, hi.alpha), Math.max(lo.alpha, hi.alpha)];
+      const margin = 0.1 * Math.abs(width);
+      const safe = cubic !== null && cubic > left + margin && cubic < right - margin;
+      const row = trial("zoom", safe ? "cubic" : "bisection", safe ? cubic : (lo.alpha + hi.alpha) / 2, left, right);
+      if (!row.armijo || row.phi >= lo.phi) {
+        hi = row;
+      } else {
+        if (row.curvature) return done(row);
+        if (row.dphi * (hi.alpha - lo.alpha) >= 0) hi = lo;
+        lo = row;
+      }
+    }
+    return failed;
+  };
+
+  let previous = { alpha: 0, phi: phi0, dphi: dphi0 };
+  let alpha = Math.min(alpha0, alphaMax);
+  while (history.length < maxIter) {
+    const row = trial("bracket", history.length === 0 ? "initial" : "expand", alpha, null, null);
+    if (!row.armijo || (history.length > 1 && row.phi >= previous.phi)) return zoom(previous, row);
+    if (row.curvature) return done(row);
+    if (row.dphi >= 0) return zoom(row, previous);
+    if (alpha >= alphaMax) break;
+    previous = row;
+    alpha = Math.min(2 * alpha, alphaMax);
+  }
+  return failed;
+}
+
+// Sub-intervals of [0, alphaMax] where both conditions hold, sampled on a
+// uniform grid, to shade on the plot of φ
+export function acceptableSteps(phi, dphi, alphaMax, { c1 = 1e-4, c2 = 0.9, samples = 300 } = {}) {
+  const phi0 = phi(0);
+  const dphi0 = dphi(0);
+  const intervals = [];
+  let open = null;
+  for (let i = 1; i <= samples; i++) {
+    const alpha = (i / samples) * alphaMax;
+    const { armijo, curvature } = conditions(phi0, dphi0, c1, c2, alpha, phi(alpha), dphi(alpha));
+    if (armijo && curvature) {
+      if (!open) open = { from: alpha, to: alpha };
+      open.to = alpha;
+    } else if (open) {
+      intervals.push(open);
+      open = null;
+    }
+  }
+  if (open) intervals.push(open);
+  return intervals;
+}
@@ -0,0 +1,52 @@
+import { cubicMinimizer, backtrackingArmijo, strongWolfe, acceptableSteps } from "./lineSearch";
+
+// φ and φ' of a quadratic with its minimum at m
+const parabola = (m) => [(alpha) => (alpha - m) ** 2, (alpha) => 2 * (alpha - m)];
+
+test("cubicMinimizer is exact for a quadratic", () => {
+  expect(cubicMinimizer(0, 4, -4, 3, 1, 2)).toBeCloseTo(2, 12);
+  // A straight line has no minimum
+  expect(cubicMinimizer(0, 0, 1, 1, 1, 1)).toBeNull();
+});
+
+test("backtracking halves the step until Armijo holds", () => {
+  const [phi, dphi] = parabola(0.3);
+  const { alpha, history, converged } = backtrackingArmijo(phi, dphi, { alpha0: 1, rho: 0.5 });
+  expect(converged).toBe(true);
+  expect(alpha).toBe(0.5);
+  expect(history.map((h) => h.accepted)).toEqual([false, true]);
+  expect(history.map((h) => h.step)).toEqual(["initial", "backtrack"]);
+});
+
+test("strong Wolfe zooms with the cubic when the first step is too long", () => {
+  const [phi, dphi] = parabola(0.2);
+  const { alpha, history, converged } = strongWolfe(phi, dphi, { c2: 0.1 });
+  expect(converged).toBe(true);
+  expect(alpha).toBeCloseTo(0.2, 10);
+  expect(history.map((h) => h.step)).toEqual(["initial", "cubic"]);
+  expect(history[1]).toMatchObject({ phase: "zoom", lo: 0, hi: 1, accepted: true });
+});
+
+test("strong Wolfe expands short steps before zooming", () => {
+  const [phi, dphi] = parabola(5);
+  const { alpha, history } = strongWolfe(phi, dphi, { c2: 0.1 });
+  expect(history.map((h) => h.step)).toEqual(["initial", "expand", "expand", "expand", "cubic"]);
+  expect(history.slice(0, 4).map((h) => h.alpha)).toEqual([1, 2, 4, 8]);
+  expect(alpha).toBeCloseTo(5, 10);
+  // The accepted step satisfies both conditions; with c2 = 0.9 the first does
+  const last = history[history.length - 1];
+  expect(last.armijo && last.curvature).toBe(true);
+  expect(strongWolfe(phi, dphi, { c2: 0.9 }).history).toHaveLength(1);
+});
+
+test("an ascent direction is rejected and acceptable steps are shaded", () => {
+  const [phi, dphi] = parabola(-1);
+  expect(backtrackingArmijo(phi, dphi).warning).toMatch(/no es de descenso/);
+  expect(strongWolfe(phi, dphi).alpha).toBeNull();
+
+  const [psi, dpsi] = parabola(1);
+  const [interval, ...others] = acceptableSteps(psi, dpsi, 3, { c2: 0.5, samples: 300 });
+  expect(others).toEqual([]);
+  expect(interval.from).toBeCloseTo(0.5, 1);
+  expect(interval.to).toBeCloseTo(1.5, 1);
+});
@@ -0,0 +1,92 @@
+// Piyavskii–Shubert global minimization of a Lipschitz function on [a, b].
+// With |f(x) − f(y)| ≤ L |x − y|, every evaluated point (x_i, f_i) gives the
+// cone f(x) ≥ f_i − L |x − x_i|, and the maximum of the cones is a sawtooth
+// lower bound of f. Each iteration evaluates f where the sawtooth is lowest;
+// the gap between the best value found and that lowest point bounds the
+// error of the answer, so the result is guaranteed global when L is valid.
+
+// Lipschitz constant estimated from a sampled curve [{ x, y }]: the steepest
+// slope between neighbouring samples, enlarged by a safety factor since the
+// samples can miss the steepest part of f.
+export function estimateLipschitz(points, factor = 1.5) {
+  let slope = 0;
+  for (let i = 1; i < points.length; i++) {
+    const dx = points[i].x - points[i - 1].x;
+    if (dx > 0) slope = Math.max(slope, Math.abs(points[i].y - points[i - 1].y) / dx);
+  }
+  return slope * factor;
+}
+
+// Lowest point of the two cones between neighbouring evaluations
+function valley([x1, f1], [x2, f2], L) {
+  return {
+    x: (x1 + x2) / 2 + (f1 - f2) / (2 * L),
+    bound: (f1 + f2) / 2 - (L * (x2 - x1)) / 2,
+  };
+}
+
+// Vertices of the sawtooth lower bound for the evaluations [x, f(x)]: each
+// evaluation and the valley between each pair of neighbours
+export function sawtooth(evaluations, L) {
+  const sorted = [...evaluations].sort((p, q) => p[0] - q[0]);
+  const vertices = [];
+  sorted.forEach((point, i) => {
+    if (i > 0) {
+      const { x, bound } = valley(sorted[i - 1], point, L);
+      vertices.push({ x, y: bound });
+    }
+    vertices.push({ x: point[0], y: point[1] });
+  });
+  return vertices;
+}
+
+// Steepest slope between neighbouring evaluations, to check L against
+function observedSlope(sorted) {
+  let slope = 0;
+  for (let i = 1; i < sorted.length; i++) {
+    slope = Math.max(slope, Math.abs(sorted[i][1] - sorted[i - 1][1]) / (sorted[i][0] - sorted[i - 1][0]));
+  }
+  return slope;
+}
+
+// Starts from f(a) and f(b). evaluations keeps every [x, f(x)] in the order
+// they were made, so the sawtooth of iteration k is the one of the first
+// k + 2 of them.
+export function piyavskiiShubert(f, a, b, L, tol = 1e-3, maxIter = 200) {
+  const evaluations = [[a, f(a)], [b, f(b)]];
+  let sorted = [...evaluations].sort((p, q) => p[0] - q[0]);
+  const history = [];
+  let converged = false;
+
+  for (let iter = 0; iter < maxIter; iter++) {
+    // Valley with the lowest bound
+    let lowest = null;
+    for (let i = 1; i < sorted.length; i++) {
+      const v = valley(sorted[i - 1], sorted[i], L);
+      if (!lowest || v.bound < lowest.bound) lowest = v;
+    }
+    const best = sorted.reduce((p, q) => (q[1] < p[1] ? q : p));
+    const gap = best[1] - lowest.bound;
+    if (gap < tol) {
+      converged = true;
+      break;
+    }
+
+    const fx = f(lowest.x);
+    evaluations.push([lowest.x, fx]);
+    sorted = [...evaluations].sort((p, q) => p[0] - q[0]);
+    history.push({ iter: iter + 1, x: lowest.x, fx, lowerBound: lowest.bound, best: Math.min(best[1], fx), gap });
+  }
+
+  const [xOpt, fOpt] = sorted.reduce((p, q) => (q[1] < p[1] ? q : p));
+  const slope = observedSlope(sorted);
+  return {
+    xOpt,
+    fOpt,
+    history,
+    evaluations,
+    converged,
+    // The bound only holds if no pair of evaluations is steeper than L
+    warning: slope > L ? `Entre dos evaluaciones f tiene pendiente ${slope.toFixed(4)} > L: la cota no es válida, aumenta L.` : null,
+  };
+}
@@ -0,0 +1,43 @@
+import { estimateLipschitz, sawtooth, piyavskiiShubert } from "./lipschitz";
+
+const multimodal = (x) => (x - 2) ** 2 + Math.sin(5 * x);
+
+test("estimateLipschitz takes the steepest sampled slope with a margin", () => {
+  const points = [0, 1, 2, 3].map((x) => ({ x, y: x * x }));
+  expect(estimateLipschitz(points, 1)).toBe(5);
+  expect(estimateLipschitz(points)).toBe(7.5);
+});
+
+test("sawtooth puts the valley where the two cones meet", () => {
+  expect(sawtooth([[2, 0], [0, 0]], 1)).toEqual([
+    { x: 0, y: 0 },
+    { x: 1, y: -1 },
+    { x: 2, y: 0 },
+  ]);
+  const [, valley] = sawtooth([[0, 2], [2, 0]], 2);
+  expect(valley).toEqual({ x: 1.5, y: -1 });
+});
+
+test("Piyavskii–Shubert finds the global minimum of a multimodal function", () => {
+  // |f'| ≤ 2·5 + 5 on [-2, 5]
+  const L = 15;
+  const { xOpt, fOpt, history, evaluations, converged, warning } = piyavskiiShubert(multimodal, -2, 5, L, 1e-4, 2000);
+  expect(converged).toBe(true);
+  expect(warning).toBeNull();
+  expect(xOpt).toBeCloseTo(2.184, 2);
+  expect(fOpt).toBeCloseTo(-0.9633, 3);
+  expect(evaluations).toHaveLength(history.length + 2);
+
+  // The lowest sawtooth point never decreases, and stays below every value
+  for (let i = 1; i < history.length; i++) {
+    expect(history[i].lowerBound).toBeGreaterThanOrEqual(history[i - 1].lowerBound - 1e-12);
+  }
+  for (let x = -2; x <= 5; x += 0.01) {
+    expect(multimodal(x)).toBeGreaterThanOrEqual(history[history.length - 1].lowerBound);
+  }
+});
+
+test("an L below the slope of f is reported", () => {
+  const result = piyavskiiShubert(multimodal, -2, 5, 1, 1e-3, 50);
+  expect(result.warning).toMatch(/aumenta L/);
+});
@@ -0,0 +1,36 @@
+import { goldenSectionSearch } from "./goldenSection";
+import { fibonacciSearch, fibonacciCount } from "./fibonacci";
+import { brentMethod } from "./brent";
+import { dichotomousSearch } from "./dichotomous";
+import { runNewton } from "./newton";
+
+// Line-search methods that the global, constrained and 2D optimizers run as
+// their inner step, on a subinterval [lo, hi]
+export const LOCAL_METHODS = {
+  golden: "Sección Aurea",
+  fibonacci: "Fibonacci",
+  brent: "Brent",
+  dichotomous: "Búsqueda dicotómica",
+  newton: "Newton salvaguardado",
+};
+
+// The method as localRun(f, lo, hi) → { xOpt, fOpt, history }. Newton starts
+// at the midpoint of [lo, hi] and is kept inside it; derivativesOf(f) gives
+// the { df, d2f } of the function it minimizes. Fibonacci takes the number of
+// evaluations that leaves a final interval of length tol, so tol must be
+// positive: the callers check it before building the runner. The derivatives
+// are not guarded: their finite-difference probes may cross a barrier edge,
+// and a non-finite f' or f'' just sends Newton to a bisection step.
+export function localRunner(method, tol, maxIter, derivativesOf) {
+  if (method === "fibonacci") return (f, lo, hi) => fibonacciSearch(f, lo, hi, fibonacciCount(lo, hi, tol), tol / 10);
+  if (method === "brent") return (f, lo, hi) => brentMethod(f, lo, hi, tol, maxIter);
+  if (method === "dichotomous") return (f, lo, hi) => dichotomousSearch(f, lo, hi, tol, tol / 4, maxIter);
+  if (method === "newton") {
+    return (f, lo, hi) => {
+      const { df, d2f } = derivativesOf(f);
+      const args = { x0: (lo + hi) / 2, a: lo, b: hi, tol, maxIter, fallback: "bisection" };
+      return runNewton("safeguarded", f, df, d2f, args);
+    };
+  }
+  return (f, lo, hi) => goldenSectionSearch(f, lo, hi, tol, maxIter);
+}
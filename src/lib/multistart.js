@@ -0,0 +1,62 @@
+// Multi-start global minimization: split [a, b] into equal subintervals, run
+// a local method in each one, group the points the runs converge to and keep
+// the groups that really are local minima. The lowest of them is the global
+// minimum found.
+
+// count equal subintervals [lo, hi] of [a, b]
+export function splitInterval(a, b, count) {
+  const width = (b - a) / count;
+  return Array.from({ length: count }, (_, i) => [a + i * width, i === count - 1 ? b : a + (i + 1) * width]);
+}
+
+// Groups converged points closer than radius to the previous one (sorted by
+// x). Each group is represented by its lowest point and lists the runs that
+// reached it.
+export function clusterPoints(points, radius) {
+  const sorted = [...points].sort((p, q) => p.x - q.x);
+  const clusters = [];
+  for (const point of sorted) {
+    const last = clusters[clusters.length - 1];
+    if (last && point.x - last.right <= radius) {
+      last.right = point.x;
+      last.runs.push(point.run);
+      if (point.fx < last.fx) {
+        last.x = point.x;
+        last.fx = point.fx;
+      }
+    } else {
+      clusters.push({ x: point.x, fx: point.fx, right: point.x, runs: [point.run] });
+    }
+  }
+  return clusters.map(({ x, fx, runs }) => ({ x, fx, runs }));
+}
+
+// Whether x is a local minimum of f over [a, b] at scale h: no lower value
+// at x ± h (probes outside [a, b] are skipped, so a minimum on an edge of
+// [a, b] counts). A run that stops on the edge of its subinterval because f
+// keeps decreasing past it fails this check.
+export function isLocalMinimum(f, x, fx, h, a, b) {
+  const probes = [x - h, x + h].filter((p) => p >= a && p <= b);
+  return probes.every((p) => f(p) >= fx);
+}
+
+// localRun(f, lo, hi) runs the local method on one subinterval and returns
+// { xOpt, fOpt, history }. radius groups the converged points and is the
+// probe distance of the local-minimum check.
+export function multiStart(f, a, b, count, localRun, radius) {
+  const runs = splitInterval(a, b, count).map(([lo, hi], i) => {
+    const { xOpt, fOpt, history } = localRun(f, lo, hi);
+    return { run: i + 1, lo, hi, xOpt, fOpt, iterations: history.length };
+  });
+
+  const clusters = clusterPoints(runs.map((r) => ({ x: r.xOpt, fx: r.fOpt, run: r.run })), radius);
+  const minima = clusters.filter((c) => isLocalMinimum(f, c.x, c.fx, radius, a, b));
+  const global = minima.reduce((best, m) => (best && best.fx <= m.fx ? best : m), null);
+
+  // Which minimum each run ended in (null: discarded)
+  for (const r of runs) {
+    const index = minima.findIndex((m) => m.runs.includes(r.run));
+    r.minimum = index >= 0 ? index + 1 : null;
+  }
+  return { runs, minima, global };
+}
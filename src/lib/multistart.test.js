@@ -0,0 +1,51 @@
+import { splitInterval, clusterPoints, isLocalMinimum, multiStart } from "./multistart";
+import { goldenSectionSearch } from "./goldenSection";
+
+// Golden-section search as the local method
+const golden = (f, a, b) => goldenSectionSearch(f, a, b, 1e-8);
+
+const multimodal = (x) => (x - 2) ** 2 + Math.sin(5 * x);
+
+test("splitInterval covers [a, b] with equal pieces", () => {
+  const pieces = splitInterval(-1, 2, 3);
+  expect(pieces).toEqual([[-1, 0], [0, 1], [1, 2]]);
+});
+
+test("clusterPoints groups nearby points and keeps the lowest", () => {
+  const clusters = clusterPoints(
+    [
+      { x: 1.0001, fx: 2, run: 2 },
+      { x: 1, fx: 1, run: 1 },
+      { x: 3, fx: 0, run: 3 },
+    ],
+    1e-3
+  );
+  expect(clusters).toEqual([
+    { x: 1, fx: 1, runs: [1, 2] },
+    { x: 3, fx: 0, runs: [3] },
+  ]);
+});
+
+test("isLocalMinimum rejects points where f keeps decreasing", () => {
+  const f = (x) => (x - 2) ** 2;
+  expect(isLocalMinimum(f, 2, 0, 1e-3, 0, 5)).toBe(true);
+  expect(isLocalMinimum(f, 1, 1, 1e-3, 0, 5)).toBe(false);
+  // On the edge of [a, b] only the inner probe counts
+  expect(isLocalMinimum(f, 5, 9, 1e-3, 0, 5)).toBe(false);
+  expect(isLocalMinimum((x) => x, 0, 0, 1e-3, 0, 5)).toBe(true);
+});
+
+test("multiStart finds every local minimum of a multimodal function", () => {
+  const { runs, minima, global } = multiStart(multimodal, -2, 5, 20, golden, 1e-4);
+  expect(runs).toHaveLength(20);
+  // (x-2)^2 + sin(5x) has five local minima in [-2, 5], near -0.113,
+  // 1.023, 2.184, 3.342 and 4.442; the lowest is the one near 2.184
+  expect(minima.map((m) => m.x.toFixed(2))).toEqual(["-0.11", "1.02", "2.18", "3.34", "4.44"]);
+  expect(global.x).toBeCloseTo(2.184, 3);
+  for (const m of minima) {
+    expect(isLocalMinimum(multimodal, m.x, m.fx, 1e-3, -2, 5)).toBe(true);
+  }
+  // Runs stopped on a subinterval edge are discarded
+  expect(runs.some((r) => r.minimum === null)).toBe(true);
+  expect(runs.filter((r) => r.minimum !== null).every((r) => minima[r.minimum - 1].runs.includes(r.run))).toBe(true);
+});
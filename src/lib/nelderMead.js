@@ -0,0 +1,102 @@
+// Nelder–Mead simplex method for f(x, y): a derivative-free search that moves
+// a triangle across the plane. Each iteration replaces the worst vertex by a
+// reflected, expanded or contracted point, or shrinks the triangle towards
+// the best vertex when none of them is good enough.
+
+export const SIMPLEX_STEPS = {
+  initial: "Inicial",
+  reflection: "Reflexión",
+  expansion: "Expansión",
+  outside: "Contracción exterior",
+  inside: "Contracción interior",
+  shrink: "Encogimiento",
+};
+
+// Standard coefficients: reflection, expansion, contraction, shrink
+export const DEFAULT_COEFFICIENTS = { alpha: 1, gamma: 2, rho: 0.5, sigma: 0.5 };
+
+const along = (from, to, t) => [from[0] + t * (to[0] - from[0]), from[1] + t * (to[1] - from[1])];
+
+// Right-angled starting triangle with legs of length size along x and y
+export function initialSimplex([x, y], size) {
+  return [
+    [x, y],
+    [x + size, y],
+    [x, y + size],
+  ];
+}
+
+// Largest distance from the best vertex, the size used by the stop test
+export function simplexSize(simplex) {
+  const [best, ...others] = simplex;
+  return Math.max(...others.map((p) => Math.hypot(p[0] - best[0], p[1] - best[1])));
+}
+
+// Rows: { iter, step, simplex, values, point, fPoint, size }, where simplex
+// (sorted best first) and values are the triangle after the step and point
+// is the vertex the step accepted (null for a shrink). Row 0 is the starting
+// triangle. Stops when the triangle is smaller than tol and the spread of
+// its values is below tol.
+export function nelderMead(f, start, { size = 0.5, tol = 1e-6, maxIter = 200, coefficients = DEFAULT_COEFFICIENTS } = {}) {
+  const { alpha, gamma, rho, sigma } = coefficients;
+  let vertices = initialSimplex(start, size).map((p) => ({ p, v: f(p[0], p[1]) }));
+  const evaluate = (p) => ({ p, v: f(p[0], p[1]) });
+  const sort = () => vertices.sort((u, w) => u.v - w.v);
+
+  const history = [];
+  const record = (iter, step, accepted) => {
+    const simplex = vertices.map((vertex) => vertex.p);
+    history.push({
+      iter,
+      step,
+      simplex,
+      values: vertices.map((vertex) => vertex.v),
+      point: accepted ? accepted.p : null,
+      fPoint: accepted ? accepted.v : null,
+      size: simplexSize(simplex),
+    });
+  };
+
+  sort();
+  record(0, "initial", null);
+  let converged = false;
+
+  for (let iter = 1; iter <= maxIter; iter++) {
+    const [best, middle, worst] = vertices;
+    const centroid = along(best.p, middle.p, 0.5);
+    const reflected = evaluate(along(centroid, worst.p, -alpha));
+
+    let step;
+    let accepted = null;
+    if (reflected.v < best.v) {
+      const expanded = evaluate(along(centroid, worst.p, -alpha * gamma));
+      [step, accepted] = expanded.v < reflected.v ? ["expansion", expanded] : ["reflection", reflected];
+    } else if (reflected.v < middle.v) {
+      [step, accepted] = ["reflection", reflected];
+    } else if (reflected.v < worst.v) {
+      const contracted = evaluate(along(centroid, reflected.p, rho));
+      if (contracted.v <= reflected.v) [step, accepted] = ["outside", contracted];
+    } else {
+      const contracted = evaluate(along(centroid, worst.p, rho));
+      if (contracted.v < worst.v) [step, accepted] = ["inside", contracted];
+    }
+
+    if (accepted) {
+      vertices = [best, middle, accepted];
+    } else {
+      step = "shrink";
+      vertices = [best, evaluate(along(best.p, middle.p, sigma)), evaluate(along(best.p, worst.p, sigma))];
+    }
+    sort();
+    record(iter, step, accepted);
+
+    const spread = vertices[2].v - vertices[0].v;
+    if (history[history.length - 1].size < tol && spread < tol) {
+      converged = true;
+      break;
+    }
+  }
+
+  const [xOpt, fOpt] = [vertices[0].p, vertices[0].v];
+  return { xOpt, fOpt, history, converged };
+}
@@ -0,0 +1,42 @@
+import { nelderMead, initialSimplex, simplexSize, SIMPLEX_STEPS } from "./nelderMead";
+
+const rosenbrock = (x, y) => (1 - x) ** 2 + 100 * (y - x * x) ** 2;
+
+test("initial simplex and its size", () => {
+  const simplex = initialSimplex([1, 2], 0.5);
+  expect(simplex).toEqual([[1, 2], [1.5, 2], [1, 2.5]]);
+  expect(simplexSize(simplex)).toBe(0.5);
+});
+
+test("Nelder–Mead finds the minimum of Rosenbrock without derivatives", () => {
+  const { xOpt, fOpt, history, converged } = nelderMead(rosenbrock, [-1.2, 1], { tol: 1e-8, maxIter: 500 });
+  expect(converged).toBe(true);
+  expect(xOpt[0]).toBeCloseTo(1, 3);
+  expect(xOpt[1]).toBeCloseTo(1, 3);
+  expect(fOpt).toBeLessThan(1e-6);
+  expect(history[0]).toMatchObject({ iter: 0, step: "initial", point: null });
+  // Every step kind is used and labelled
+  const steps = new Set(history.map((h) => h.step));
+  for (const step of ["reflection", "expansion", "inside"]) expect(steps.has(step)).toBe(true);
+  for (const step of steps) expect(SIMPLEX_STEPS[step]).toBeDefined();
+});
+
+test("rows keep the triangle sorted and the best value never gets worse", () => {
+  const { history } = nelderMead((x, y) => x * x + 3 * y * y, [2, 1], { maxIter: 40 });
+  history.forEach((row) => {
+    expect(row.simplex).toHaveLength(3);
+    expect(row.values[0]).toBeLessThanOrEqual(row.values[1]);
+    expect(row.values[1]).toBeLessThanOrEqual(row.values[2]);
+  });
+  history.slice(1).forEach((row, k) => expect(row.values[0]).toBeLessThanOrEqual(history[k].values[0]));
+  history.filter((row) => row.point).forEach((row) => expect(row.simplex).toContainEqual(row.point));
+});
+
+test("the triangle shrinks when no trial point improves on the worst vertex", () => {
+  // Low values only at the starting vertices: every trial point is worse
+  const known = { "0,0": 0, "1,0": 1, "0,1": 2 };
+  const f = (x, y) => known[`${x},${y}`] ?? 10;
+  const { history } = nelderMead(f, [0, 0], { size: 1, maxIter: 1 });
+  expect(history[1]).toMatchObject({ step: "shrink", point: null });
+  expect(history[1].simplex).toEqual([[0, 0], [0.5, 0], [0, 0.5]]);
+});
@@ -0,0 +1,147 @@
+// One-dimensional Newton minimization x ← x − f'(x) / f''(x) and its two
+// globalized variants, used by the Newton optimizer and as the inner line
+// search of the global and 2D methods. Rows: { iter, x, fx, dfx, d2fx, step,
+// kind }, where kind is "newton", "bisection", "golden" or "damped"; the
+// safeguarded rows add the reason for a fallback step and the bracket
+// [a, b], the damped rows the λ used.
+
+const CGOLD = (3 - Math.sqrt(5)) / 2;
+
+// Smallest curvature the damped mode accepts in the Newton denominator
+const MIN_CURVATURE = 1e-6;
+
+// A trial value lowers fx only if it is finite: outside the domain it does not
+const decreases = (value, fx) => Number.isFinite(value) && value < fx;
+
+function newtonMethod(f, df, d2f, x0, tol = 1e-6, maxIter = 100) {
+  const history = [];
+  let x = x0;
+  let warning = null;
+  
+  for (let iter = 0; iter < maxIter; iter++) {
+    const fx = f(x);
+    const dfx = df(x);
+    const d2fx = d2f(x);
+    
+    history.push({
+      iter: iter + 1,
+      x,
+      fx,
+      dfx,
+      d2fx,
+      step: dfx / d2fx,
+      kind: "newton"
+    });
+    
+    if (Math.abs(dfx) < tol) break;
+    
+    if (Math.abs(d2fx) < 1e-12) {
+      warning = "La segunda derivada es muy pequeña. El método de Newton puede no converger.";
+      break;
+    }
+    
+    const step = dfx / d2fx;
+    x = x - step;
+  }
+
+  const fOpt = f(x);
+  return { xOpt: x, fOpt, history, warning };
+}
+
+// Newton kept inside a bracket [a, b] around the minimizer. The sign of f'
+// at each iterate shrinks the bracket, and the Newton point is taken only if
+// f'' > 0, it falls inside the bracket and it decreases f. Otherwise the
+// step is a bisection or golden-section step inside the bracket. trial
+// evaluates f at the Newton point (see dampedNewton).
+export function safeguardedNewton(f, df, d2f, x0, a, b, tol = 1e-6, maxIter = 100, fallback = "bisection", trial = f) {
+  const history = [];
+  let x = Math.min(Math.max(x0, a), b);
+
+  for (let iter = 0; iter < maxIter; iter++) {
+    const fx = f(x);
+    const dfx = df(x);
+    const d2fx = d2f(x);
+
+    // The minimizer lies where f' goes from negative to positive; a NaN f'
+    // (say a difference across a domain edge) leaves the bracket as it is
+    if (dfx > 0) {
+      b = x;
+    } else if (dfx <= 0) {
+      a = x;
+    }
+
+    let next = x - dfx / d2fx;
+    let reason = null;
+    if (!(d2fx > 0)) {
+      reason = "f'' ≤ 0";
+    } else if (!(next > a && next < b)) {
+      reason = "sale del intervalo";
+    } else if (!decreases(trial(next), fx)) {
+      reason = "no reduce f";
+    }
+    if (reason) {
+      next = fallback === "golden"
+        ? (x - a > b - x ? x - CGOLD * (x - a) : x + CGOLD * (b - x))
+        : (a + b) / 2;
+    }
+
+    history.push({ iter: iter + 1, x, fx, dfx, d2fx, step: x - next, kind: reason ? fallback : "newton", reason, a, b });
+
+    if (Math.abs(dfx) < tol || b - a < tol) break;
+    x = next;
+  }
+
+  return { xOpt: x, fOpt: f(x), history, warning: null };
+}
+
+// Levenberg-style damping: the step is -f' / (f'' + λ) with λ ≥ 0 large
+// enough that the curvature used is positive, so the iteration never heads
+// for a maximum. λ grows tenfold while the step does not decrease f and is
+// relaxed again after each successful step. trial evaluates f at the trial
+// points: it is the unguarded f, so a trial outside the domain (a non-finite
+// value) counts as no decrease and λ grows instead of the run stopping.
+export function dampedNewton(f, df, d2f, x0, tol = 1e-6, maxIter = 100, trial = f) {
+  const history = [];
+  let x = x0;
+  let lambda = 0;
+  let warning = null;
+
+  for (let iter = 0; iter < maxIter; iter++) {
+    const fx = f(x);
+    const dfx = df(x);
+    const d2fx = d2f(x);
+
+    let mu = Math.max(lambda, MIN_CURVATURE - d2fx);
+    let next = x - dfx / (d2fx + mu);
+    let fNext = trial(next);
+    for (let tries = 0; !decreases(fNext, fx) && Math.abs(dfx) >= tol && tries < 50; tries++) {
+      mu = Math.max(10 * mu, 1e-3);
+      next = x - dfx / (d2fx + mu);
+      fNext = trial(next);
+    }
+
+    history.push({ iter: iter + 1, x, fx, dfx, d2fx, step: x - next, kind: mu > 0 ? "damped" : "newton", lambda: mu });
+
+    if (Math.abs(dfx) < tol) break;
+    if (!decreases(fNext, fx)) {
+      warning = "Ningún paso amortiguado reduce f: el método se detiene.";
+      break;
+    }
+    x = next;
+    lambda = mu / 10 < 1e-12 ? 0 : mu / 10;
+  }
+
+  return { xOpt: x, fOpt: f(x), history, warning };
+}
+
+// trial is f without the domain guard, used for the points a strategy only
+// tries; it defaults to f
+export function runNewton(strategy, f, df, d2f, args, trial = f) {
+  if (strategy === "safeguarded") {
+    return safeguardedNewton(f, df, d2f, args.x0, args.a, args.b, args.tol, args.maxIter, args.fallback, trial);
+  }
+  if (strategy === "damped") {
+    return dampedNewton(f, df, d2f, args.x0, args.tol, args.maxIter, trial);
+  }
+  return newtonMethod(f, df, d2f, args.x0, args.tol, args.maxIter);
+}
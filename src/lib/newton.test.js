@@ -0,0 +1,67 @@
+import { safeguardedNewton, dampedNewton } from "./newton";
+import { guardDomain, DomainError } from "./domain";
+
+// Convex, but the Newton step x → −x³ overshoots for |x| > 1
+const f = (x) => Math.sqrt(1 + x * x);
+const df = (x) => x / Math.sqrt(1 + x * x);
+const d2f = (x) => (1 + x * x) ** -1.5;
+
+test("the safeguarded bracket shrinks around the minimizer", () => {
+  const { xOpt, history } = safeguardedNewton(f, df, d2f, 1.8, -1.5, 2, 1e-8);
+  expect(xOpt).toBeCloseTo(0, 8);
+  for (const { a, b, x } of history) {
+    expect(a <= 0 && 0 <= b).toBe(true);
+    expect(x === a || x === b).toBe(true);
+  }
+  for (let i = 1; i < history.length; i++) {
+    expect(history[i].a).toBeGreaterThanOrEqual(history[i - 1].a);
+    expect(history[i].b).toBeLessThanOrEqual(history[i - 1].b);
+  }
+  expect(history[history.length - 1].b - history[history.length - 1].a).toBeLessThan(1e-3);
+});
+
+test("falls back to a bisection or golden step and records why", () => {
+  const outside = safeguardedNewton(f, df, d2f, 1.8, -1.5, 2, 1e-8, 100, "bisection").history[0];
+  expect(outside).toMatchObject({ kind: "bisection", reason: "sale del intervalo", a: -1.5, b: 1.8 });
+  expect(outside.x - outside.step).toBeCloseTo(0.15);
+
+  const golden = safeguardedNewton(f, df, d2f, 1.8, -1.5, 2, 1e-8, 100, "golden").history[0];
+  expect(golden).toMatchObject({ kind: "golden", reason: "sale del intervalo" });
+  expect(golden.x - golden.step).toBeCloseTo(1.8 - ((3 - Math.sqrt(5)) / 2) * 3.3);
+
+  // The Newton point −1.728 is inside [−3, 1.2] but higher than f(1.2)
+  const higher = safeguardedNewton(f, df, d2f, 1.2, -3, 3, 1e-8).history[0];
+  expect(higher).toMatchObject({ kind: "bisection", reason: "no reduce f" });
+
+  const concave = safeguardedNewton((x) => -Math.cos(x), Math.sin, Math.cos, 2.5, -1, 3, 1e-8);
+  expect(concave.history[0]).toMatchObject({ kind: "bisection", reason: "f'' ≤ 0" });
+  expect(concave.history[1]).toMatchObject({ kind: "newton", reason: null });
+  expect(concave.xOpt).toBeCloseTo(0, 8);
+});
+
+test("damping grows λ tenfold until the step decreases f", () => {
+  const { xOpt, history, warning } = dampedNewton(f, df, d2f, 1.8, 1e-8);
+  expect(warning).toBeNull();
+  expect(xOpt).toBeCloseTo(0, 8);
+  // The plain Newton step from 1.8 lands at −5.8: λ goes 10⁻³, 10⁻², …, 1
+  expect(history[0].kind).toBe("damped");
+  expect(history[0].lambda).toBeCloseTo(1, 12);
+  expect(f(history[1].x)).toBeLessThan(history[0].fx);
+  // and is relaxed tenfold after each successful step
+  expect(history[1].lambda).toBeCloseTo(0.1, 12);
+  for (let i = 1; i < history.length; i++) {
+    expect(history[i].fx).toBeLessThan(history[i - 1].fx);
+  }
+});
+
+test("a damped trial step outside the domain grows λ instead of stopping", () => {
+  const g = (x) => x - 2 * Math.log(x);
+  const dg = (x) => 1 - 2 / x;
+  const d2g = (x) => 2 / (x * x);
+  // From x = 10 the Newton step lands at −30, where log is undefined
+  expect(() => dampedNewton(guardDomain(g), dg, d2g, 10, 1e-8)).toThrow(DomainError);
+  const { xOpt, history } = dampedNewton(guardDomain(g), dg, d2g, 10, 1e-8, 100, g);
+  expect(xOpt).toBeCloseTo(2, 8);
+  expect(history[0].lambda).toBeGreaterThan(0);
+  expect(history.every((h) => h.x > 0)).toBe(true);
+});
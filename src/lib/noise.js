@@ -0,0 +1,79 @@
+// Noisy objectives, to see how the methods cope with measurements that are
+// not exact. A noisy evaluation is f(x) plus a random error; averaging r
+// repeated evaluations at the same x divides the spread of the error by √r.
+// The error depends only on x, the seed and the repeat, so a run with a
+// given seed can be reproduced exactly and the Monte Carlo runs differ only
+// in their seeds.
+import { hashUniform, boxMuller } from "./random";
+
+export const NOISE_TYPES = {
+  none: "Sin ruido",
+  gaussian: "Gaussiano (σ = amplitud)",
+  uniform: "Uniforme en [−amplitud, amplitud]",
+};
+
+export const DEFAULT_NOISE = { type: "none", amplitude: 0.1, seed: 1, repeats: 1 };
+
+// Error of the repeat-th measurement of f at x
+function noiseSample(type, amplitude, seed, x, repeat) {
+  if (type === "gaussian") {
+    return amplitude * boxMuller(hashUniform(seed, x, 2 * repeat), hashUniform(seed, x, 2 * repeat + 1));
+  }
+  return amplitude * (2 * hashUniform(seed, x, 2 * repeat) - 1);
+}
+
+// Whether the settings add any noise at all
+export function isNoisy({ type, amplitude }) {
+  return type !== "none" && amplitude > 0;
+}
+
+// f with noise: the mean of `repeats` measurements of f(x), each with its
+// own error. Returns f itself when there is no noise, and leaves values
+// outside the domain (NaN, ±Infinity) as they are.
+export function withNoise(f, noise) {
+  if (!f || !isNoisy(noise)) return f;
+  const { type, amplitude, seed, repeats } = noise;
+  const r = Math.max(1, Math.floor(repeats));
+  return (x) => {
+    const fx = f(x);
+    if (!Number.isFinite(fx)) return fx;
+    let error = 0;
+    for (let k = 0; k < r; k++) error += noiseSample(type, amplitude, seed, x, k);
+    return fx + error / r;
+  };
+}
+
+// Standard deviation of the error of one averaged evaluation
+export function noiseDeviation({ type, amplitude, repeats }) {
+  if (!isNoisy({ type, amplitude })) return 0;
+  const single = type === "gaussian" ? amplitude : amplitude / Math.sqrt(3);
+  return single / Math.sqrt(Math.max(1, Math.floor(repeats)));
+}
+
+// Mean, sample standard deviation, minimum and maximum of the finite values
+export function spread(values) {
+  const finite = values.filter(Number.isFinite);
+  const n = finite.length;
+  if (n === 0) return { n, mean: null, std: null, min: null, max: null };
+  const mean = finite.reduce((s, v) => s + v, 0) / n;
+  const variance = n > 1 ? finite.reduce((s, v) => s + (v - mean) ** 2, 0) / (n - 1) : 0;
+  return { n, mean, std: Math.sqrt(variance), min: Math.min(...finite), max: Math.max(...finite) };
+}
+
+// Runs solve(g) on `runs` noisy copies g of f with seeds seed, seed + 1, ...
+// solve returns { xOpt }. Rows: { run, seed, xOpt, evaluations }, where
+// evaluations counts calls to g (each one averages `repeats` measurements).
+export function monteCarlo(f, noise, runs, solve) {
+  const rows = [];
+  for (let i = 0; i < runs; i++) {
+    const seed = noise.seed + i;
+    const noisy = withNoise(f, { ...noise, seed });
+    let evaluations = 0;
+    const { xOpt } = solve((x) => {
+      evaluations++;
+      return noisy(x);
+    });
+    rows.push({ run: i + 1, seed, xOpt, evaluations });
+  }
+  return { rows, x: spread(rows.map((row) => row.xOpt)), evaluations: spread(rows.map((row) => row.evaluations)) };
+}
@@ -0,0 +1,64 @@
+import { withNoise, noiseDeviation, spread, monteCarlo, DEFAULT_NOISE } from "./noise";
+import { hashUniform } from "./random";
+
+const square = (x) => (x - 1) ** 2;
+const gaussian = { type: "gaussian", amplitude: 0.5, seed: 7, repeats: 1 };
+
+test("hashUniform is reproducible and stays in (0, 1)", () => {
+  expect(hashUniform(3, 0.25, 1)).toBe(hashUniform(3, 0.25, 1));
+  expect(hashUniform(3, 0.25, 1)).not.toBe(hashUniform(4, 0.25, 1));
+  expect(hashUniform(3, 0.25, 1)).not.toBe(hashUniform(3, 0.25, 2));
+  for (let i = 0; i < 1000; i++) {
+    const u = hashUniform(1, i / 7, 0);
+    expect(u).toBeGreaterThan(0);
+    expect(u).toBeLessThan(1);
+  }
+});
+
+test("withNoise returns f itself without noise and keeps domain errors", () => {
+  expect(withNoise(square, DEFAULT_NOISE)).toBe(square);
+  expect(withNoise(square, { ...gaussian, amplitude: 0 })).toBe(square);
+  const noisy = withNoise(Math.sqrt, gaussian);
+  expect(noisy(-1)).toBeNaN();
+  expect(noisy(4)).not.toBe(2);
+});
+
+test("the error has the requested spread and shrinks with repeats", () => {
+  const xs = Array.from({ length: 4000 }, (_, i) => i / 4000);
+  const errors = (noise) => xs.map((x) => withNoise(square, noise)(x) - square(x));
+
+  const single = spread(errors(gaussian));
+  expect(Math.abs(single.mean)).toBeLessThan(0.05);
+  expect(single.std).toBeCloseTo(0.5, 1);
+
+  const averaged = spread(errors({ ...gaussian, repeats: 4 }));
+  expect(averaged.std).toBeCloseTo(noiseDeviation({ ...gaussian, repeats: 4 }), 1);
+
+  const uniform = spread(errors({ ...gaussian, type: "uniform" }));
+  expect(uniform.min).toBeGreaterThanOrEqual(-0.5);
+  expect(uniform.max).toBeLessThanOrEqual(0.5);
+  expect(uniform.std).toBeCloseTo(0.5 / Math.sqrt(3), 1);
+});
+
+test("spread summarizes only the finite values", () => {
+  expect(spread([1, 2, 3, NaN, null])).toEqual({ n: 3, mean: 2, std: 1, min: 1, max: 3 });
+  expect(spread([])).toEqual({ n: 0, mean: null, std: null, min: null, max: null });
+});
+
+test("monteCarlo repeats runs with consecutive seeds and counts evaluations", () => {
+  // Best of a grid of 101 points on [0, 2]
+  const solve = (g) => {
+    let best = 0;
+    for (let i = 1; i <= 100; i++) if (g(i / 50) < g(best / 50)) best = i;
+    return { xOpt: best / 50 };
+  };
+  const first = monteCarlo(square, gaussian, 5, solve);
+  const again = monteCarlo(square, gaussian, 5, solve);
+  expect(again).toEqual(first);
+  expect(first.rows.map((row) => row.seed)).toEqual([7, 8, 9, 10, 11]);
+  expect(first.rows[0].evaluations).toBe(200);
+  expect(first.x.std).toBeGreaterThan(0);
+
+  const exact = monteCarlo(square, DEFAULT_NOISE, 3, solve);
+  expect(exact.x).toEqual({ n: 3, mean: 1, std: 0, min: 1, max: 1 });
+});
@@ -0,0 +1,89 @@
+// Parabola through three points, used by the interpolation methods (Brent,
+// successive quadratic interpolation) and to draw the fitted parabolas, and
+// the successive quadratic interpolation method itself.
+
+// Relative size under which the second divided difference counts as zero,
+// i.e. the three points are collinear
+const COLLINEAR_TOLERANCE = 1e-12;
+
+// Fits p(x) = f1 + d1 (x - x1) + c (x - x1)(x - x2) through three points
+// given as [[x1, f1], [x2, f2], [x3, f3]] (Newton divided differences).
+// Returns { curvature, vertex, evaluate, degenerate } where degenerate is
+// null, "repeated" (two equal abscissas) or "collinear" (no curvature, so
+// no vertex). vertex is the stationary point when the fit is not degenerate;
+// it is a minimum only when curvature > 0.
+export function fitParabola([[x1, f1], [x2, f2], [x3, f3]]) {
+  const span = Math.max(x1, x2, x3) - Math.min(x1, x2, x3);
+  if (x1 === x2 || x2 === x3 || x1 === x3 || !(span > 0)) {
+    return { curvature: NaN, vertex: null, evaluate: null, degenerate: "repeated" };
+  }
+
+  const d1 = (f2 - f1) / (x2 - x1);
+  const d2 = (f3 - f2) / (x3 - x2);
+  const c = (d2 - d1) / (x3 - x1);
+  const evaluate = (x) => f1 + d1 * (x - x1) + c * (x - x1) * (x - x2);
+
+  // Compare c against the slopes so the test does not depend on units
+  const scale = Math.max(Math.abs(d1), Math.abs(d2), Number.MIN_VALUE) / span;
+  if (!(Math.abs(c) > COLLINEAR_TOLERANCE * scale)) {
+    return { curvature: 0, vertex: null, evaluate, degenerate: "collinear" };
+  }
+
+  // p'(x) = d1 + c (2x - x1 - x2) = 0
+  const vertex = (x1 + x2) / 2 - d1 / (2 * c);
+  return { curvature: 2 * c, vertex, evaluate, degenerate: null };
+}
+
+// Samples the parabola through three points over [lo, hi] for a chart line
+export function parabolaCurve(points, lo, hi, samples = 60) {
+  const { evaluate } = fitParabola(points);
+  if (!evaluate) return [];
+  const curve = [];
+  for (let i = 0; i <= samples; i++) {
+    const x = lo + (i / samples) * (hi - lo);
+    curve.push({ x, y: evaluate(x) });
+  }
+  return curve;
+}
+
+// Successive quadratic interpolation: fit the parabola through the three
+// current points, evaluate f at its vertex and let the vertex replace the
+// worst of the three. Stops when the vertex is within tol of the best point,
+// or reports the triple when it has no usable vertex. Rows: { iter, points,
+// vertex, fVertex, degenerate }, where degenerate is null, "repeated",
+// "collinear" or "concave" (the vertex would be a maximum).
+export function quadraticInterpolation(f, x1, x2, x3, tol = 1e-5, maxIter = 50) {
+  let points = [x1, x2, x3].map((x) => [x, f(x)]);
+  const history = [];
+  let degenerate = null;
+
+  for (let iter = 0; iter < maxIter; iter++) {
+    points = [...points].sort((p, q) => p[0] - q[0]);
+    const fit = fitParabola(points);
+    degenerate = fit.degenerate || (fit.curvature < 0 ? "concave" : null);
+    if (degenerate) {
+      history.push({ iter: iter + 1, points, vertex: null, fVertex: null, degenerate });
+      break;
+    }
+
+    const vertex = fit.vertex;
+    const fVertex = f(vertex);
+    history.push({ iter: iter + 1, points, vertex, fVertex, degenerate: null });
+
+    const best = points.reduce((p, q) => (q[1] < p[1] ? q : p));
+    if (Math.abs(vertex - best[0]) < tol) break;
+
+    let worst = 0;
+    for (let i = 1; i < points.length; i++) {
+      if (points[i][1] > points[worst][1]) worst = i;
+    }
+    points = [...points];
+    points[worst] = [vertex, fVertex];
+  }
+
+  // Best point seen: the current triple plus the last vertex
+  const last = history[history.length - 1];
+  const candidates = last && last.vertex !== null ? [...points, [last.vertex, last.fVertex]] : points;
+  const [xOpt, fOpt] = candidates.reduce((p, q) => (q[1] < p[1] ? q : p));
+  return { xOpt, fOpt, history };
+}
@@ -0,0 +1,66 @@
+import { fitParabola, parabolaCurve, quadraticInterpolation } from "./parabola";
+
+test("fits the parabola through three points and finds its vertex", () => {
+  const f = (x) => 3 * (x - 1.5) ** 2 - 2;
+  const fit = fitParabola([[-1, f(-1)], [0.5, f(0.5)], [4, f(4)]]);
+  expect(fit.degenerate).toBeNull();
+  expect(fit.vertex).toBeCloseTo(1.5, 12);
+  expect(fit.curvature).toBeCloseTo(6, 12);
+  expect(fit.evaluate(2.7)).toBeCloseTo(f(2.7), 12);
+
+  // A concave fit still has a vertex, but it is a maximum
+  expect(fitParabola([[0, 0], [1, 1], [2, 0]]).curvature).toBeLessThan(0);
+});
+
+test("reports collinear and repeated points instead of NaN", () => {
+  const collinear = fitParabola([[0, 1], [1, 3], [2, 5]]);
+  expect(collinear.degenerate).toBe("collinear");
+  expect(collinear.vertex).toBeNull();
+
+  // Collinear up to rounding, at a large scale
+  expect(fitParabola([[1e6, 0.1 * 1e6], [2e6, 0.1 * 2e6], [3e6, 0.1 * 3e6]]).degenerate).toBe("collinear");
+
+  expect(fitParabola([[1, 2], [1, 3], [2, 0]]).degenerate).toBe("repeated");
+  expect(parabolaCurve([[1, 2], [1, 3], [2, 0]], 0, 1)).toEqual([]);
+});
+
+test("samples the parabola for the chart", () => {
+  const curve = parabolaCurve([[0, 0], [1, 1], [2, 4]], -1, 1, 2);
+  expect(curve).toEqual([{ x: -1, y: 1 }, { x: 0, y: 0 }, { x: 1, y: 1 }]);
+});
+
+test("quadratic interpolation lands on the vertex of a quadratic at once", () => {
+  const { xOpt, fOpt, history } = quadraticInterpolation((x) => 3 * (x - 1.5) ** 2 - 2, -2, 1, 5);
+  expect(history[0].vertex).toBeCloseTo(1.5, 12);
+  // The next fit goes through the vertex and gives it back: stop
+  expect(history).toHaveLength(2);
+  expect(xOpt).toBeCloseTo(1.5, 12);
+  expect(fOpt).toBeCloseTo(-2, 12);
+});
+
+test("the vertex replaces the worst point until it converges", () => {
+  const f = (x) => Math.exp(x) - 2 * x;
+  const { xOpt, history } = quadraticInterpolation(f, -1, 0.2, 2, 1e-8);
+  expect(xOpt).toBeCloseTo(Math.log(2), 7);
+  expect(history.every((h) => h.degenerate === null)).toBe(true);
+  for (let i = 1; i < history.length; i++) {
+    const { points, vertex } = history[i - 1];
+    const worst = points.reduce((p, q) => (q[1] > p[1] ? q : p));
+    const expected = points.map((p) => (p === worst ? vertex : p[0])).sort((p, q) => p - q);
+    expect(history[i].points.map((p) => p[0])).toEqual(expected);
+  }
+});
+
+test("quadratic interpolation stops on a collinear, repeated or concave triple", () => {
+  const collinear = quadraticInterpolation((x) => 2 * x + 1, -1, 0, 3);
+  expect(collinear.history).toEqual([expect.objectContaining({ iter: 1, vertex: null, degenerate: "collinear" })]);
+  // The best point of the triple is still reported
+  expect(collinear.xOpt).toBe(-1);
+
+  expect(quadraticInterpolation((x) => x * x, 1, 1, 2).history[0].degenerate).toBe("repeated");
+
+  const concave = quadraticInterpolation((x) => -(x * x), -1, 0, 2);
+  expect(concave.history).toHaveLength(1);
+  expect(concave.history[0]).toMatchObject({ vertex: null, degenerate: "concave" });
+  expect(concave.xOpt).toBe(2);
+});
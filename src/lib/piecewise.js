@@ -0,0 +1,88 @@
+// Breakpoints of piecewise expressions. A breakpoint is a point where one of
+// the comparisons in the expression (x < 1, x >= a, ...) changes value, so f
+// or its derivatives may jump there.
+import { compileExpression } from "./expression";
+
+function collectComparisons(node, found = []) {
+  if (node.type === "comparison") {
+    found.push(node);
+  }
+  if (node.argument) collectComparisons(node.argument, found);
+  if (node.left) collectComparisons(node.left, found);
+  if (node.right) collectComparisons(node.right, found);
+  if (node.args) node.args.forEach((arg) => collectComparisons(arg, found));
+  if (node.branches) {
+    node.branches.forEach((branch) => {
+      collectComparisons(branch.condition, found);
+      collectComparisons(branch.value, found);
+    });
+    collectComparisons(node.otherwise, found);
+  }
+  return found;
+}
+
+// Sign changes of left - right for every comparison, scanned on a uniform
+// grid over [a, b] and refined by bisection. Returns sorted, unique points.
+export function findBreakpoints(ast, params, a, b, samples = 400) {
+  if (!(a < b)) return [];
+  const comparisons = collectComparisons(ast);
+  const points = [];
+
+  for (const comparison of comparisons) {
+    const left = compileExpression(comparison.left);
+    const right = compileExpression(comparison.right);
+    const g = (x) => left(x, params) - right(x, params);
+
+    let x0 = a;
+    let g0 = g(x0);
+    for (let i = 1; i <= samples; i++) {
+      const x1 = a + (i / samples) * (b - a);
+      const g1 = g(x1);
+      if (g0 === 0) {
+        points.push(x0);
+      } else if (Number.isFinite(g0) && Number.isFinite(g1) && g0 * g1 < 0) {
+        let lo = x0;
+        let hi = x1;
+        let glo = g0;
+        for (let k = 0; k < 60; k++) {
+          const mid = (lo + hi) / 2;
+          const gm = g(mid);
+          if (gm === 0) {
+            lo = hi = mid;
+            break;
+          }
+          if (glo * gm < 0) {
+            hi = mid;
+          } else {
+            lo = mid;
+            glo = gm;
+          }
+        }
+        points.push((lo + hi) / 2);
+      }
+      x0 = x1;
+      g0 = g1;
+    }
+    if (g0 === 0) points.push(x0);
+  }
+
+  points.sort((p, q) => p - q);
+  const minGap = 1e-9 * (b - a);
+  return points.filter((p, i) => i === 0 || p - points[i - 1] > minGap);
+}
+
+// Returns the breakpoint within radius of x where df jumps, or null. The jump
+// is measured with one-sided samples just left and right of the breakpoint.
+export function derivativeBreakAt(df, breakpoints, x, radius) {
+  for (const point of breakpoints) {
+    if (Math.abs(x - point) > radius) continue;
+    const h = 1e-7 * Math.max(1, Math.abs(point));
+    const left = df(point - h);
+    const right = df(point + h);
+    const scale = Math.max(1, Math.abs(left), Math.abs(right));
+    if (Math.abs(right - left) > 1e-4 * scale) {
+      return point;
+    }
+  }
+  return null;
+}
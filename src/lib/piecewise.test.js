@@ -0,0 +1,19 @@
+import { parseExpression, parseCustomFunction } from "./expression";
+import { findBreakpoints, derivativeBreakAt } from "./piecewise";
+
+test("locates the breakpoints of every comparison", () => {
+  const ast = parseExpression("piecewise(x < 1, x^2, x < c, 2*x - 1, 5)");
+  const points = findBreakpoints(ast, { c: 2.5 }, -2, 4);
+  expect(points).toHaveLength(2);
+  expect(points[0]).toBeCloseTo(1, 9);
+  expect(points[1]).toBeCloseTo(2.5, 9);
+});
+
+test("detects a jump in the derivative only at kinks", () => {
+  const df = parseCustomFunction("if(x < 1, 2*x, 3)");
+  expect(derivativeBreakAt(df, [1], 1 + 1e-7, 1e-6)).toBe(1);
+  expect(derivativeBreakAt(df, [1], 1.5, 1e-6)).toBeNull();
+
+  const smooth = parseCustomFunction("if(x < 1, 2*x, 2)");
+  expect(derivativeBreakAt(smooth, [1], 1, 1e-6)).toBeNull();
+});
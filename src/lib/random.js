@@ -0,0 +1,50 @@
+// Seeded pseudo-random numbers. Everything random in the app is a function
+// of an integer seed, so a run can be repeated exactly.
+
+const FLOAT = new Float64Array(1);
+const WORDS = new Uint32Array(FLOAT.buffer);
+
+// Avalanche step of MurmurHash3: every input bit flips about half of the
+// output bits
+function mix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// Uniform number in (0, 1) that depends only on the seed, the bits of x and
+// the integer stream, so the same triple always gives the same number
+export function hashUniform(seed, x, stream = 0) {
+  FLOAT[0] = x;
+  let h = mix32(seed ^ 0x9e3779b9);
+  h = mix32(h ^ WORDS[0]);
+  h = mix32(h ^ WORDS[1]);
+  h = mix32(h ^ Math.imul(stream + 1, 0x27d4eb2d));
+  return (h + 0.5) / 4294967296;
+}
+
+// Standard normal number from two uniforms in (0, 1) (Box–Muller)
+export function boxMuller(u1, u2) {
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+// Generator of uniform numbers in [0, 1) seeded with an integer (mulberry32):
+// the same seed always gives the same sequence
+export function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal number drawn from a uniform generator
+export function normalRandom(random) {
+  return boxMuller(1 - random(), random());
+}
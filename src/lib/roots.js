@@ -0,0 +1,250 @@
+// Root finding: solve g(x) = 0 on [a, b]. The bracketing methods keep an
+// interval where g changes sign; the open ones (secant, Newton) start from
+// one or two points and may leave it. Every method returns
+//   { root, history, converged, warning }
+// with rows { iter, a, b, x, gx, error, step } (a and b are null for the
+// open methods). The secant and regula-falsi rows also carry through, the
+// two points [[x, g(x)], [x', g(x')]] whose secant gave x. They stop when
+// |g(x)| < tol or the last step, or the bracket, is shorter than tol. The
+// optimizers run them on g = f' to find critical points, so the warnings do
+// not name the function.
+
+export const ROOT_METHODS = {
+  bisection: "Bisección",
+  regulaFalsi: "Regula falsi",
+  illinois: "Illinois",
+  secant: "Secante",
+  newton: "Newton",
+  brent: "Brent–Dekker",
+};
+
+// Methods that need a sign change of g in [a, b]
+export const BRACKETED_METHODS = ["bisection", "regulaFalsi", "illinois", "brent"];
+
+export const BRENT_STEPS = {
+  bisection: "Bisección",
+  secant: "Secante",
+  inverse: "Interp. cuadrática inversa",
+};
+
+const NO_SIGN_CHANGE = "La función no cambia de signo en los extremos del intervalo: el método necesita un cambio de signo.";
+
+export function bisection(g, a, b, tol = 1e-10, maxIter = 100) {
+  let ga = g(a);
+  if (ga * g(b) > 0) return { root: null, history: [], converged: false, warning: NO_SIGN_CHANGE };
+  const history = [];
+  let x = a;
+  for (let iter = 1; iter <= maxIter; iter++) {
+    x = (a + b) / 2;
+    const gx = g(x);
+    history.push({ iter, a, b, x, gx, error: b - a });
+    if (Math.abs(gx) < tol || b - a < tol) return { root: x, history, converged: true, warning: null };
+    if (ga * gx < 0) {
+      b = x;
+    } else {
+      a = x;
+      ga = gx;
+    }
+  }
+  return { root: x, history, converged: false, warning: null };
+}
+
+// Regula falsi takes the zero of the secant through (a, g(a)), (b, g(b)).
+// When one end stays put it converges only linearly; the Illinois variant
+// halves the stored g of an end kept twice in a row, which pulls the next
+// secant point past the root.
+export function falsePosition(g, a, b, tol = 1e-10, maxIter = 100, illinois = false) {
+  let ga = g(a);
+  let gb = g(b);
+  if (ga * gb > 0) return { root: null, history: [], converged: false, warning: NO_SIGN_CHANGE };
+  const history = [];
+  let x = a;
+  let previous = null;
+  // How many times in a row a (negative) or b (positive) was kept, and
+  // whether the secant of this step used a halved value
+  let kept = 0;
+  let halved = false;
+  for (let iter = 1; iter <= maxIter; iter++) {
+    x = b - (gb * (b - a)) / (gb - ga);
+    const gx = g(x);
+    const error = previous === null ? b - a : Math.abs(x - previous);
+    history.push({ iter, a, b, x, gx, error, step: halved ? "illinois" : null, through: [[a, ga], [b, gb]] });
+    if (Math.abs(gx) < tol || error < tol) return { root: x, history, converged: true, warning: null };
+    previous = x;
+    if (ga * gx < 0) {
+      b = x;
+      gb = gx;
+      // a is kept: halve its value after the second time in a row
+      kept = kept < 0 ? kept - 1 : -1;
+    } else {
+      a = x;
+      ga = gx;
+      kept = kept > 0 ? kept + 1 : 1;
+    }
+    halved = illinois && Math.abs(kept) >= 2;
+    if (halved && kept < 0) ga /= 2;
+    if (halved && kept > 0) gb /= 2;
+  }
+  return { root: x, history, converged: false, warning: null };
+}
+
+export function secant(g, x0, x1, tol = 1e-10, maxIter = 100) {
+  const history = [];
+  let prev = x0;
+  let curr = x1;
+  let gPrev = g(prev);
+  let gCurr = g(curr);
+  for (let iter = 1; iter <= maxIter; iter++) {
+    if (gPrev === gCurr) {
+      return { root: curr, history, converged: false, warning: "La secante es horizontal (la función vale lo mismo en los dos puntos): no corta el eje." };
+    }
+    const x = curr - (gCurr * (curr - prev)) / (gCurr - gPrev);
+    const gx = g(x);
+    const error = Math.abs(x - curr);
+    history.push({ iter, a: null, b: null, x, gx, error, through: [[prev, gPrev], [curr, gCurr]] });
+    if (Math.abs(gx) < tol || error < tol) return { root: x, history, converged: true, warning: null };
+    prev = curr;
+    gPrev = gCurr;
+    curr = x;
+    gCurr = gx;
+  }
+  return { root: curr, history, converged: false, warning: null };
+}
+
+export function newton(g, dg, x0, tol = 1e-10, maxIter = 100) {
+  const history = [];
+  let x = x0;
+  for (let iter = 1; iter <= maxIter; iter++) {
+    const gx = g(x);
+    const slope = dg(x);
+    if (Math.abs(slope) < 1e-14) {
+      return { root: x, history, converged: false, warning: "g'(x) ≈ 0: la tangente es horizontal y Newton no puede continuar." };
+    }
+    const next = x - gx / slope;
+    const gNext = g(next);
+    const error = Math.abs(next - x);
+    history.push({ iter, a: null, b: null, x: next, gx: gNext, error });
+    x = next;
+    if (Math.abs(gNext) < tol || error < tol) return { root: x, history, converged: true, warning: null };
+  }
+  return { root: x, history, converged: false, warning: null };
+}
+
+// Brent–Dekker (zeroin): b is the best estimate and [b, c] keeps the sign
+// change. Each step tries inverse quadratic interpolation through a, b, c
+// (the secant when a = c) and falls back to bisection when that point is
+// not well inside the bracket or the steps stop shrinking fast enough.
+export function brentDekker(g, a, b, tol = 1e-10, maxIter = 100) {
+  let fa = g(a);
+  let fb = g(b);
+  if (fa * fb > 0) return { root: null, history: [], converged: false, warning: NO_SIGN_CHANGE };
+  let c = b;
+  let fc = fb;
+  let d = b - a;
+  let e = d;
+  const history = [];
+
+  for (let iter = 1; iter <= maxIter; iter++) {
+    if ((fb > 0 && fc > 0) || (fb < 0 && fc < 0)) {
+      c = a;
+      fc = fa;
+      d = b - a;
+      e = d;
+    }
+    if (Math.abs(fc) < Math.abs(fb)) {
+      a = b;
+      b = c;
+      c = a;
+      fa = fb;
+      fb = fc;
+      fc = fa;
+    }
+    const tol1 = 2 * Number.EPSILON * Math.abs(b) + 0.5 * tol;
+    const xm = 0.5 * (c - b);
+    if (Math.abs(xm) <= tol1 || fb === 0 || (history.length > 0 && Math.abs(fb) < tol)) {
+      return { root: b, history, converged: true, warning: null };
+    }
+
+    let step = "bisection";
+    if (Math.abs(e) >= tol1 && Math.abs(fa) > Math.abs(fb)) {
+      const s = fb / fa;
+      let p;
+      let q;
+      if (a === c) {
+        p = 2 * xm * s;
+        q = 1 - s;
+        step = "secant";
+      } else {
+        const qa = fa / fc;
+        const r = fb / fc;
+        p = s * (2 * xm * qa * (qa - r) - (b - a) * (r - 1));
+        q = (qa - 1) * (r - 1) * (s - 1);
+        step = "inverse";
+      }
+      if (p > 0) q = -q;
+      p = Math.abs(p);
+      if (2 * p < Math.min(3 * xm * q - Math.abs(tol1 * q), Math.abs(e * q))) {
+        e = d;
+        d = p / q;
+      } else {
+        step = "bisection";
+        d = xm;
+        e = d;
+      }
+    } else {
+      d = xm;
+      e = d;
+    }
+
+    const [lo, hi] = b < c ? [b, c] : [c, b];
+    a = b;
+    fa = fb;
+    b += Math.abs(d) > tol1 ? d : Math.sign(xm) * tol1;
+    fb = g(b);
+    history.push({ iter, a: lo, b: hi, x: b, gx: fb, error: Math.abs(b - a), step });
+  }
+  return { root: b, history, converged: false, warning: null };
+}
+
+// Subintervals of a uniform sampling of [a, b] where g changes sign (or is
+// exactly zero at an end). Samples where g is not finite are skipped.
+export function signChanges(g, a, b, samples = 400) {
+  const brackets = [];
+  let previous = null;
+  for (let i = 0; i <= samples; i++) {
+    const x = a + (i / samples) * (b - a);
+    const gx = g(x);
+    if (!Number.isFinite(gx)) {
+      previous = null;
+      continue;
+    }
+    // A zero sample closes one bracket and must not open a second one
+    const last = brackets[brackets.length - 1];
+    if (previous && previous.gx * gx <= 0 && !(previous.gx === 0 && last && last.hi === previous.x)) {
+      brackets.push({ lo: previous.x, hi: x });
+    }
+    previous = { x, gx };
+  }
+  return brackets;
+}
+
+// Runs solve(lo, hi) on every sign change of g in [a, b]. A sign change can
+// also be a pole (1/x): its "root" has a larger |g| than both ends and is
+// reported with pole: true. An open method may also converge to a point
+// outside [a, b] (outside: true). With open set and no sign change, solve
+// runs once on [a, b]. Roots closer than tol to an earlier one are dropped.
+export function findRoots(g, a, b, solve, { samples = 400, tol = 1e-8, open = false } = {}) {
+  const brackets = signChanges(g, a, b, samples);
+  const starts = brackets.length === 0 && open ? [{ lo: a, hi: b }] : brackets;
+  const roots = [];
+  starts.forEach(({ lo, hi }, i) => {
+    const { root, history, converged, warning } = solve(lo, hi);
+    if (root === null) return;
+    const gx = g(root);
+    const pole = Math.abs(gx) > Math.max(Math.abs(g(lo)), Math.abs(g(hi)));
+    const outside = root < a || root > b;
+    if (roots.some((r) => Math.abs(r.x - root) < tol)) return;
+    roots.push({ index: i + 1, lo, hi, x: root, gx, history, converged, warning, pole, outside });
+  });
+  return { brackets, roots };
+}
@@ -0,0 +1,78 @@
+import { bisection, falsePosition, secant, newton, brentDekker, signChanges, findRoots } from "./roots";
+
+const cubic = (x) => x * x * x - 2 * x - 5; // root 2.0945514815423265
+const ROOT = 2.0945514815423265;
+
+test("every method finds the root of the cubic", () => {
+  const runs = {
+    bisection: bisection(cubic, 2, 3, 1e-12),
+    regulaFalsi: falsePosition(cubic, 2, 3, 1e-12, 200),
+    illinois: falsePosition(cubic, 2, 3, 1e-12, 100, true),
+    secant: secant(cubic, 2, 3, 1e-12),
+    newton: newton(cubic, (x) => 3 * x * x - 2, 2.5, 1e-12),
+    brent: brentDekker(cubic, 2, 3, 1e-12),
+  };
+  for (const run of Object.values(runs)) {
+    expect(run.converged).toBe(true);
+    expect(run.root).toBeCloseTo(ROOT, 9);
+  }
+  // The faster methods need far fewer iterations than bisection
+  expect(runs.illinois.history.length).toBeLessThan(runs.regulaFalsi.history.length);
+  expect(runs.brent.history.length).toBeLessThan(runs.bisection.history.length / 3);
+  expect(runs.illinois.history.some((h) => h.step === "illinois")).toBe(true);
+  expect(runs.brent.history.every((h) => h.a <= h.b)).toBe(true);
+});
+
+test("bracketing methods need a sign change", () => {
+  for (const run of [bisection(cubic, 3, 4), falsePosition(cubic, 3, 4), brentDekker(cubic, 3, 4)]) {
+    expect(run.root).toBeNull();
+    expect(run.warning).toMatch(/no cambia de signo/);
+  }
+  expect(newton((x) => x * x + 1, (x) => 2 * x, 0).warning).toMatch(/horizontal/);
+});
+
+test("sign changes list every crossing once", () => {
+  expect(signChanges(Math.sin, -1, 7, 8)).toEqual([
+    { lo: -1, hi: 0 },
+    { lo: 3, hi: 4 },
+    { lo: 6, hi: 7 },
+  ]);
+  // A sample exactly on the root closes one bracket only
+  expect(signChanges((x) => x, -2, 2, 4)).toEqual([{ lo: -1, hi: 0 }]);
+});
+
+test("findRoots solves each bracket and flags poles", () => {
+  const g = (x) => Math.cos(x) / (x - 1);
+  const { brackets, roots } = findRoots(g, -2, 5, (lo, hi) => brentDekker(g, lo, hi, 1e-12), { samples: 333 });
+  expect(brackets).toHaveLength(4);
+  const real = roots.filter((r) => !r.pole).map((r) => r.x);
+  expect(real).toHaveLength(3);
+  [-Math.PI / 2, Math.PI / 2, (3 * Math.PI) / 2].forEach((x, i) => expect(real[i]).toBeCloseTo(x, 9));
+  expect(roots.find((r) => r.pole).x).toBeCloseTo(1, 6);
+});
+
+test("open methods start from [a, b] without a sign change and may leave it", () => {
+  // A double root: g touches zero without changing sign
+  const g = (x) => (x - 1) ** 2;
+  const solve = (lo, hi) => secant(g, lo, hi);
+  expect(findRoots(g, -2, 5, solve, { samples: 6 }).roots).toEqual([]);
+  const { roots } = findRoots(g, -2, 5, solve, { samples: 6, open: true });
+  expect(roots).toHaveLength(1);
+  expect(roots[0].x).toBeCloseTo(1, 4);
+  const far = findRoots((x) => x - 10, 0, 1, (lo, hi) => secant((x) => x - 10, lo, hi), { open: true });
+  expect(far.roots[0]).toMatchObject({ x: 10, outside: true, pole: false });
+});
+
+test("secant rows record the two points each secant went through", () => {
+  const g = (x) => x * x - 2;
+  const run = secant(g, 1, 2);
+  const [first, second] = run.history;
+  expect(first.through).toEqual([[1, -1], [2, 2]]);
+  expect(second.through).toEqual([[2, 2], [first.x, first.gx]]);
+
+  const bracketed = falsePosition(g, 0, 2);
+  for (const row of bracketed.history) {
+    const [[x0, g0], [x1, g1]] = row.through;
+    expect(row.x).toBeCloseTo(x1 - (g1 * (x1 - x0)) / (g1 - g0), 12);
+  }
+});
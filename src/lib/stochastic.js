@@ -0,0 +1,107 @@
+// Stochastic minimization of f on [a, b]. Each iteration proposes a random
+// move x → x + σ·N(0, 1) (reflected back into [a, b]) and accepts it with
+// some probability:
+//   simulated annealing  1 if it lowers f, exp(−Δf / T) otherwise, with a
+//                        temperature T that decreases with the schedule
+//   (1+1)-ES             1 if it does not raise f, 0 otherwise; σ grows
+//                        or shrinks with the 1/5 success rule
+// Uphill moves let annealing escape local minima while T is high. Both
+// take a seed, so a run can be repeated exactly. Rows: { iter, T, sigma,
+// x, fx, candidate, fCandidate, delta, probability, accepted, xBest, fBest },
+// where x is the point before the move; a candidate outside the domain of
+// f is rejected with probability 0.
+import { seededRandom, normalRandom } from "./random";
+
+export const STOCHASTIC_METHODS = {
+  annealing: "Recocido simulado",
+  es: "Estrategia evolutiva (1+1)",
+};
+
+export const COOLING_SCHEDULES = {
+  exponential: "Exponencial: T₀·αᵏ",
+  linear: "Lineal: T₀·(1 − k/N)",
+  logarithmic: "Logarítmica: T₀ / ln(k + e)",
+};
+
+// Temperature at iteration k (from 0) of a run of maxIter iterations
+export function temperature(schedule, T0, k, { alpha = 0.95, maxIter = 100 } = {}) {
+  if (schedule === "linear") return T0 * Math.max(0, 1 - k / maxIter);
+  if (schedule === "logarithmic") return T0 / Math.log(k + Math.E);
+  return T0 * alpha ** k;
+}
+
+// x folded back into [a, b] as if the ends were mirrors
+export function reflect(x, a, b) {
+  const width = b - a;
+  const period = 2 * width;
+  const offset = (((x - a) % period) + period) % period;
+  return a + (offset <= width ? offset : period - offset);
+}
+
+// Shared loop: state(k) gives the temperature and step of iteration k (from
+// 0), accept(delta, T) the probability of taking a move and after(accepted,
+// k) updates the step. Stops after maxIter moves or when stop() holds.
+function randomSearch(f, a, b, x0, { seed, maxIter, state, accept, after, stop }) {
+  const random = seededRandom(seed);
+  let x = x0;
+  let fx = f(x0);
+  let best = { x, fx };
+  const history = [];
+
+  for (let k = 0; k < maxIter && !stop(); k++) {
+    const { T, sigma } = state(k);
+    const candidate = reflect(x + sigma * normalRandom(random), a, b);
+    const fCandidate = f(candidate);
+    const delta = fCandidate - fx;
+    const probability = Number.isFinite(fCandidate) ? accept(delta, T) : 0;
+    const accepted = random() < probability;
+    const row = { iter: k + 1, T, sigma, x, fx, candidate, fCandidate, delta, probability, accepted };
+    if (accepted) {
+      x = candidate;
+      fx = fCandidate;
+      if (fx < best.fx) best = { x, fx };
+    }
+    history.push({ ...row, xBest: best.x, fBest: best.fx });
+    after(accepted, k);
+  }
+  return { xOpt: best.x, fOpt: best.fx, history, acceptedCount: history.filter((row) => row.accepted).length };
+}
+
+// Simulated annealing from x0 with steps of fixed size sigma
+export function simulatedAnnealing(f, a, b, { x0 = (a + b) / 2, T0 = 1, schedule = "exponential", alpha = 0.95, sigma = 0.1 * (b - a), maxIter = 200, seed = 1 } = {}) {
+  return randomSearch(f, a, b, x0, {
+    seed,
+    maxIter,
+    state: (k) => ({ T: temperature(schedule, T0, k, { alpha, maxIter }), sigma }),
+    // Metropolis rule; at T = 0 only downhill moves are taken
+    accept: (delta, T) => (delta <= 0 ? 1 : T > 0 ? Math.exp(-delta / T) : 0),
+    after: () => {},
+    stop: () => false,
+  });
+}
+
+// (1+1)-ES from x0 with initial step sigma0. With the 1/5 rule, every
+// `window` moves the step is divided by factor when more than a fifth of
+// them succeeded and multiplied by it when fewer did; the run stops when
+// the step falls below tol.
+export function onePlusOneES(f, a, b, { x0 = (a + b) / 2, sigma0 = 0.1 * (b - a), adapt = true, window = 10, factor = 0.82, tol = 1e-6, maxIter = 200, seed = 1 } = {}) {
+  let sigma = sigma0;
+  let successes = 0;
+  const result = randomSearch(f, a, b, x0, {
+    seed,
+    maxIter,
+    state: () => ({ T: null, sigma }),
+    accept: (delta) => (delta <= 0 ? 1 : 0),
+    after: (accepted, k) => {
+      if (accepted) successes++;
+      if (adapt && (k + 1) % window === 0) {
+        const rate = successes / window;
+        if (rate > 0.2) sigma /= factor;
+        else if (rate < 0.2) sigma *= factor;
+        successes = 0;
+      }
+    },
+    stop: () => sigma < tol,
+  });
+  return { ...result, converged: sigma < tol };
+}
@@ -0,0 +1,84 @@
+import { temperature, reflect, simulatedAnnealing, onePlusOneES } from "./stochastic";
+import { seededRandom, normalRandom } from "./random";
+
+const multimodal = (x) => (x - 2) ** 2 + Math.sin(5 * x);
+
+// Global minimum of f on [a, b] on a fine grid
+function gridMinimum(f, a, b, samples = 100000) {
+  let best = a;
+  for (let i = 1; i <= samples; i++) {
+    const x = a + ((b - a) * i) / samples;
+    if (f(x) < f(best)) best = x;
+  }
+  return best;
+}
+
+test("seededRandom repeats its sequence and normalRandom is standard normal", () => {
+  const first = seededRandom(42);
+  const again = seededRandom(42);
+  const other = seededRandom(43);
+  const values = Array.from({ length: 5 }, () => first());
+  expect(Array.from({ length: 5 }, () => again())).toEqual(values);
+  expect(other()).not.toBe(values[0]);
+
+  const random = seededRandom(1);
+  const normals = Array.from({ length: 20000 }, () => normalRandom(random));
+  const mean = normals.reduce((s, v) => s + v, 0) / normals.length;
+  const variance = normals.reduce((s, v) => s + (v - mean) ** 2, 0) / normals.length;
+  expect(mean).toBeCloseTo(0, 1);
+  expect(variance).toBeCloseTo(1, 1);
+});
+
+test("reflect folds points back into [a, b]", () => {
+  expect(reflect(0.5, 0, 1)).toBe(0.5);
+  expect(reflect(1.25, 0, 1)).toBeCloseTo(0.75);
+  expect(reflect(-0.25, 0, 1)).toBeCloseTo(0.25);
+  expect(reflect(2.25, 0, 1)).toBeCloseTo(0.25);
+});
+
+test("cooling schedules start at T0 and decrease", () => {
+  for (const schedule of ["exponential", "linear", "logarithmic"]) {
+    expect(temperature(schedule, 10, 0, { maxIter: 50 })).toBeCloseTo(10);
+    expect(temperature(schedule, 10, 20, { maxIter: 50 })).toBeLessThan(temperature(schedule, 10, 10, { maxIter: 50 }));
+  }
+  expect(temperature("exponential", 10, 2, { alpha: 0.5 })).toBeCloseTo(2.5);
+  expect(temperature("linear", 10, 50, { maxIter: 50 })).toBe(0);
+});
+
+test("simulated annealing escapes the local minima and uses the Metropolis rule", () => {
+  const options = { x0: -1.5, T0: 2, alpha: 0.98, sigma: 1, maxIter: 400, seed: 3 };
+  const result = simulatedAnnealing(multimodal, -2, 5, options);
+  expect(result.xOpt).toBeCloseTo(gridMinimum(multimodal, -2, 5), 1);
+  expect(simulatedAnnealing(multimodal, -2, 5, options)).toEqual(result);
+
+  for (const row of result.history) {
+    const expected = row.delta <= 0 ? 1 : Math.exp(-row.delta / row.T);
+    expect(row.probability).toBeCloseTo(expected);
+  }
+  // Some uphill moves were accepted
+  expect(result.history.some((row) => row.accepted && row.delta > 0)).toBe(true);
+});
+
+test("the (1+1)-ES never goes uphill and shrinks its step to converge", () => {
+  const f = (x) => (x - 1) ** 2;
+  const result = onePlusOneES(f, -5, 5, { x0: 4, sigma0: 1, tol: 1e-6, maxIter: 2000, seed: 5 });
+  expect(result.converged).toBe(true);
+  expect(result.xOpt).toBeCloseTo(1, 4);
+  for (const row of result.history) {
+    expect(row.probability === 1 || row.probability === 0).toBe(true);
+    expect(row.accepted).toBe(row.delta <= 0);
+  }
+  const last = result.history[result.history.length - 1];
+  expect(last.sigma).toBeLessThan(1e-4);
+});
+
+test("candidates outside the domain are rejected", () => {
+  const result = simulatedAnnealing(Math.sqrt, -4, 4, { x0: 2, T0: 1, sigma: 2, maxIter: 100, seed: 2 });
+  const outside = result.history.filter((row) => row.candidate < 0);
+  expect(outside.length).toBeGreaterThan(0);
+  for (const row of outside) {
+    expect(row.probability).toBe(0);
+    expect(row.accepted).toBe(false);
+  }
+  expect(result.xOpt).toBeGreaterThanOrEqual(0);
+});
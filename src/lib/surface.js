@@ -0,0 +1,152 @@
+// Two-variable objectives f(x, y). The expression engine only knows the
+// variable x, so y is handled like a free parameter whose value is supplied
+// at every evaluation. This module also holds the numerical tools the 2D
+// optimizers share: gradient and Hessian by central differences, the
+// sampling grid of the contour plot and its contour lines.
+import { collectParameters } from "./expression";
+
+// Second optimization variable of an f(x, y) objective
+export const SECOND_VARIABLE = "y";
+
+// Built-in surfaces with their default window [x0, x1] × [y0, y1] and starting
+// point
+export const PRESET_SURFACES = [
+  {
+    name: "Cuadrática x^2 + 10y^2",
+    expression: "x^2 + 10*y^2",
+    x: [-3, 3],
+    y: [-2, 2],
+    start: [2.5, 1.5],
+    description: "Valle elíptico: el máximo descenso zigzaguea, Newton llega en un paso.",
+  },
+  {
+    name: "Rosenbrock (1-x)^2 + 100(y-x^2)^2",
+    expression: "(1-x)^2 + 100*(y-x^2)^2",
+    x: [-2, 2],
+    y: [-1, 3],
+    start: [-1.2, 1],
+    description: "Valle curvo y estrecho con el mínimo en (1, 1).",
+  },
+  {
+    name: "Himmelblau (x^2+y-11)^2 + (x+y^2-7)^2",
+    expression: "(x^2+y-11)^2 + (x+y^2-7)^2",
+    x: [-5, 5],
+    y: [-5, 5],
+    start: [0, 0],
+    description: "Cuatro mínimos locales con el mismo valor f = 0.",
+  },
+  {
+    name: "Booth (x+2y-7)^2 + (2x+y-5)^2",
+    expression: "(x+2*y-7)^2 + (2*x+y-5)^2",
+    x: [-4, 6],
+    y: [-4, 6],
+    start: [-3, -3],
+    description: "Cuadrática con el mínimo en (1, 3).",
+  },
+];
+
+// Free parameters of a surface: every name but x and y
+export function surfaceParameters(ast) {
+  return collectParameters(ast).filter((name) => name !== SECOND_VARIABLE);
+}
+
+// Binds parameter values to a compiled expression, giving a plain f(x, y)
+export function bindSurface(evaluate, params = {}) {
+  const scope = { ...params };
+  return (x, y) => {
+    scope[SECOND_VARIABLE] = y;
+    return evaluate(x, scope);
+  };
+}
+
+// Steps that balance truncation and rounding error, as in derivatives.js
+const FD_STEP_1 = Math.cbrt(Number.EPSILON);
+const FD_STEP_2 = Math.pow(Number.EPSILON, 0.25);
+
+// ∇f(x, y) by central differences
+export function gradient(f, x, y) {
+  const hx = FD_STEP_1 * Math.max(1, Math.abs(x));
+  const hy = FD_STEP_1 * Math.max(1, Math.abs(y));
+  return [(f(x + hx, y) - f(x - hx, y)) / (2 * hx), (f(x, y + hy) - f(x, y - hy)) / (2 * hy)];
+}
+
+// Hessian [[fxx, fxy], [fxy, fyy]] by central differences
+export function hessian(f, x, y) {
+  const hx = FD_STEP_2 * Math.max(1, Math.abs(x));
+  const hy = FD_STEP_2 * Math.max(1, Math.abs(y));
+  const f0 = f(x, y);
+  const fxx = (f(x + hx, y) - 2 * f0 + f(x - hx, y)) / (hx * hx);
+  const fyy = (f(x, y + hy) - 2 * f0 + f(x, y - hy)) / (hy * hy);
+  const fxy = (f(x + hx, y + hy) - f(x + hx, y - hy) - f(x - hx, y + hy) + f(x - hx, y - hy)) / (4 * hx * hy);
+  return [
+    [fxx, fxy],
+    [fxy, fyy],
+  ];
+}
+
+// f on an (n + 1) × (n + 1) grid of the window: values[j][i] = f(xs[i], ys[j])
+export function sampleGrid(f, [x0, x1], [y0, y1], n = 60) {
+  const xs = Array.from({ length: n + 1 }, (_, i) => x0 + (i / n) * (x1 - x0));
+  const ys = Array.from({ length: n + 1 }, (_, j) => y0 + (j / n) * (y1 - y0));
+  const values = ys.map((y) => xs.map((x) => f(x, y)));
+  return { xs, ys, values };
+}
+
+// count contour levels at evenly spaced quantiles of the finite grid values,
+// so that steep functions (Rosenbrock) still get lines near their minimum
+export function contourLevels(values, count = 12) {
+  const finite = values.flat().filter(Number.isFinite).sort((p, q) => p - q);
+  if (finite.length === 0) return [];
+  const levels = [];
+  for (let k = 0; k < count; k++) {
+    const level = finite[Math.floor(((k + 0.5) / count) * (finite.length - 1))];
+    if (levels[levels.length - 1] !== level) levels.push(level);
+  }
+  return levels;
+}
+
+// Where the level crosses the edge between two grid points, or null
+function crossing(p, vp, q, vq, level) {
+  if ((vp >= level) === (vq >= level)) return null;
+  const t = (level - vp) / (vq - vp);
+  return [p[0] + t * (q[0] - p[0]), p[1] + t * (q[1] - p[1])];
+}
+
+// Marching squares: the contour line f = level as a list of segments
+// [[x, y], [x, y]]. Cells with a non-finite corner are skipped. In a saddle
+// cell (four crossings) the value at the centre decides which corners the
+// lines cut off.
+export function contourSegments({ xs, ys, values }, level) {
+  const segments = [];
+  for (let j = 0; j < ys.length - 1; j++) {
+    for (let i = 0; i < xs.length - 1; i++) {
+      const v00 = values[j][i];
+      const v10 = values[j][i + 1];
+      const v11 = values[j + 1][i + 1];
+      const v01 = values[j + 1][i];
+      if (![v00, v10, v11, v01].every(Number.isFinite)) continue;
+
+      const p00 = [xs[i], ys[j]];
+      const p10 = [xs[i + 1], ys[j]];
+      const p11 = [xs[i + 1], ys[j + 1]];
+      const p01 = [xs[i], ys[j + 1]];
+      const bottom = crossing(p00, v00, p10, v10, level);
+      const right = crossing(p10, v10, p11, v11, level);
+      const top = crossing(p01, v01, p11, v11, level);
+      const left = crossing(p00, v00, p01, v01, level);
+      const found = [bottom, right, top, left].filter(Boolean);
+
+      if (found.length === 2) {
+        segments.push(found);
+      } else if (found.length === 4) {
+        const center = (v00 + v10 + v11 + v01) / 4;
+        if ((center >= level) === (v00 >= level)) {
+          segments.push([bottom, right], [top, left]);
+        } else {
+          segments.push([bottom, left], [right, top]);
+        }
+      }
+    }
+  }
+  return segments;
+}
@@ -0,0 +1,48 @@
+import { parseExpression, compileExpression } from "./expression";
+import { surfaceParameters, bindSurface, gradient, hessian, sampleGrid, contourLevels, contourSegments } from "./surface";
+
+test("y is a variable of the surface, not a parameter", () => {
+  const ast = parseExpression("a*x^2 + y^2");
+  expect(surfaceParameters(ast)).toEqual(["a"]);
+  const f = bindSurface(compileExpression(ast), { a: 3 });
+  expect(f(1, 2)).toBe(7);
+  expect(f(2, 0)).toBe(12);
+});
+
+test("gradient and Hessian by central differences", () => {
+  const f = (x, y) => x * x * y + 3 * y * y;
+  const [gx, gy] = gradient(f, 2, -1);
+  expect(gx).toBeCloseTo(-4, 6);
+  expect(gy).toBeCloseTo(-2, 6);
+  const [[fxx, fxy], [fyx, fyy]] = hessian(f, 2, -1);
+  expect(fxx).toBeCloseTo(-2, 4);
+  expect(fxy).toBeCloseTo(4, 4);
+  expect(fyx).toBe(fxy);
+  expect(fyy).toBeCloseTo(6, 4);
+});
+
+test("contour levels follow the quantiles of the grid", () => {
+  const grid = sampleGrid((x, y) => x * x + y * y, [-1, 1], [-1, 1], 20);
+  expect(grid.values).toHaveLength(21);
+  expect(grid.values[10][10]).toBe(0);
+  const levels = contourLevels(grid.values, 5);
+  expect(levels).toHaveLength(5);
+  levels.reduce((previous, level) => {
+    expect(level).toBeGreaterThan(previous);
+    return level;
+  }, -Infinity);
+  expect(contourLevels([[NaN]])).toEqual([]);
+});
+
+test("marching squares traces a circle", () => {
+  const grid = sampleGrid((x, y) => x * x + y * y, [-2, 2], [-2, 2], 40);
+  const segments = contourSegments(grid, 1);
+  expect(segments.length).toBeGreaterThan(20);
+  for (const segment of segments) {
+    for (const [x, y] of segment) expect(Math.hypot(x, y)).toBeCloseTo(1, 1);
+  }
+  // A saddle cell gives two separate segments
+  const saddle = { xs: [0, 1], ys: [0, 1], values: [[1, -1], [-1, 1]] };
+  expect(contourSegments(saddle, 0)).toHaveLength(2);
+  expect(contourSegments({ xs: [0, 1], ys: [0, 1], values: [[NaN, -1], [-1, 1]] }, 0)).toEqual([]);
+});
@@ -0,0 +1,276 @@
+// Symbolic differentiation and algebraic simplification over the AST built by
+// parseExpression. Derivatives are exact, so they avoid the cancellation error
+// of finite differences, and their simplified form can be shown to the user.
+import { VARIABLE } from "./expression";
+
+const num = (value) => ({ type: "number", value });
+const neg = (argument) => ({ type: "unary", op: "-", argument });
+const add = (left, right) => ({ type: "binary", op: "+", left, right });
+const sub = (left, right) => ({ type: "binary", op: "-", left, right });
+const mul = (left, right) => ({ type: "binary", op: "*", left, right });
+const div = (left, right) => ({ type: "binary", op: "/", left, right });
+const pow = (left, right) => ({ type: "binary", op: "^", left, right });
+const call = (name, ...args) => ({ type: "call", name, args });
+
+const isNumber = (node, value) => node.type === "number" && (value === undefined || node.value === value);
+
+// True when the subtree does not depend on the variable
+export function isConstant(node, variable = VARIABLE) {
+  switch (node.type) {
+    case "number":
+    case "constant":
+      return true;
+    case "variable":
+      return node.name !== variable;
+    case "unary":
+      return isConstant(node.argument, variable);
+    case "binary":
+      return isConstant(node.left, variable) && isConstant(node.right, variable);
+    case "call":
+      return node.args.every((arg) => isConstant(arg, variable));
+    case "comparison":
+      return isConstant(node.left, variable) && isConstant(node.right, variable);
+    case "piecewise":
+      return (
+        node.branches.every((branch) => isConstant(branch.condition, variable) && isConstant(branch.value, variable)) &&
+        isConstant(node.otherwise, variable)
+      );
+    default:
+      return false;
+  }
+}
+
+// d/du of each whitelisted unary function, as a function of the argument u
+const CHAIN_RULES = {
+  sin: (u) => call("cos", u),
+  cos: (u) => neg(call("sin", u)),
+  tan: (u) => div(num(1), pow(call("cos", u), num(2))),
+  asin: (u) => div(num(1), call("sqrt", sub(num(1), pow(u, num(2))))),
+  acos: (u) => neg(div(num(1), call("sqrt", sub(num(1), pow(u, num(2)))))),
+  atan: (u) => div(num(1), add(num(1), pow(u, num(2)))),
+  sinh: (u) => call("cosh", u),
+  cosh: (u) => call("sinh", u),
+  tanh: (u) => div(num(1), pow(call("cosh", u), num(2))),
+  exp: (u) => call("exp", u),
+  log: (u) => div(num(1), u),
+  ln: (u) => div(num(1), u),
+  log10: (u) => div(num(1), mul(u, call("log", num(10)))),
+  sqrt: (u) => div(num(1), mul(num(2), call("sqrt", u))),
+  abs: (u) => div(u, call("abs", u)),
+};
+
+function differentiatePower(base, exponent, variable) {
+  const dBase = differentiate(base, variable);
+  if (isConstant(exponent, variable)) {
+    // d(u^n) = n * u^(n-1) * u'
+    return mul(mul(exponent, pow(base, sub(exponent, num(1)))), dBase);
+  }
+  const dExponent = differentiate(exponent, variable);
+  if (isConstant(base, variable)) {
+    // d(a^v) = a^v * ln(a) * v'
+    return mul(mul(pow(base, exponent), call("log", base)), dExponent);
+  }
+  // d(u^v) = u^v * (v' * ln(u) + v * u' / u)
+  return mul(
+    pow(base, exponent),
+    add(mul(dExponent, call("log", base)), div(mul(exponent, dBase), base))
+  );
+}
+
+// Raw derivative of node with respect to variable. The result is not
+// simplified; use derivative() for the display-ready version.
+export function differentiate(node, variable = VARIABLE) {
+  if (isConstant(node, variable)) {
+    return num(0);
+  }
+
+  switch (node.type) {
+    case "variable":
+      return num(1);
+    case "unary":
+      return neg(differentiate(node.argument, variable));
+    case "binary": {
+      const { op, left, right } = node;
+      if (op === "+" || op === "-") {
+        return { type: "binary", op, left: differentiate(left, variable), right: differentiate(right, variable) };
+      }
+      if (op === "*") {
+        return add(mul(differentiate(left, variable), right), mul(left, differentiate(right, variable)));
+      }
+      if (op === "/") {
+        return div(
+          sub(mul(differentiate(left, variable), right), mul(left, differentiate(right, variable))),
+          pow(right, num(2))
+        );
+      }
+      return differentiatePower(left, right, variable);
+    }
+    case "call": {
+      const [u, v] = node.args;
+      if (node.name === "pow") {
+        return differentiatePower(u, v, variable);
+      }
+      if (node.name === "min" || node.name === "max") {
+        // min(u, v) = (u + v - |u - v|) / 2 and max(u, v) = (u + v + |u - v|) / 2
+        const spread = call("abs", sub(u, v));
+        const rewritten = div(node.name === "min" ? sub(add(u, v), spread) : add(add(u, v), spread), num(2));
+        return differentiate(rewritten, variable);
+      }
+      return mul(differentiate(u, variable), CHAIN_RULES[node.name](u));
+    }
+    case "comparison":
+      // Piecewise constant: zero everywhere except at the breakpoint itself
+      return num(0);
+    case "piecewise":
+      // Differentiate each branch; the conditions still select the piece
+      return {
+        type: "piecewise",
+        branches: node.branches.map((branch) => ({
+          condition: branch.condition,
+          value: differentiate(branch.value, variable),
+        })),
+        otherwise: differentiate(node.otherwise, variable),
+      };
+    default:
+      return num(0);
+  }
+}
+
+function sameTree(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Folds constants and removes neutral elements. It is deliberately local
+// (no expansion or factoring) so the output still looks like the input.
+export function simplify(node) {
+  switch (node.type) {
+    case "unary": {
+      const argument = simplify(node.argument);
+      if (isNumber(argument)) return num(-argument.value);
+      if (argument.type === "unary") return argument.argument;
+      return neg(argument);
+    }
+    case "call":
+      return call(node.name, ...node.args.map(simplify));
+    case "comparison":
+      return { ...node, left: simplify(node.left), right: simplify(node.right) };
+    case "piecewise": {
+      const branches = node.branches.map((branch) => ({
+        condition: simplify(branch.condition),
+        value: simplify(branch.value),
+      }));
+      const otherwise = simplify(node.otherwise);
+      // All pieces equal: the condition no longer matters
+      if (branches.every((branch) => sameTree(branch.value, otherwise))) return otherwise;
+      return { type: "piecewise", branches, otherwise };
+    }
+    case "binary":
+      return simplifyBinary(node.op, simplify(node.left), simplify(node.right));
+    default:
+      return node;
+  }
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+// n * u as [n, u]: the numeric coefficient of a product (1 if there is none)
+function splitCoefficient(node) {
+  if (isNumber(node)) return [node.value, num(1)];
+  if (node.type === "binary" && node.op === "*" && isNumber(node.left)) return [node.left.value, node.right];
+  return [1, node];
+}
+
+function simplifyBinary(op, left, right) {
+  const bothNumbers = isNumber(left) && isNumber(right);
+
+  switch (op) {
+    case "+":
+      if (bothNumbers) return num(left.value + right.value);
+      if (isNumber(left, 0)) return right;
+      if (isNumber(right, 0)) return left;
+      if (right.type === "unary") return simplifyBinary("-", left, right.argument);
+      if (isNumber(right) && right.value < 0) return sub(left, num(-right.value));
+      return add(left, right);
+
+    case "-":
+      if (bothNumbers) return num(left.value - right.value);
+      if (isNumber(right, 0)) return left;
+      if (isNumber(left, 0)) return simplify(neg(right));
+      if (sameTree(left, right)) return num(0);
+      if (right.type === "unary") return add(left, right.argument);
+      return sub(left, right);
+
+    case "*":
+      if (bothNumbers) return num(left.value * right.value);
+      if (isNumber(left, 0) || isNumber(right, 0)) return num(0);
+      if (isNumber(left, 1)) return right;
+      if (isNumber(right, 1)) return left;
+      if (isNumber(left, -1)) return simplify(neg(right));
+      if (isNumber(right, -1)) return simplify(neg(left));
+      // Keep numeric coefficients in front: u * 3 -> 3 * u
+      if (isNumber(right)) return simplifyBinary("*", right, left);
+      // Merge coefficients: 2 * (3 * u) -> 6 * u
+      if (isNumber(left) && right.type === "binary" && right.op === "*" && isNumber(right.left)) {
+        return simplifyBinary("*", num(left.value * right.left.value), right.right);
+      }
+      // Move coefficients to the front: u * (2 * v) -> 2 * (u * v)
+      if (right.type === "binary" && right.op === "*" && isNumber(right.left)) {
+        return simplifyBinary("*", right.left, simplifyBinary("*", left, right.right));
+      }
+      // One fraction bar: u * (w / v) -> (u * w) / v, so 2*x * (1 / (2*v))
+      // becomes x / v once the coefficients cancel
+      if (right.type === "binary" && right.op === "/") {
+        return simplifyBinary("/", simplifyBinary("*", left, right.left), right.right);
+      }
+      if (left.type === "binary" && left.op === "/") {
+        return simplifyBinary("/", simplifyBinary("*", left.left, right), left.right);
+      }
+      // Pull signs out: (-u) * v -> -(u * v)
+      if (left.type === "unary") return simplify(neg(simplifyBinary("*", left.argument, right)));
+      if (right.type === "unary") return simplify(neg(simplifyBinary("*", left, right.argument)));
+      if (isNumber(left) && left.value < 0) return neg(simplifyBinary("*", num(-left.value), right));
+      if (sameTree(left, right)) return pow(left, num(2));
+      return mul(left, right);
+
+    case "/":
+      if (bothNumbers && Number.isInteger(left.value / right.value)) return num(left.value / right.value);
+      if (isNumber(left, 0)) return num(0);
+      if (isNumber(right, 1)) return left;
+      if (isNumber(right, -1)) return simplify(neg(left));
+      if (sameTree(left, right)) return num(1);
+      if (left.type === "unary") return simplify(neg(simplifyBinary("/", left.argument, right)));
+      {
+        // Cancel common integer factors of the coefficients: 6*u / (4*v) -> 3*u / (2*v)
+        const [n, u] = splitCoefficient(left);
+        const [m, v] = splitCoefficient(right);
+        const common = Number.isInteger(n) && Number.isInteger(m) ? gcd(Math.abs(n), Math.abs(m)) : 1;
+        if (common > 1) {
+          return simplifyBinary("/", simplifyBinary("*", num(n / common), u), simplifyBinary("*", num(m / common), v));
+        }
+      }
+      return div(left, right);
+
+    case "^":
+      if (bothNumbers && Number.isInteger(left.value) && Number.isInteger(right.value) && right.value >= 0) {
+        return num(Math.pow(left.value, right.value));
+      }
+      if (isNumber(right, 0)) return num(1);
+      if (isNumber(right, 1)) return left;
+      if (isNumber(left, 1)) return num(1);
+      return pow(left, right);
+
+    default:
+      return { type: "binary", op, left, right };
+  }
+}
+
+// Simplified derivative of the given order, ready to compile or display
+export function derivative(node, order = 1, variable = VARIABLE) {
+  let result = simplify(node);
+  for (let i = 0; i < order; i++) {
+    result = simplify(differentiate(result, variable));
+  }
+  return result;
+}
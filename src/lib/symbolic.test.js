@@ -0,0 +1,49 @@
+import { parseExpression, compileExpression, formatExpression } from "./expression";
+import { derivative } from "./symbolic";
+
+const d = (source, order = 1) => formatExpression(derivative(parseExpression(source), order));
+
+test("differentiates and simplifies polynomials", () => {
+  expect(d("x^2 - 4*x + 3")).toBe("2*x - 4");
+  expect(d("x^2 - 4*x + 3", 2)).toBe("2");
+  expect(d("(x-2)^2 + 1")).toBe("2*(x - 2)");
+});
+
+test("applies the chain rule to whitelisted functions", () => {
+  expect(d("(x-2)^2 + sin(5*x)")).toBe("2*(x - 2) + 5*cos(5*x)");
+  expect(d("x^2 + 5*cos(2*x)")).toBe("2*x - 10*sin(2*x)");
+  expect(d("exp(-x)")).toBe("-exp(-x)");
+});
+
+test("folds the chain-rule factors into one fraction", () => {
+  // u * (1 / v) -> u / v, without a leftover 1*
+  expect(d("atan(2*x)")).toBe("2/(1 + (2*x)^2)");
+  // matching numeric factors cancel: 2*x / (2*sqrt(...))
+  expect(d("sqrt(x^2 + 1)*log(x^2 + 2)")).toBe("x*log(x^2 + 2)/sqrt(x^2 + 1) + 2*sqrt(x^2 + 1)*x/(x^2 + 2)");
+  // n * (u / m) constants fold, so x / (x / 2) = 2 has derivative 0
+  expect(d("x/(x/2)")).toBe("0");
+  expect(d("x^3/6")).toBe("x^2/2");
+  expect(d("3*x/4")).toBe("3/4");
+});
+
+test("treats parameters as constants", () => {
+  expect(d("a*x^2 + b*sin(c*x)")).toBe("2*a*x + b*c*cos(c*x)");
+});
+
+test("differentiates each piece of a piecewise function", () => {
+  expect(d("if(x < 1, x^2, 2*x - 1)")).toBe("if(x < 1, 2*x, 2)");
+  expect(d("if(x < 1, 3, 3) + x")).toBe("1");
+});
+
+test("matches the numerical derivative for general expressions", () => {
+  const sources = ["x^x", "sqrt(1 + x^2) / x", "atan(x)*log(x)", "max(x, 2*x - 1)", "2^x * tanh(x)"];
+  for (const source of sources) {
+    const f = compileExpression(parseExpression(source));
+    const df = compileExpression(derivative(parseExpression(source)));
+    const d2f = compileExpression(derivative(parseExpression(source), 2));
+    const x = 1.7;
+    const h = 1e-4;
+    expect(df(x)).toBeCloseTo((f(x + h) - f(x - h)) / (2 * h), 6);
+    expect(d2f(x)).toBeCloseTo((f(x + h) - 2 * f(x) + f(x - h)) / (h * h), 3);
+  }
+});